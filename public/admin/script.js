@@ -11,12 +11,21 @@ document.addEventListener('DOMContentLoaded', () => {
     const successMessageDiv = document.getElementById('success-message');
     const successTextSpan = document.getElementById('success-text');
     const geminiKeysListDiv = document.getElementById('gemini-keys-list');
+    const keySelectionStrategySelect = document.getElementById('key-selection-strategy');
+    const keyHealthStatusP = document.getElementById('key-health-status');
+    const checkAllKeysBtn = document.getElementById('check-all-keys-btn');
     const addGeminiKeyForm = document.getElementById('add-gemini-key-form');
     const workerKeysListDiv = document.getElementById('worker-keys-list');
     const addWorkerKeyForm = document.getElementById('add-worker-key-form');
     const generateWorkerKeyBtn = document.getElementById('generate-worker-key');
     const workerKeyValueInput = document.getElementById('worker-key-value');
     const modelsListDiv = document.getElementById('models-list');
+    const filesListDiv = document.getElementById('files-list');
+    const modelVariantsListDiv = document.getElementById('model-variants-list');
+    const addModelVariantForm = document.getElementById('add-model-variant-form');
+    const previewModelVariantBtn = document.getElementById('preview-model-variant');
+    const variantPreviewModelInput = document.getElementById('variant-preview-model');
+    const variantPreviewResultDiv = document.getElementById('variant-preview-result');
     const addModelForm = document.getElementById('add-model-form');
     const modelCategorySelect = document.getElementById('model-category');
     const customQuotaDiv = document.getElementById('custom-quota-div');
@@ -29,6 +38,7 @@ document.addEventListener('DOMContentLoaded', () => {
     const categoryQuotasForm = document.getElementById('category-quotas-form');
     const proQuotaInput = document.getElementById('pro-quota');
     const flashQuotaInput = document.getElementById('flash-quota');
+    const embeddingQuotaInput = document.getElementById('embedding-quota');
     const categoryQuotasErrorDiv = document.getElementById('category-quotas-error');
     const geminiKeyErrorContainer = document.getElementById('gemini-key-error-container'); // Container for error messages in modal
     // Individual Quota Elements
@@ -46,8 +56,9 @@ document.addEventListener('DOMContentLoaded', () => {
 
     // --- Global Cache ---
     let cachedModels = [];
+    let cachedVariantRules = [];
     let cachedGeminiModels = []; // Add cache for available Gemini models
-    let cachedCategoryQuotas = { proQuota: 0, flashQuota: 0 };
+    let cachedCategoryQuotas = { proQuota: 0, flashQuota: 0, embeddingQuota: 0 };
     // No need for a separate errorKeyIds cache, as errorStatus is now part of the key data
 
     // --- Utility Functions ---
@@ -214,6 +225,157 @@ function hideError(container = errorMessageDiv) {
         return 'bg-green-500';
     }
 
+    // Helper to write tier rate limits the way the model form takes them, e.g. "free=10/250000, tier1=1000/"
+    function formatTierRateLimits(tierRateLimits) {
+        return Object.entries(tierRateLimits || {})
+            .map(([tier, limits]) => `${tier}=${limits.rpm ?? ''}/${limits.tpm ?? ''}`)
+            .join(', ');
+    }
+
+    // Compact token counts for the rate gauges (1.2k, 3.4M)
+    function formatTokenCount(count) {
+        if (count >= 1000000) return `${(count / 1000000).toFixed(1)}M`;
+        if (count >= 1000) return `${(count / 1000).toFixed(1)}k`;
+        return String(count);
+    }
+
+    // Renders the last minute's requests and input tokens of a key per model, filled as the window fills up
+    function renderRateGauges(rateUsage) {
+        const entries = Object.entries(rateUsage || {});
+        if (entries.length === 0) {
+            return '';
+        }
+        const gauge = (label, count, limit, formatCount) => {
+            // A limit of 0 blocks the key entirely
+            const usedPercentage = limit === 0 ? 100 : 100 - calculateRemainingPercentage(count, limit);
+            return `
+                <div class="flex items-center text-xs text-gray-600">
+                    <span class="w-8">${label}</span>
+                    <div class="flex-1 bg-gray-200 rounded-full h-1.5 mx-2">
+                        <div class="${getProgressColor(100 - usedPercentage)} h-1.5 rounded-full" style="width: ${limit === null ? 0 : usedPercentage}%"></div>
+                    </div>
+                    <span>${formatCount(count)}/${limit === null ? '∞' : formatCount(limit)}</span>
+                </div>
+            `;
+        };
+        return entries.map(([modelId, usage]) => `
+            <div class="mt-2">
+                <p class="text-xs font-medium text-gray-700 truncate">${escapeHtml(modelId)}</p>
+                ${gauge('RPM', usage.requests, usage.rpmLimit, String)}
+                ${gauge('TPM', usage.tokens, usage.tpmLimit, formatTokenCount)}
+            </div>
+        `).join('');
+    }
+
+    // Remaining cooldown time, e.g. "34s" or "2m 05s"
+    function formatRemaining(ms) {
+        const seconds = Math.ceil(ms / 1000);
+        return seconds < 60 ? `${seconds}s` : `${Math.floor(seconds / 60)}m ${String(seconds % 60).padStart(2, '0')}s`;
+    }
+
+    // Renders the running cooldowns of a key; the key modal gets a Clear button for each
+    function renderCooldowns(cooldowns, withActions) {
+        if (!cooldowns || cooldowns.length === 0) {
+            return withActions ? '<p class="text-sm text-gray-500">No cooldowns.</p>' : '';
+        }
+        return cooldowns.map(cooldown => `
+            <div class="flex items-center justify-between text-xs text-orange-700 mt-1">
+                <span>Cooling down${cooldown.modelId ? ` for ${escapeHtml(cooldown.modelId)}` : ' (all models)'}: ${formatRemaining(cooldown.remainingMs)} after ${cooldown.status}${cooldown.failures > 1 ? ` ×${cooldown.failures}` : ''}</span>
+                ${withActions ? `<button data-id="${cooldown.keyId}" data-model-id="${escapeHtml(cooldown.modelId ?? '')}" class="clear-key-cooldown text-blue-500 hover:text-blue-700 font-medium ml-2">Clear</button>` : ''}
+            </div>
+        `).join('');
+    }
+
+    // Fetches an admin endpoint for the live key state without apiFetch, which would flash
+    // the loading overlay and clear messages on every poll
+    async function fetchLiveState(endpoint) {
+        try {
+            const response = await fetch(`/api/admin${endpoint}`, { credentials: 'include' });
+            return response.ok && !response.redirected ? await response.json() : null;
+        } catch (error) {
+            console.error(`Failed to refresh ${endpoint}:`, error);
+            return null;
+        }
+    }
+
+    const HEALTH_RESULTS = {
+        healthy: { label: 'Healthy', color: 'text-green-700' },
+        invalid: { label: 'Invalid', color: 'text-red-600' },
+        rate_limited: { label: 'Valid, rate limited', color: 'text-yellow-700' },
+        error: { label: 'Check failed', color: 'text-gray-500' },
+    };
+
+    // One health check result, e.g. "Healthy (200) · 10/19/2026, 3:04:05 PM"
+    function formatHealthCheck(check) {
+        const result = HEALTH_RESULTS[check.result] || HEALTH_RESULTS.error;
+        return `<span class="${result.color}">${result.label}${check.httpStatus ? ` (${check.httpStatus})` : ''}</span>`
+            + ` · ${new Date(check.checkedAt).toLocaleString()}${check.detectedTier ? ` · Tier: ${escapeHtml(check.detectedTier)}` : ''}`;
+    }
+
+    // Refreshes the health check summary above the keys and the last check on every key card
+    async function refreshKeyHealth() {
+        const health = await fetchLiveState('/key-health');
+        if (!health) {
+            keyHealthStatusP.textContent = 'Failed to load key health checks.';
+            return;
+        }
+        let status = health.intervalMs > 0
+            ? `Keys are checked every ${Math.round(health.intervalMs / 60000)} min, ${health.concurrency} at a time${health.model ? ` with ${health.model}` : ''}.`
+            : 'Scheduled key checks are disabled.';
+        if (health.running) {
+            status += ' A check is running.';
+        } else if (health.lastRun) {
+            const run = health.lastRun;
+            status += ` Last run ${new Date(run.finishedAt).toLocaleString()}: ${run.healthy} healthy, ${run.invalid} invalid, ${run.rateLimited} rate limited, ${run.errors} failed.`;
+        }
+        if (health.nextRunAt) {
+            status += ` Next run ${new Date(health.nextRunAt).toLocaleTimeString()}.`;
+        }
+        keyHealthStatusP.textContent = status;
+        geminiKeysListDiv.querySelectorAll('.key-health').forEach(container => {
+            const check = health.latest[container.dataset.keyId];
+            container.innerHTML = check ? `Last check: ${formatHealthCheck(check)}` : '';
+        });
+    }
+
+    // Loads the check history of a key into its modal
+    async function loadKeyHealthHistory(keyId, container) {
+        const history = await fetchLiveState(`/gemini-keys/${encodeURIComponent(keyId)}/health-history`);
+        if (!history) {
+            container.innerHTML = '<p class="text-sm text-red-500">Failed to load the check history.</p>';
+        } else if (history.length === 0) {
+            container.innerHTML = '<p class="text-sm text-gray-500">Not checked yet.</p>';
+        } else {
+            container.innerHTML = history.map(check => `
+                <p class="text-xs text-gray-600 mt-1">${formatHealthCheck(check)} · ${check.trigger}${check.message ? ` · ${escapeHtml(check.message)}` : ''}</p>
+            `).join('');
+        }
+    }
+
+    // Refreshes the rate gauges and cooldowns of all keys in place
+    async function refreshLiveKeyState() {
+        const gaugeContainers = geminiKeysListDiv.querySelectorAll('.rate-gauges');
+        const cooldownContainers = document.querySelectorAll('.key-cooldowns');
+        if ((gaugeContainers.length === 0 && cooldownContainers.length === 0) || document.hidden) {
+            return;
+        }
+        const [rateUsageByKey, cooldowns] = await Promise.all([
+            fetchLiveState('/gemini-keys/rate-usage'),
+            fetchLiveState('/key-cooldowns'),
+        ]);
+        if (rateUsageByKey) {
+            gaugeContainers.forEach(container => {
+                container.innerHTML = renderRateGauges(rateUsageByKey[container.dataset.keyId]);
+            });
+        }
+        if (cooldowns) {
+            cooldownContainers.forEach(container => {
+                const keyCooldowns = cooldowns.filter(cooldown => cooldown.keyId === container.dataset.keyId);
+                container.innerHTML = renderCooldowns(keyCooldowns, container.dataset.actions === 'true');
+            });
+        }
+    }
+
 
 async function renderGeminiKeys(keys) {
         geminiKeysListDiv.innerHTML = ''; // Clear previous list
@@ -326,10 +488,13 @@ async function renderGeminiKeys(keys) {
                 <div class="flex items-center justify-between">
                     <div>
                         <h3 class="font-medium text-gray-900">${key.name || key.id}</h3>
-                        <p class="text-xs text-gray-500">ID: ${key.id} | ${key.keyPreview}</p>
+                        <p class="text-xs text-gray-500">ID: ${key.id} | ${key.keyPreview}${key.tier ? ` | Tier: ${escapeHtml(key.tier)}` : ''}</p>
                     </div>
                     ${rightSideContent}
                 </div>
+                <div class="key-health text-xs text-gray-500 mt-1" data-key-id="${key.id}"></div>
+                <div class="key-cooldowns" data-key-id="${key.id}" data-actions="false">${renderCooldowns(key.cooldowns, false)}</div>
+                <div class="rate-gauges" data-key-id="${key.id}">${renderRateGauges(key.rateUsage)}</div>
             `;
 
 
@@ -362,6 +527,20 @@ async function renderGeminiKeys(keys) {
                             ${key.errorStatus ? `<p class="text-sm text-red-600 font-medium">Error Status: ${key.errorStatus}</p>` : ''}
                         </div>
                     </div>
+                    <div class="flex items-center mb-4">
+                        <label for="gemini-key-weight-${key.id}" class="text-sm font-medium text-gray-700 mr-2">Weight:</label>
+                        <input type="number" id="gemini-key-weight-${key.id}" min="0" step="1" value="${key.weight ?? 1}"
+                            class="w-20 rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500 sm:text-sm mr-2">
+                        <button data-id="${key.id}" class="save-gemini-key-weight text-sm text-blue-500 hover:text-blue-700 font-medium">Save</button>
+                        <span class="text-xs text-gray-500 ml-2">Share of requests under the weighted strategy, 0 to exclude the key.</span>
+                    </div>
+                    <div class="flex items-center mb-4">
+                        <label for="gemini-key-tier-${key.id}" class="text-sm font-medium text-gray-700 mr-2">Tier:</label>
+                        <input type="text" id="gemini-key-tier-${key.id}" value="${escapeHtml(key.tier || '')}" placeholder="e.g., free"
+                            class="w-28 rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500 sm:text-sm mr-2">
+                        <button data-id="${key.id}" class="save-gemini-key-tier text-sm text-blue-500 hover:text-blue-700 font-medium">Save</button>
+                        <span class="text-xs text-gray-500 ml-2">Selects the per-tier rate limits of models, empty for their default limits.</span>
+                    </div>
                     <div class="flex justify-end space-x-2 mb-4">
                         ${key.errorStatus ? `<button data-id="${key.id}" class="clear-gemini-key-error text-yellow-600 hover:text-yellow-800 font-medium px-3 py-1 border border-yellow-600 rounded">Ignore Error</button>` : ''}
                         <button data-id="${key.id}" class="test-gemini-key text-blue-500 hover:text-blue-700 font-medium px-3 py-1 border border-blue-500 rounded">Test</button>
@@ -372,6 +551,18 @@ async function renderGeminiKeys(keys) {
                         <span class="block sm:inline"></span>
                     </div>
 
+                    <!-- Cooldowns Section -->
+                    <div class="border-t border-gray-200 pt-4 mb-4">
+                        <h3 class="text-lg font-medium text-gray-800 mb-2">Cooldowns</h3>
+                        <div class="key-cooldowns" data-key-id="${key.id}" data-actions="true">${renderCooldowns(key.cooldowns, true)}</div>
+                    </div>
+
+                    <!-- Health Checks Section -->
+                    <div class="border-t border-gray-200 pt-4 mb-4">
+                        <h3 class="text-lg font-medium text-gray-800 mb-2">Health Checks</h3>
+                        <div class="key-health-history max-h-40 overflow-y-auto"></div>
+                    </div>
+
                     <!-- Category Usage Section -->
                     <div class="border-t border-gray-200 pt-4 mb-4">
                         <h3 class="text-lg font-medium text-gray-800 mb-3">Category Usage</h3>
@@ -492,6 +683,60 @@ async function renderGeminiKeys(keys) {
                 });
             }
 
+            // Embedding Category Usage
+            const embeddingUsage = key.categoryUsage?.embedding || 0;
+            const embeddingQuota = cachedCategoryQuotas.embeddingQuota;
+            const embeddingQuotaDisplay = formatQuota(embeddingQuota);
+            const embeddingRemaining = embeddingQuota === Infinity ? Infinity : Math.max(0, embeddingQuota - embeddingUsage);
+            const embeddingRemainingDisplay = formatQuota(embeddingRemaining);
+            const embeddingRemainingPercentage = calculateRemainingPercentage(embeddingUsage, embeddingQuota);
+            const embeddingProgressColor = getProgressColor(embeddingRemainingPercentage);
+
+            modalHTML += `
+                <div class="mt-2">
+                    <div class="flex justify-between mb-1">
+                        <span class="text-sm font-medium text-gray-700">Embedding Models</span>
+                        <span class="text-sm font-medium text-gray-700">${embeddingRemainingDisplay}/${embeddingQuotaDisplay}</span>
+                    </div>
+                    <div class="w-full bg-gray-200 rounded-full h-2.5">
+                        <div class="${embeddingProgressColor} h-2.5 rounded-full" style="width: ${embeddingRemainingPercentage}%"></div>
+                    </div>
+                </div>
+            `;
+
+            // Handle Embedding category individual quota models
+            const embeddingModelsWithIndividualQuota = cachedModels.filter(model => 
+                model.category === 'Embedding' && 
+                model.individualQuota && 
+                key.modelUsage && 
+                key.modelUsage[model.id] !== undefined
+            );
+
+            embeddingModelsWithIndividualQuota.forEach(model => {
+                const modelId = model.id;
+                const count = typeof key.modelUsage?.[modelId] === 'object' ? 
+                    (key.modelUsage?.[modelId]?.count || 0) : 
+                    (key.modelUsage?.[modelId] || 0);
+                const quota = model.individualQuota;
+                const quotaDisplay = formatQuota(quota);
+                const remaining = quota === Infinity ? Infinity : Math.max(0, quota - count);
+                const remainingDisplay = formatQuota(remaining);
+                const remainingPercentage = calculateRemainingPercentage(count, quota);
+                const progressColor = getProgressColor(remainingPercentage);
+
+                modalHTML += `
+                    <div class="mt-2">
+                        <div class="flex justify-between mb-1">
+                            <span class="text-sm font-medium text-gray-700">${modelId}</span>
+                            <span class="text-sm font-medium text-gray-700">${remainingDisplay}/${quotaDisplay}</span>
+                        </div>
+                        <div class="w-full bg-gray-200 rounded-full h-2.5">
+                            <div class="${progressColor} h-2.5 rounded-full" style="width: ${remainingPercentage}%"></div>
+                        </div>
+                    </div>
+                `;
+            });
+
             modalHTML += `
                         </div>
                     </div>
@@ -575,6 +820,7 @@ async function renderGeminiKeys(keys) {
                 // 防止文本选择
                 e.preventDefault();
                 detailModal.classList.remove('hidden');
+                loadKeyHealthHistory(key.id, detailModal.querySelector('.key-health-history'));
             });
 
             // Add event to the close button
@@ -701,6 +947,15 @@ async function renderGeminiKeys(keys) {
                             ${isSafetyEnabled ? 'Enabled' : 'Disabled'}
                         </span>
                     </div>
+                    <div class="flex items-center ml-6">
+                        <label for="retention-input-${key.key}" class="text-sm font-medium text-gray-700 mr-2">Response Retention:</label>
+                        <input type="number" id="retention-input-${key.key}" min="0" step="1"
+                            value="${key.responseRetentionDays ?? ''}" placeholder="Default"
+                            class="w-20 rounded-md border-gray-300 shadow-sm text-sm px-2 py-1 border"
+                        />
+                        <span class="text-xs text-gray-500 ml-1 mr-2">days</span>
+                        <button data-key="${key.key}" class="save-retention text-sm text-blue-500 hover:text-blue-700 font-medium">Save</button>
+                    </div>
                 </div>
             `;
 
@@ -756,10 +1011,28 @@ async function renderGeminiKeys(keys) {
                 // Show individual quota if it exists for Pro/Flash models
                 quotaDisplay += ` (Individual Quota: ${model.individualQuota})`;
             }
+            if (model.maxInputTokens) {
+                quotaDisplay += ` · Max input: ${model.maxInputTokens.toLocaleString()} tokens`;
+            }
+            if (model.thinkingBudget !== undefined) {
+                quotaDisplay += ` · Thinking budget: ${model.thinkingBudget === -1 ? 'dynamic' : model.thinkingBudget.toLocaleString()}`;
+            }
+            if (model.aliases?.length > 0) {
+                quotaDisplay += ` · Aliases: ${escapeHtml(model.aliases.join(', '))}`;
+            }
+            if (model.fallbackModels?.length > 0) {
+                quotaDisplay += ` · Falls back to: ${escapeHtml(model.fallbackModels.join(' → '))}`;
+            }
+            if (model.rpmLimit !== undefined || model.tpmLimit !== undefined) {
+                quotaDisplay += ` · Per key: ${model.rpmLimit ?? '∞'} RPM / ${model.tpmLimit?.toLocaleString() ?? '∞'} TPM`;
+            }
+            if (model.tierRateLimits) {
+                quotaDisplay += ` · Tiers: ${escapeHtml(formatTierRateLimits(model.tierRateLimits))}`;
+            }
 
             let actionsHtml = '';
-            // Only show Set Individual Quota button for Pro and Flash models
-            if (model.category === 'Pro' || model.category === 'Flash') {
+            // Only show Set Individual Quota button for Pro, Flash and Embedding models
+            if (model.category === 'Pro' || model.category === 'Flash' || model.category === 'Embedding') {
                 actionsHtml = `
                     <button data-id="${model.id}" data-category="${model.category}" data-quota="${model.individualQuota || 0}" 
                         class="set-individual-quota mr-2 text-blue-500 hover:text-blue-700 font-medium">
@@ -799,11 +1072,144 @@ async function renderGeminiKeys(keys) {
         });
     }
 
+    function formatBytes(bytes) {
+        if (!bytes) return '0 B';
+        const units = ['B', 'KB', 'MB', 'GB'];
+        const exponent = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+        return `${(bytes / Math.pow(1024, exponent)).toFixed(exponent === 0 ? 0 : 1)} ${units[exponent]}`;
+    }
+
+    function formatExpiry(expiresAt) {
+        const remainingMs = new Date(expiresAt).getTime() - Date.now();
+        if (remainingMs <= 0) return 'expired';
+        const hours = Math.floor(remainingMs / 3600000);
+        const minutes = Math.floor((remainingMs % 3600000) / 60000);
+        return hours > 0 ? `expires in ${hours}h ${minutes}m` : `expires in ${minutes}m`;
+    }
+
+    function renderFiles(files) {
+        filesListDiv.innerHTML = ''; // Clear previous list
+        if (!files || files.length === 0) {
+            filesListDiv.innerHTML = '<p class="text-gray-500">No uploaded files.</p>';
+            return;
+        }
+        files.forEach(file => {
+            // Files expiring within the next 6 hours are highlighted
+            const expiringSoon = new Date(file.expiresAt).getTime() - Date.now() < 6 * 3600000;
+            const item = document.createElement('div');
+            item.className = 'p-3 border rounded-md flex items-center justify-between';
+            item.innerHTML = `
+                <div>
+                    <p class="font-semibold text-gray-800">${file.filename || file.id}</p>
+                    <p class="text-xs text-gray-500">
+                        <span class="font-mono">${file.id}</span> · ${file.mimeType || 'unknown type'} · ${formatBytes(file.bytes)} · ${file.purpose}
+                    </p>
+                    <p class="text-xs text-gray-500">
+                        Key: ${file.keyName || file.keyId} · Uploaded: ${new Date(file.createdAt).toLocaleString()} ·
+                        <span class="${expiringSoon ? 'text-orange-600 font-medium' : ''}">${formatExpiry(file.expiresAt)}</span>
+                    </p>
+                </div>
+                <button data-id="${file.id}" class="delete-file text-red-500 hover:text-red-700 font-medium">Delete</button>
+            `;
+            filesListDiv.appendChild(item);
+        });
+    }
+
+    // Variant suffixes like ':thinking-<N>' contain angle brackets
+    function escapeHtml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    function describeVariantRule(rule) {
+        const effects = [];
+        if (rule.thinkingBudget !== undefined) effects.push(`Thinking budget: ${rule.thinkingBudget}`);
+        if (rule.reasoningEffort) effects.push(`Reasoning effort: ${rule.reasoningEffort}`);
+        if (rule.tools && rule.tools.length > 0) effects.push(`Tools: ${rule.tools.join(', ')}`);
+        effects.push(`Models: ${rule.models || 'all'}`);
+        effects.push(rule.listed ? 'Listed' : 'Not listed');
+        return escapeHtml(effects.join(' · '));
+    }
+
+    function renderModelVariants(rules) {
+        modelVariantsListDiv.innerHTML = ''; // Clear previous list
+        if (!rules || rules.length === 0) {
+            modelVariantsListDiv.innerHTML = '<p class="text-gray-500">No model variants configured.</p>';
+            return;
+        }
+        rules.forEach(rule => {
+            const item = document.createElement('div');
+            item.className = 'p-3 border rounded-md flex items-center justify-between';
+            item.innerHTML = `
+                <div>
+                    <p class="font-semibold text-gray-800"><span class="font-mono">${escapeHtml(rule.suffix)}</span>${rule.description ? ` <span class="text-sm font-normal text-gray-500">${escapeHtml(rule.description)}</span>` : ''}</p>
+                    <p class="text-xs text-gray-500">${describeVariantRule(rule)}</p>
+                </div>
+                <button data-suffix="${escapeHtml(rule.suffix)}" class="delete-model-variant text-red-500 hover:text-red-700 font-medium">Delete</button>
+            `;
+            modelVariantsListDiv.appendChild(item);
+        });
+    }
+
+    function renderVariantPreview(preview) {
+        const listed = preview.listedVariants.length > 0 ? escapeHtml(preview.listedVariants.join(', ')) : 'none';
+        let html = `<p><span class="font-medium">Listed in /v1/models:</span> ${listed}</p>`;
+        const resolution = preview.resolution;
+        if (resolution && resolution.error) {
+            html += `<p class="mt-1 text-red-600">${escapeHtml(resolution.model)}: ${escapeHtml(resolution.error)}</p>`;
+        } else if (resolution) {
+            const changes = [];
+            if (resolution.thinkingBudget !== undefined) changes.push(`thinking budget ${resolution.thinkingBudget}`);
+            if (resolution.reasoningEffort) changes.push(`reasoning effort ${resolution.reasoningEffort}`);
+            if (resolution.tools.length > 0) changes.push(`tools ${resolution.tools.join(', ')}`);
+            html += `<p class="mt-1"><span class="font-medium">${escapeHtml(resolution.model)}</span> → ${escapeHtml(resolution.baseModelId)}${changes.length > 0 ? ` with ${escapeHtml(changes.join(', '))}` : ' (no changes)'}</p>`;
+        }
+        variantPreviewResultDiv.innerHTML = html;
+        variantPreviewResultDiv.classList.remove('hidden');
+    }
+
+    // Reads the add variant form, returns null when no suffix is entered
+    function readVariantForm() {
+        const formData = new FormData(addModelVariantForm);
+        const suffix = formData.get('suffix').trim();
+        if (!suffix) {
+            return null;
+        }
+        const rule = {
+            suffix,
+            models: formData.get('models').trim(),
+            tools: formData.getAll('tools'),
+            listed: formData.get('listed') === 'on',
+            description: formData.get('description').trim(),
+        };
+        const thinkingBudget = formData.get('thinkingBudget').trim();
+        if (thinkingBudget) {
+            // '<N>' is sent as is, the server validates everything else
+            rule.thinkingBudget = thinkingBudget === '<N>' ? thinkingBudget : Number(thinkingBudget);
+        }
+        if (formData.get('reasoningEffort')) {
+            rule.reasoningEffort = formData.get('reasoningEffort');
+        }
+        return rule;
+    }
+
+    // The configured rules with the form's rule added, or replacing the rule with the same suffix
+    function rulesWithVariant(rule) {
+        if (!rule) {
+            return cachedVariantRules;
+        }
+        return [...cachedVariantRules.filter(existing => existing.suffix !== rule.suffix), rule];
+    }
+
     // --- Data Loading Functions ---
     async function loadGeminiKeys() {
         const keys = await apiFetch('/gemini-keys');
         if (keys) {
             renderGeminiKeys(keys);
+            refreshKeyHealth();
         } else {
              geminiKeysListDiv.innerHTML = '<p class="text-red-500">Failed to load Gemini keys.</p>';
         }
@@ -828,6 +1234,32 @@ async function renderGeminiKeys(keys) {
         }
     }
 
+    async function loadKeySelectionStrategy() {
+        const result = await apiFetch('/key-selection-strategy');
+        if (result) {
+            keySelectionStrategySelect.value = result.strategy;
+        }
+    }
+
+    async function loadModelVariants() {
+        const rules = await apiFetch('/model-variants');
+        if (rules) {
+            cachedVariantRules = rules;
+            renderModelVariants(rules);
+        } else {
+             modelVariantsListDiv.innerHTML = '<p class="text-red-500">Failed to load model variants.</p>';
+        }
+    }
+
+    async function loadFiles() {
+        const files = await apiFetch('/files');
+        if (files) {
+            renderFiles(files);
+        } else {
+             filesListDiv.innerHTML = '<p class="text-red-500">Failed to load uploaded files.</p>';
+        }
+    }
+
     // New function to load category quotas
     async function loadCategoryQuotas() {
         const quotas = await apiFetch('/category-quotas');
@@ -1112,6 +1544,51 @@ async function renderGeminiKeys(keys) {
             }
         }
 
+        if (e.target.classList.contains('save-gemini-key-weight')) {
+            const keyId = e.target.dataset.id;
+            const weight = Number(document.getElementById(`gemini-key-weight-${keyId}`).value.trim());
+            if (!Number.isInteger(weight) || weight < 0) {
+                showError('Key weight must be a non-negative whole number.');
+                return;
+            }
+            const result = await apiFetch('/gemini-keys/weight', {
+                method: 'POST',
+                body: JSON.stringify({ keyId, weight }),
+            });
+            if (result && result.success) {
+                showSuccess(`Weight of Gemini key ${keyId} set to ${weight}.`);
+            }
+            return;
+        }
+
+        if (e.target.classList.contains('clear-key-cooldown')) {
+            const keyId = e.target.dataset.id;
+            // An empty model ID stands for the key-wide cooldown
+            const modelId = e.target.dataset.modelId || null;
+            const result = await apiFetch('/clear-key-cooldown', {
+                method: 'POST',
+                body: JSON.stringify({ keyId, modelId }),
+            });
+            if (result && result.success) {
+                showSuccess(`Cooldown of Gemini key ${keyId} cleared.`);
+                await refreshLiveKeyState();
+            }
+            return;
+        }
+
+        if (e.target.classList.contains('save-gemini-key-tier')) {
+            const keyId = e.target.dataset.id;
+            const tier = document.getElementById(`gemini-key-tier-${keyId}`).value.trim() || null;
+            const result = await apiFetch('/gemini-keys/tier', {
+                method: 'POST',
+                body: JSON.stringify({ keyId, tier }),
+            });
+            if (result && result.success) {
+                showSuccess(tier ? `Tier of Gemini key ${keyId} set to ${tier}.` : `Tier of Gemini key ${keyId} cleared.`);
+            }
+            return;
+        }
+
         // --- New: Clear Gemini Key Error ---
         if (e.target.classList.contains('clear-gemini-key-error')) {
             const keyId = e.target.dataset.id;
@@ -1197,8 +1674,25 @@ async function renderGeminiKeys(keys) {
         }
     });
 
-     // Delete Worker Key (no changes needed)
+     // Delete Worker Key, save response retention
     workerKeysListDiv.addEventListener('click', async (e) => {
+        if (e.target.classList.contains('save-retention')) {
+            const key = e.target.dataset.key;
+            const value = document.getElementById(`retention-input-${key}`).value.trim();
+            const retentionDays = value === '' ? null : Number(value);
+            if (retentionDays !== null && (!Number.isInteger(retentionDays) || retentionDays < 0)) {
+                showError('Response retention must be a non-negative whole number of days, or empty for the default.');
+                return;
+            }
+            const result = await apiFetch('/worker-keys/response-retention', {
+                method: 'POST',
+                body: JSON.stringify({ key, retentionDays }),
+            });
+            if (result && result.success) {
+                showSuccess(`Response retention for ${key} ${retentionDays === null ? 'reset to the default' : `set to ${retentionDays} days`}.`);
+            }
+            return;
+        }
         if (e.target.classList.contains('delete-worker-key')) {
             const key = e.target.dataset.key;
 
@@ -1215,6 +1709,96 @@ async function renderGeminiKeys(keys) {
         }
     });
 
+    // Key Selection Strategy
+    keySelectionStrategySelect.addEventListener('change', async () => {
+        const strategy = keySelectionStrategySelect.value;
+        const result = await apiFetch('/key-selection-strategy', {
+            method: 'POST',
+            body: JSON.stringify({ strategy }),
+        });
+        if (result && result.success) {
+            showSuccess(`Key selection strategy set to ${strategy}.`);
+        } else {
+            await loadKeySelectionStrategy(); // Show the strategy still in effect
+        }
+    });
+
+    // Check All Keys Now
+    checkAllKeysBtn.addEventListener('click', async () => {
+        checkAllKeysBtn.disabled = true;
+        keyHealthStatusP.textContent = 'Checking all keys...';
+        const result = await apiFetch('/key-health/check', { method: 'POST' });
+        checkAllKeysBtn.disabled = false;
+        if (result && result.success) {
+            await loadGeminiKeys(); // Error statuses and tiers may have changed
+            showSuccess(`Checked ${result.checked} keys: ${result.healthy} healthy, ${result.invalid} invalid, ${result.rateLimited} rate limited, ${result.errors} failed.`
+                + (result.recovered > 0 ? ` ${result.recovered} recovered.` : ''));
+        } else {
+            await refreshKeyHealth();
+        }
+    });
+
+    // Delete Model Variant
+    modelVariantsListDiv.addEventListener('click', async (e) => {
+        if (e.target.classList.contains('delete-model-variant')) {
+            const suffix = e.target.dataset.suffix;
+            if (confirm(`Are you sure you want to delete model variant: ${suffix}?`)) {
+                const result = await apiFetch('/model-variants', {
+                    method: 'PUT',
+                    body: JSON.stringify({ rules: cachedVariantRules.filter(rule => rule.suffix !== suffix) }),
+                });
+                if (result && result.success) {
+                    await loadModelVariants();
+                    showSuccess(`Model variant ${suffix} deleted successfully!`);
+                }
+            }
+        }
+    });
+
+    // Add or Update Model Variant
+    addModelVariantForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const rule = readVariantForm();
+        const result = await apiFetch('/model-variants', {
+            method: 'PUT',
+            body: JSON.stringify({ rules: rulesWithVariant(rule) }),
+        });
+        if (result && result.success) {
+            addModelVariantForm.reset();
+            variantPreviewResultDiv.classList.add('hidden');
+            await loadModelVariants();
+            showSuccess(`Model variant ${rule.suffix} added/updated successfully!`);
+        }
+    });
+
+    // Preview the configured variants together with the one in the form, without saving
+    previewModelVariantBtn.addEventListener('click', async () => {
+        const model = variantPreviewModelInput.value.trim();
+        const preview = await apiFetch('/model-variants/preview', {
+            method: 'POST',
+            body: JSON.stringify({ rules: rulesWithVariant(readVariantForm()), model: model || undefined }),
+        });
+        if (preview) {
+            renderVariantPreview(preview);
+        }
+    });
+
+    // Delete Uploaded File
+    filesListDiv.addEventListener('click', async (e) => {
+        if (e.target.classList.contains('delete-file')) {
+            const fileId = e.target.dataset.id;
+            if (confirm(`Are you sure you want to delete file: ${fileId}? Requests referencing it will fail.`)) {
+                const result = await apiFetch(`/files/${encodeURIComponent(fileId)}`, {
+                    method: 'DELETE',
+                });
+                if (result && result.success) {
+                    await loadFiles();
+                    showSuccess(`File ${fileId} deleted successfully!`);
+                }
+            }
+        }
+    });
+
     // Save safety settings (no changes needed)
     async function saveSafetySettingsToServer(key, isEnabled) {
         try {
@@ -1270,6 +1854,43 @@ async function renderGeminiKeys(keys) {
             category: formData.get('category')
         };
 
+        const maxInputTokensInput = formData.get('maxInputTokens')?.trim();
+        if (maxInputTokensInput) {
+            const maxInputTokens = parseInt(maxInputTokensInput, 10);
+            if (isNaN(maxInputTokens) || maxInputTokens <= 0) {
+                showError("Max Input Tokens must be a positive whole number or empty.");
+                return;
+            }
+            data.maxInputTokens = maxInputTokens;
+        }
+
+        const thinkingBudgetInput = formData.get('thinkingBudget')?.trim();
+        if (thinkingBudgetInput) {
+            const thinkingBudget = Number(thinkingBudgetInput);
+            if (!Number.isInteger(thinkingBudget) || thinkingBudget < -1) {
+                showError("Default Thinking Budget must be a whole number of at least -1, or empty.");
+                return;
+            }
+            data.thinkingBudget = thinkingBudget;
+        }
+
+        // Aliases and fallbacks are sent as comma-separated lists, the server validates them
+        data.aliases = formData.get('aliases')?.trim() || '';
+        data.fallbackModels = formData.get('fallbackModels')?.trim() || '';
+
+        for (const [field, label] of [['rpmLimit', 'Requests per Minute'], ['tpmLimit', 'Input Tokens per Minute']]) {
+            const limitInput = formData.get(field)?.trim();
+            if (limitInput) {
+                const limit = Number(limitInput);
+                if (!Number.isInteger(limit) || limit < 0) {
+                    showError(`${label} must be a non-negative whole number or empty.`);
+                    return;
+                }
+                data[field] = limit;
+            }
+        }
+        data.tierRateLimits = formData.get('tierRateLimits')?.trim() || '';
+
         // Only include dailyQuota if category is 'Custom' and input is visible/filled
         if (data.category === 'Custom') {
             const quotaInput = formData.get('dailyQuota')?.trim().toLowerCase();
@@ -1330,10 +1951,12 @@ async function renderGeminiKeys(keys) {
         if (currentQuotas) {
             proQuotaInput.value = currentQuotas.proQuota ?? 50;
             flashQuotaInput.value = currentQuotas.flashQuota ?? 1500;
+            embeddingQuotaInput.value = currentQuotas.embeddingQuota ?? 1500;
             
             // Set placeholders to show default values
             proQuotaInput.placeholder = "Default: 50";
             flashQuotaInput.placeholder = "Default: 1500";
+            embeddingQuotaInput.placeholder = "Default: 1500";
             
             categoryQuotasModal.classList.remove('hidden');
         } else {
@@ -1361,19 +1984,20 @@ async function renderGeminiKeys(keys) {
 
         const proQuota = parseInt(proQuotaInput.value, 10);
         const flashQuota = parseInt(flashQuotaInput.value, 10);
+        const embeddingQuota = parseInt(embeddingQuotaInput.value, 10);
 
-        if (isNaN(proQuota) || proQuota < 0 || isNaN(flashQuota) || flashQuota < 0) {
+        if (isNaN(proQuota) || proQuota < 0 || isNaN(flashQuota) || flashQuota < 0 || isNaN(embeddingQuota) || embeddingQuota < 0) {
             showError("Quotas must be non-negative numbers.", categoryQuotasErrorDiv, categoryQuotasErrorDiv);
             return;
         }
 
         const result = await apiFetch('/category-quotas', {
             method: 'POST',
-            body: JSON.stringify({ proQuota, flashQuota }),
+            body: JSON.stringify({ proQuota, flashQuota, embeddingQuota }),
         });
 
         if (result && result.success) {
-            cachedCategoryQuotas = { proQuota, flashQuota };
+            cachedCategoryQuotas = { proQuota, flashQuota, embeddingQuota };
             categoryQuotasModal.classList.add('hidden');
             await loadGeminiKeys(); // Wait for gemini keys to reload
             showSuccess('Category quotas saved successfully!');
@@ -1428,6 +2052,21 @@ async function renderGeminiKeys(keys) {
         if (modelToUpdate.category === 'Custom' && modelToUpdate.dailyQuota) {
             payload.dailyQuota = modelToUpdate.dailyQuota;
         }
+        if (modelToUpdate.maxInputTokens) {
+            payload.maxInputTokens = modelToUpdate.maxInputTokens;
+        }
+        if (modelToUpdate.thinkingBudget !== undefined) {
+            payload.thinkingBudget = modelToUpdate.thinkingBudget;
+        }
+        if (modelToUpdate.aliases) {
+            payload.aliases = modelToUpdate.aliases;
+        }
+        if (modelToUpdate.fallbackModels) {
+            payload.fallbackModels = modelToUpdate.fallbackModels;
+        }
+        payload.rpmLimit = modelToUpdate.rpmLimit;
+        payload.tpmLimit = modelToUpdate.tpmLimit;
+        payload.tierRateLimits = modelToUpdate.tierRateLimits;
 
         const result = await apiFetch('/models', {
             method: 'POST',
@@ -1511,7 +2150,10 @@ async function renderGeminiKeys(keys) {
             const results = await Promise.allSettled([
                 loadModels(),
                 loadCategoryQuotas(),
-                loadWorkerKeys()
+                loadWorkerKeys(),
+                loadFiles(),
+                loadModelVariants(),
+                loadKeySelectionStrategy()
             ]);
 
             // Check results for critical failures (models/quotas)
@@ -1527,6 +2169,15 @@ async function renderGeminiKeys(keys) {
              if (results[2].status === 'rejected') {
                  console.error(`Initial load failed for worker keys:`, results[2].reason);
             }
+             if (results[3].status === 'rejected') {
+                 console.error(`Initial load failed for uploaded files:`, results[3].reason);
+            }
+             if (results[4].status === 'rejected') {
+                 console.error(`Initial load failed for model variants:`, results[4].reason);
+            }
+             if (results[5].status === 'rejected') {
+                 console.error(`Initial load failed for key selection strategy:`, results[5].reason);
+            }
 
             await loadGeminiKeys();
             // After loading Gemini keys, try to load available Gemini models
@@ -1622,4 +2273,5 @@ async function renderGeminiKeys(keys) {
     initialLoad();
     initDarkMode();
     setupAuthRefresh();
+    setInterval(refreshLiveKeyState, 5000);
 });
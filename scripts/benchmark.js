@@ -0,0 +1,232 @@
+// Measures the proxy's own overhead on /v1/chat/completions against a local mock Gemini upstream.
+// The app runs as a child process with a throwaway data directory, so an existing database is never touched.
+//
+//   node scripts/benchmark.js [--requests 2000] [--concurrency 20] [--keys 5] [--upstream-latency 0]
+//
+// --upstream-latency adds a delay (ms) to every mock response; keep it at 0 to measure the proxy itself.
+const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const APP_DIR = path.resolve(__dirname, '..');
+const ADMIN_PASSWORD = 'benchmark';
+const WORKER_KEY = 'benchmark-worker-key';
+const MODEL_ID = 'gemini-2.5-flash';
+const WARMUP_REQUESTS = 50;
+
+/**
+ * Parses `--name value` arguments into numbers.
+ * @param {Record<string, number>} defaults
+ * @returns {Record<string, number>}
+ */
+function parseArgs(defaults) {
+    const options = { ...defaults };
+    const args = process.argv.slice(2);
+    for (let i = 0; i < args.length; i += 2) {
+        const name = args[i].replace(/^--/, '');
+        const value = Number(args[i + 1]);
+        if (!(name in defaults) || !Number.isInteger(value) || value < 0) {
+            console.error(`Unknown option or invalid value: ${args[i]} ${args[i + 1] ?? ''}`);
+            process.exit(1);
+        }
+        options[name] = value;
+    }
+    return options;
+}
+
+/**
+ * Starts a mock Gemini API answering generateContent with a short fixed response.
+ * @param {number} latencyMs
+ * @returns {Promise<http.Server>}
+ */
+function startMockUpstream(latencyMs) {
+    const body = JSON.stringify({
+        candidates: [{ index: 0, content: { role: 'model', parts: [{ text: 'Hello!' }] }, finishReason: 'STOP' }],
+        usageMetadata: { promptTokenCount: 10, candidatesTokenCount: 2, totalTokenCount: 12 },
+        modelVersion: MODEL_ID,
+    });
+    const server = http.createServer((req, res) => {
+        req.resume();
+        req.on('end', () => setTimeout(() => {
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(body);
+        }, latencyMs));
+    });
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+/**
+ * Finds a free local port.
+ * @returns {Promise<number>}
+ */
+function getFreePort() {
+    return new Promise((resolve, reject) => {
+        const server = http.createServer();
+        server.on('error', reject);
+        server.listen(0, '127.0.0.1', () => {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        });
+    });
+}
+
+/**
+ * Sends one request and resolves with its status and body.
+ * @param {object} options http.request options.
+ * @param {string} [body]
+ * @returns {Promise<{ status: number; headers: object; body: string }>}
+ */
+function request(options, body) {
+    return new Promise((resolve, reject) => {
+        const req = http.request({ host: '127.0.0.1', ...options }, res => {
+            const chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks).toString() }));
+        });
+        req.on('error', reject);
+        req.end(body);
+    });
+}
+
+/**
+ * Waits until the app answers HTTP requests.
+ * @param {number} port
+ * @param {import('child_process').ChildProcess} app
+ * @returns {Promise<void>}
+ */
+async function waitForApp(port, app) {
+    for (let attempt = 0; attempt < 100; attempt++) {
+        if (app.exitCode !== null) {
+            throw new Error(`The app exited with code ${app.exitCode} during startup.`);
+        }
+        try {
+            await request({ port, path: '/login', method: 'GET' });
+            return;
+        } catch (e) {
+            await new Promise(resolve => setTimeout(resolve, 200));
+        }
+    }
+    throw new Error('The app did not start within 20 seconds.');
+}
+
+/**
+ * Configures the model, worker key and Gemini keys through the admin API.
+ * @param {number} port
+ * @param {number} keyCount
+ * @returns {Promise<void>}
+ */
+async function seed(port, keyCount) {
+    const json = { 'Content-Type': 'application/json' };
+    const login = await request({ port, path: '/api/login', method: 'POST', headers: json }, JSON.stringify({ password: ADMIN_PASSWORD }));
+    if (login.status !== 200) {
+        throw new Error(`Admin login failed (${login.status}): ${login.body}`);
+    }
+    const headers = { ...json, Cookie: [].concat(login.headers['set-cookie'] || []).map(cookie => cookie.split(';')[0]).join('; ') };
+    const admin = async (apiPath, payload) => {
+        const response = await request({ port, path: `/api/admin${apiPath}`, method: 'POST', headers }, JSON.stringify(payload));
+        if (response.status >= 300) {
+            throw new Error(`POST ${apiPath} failed (${response.status}): ${response.body}`);
+        }
+    };
+    await admin('/models', { id: MODEL_ID, category: 'Flash' });
+    await admin('/category-quotas', { proQuota: 1000000, flashQuota: 1000000 });
+    await admin('/worker-keys', { key: WORKER_KEY, description: 'benchmark' });
+    for (let i = 0; i < keyCount; i++) {
+        await admin('/gemini-keys', { key: `benchmark-gemini-key-${i}`, name: `benchmark-${i}` });
+    }
+}
+
+/**
+ * Sends chat completions with a fixed number in flight and measures them.
+ * @param {number} port
+ * @param {number} total
+ * @param {number} concurrency
+ * @returns {Promise<{ seconds: number; latencies: number[]; statuses: Record<number, number> }>}
+ */
+async function runLoad(port, total, concurrency) {
+    const agent = new http.Agent({ keepAlive: true, maxSockets: concurrency });
+    const body = JSON.stringify({ model: MODEL_ID, messages: [{ role: 'user', content: 'Hi' }] });
+    const headers = { 'Content-Type': 'application/json', Authorization: `Bearer ${WORKER_KEY}`, 'Content-Length': Buffer.byteLength(body) };
+    const latencies = [];
+    const statuses = {};
+    let sent = 0;
+    const worker = async () => {
+        while (sent < total) {
+            sent++;
+            const started = process.hrtime.bigint();
+            let status;
+            try {
+                status = (await request({ port, path: '/v1/chat/completions', method: 'POST', headers, agent }, body)).status;
+            } catch (e) {
+                status = 'network error';
+            }
+            latencies.push(Number(process.hrtime.bigint() - started) / 1e6);
+            statuses[status] = (statuses[status] || 0) + 1;
+        }
+    };
+    const started = Date.now();
+    await Promise.all(Array.from({ length: concurrency }, worker));
+    agent.destroy();
+    return { seconds: (Date.now() - started) / 1000, latencies, statuses };
+}
+
+/**
+ * @param {number[]} sorted
+ * @param {number} p Between 0 and 1.
+ * @returns {number}
+ */
+function percentile(sorted, p) {
+    return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))];
+}
+
+async function main() {
+    const options = parseArgs({ requests: 2000, concurrency: 20, keys: 5, 'upstream-latency': 0 });
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gemini-proxy-benchmark-'));
+    const upstream = await startMockUpstream(options['upstream-latency']);
+    const port = await getFreePort();
+    const logPath = path.join(dataDir, 'app.log');
+    const log = fs.openSync(logPath, 'w');
+    const app = spawn(process.execPath, [path.join(APP_DIR, 'src', 'index.js')], {
+        cwd: APP_DIR,
+        env: {
+            ...process.env,
+            PORT: String(port),
+            DATA_DIR: dataDir,
+            GEMINI_BASE_URL: `http://127.0.0.1:${upstream.address().port}`,
+            ADMIN_PASSWORD,
+            SESSION_SECRET_KEY: 'benchmark',
+            CF_GATEWAY: '',
+            PROXY: '',
+            GITHUB_PROJECT: '',
+            HUGGING_FACE: '',
+        },
+        stdio: ['ignore', log, log],
+    });
+
+    try {
+        await waitForApp(port, app);
+        await seed(port, options.keys);
+        await runLoad(port, WARMUP_REQUESTS, Math.min(options.concurrency, WARMUP_REQUESTS));
+        const result = await runLoad(port, options.requests, options.concurrency);
+        const sorted = [...result.latencies].sort((a, b) => a - b);
+        console.log(`${options.requests} requests, ${options.concurrency} concurrent, ${options.keys} keys, upstream latency ${options['upstream-latency']} ms`);
+        console.log(`Throughput: ${(options.requests / result.seconds).toFixed(1)} requests/s`);
+        console.log(`Latency: p50 ${percentile(sorted, 0.5).toFixed(1)} ms, p95 ${percentile(sorted, 0.95).toFixed(1)} ms, p99 ${percentile(sorted, 0.99).toFixed(1)} ms`);
+        console.log(`Statuses: ${JSON.stringify(result.statuses)}`);
+    } catch (error) {
+        console.error(`Benchmark failed: ${error.message}\nApp log: ${logPath}`);
+        process.exitCode = 1;
+    } finally {
+        app.kill('SIGTERM');
+        await new Promise(resolve => (app.exitCode !== null ? resolve() : app.once('exit', resolve)));
+        upstream.close();
+        fs.closeSync(log);
+        if (process.exitCode !== 1) {
+            fs.rmSync(dataDir, { recursive: true, force: true });
+        }
+    }
+}
+
+main();
@@ -10,6 +10,9 @@ let dataDir;
 if (process.env.HUGGING_FACE === '1') {
   dataDir = '/home/user/data';
   console.log(`Using Hugging Face persistent data directory: ${dataDir}`);
+} else if (process.env.DATA_DIR) {
+  // E.g. a throwaway directory for scripts/benchmark.js
+  dataDir = path.resolve(process.env.DATA_DIR);
 } else {
   dataDir = path.resolve(__dirname, '..', '..', 'data');
 }
@@ -70,7 +73,16 @@ const db = new sqlite3.Database(dbPath, sqlite3.OPEN_READWRITE | sqlite3.OPEN_CR
     // Try to download database from GitHub if configured
     if (githubSync) {
       try {
-        await githubSync.downloadDatabase();
+        const downloaded = await githubSync.downloadDatabase();
+        if (downloaded) {
+          // The downloaded copy may predate the current schema, bring it up to date
+          await new Promise((resolve, reject) => {
+            initializeDatabase((err) => {
+              if (err) reject(err);
+              else resolve();
+            });
+          });
+        }
       } catch (err) {
         console.error('Failed to download database from GitHub:', err.message);
         console.log('Continuing with local database...');
@@ -95,6 +107,26 @@ async function syncToGitHub() {
   }
 }
 
+// Model categories accepted by models_config (each has its own quota handling)
+const MODEL_CATEGORIES = ['Pro', 'Flash', 'Custom', 'Embedding'];
+
+// models_config is kept separate so migrations can rebuild it when the category list changes
+const modelsConfigTableSQL = (tableName) => `
+  CREATE TABLE IF NOT EXISTS ${tableName} (
+    model_id TEXT PRIMARY KEY,
+    category TEXT NOT NULL CHECK(category IN (${MODEL_CATEGORIES.map(c => `'${c}'`).join(', ')})),
+    daily_quota INTEGER,                -- NULL means unlimited
+    individual_quota INTEGER,           -- NULL means no individual limit
+    max_input_tokens INTEGER,           -- NULL means prompts are not checked locally
+    thinking_budget INTEGER,            -- Default thinkingBudget, NULL leaves it to Gemini
+    aliases TEXT,                       -- JSON array of other names clients can request the model by
+    fallback_models TEXT,               -- JSON array of models tried in order when this one can't serve a request
+    rpm_limit INTEGER,                  -- Requests per minute per key, NULL means unlimited
+    tpm_limit INTEGER,                  -- Tokens per minute per key, NULL means unlimited
+    tier_rate_limits TEXT               -- JSON object of key tier -> { rpm, tpm } overriding the limits above
+  );
+`;
+
 // SQL statements to create tables (if they don't exist)
 const createTablesSQL = `
   CREATE TABLE IF NOT EXISTS gemini_keys (
@@ -106,6 +138,8 @@ const createTablesSQL = `
     category_usage TEXT DEFAULT '{}',    -- Store as JSON string
     error_status INTEGER,               -- 401, 403, or NULL
     consecutive_429_counts TEXT DEFAULT '{}', -- Store as JSON string
+    weight INTEGER NOT NULL DEFAULT 1,  -- Relative share of requests under the weighted selection strategy
+    tier TEXT,                          -- Rate limit tier of the key's project (e.g. 'free', 'tier1'), see models_config.tier_rate_limits
     created_at TEXT DEFAULT CURRENT_TIMESTAMP
   );
 
@@ -113,16 +147,50 @@ const createTablesSQL = `
     api_key TEXT PRIMARY KEY,
     description TEXT,
     safety_enabled INTEGER DEFAULT 1,  -- 1 for true, 0 for false
+    response_retention_days INTEGER,   -- Days /v1/responses results are kept, NULL for the default, 0 to never store
     created_at TEXT DEFAULT CURRENT_TIMESTAMP
   );
 
-  CREATE TABLE IF NOT EXISTS models_config (
-    model_id TEXT PRIMARY KEY,
-    category TEXT NOT NULL CHECK(category IN ('Pro', 'Flash', 'Custom')),
-    daily_quota INTEGER,                -- NULL means unlimited
-    individual_quota INTEGER            -- NULL means no individual limit
+  ${modelsConfigTableSQL('models_config')}
+
+  -- Files uploaded through /v1/files. Gemini files can only be used with the key that uploaded them.
+  CREATE TABLE IF NOT EXISTS gemini_files (
+    id TEXT PRIMARY KEY,                 -- Gemini file name without the 'files/' prefix, doubles as the OpenAI file ID
+    key_id TEXT NOT NULL,                -- gemini_keys.id of the owning key
+    worker_key TEXT NOT NULL,            -- Only the worker key that uploaded a file can list, use or delete it
+    uri TEXT NOT NULL,
+    filename TEXT,
+    mime_type TEXT,
+    bytes INTEGER,
+    purpose TEXT,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    expires_at TEXT                      -- ISO timestamp, Gemini deletes files 48 hours after upload
   );
 
+  -- Responses stored by /v1/responses for retrieval and previous_response_id chaining
+  CREATE TABLE IF NOT EXISTS stored_responses (
+    id TEXT PRIMARY KEY,                 -- resp_... ID returned to the client
+    worker_key TEXT NOT NULL,            -- Only the worker key that created a response can read it
+    response TEXT NOT NULL,              -- JSON response object
+    messages TEXT NOT NULL,              -- JSON chat messages of the conversation so far, including this response's output
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    expires_at TEXT NOT NULL             -- ISO timestamp from the worker key's retention setting
+  );
+
+  -- Results of the background key health checks, the latest few per key (see keyHealthService)
+  CREATE TABLE IF NOT EXISTS key_health_checks (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    key_id TEXT NOT NULL,                -- gemini_keys.id of the checked key
+    checked_at TEXT NOT NULL,            -- ISO timestamp
+    result TEXT NOT NULL,                -- 'healthy', 'invalid', 'rate_limited' or 'error'
+    http_status INTEGER,                 -- NULL when Gemini couldn't be reached
+    message TEXT,
+    detected_tier TEXT,                  -- Tier read from the response, e.g. 'free' when a free tier quota was hit
+    duration_ms INTEGER,
+    trigger TEXT                         -- 'scheduled' or 'manual'
+  );
+  CREATE INDEX IF NOT EXISTS idx_key_health_checks_key_id ON key_health_checks (key_id);
+
   CREATE TABLE IF NOT EXISTS settings (
     key TEXT PRIMARY KEY,
     value TEXT                           -- Can store JSON strings or simple values
@@ -130,7 +198,7 @@ const createTablesSQL = `
 
   -- Initialize default category quotas if not present
   INSERT OR IGNORE INTO settings (key, value) VALUES
-    ('category_quotas', '{"proQuota": 50, "flashQuota": 1500}');
+    ('category_quotas', '{"proQuota": 50, "flashQuota": 1500, "embeddingQuota": 1500}');
 
   -- Initialize gemini_key_list if not present (as an empty JSON array)
   INSERT OR IGNORE INTO settings (key, value) VALUES
@@ -140,22 +208,125 @@ const createTablesSQL = `
   INSERT OR IGNORE INTO settings (key, value) VALUES
     ('gemini_key_index', '0');
 
+  -- Initialize the key selection strategy if not present (round-robin, least-used, weighted, random or sticky)
+  INSERT OR IGNORE INTO settings (key, value) VALUES
+    ('key_selection_strategy', 'round-robin');
+
+  -- Initialize model variant suffix rules if not present (managed in the admin panel)
+  INSERT OR IGNORE INTO settings (key, value) VALUES
+    ('model_variant_rules', '[
+      {"suffix": "-search", "models": "^gemini-[2-9][.][0-9]", "tools": ["googleSearch"], "listed": true, "description": "Google Search grounding"},
+      {"suffix": ":non-thinking", "models": "gemini-2[.]5-flash-preview", "thinkingBudget": 0, "listed": true, "description": "Thinking disabled"},
+      {"suffix": ":thinking-<N>", "models": "^gemini-2[.]5", "thinkingBudget": "<N>", "listed": false, "description": "Thinking budget of N tokens"},
+      {"suffix": "-code", "models": "^gemini-[2-9][.][0-9]", "tools": ["codeExecution"], "listed": false, "description": "Code execution"},
+      {"suffix": "-urlctx", "models": "^gemini-[2-9][.][0-9]", "tools": ["urlContext"], "listed": false, "description": "URL context"},
+      {"suffix": ":high", "models": "^gemini-2[.]5", "reasoningEffort": "high", "listed": false, "description": "High reasoning effort"}
+    ]');
+
   -- Add other default settings as needed, e.g., last used key ID
   INSERT OR IGNORE INTO settings (key, value) VALUES
     ('last_used_gemini_key_id', '');
 `;
 
+// --- Schema Migrations ---
+
+// Promise wrappers used by the migrations (configService depends on this module, so it can't be used here)
+const getAsync = (sql, params = []) => new Promise((resolve, reject) => {
+  db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+});
+const allAsync = (sql, params = []) => new Promise((resolve, reject) => {
+  db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+});
+const execAsync = (sql) => new Promise((resolve, reject) => {
+  db.exec(sql, (err) => (err ? reject(err) : resolve()));
+});
+
+/**
+ * Brings an existing database up to the current schema.
+ * SQLite can't alter a CHECK constraint in place, so models_config is rebuilt
+ * when its category list is missing one of MODEL_CATEGORIES. Columns added later are added in place.
+ * @returns {Promise<void>}
+ */
+async function migrateDatabase() {
+  const modelColumns = (await allAsync('PRAGMA table_info(models_config)')).map(col => col.name);
+  if (modelColumns.length > 0 && !modelColumns.includes('max_input_tokens')) {
+    console.log('Adding max_input_tokens column to models_config table');
+    await execAsync('ALTER TABLE models_config ADD COLUMN max_input_tokens INTEGER');
+  }
+  if (modelColumns.length > 0 && !modelColumns.includes('thinking_budget')) {
+    console.log('Adding thinking_budget column to models_config table');
+    await execAsync('ALTER TABLE models_config ADD COLUMN thinking_budget INTEGER');
+  }
+  if (modelColumns.length > 0 && !modelColumns.includes('aliases')) {
+    console.log('Adding aliases and fallback_models columns to models_config table');
+    await execAsync('ALTER TABLE models_config ADD COLUMN aliases TEXT');
+    await execAsync('ALTER TABLE models_config ADD COLUMN fallback_models TEXT');
+  }
+  if (modelColumns.length > 0 && !modelColumns.includes('rpm_limit')) {
+    console.log('Adding rate limit columns to models_config table');
+    await execAsync('ALTER TABLE models_config ADD COLUMN rpm_limit INTEGER');
+    await execAsync('ALTER TABLE models_config ADD COLUMN tpm_limit INTEGER');
+    await execAsync('ALTER TABLE models_config ADD COLUMN tier_rate_limits TEXT');
+  }
+
+  const geminiKeyColumns = (await allAsync('PRAGMA table_info(gemini_keys)')).map(col => col.name);
+  if (geminiKeyColumns.length > 0 && !geminiKeyColumns.includes('weight')) {
+    console.log('Adding weight column to gemini_keys table');
+    await execAsync('ALTER TABLE gemini_keys ADD COLUMN weight INTEGER NOT NULL DEFAULT 1');
+  }
+  if (geminiKeyColumns.length > 0 && !geminiKeyColumns.includes('tier')) {
+    console.log('Adding tier column to gemini_keys table');
+    await execAsync('ALTER TABLE gemini_keys ADD COLUMN tier TEXT');
+  }
+  const workerKeyColumns = (await allAsync('PRAGMA table_info(worker_keys)')).map(col => col.name);
+  if (workerKeyColumns.length > 0 && !workerKeyColumns.includes('response_retention_days')) {
+    console.log('Adding response_retention_days column to worker_keys table');
+    await execAsync('ALTER TABLE worker_keys ADD COLUMN response_retention_days INTEGER');
+  }
+
+  const modelsTable = await getAsync("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'models_config'");
+  if (modelsTable && MODEL_CATEGORIES.some(category => !modelsTable.sql.includes(`'${category}'`))) {
+    console.log('Migrating models_config table to support categories:', MODEL_CATEGORIES.join(', '));
+    const oldColumns = (await allAsync('PRAGMA table_info(models_config)')).map(col => col.name);
+    await execAsync(`
+      BEGIN TRANSACTION;
+      DROP TABLE IF EXISTS models_config_migrated;
+      ${modelsConfigTableSQL('models_config_migrated')}
+    `);
+    try {
+      const newColumns = (await allAsync('PRAGMA table_info(models_config_migrated)')).map(col => col.name);
+      const columns = oldColumns.filter(col => newColumns.includes(col)).join(', ');
+      await execAsync(`
+        INSERT INTO models_config_migrated (${columns}) SELECT ${columns} FROM models_config;
+        DROP TABLE models_config;
+        ALTER TABLE models_config_migrated RENAME TO models_config;
+        COMMIT;
+      `);
+    } catch (err) {
+      await execAsync('ROLLBACK');
+      throw err;
+    }
+  }
+}
+
 // Function to initialize the database schema
 function initializeDatabase(callback) {
   db.exec(createTablesSQL, (err) => {
     if (err) {
       console.error('Error creating database tables:', err.message);
       if (callback) callback(err);
-    } else {
-      console.log('Database tables checked/created successfully.');
-      // You might seed initial data here if necessary
-      if (callback) callback(null);
+      return;
     }
+    migrateDatabase()
+      .then(() => {
+        console.log('Database tables checked/created successfully.');
+        // You might seed initial data here if necessary
+        if (callback) callback(null);
+      })
+      .catch((migrationErr) => {
+        console.error('Error migrating database schema:', migrationErr.message);
+        if (callback) callback(migrationErr);
+      });
   });
 }
 
@@ -170,19 +341,37 @@ function closeDatabase() {
   });
 }
 
+// Functions that must run before the database is closed on exit, e.g. to write state kept in memory
+const shutdownHooks = [];
+
+/**
+ * Registers a function to run (and be awaited) before the database is closed on SIGINT/SIGTERM.
+ * @param {() => Promise<void>} hook
+ */
+function registerShutdownHook(hook) {
+  shutdownHooks.push(hook);
+}
+
+let shuttingDown = false;
+
 // Gracefully close the database on application exit
-process.on('SIGINT', () => {
+async function shutdown() {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  for (const hook of shutdownHooks) {
+    await hook();
+  }
   closeDatabase();
   process.exit(0);
-});
+}
 
-process.on('SIGTERM', () => {
-    closeDatabase();
-    process.exit(0);
-});
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
 
 // Export the database connection instance and sync functions
 module.exports = {
   db,
-  syncToGitHub
+  syncToGitHub,
+  registerShutdownHook,
+  MODEL_CATEGORIES
 };
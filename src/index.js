@@ -16,6 +16,8 @@ const { db } = require('./db');
 const authRoutes = require('./routes/auth');
 const adminApiRoutes = require('./routes/adminApi');
 const apiV1Routes = require('./routes/apiV1');
+const geminiNativeRoutes = require('./routes/geminiNative');
+const generatedImagesRoutes = require('./routes/generatedImages');
 
 // Import services and utils (ensure proxyPool is imported to trigger its initialization)
 require('./services/geminiProxyService'); // Still need to import this for other initializations if any
@@ -34,7 +36,7 @@ app.use(cors({
     origin: '*', // Allow all origins for now
     credentials: true, // Allow cookies for authenticated requests (like admin UI)
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization', 'x-requested-with'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'x-requested-with', 'x-api-key', 'x-goog-api-key'],
     maxAge: 86400 // Cache preflight requests for 1 day
 }));
 
@@ -78,6 +80,8 @@ app.use('/admin', requireAdminAuth, express.static(path.join(__dirname, '..', 'p
 app.use('/api', authRoutes); 
 app.use('/api/admin', requireAdminAuth, adminApiRoutes); 
 app.use('/v1', apiV1Routes); 
+app.use('/v1beta', geminiNativeRoutes);
+app.use('/generated-images', generatedImagesRoutes); // Public, serves the image URLs returned by /v1/images
 
 // --- Global Error Handler ---
 app.use((err, req, res, next) => {
@@ -0,0 +1,59 @@
+const multer = require('multer');
+
+// Largest accepted multipart upload (the Gemini Files API accepts up to 2 GB per file)
+const MAX_FILE_UPLOAD_BYTES = parseInt(process.env.MAX_FILE_UPLOAD_BYTES, 10) || 100 * 1024 * 1024;
+
+// Uploads are kept in memory: they are forwarded to Gemini right away and never written to disk
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_FILE_UPLOAD_BYTES },
+});
+
+/**
+ * Wraps a multer handler so parsing errors are answered with an OpenAI-style error
+ * instead of reaching the global error handler.
+ * @param {import('express').RequestHandler} parse
+ * @param {string} defaultParam Reported as the error's `param` when multer doesn't name a field.
+ * @returns {import('express').RequestHandler}
+ */
+function withUploadErrors(parse, defaultParam) {
+    return (req, res, next) => {
+        parse(req, res, (err) => {
+            if (!err) return next();
+
+            const tooLarge = err.code === 'LIMIT_FILE_SIZE';
+            const message = tooLarge
+                ? `File is larger than the ${MAX_FILE_UPLOAD_BYTES} byte upload limit.`
+                : `Invalid multipart upload: ${err.message}`;
+            console.warn(`Rejected upload on ${req.originalUrl}: ${err.message}`);
+            res.status(tooLarge ? 413 : 400).json({
+                error: { message, type: 'invalid_request_error', param: err.field || defaultParam, code: err.code || null },
+            });
+        });
+    };
+}
+
+/**
+ * Express middleware that parses a multipart/form-data body with a single file in `field`.
+ * The file ends up in `req.file` and the other form fields in `req.body`.
+ * @param {string} field The name of the form field holding the file.
+ * @returns {import('express').RequestHandler}
+ */
+function singleFile(field) {
+    return withUploadErrors(upload.single(field), field);
+}
+
+/**
+ * Express middleware that parses a multipart/form-data body with files in several fields.
+ * The files end up in `req.files[fieldName]` and the other form fields in `req.body`.
+ * @param {Array<{ name: string; maxCount: number }>} fields
+ * @returns {import('express').RequestHandler}
+ */
+function fileFields(fields) {
+    return withUploadErrors(upload.fields(fields), fields[0]?.name);
+}
+
+module.exports = {
+    singleFile,
+    fileFields,
+};
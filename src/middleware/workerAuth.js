@@ -1,7 +1,8 @@
 const { db } = require('../db'); // Import the database connection
 
 /**
- * Express middleware to validate the Worker API Key provided in the Authorization header.
+ * Express middleware to validate the Worker API Key provided in the Authorization header
+ * (or the x-api-key / x-goog-api-key headers and `key` query parameter used by Anthropic and Google clients).
  * Checks against the `worker_keys` table in the database.
  * @param {import('express').Request} req
  * @param {import('express').Response} res
@@ -9,7 +10,10 @@ const { db } = require('../db'); // Import the database connection
  */
 async function requireWorkerAuth(req, res, next) {
     const authHeader = req.headers.authorization;
-    const workerApiKey = authHeader?.startsWith('Bearer ') ? authHeader.substring(7) : null;
+    // Anthropic clients send the key in x-api-key, Google SDKs in x-goog-api-key or the `key` query parameter
+    const workerApiKey = authHeader?.startsWith('Bearer ')
+        ? authHeader.substring(7)
+        : (req.headers['x-api-key'] || req.headers['x-goog-api-key'] || req.query?.key || null);
 
     if (!workerApiKey) {
         return res.status(401).json({ error: 'Missing API key. Provide it in the Authorization header as "Bearer YOUR_KEY".' });
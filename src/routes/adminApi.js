@@ -2,8 +2,12 @@ const express = require('express');
 const requireAdminAuth = require('../middleware/adminAuth');
 const configService = require('../services/configService');
 const geminiKeyService = require('../services/geminiKeyService');
+const geminiFilesService = require('../services/geminiFilesService');
+const modelVariantService = require('../services/modelVariantService');
+const keyCooldownService = require('../services/keyCooldownService');
+const keyHealthService = require('../services/keyHealthService');
 const fetch = require('node-fetch'); 
-const { syncToGitHub } = require('../db');
+const { syncToGitHub, MODEL_CATEGORIES } = require('../db');
 const proxyPool = require('../utils/proxyPool'); // Import the proxy pool module
 const router = express.Router();
 
@@ -61,6 +65,76 @@ router.delete('/gemini-keys/:id', async (req, res, next) => {
     }
 });
 
+router.post('/gemini-keys/weight', async (req, res, next) => {
+    try {
+        const { keyId, weight } = parseBody(req);
+        if (!keyId || typeof keyId !== 'string' || typeof weight !== 'number') {
+            return res.status(400).json({ error: 'Request body must include keyId (string) and weight (number)' });
+        }
+        await geminiKeyService.setGeminiKeyWeight(keyId, weight);
+        res.json({ success: true, keyId, weight });
+    } catch (error) {
+        if (error.message.includes('not found')) {
+            return res.status(404).json({ error: error.message });
+        }
+        if (error.message.includes('must be a non-negative integer')) {
+            return res.status(400).json({ error: error.message });
+        }
+        next(error);
+    }
+});
+
+router.post('/gemini-keys/tier', async (req, res, next) => {
+    try {
+        const { keyId, tier } = parseBody(req);
+        if (!keyId || typeof keyId !== 'string' || (tier !== null && typeof tier !== 'string')) {
+            return res.status(400).json({ error: 'Request body must include keyId (string) and tier (string or null)' });
+        }
+        await geminiKeyService.setGeminiKeyTier(keyId, tier);
+        res.json({ success: true, keyId, tier: tier?.trim() || null });
+    } catch (error) {
+        if (error.message.includes('not found')) {
+            return res.status(404).json({ error: error.message });
+        }
+        if (error.message.includes('without spaces')) {
+            return res.status(400).json({ error: error.message });
+        }
+        next(error);
+    }
+});
+
+// Requests and input tokens of each key in the last minute, polled by the key cards
+router.get('/gemini-keys/rate-usage', async (req, res, next) => {
+    try {
+        res.json(await geminiKeyService.getRateUsageByKey());
+    } catch (error) {
+        next(error);
+    }
+});
+
+// --- Key Selection Strategy --- (/api/admin/key-selection-strategy)
+router.route('/key-selection-strategy')
+    .get(async (req, res, next) => {
+        try {
+            const strategy = await geminiKeyService.getKeySelectionStrategy();
+            res.json({ strategy, strategies: geminiKeyService.KEY_SELECTION_STRATEGIES });
+        } catch (error) {
+            next(error);
+        }
+    })
+    .post(async (req, res, next) => {
+        try {
+            const { strategy } = parseBody(req);
+            await geminiKeyService.setKeySelectionStrategy(strategy);
+            res.json({ success: true, strategy });
+        } catch (error) {
+            if (error.message.includes('must be one of')) {
+                return res.status(400).json({ error: error.message });
+            }
+            next(error);
+        }
+    });
+
 // Base Gemini API URL
 const BASE_GEMINI_URL = process.env.GEMINI_BASE_URL || 'https://generativelanguage.googleapis.com';
 // Cloudflare Gateway base path
@@ -284,6 +358,54 @@ router.post('/clear-key-error', async (req, res, next) => {
     }
 });
 
+// Running cooldowns of all keys, polled by the key cards
+router.get('/key-cooldowns', (req, res) => {
+    res.json(keyCooldownService.listCooldowns());
+});
+
+router.post('/clear-key-cooldown', (req, res) => {
+    const { keyId, modelId } = parseBody(req);
+    if (!keyId || typeof keyId !== 'string' || (modelId !== undefined && modelId !== null && typeof modelId !== 'string')) {
+        return res.status(400).json({ error: 'Request body must include keyId (string) and optionally modelId (string, or null for the key-wide cooldown)' });
+    }
+    const cleared = keyCooldownService.clearCooldowns(keyId, modelId);
+    if (cleared === 0) {
+        return res.status(404).json({ error: `No cooldown found for key '${keyId}'.` });
+    }
+    res.json({ success: true, id: keyId, cleared });
+});
+
+// --- Key Health Checks ---
+router.get('/key-health', async (req, res, next) => {
+    try {
+        res.json(await keyHealthService.getHealthStatus());
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Checks all keys now and responds when the checks are done
+router.post('/key-health/check', async (req, res, next) => {
+    try {
+        const summary = await keyHealthService.runHealthCheck('manual');
+        res.json({ success: true, ...summary });
+    } catch (error) {
+        next(error);
+    }
+});
+
+router.get('/gemini-keys/:id/health-history', async (req, res, next) => {
+    try {
+        const keyId = req.params.id;
+        if (!(await geminiKeyService.getGeminiKeyById(keyId))) {
+            return res.status(404).json({ error: `Key with ID '${keyId}' not found.` });
+        }
+        res.json(await keyHealthService.getHealthHistory(keyId));
+    } catch (error) {
+        next(error);
+    }
+});
+
 
 // --- Worker Key Management --- (/api/admin/worker-keys)
 router.route('/worker-keys')
@@ -343,6 +465,25 @@ router.post('/worker-keys/safety-settings', async (req, res, next) => { // Speci
     }
 });
 
+router.post('/worker-keys/response-retention', async (req, res, next) => {
+    try {
+        const { key, retentionDays } = parseBody(req);
+        if (!key || typeof key !== 'string' || (retentionDays !== null && typeof retentionDays !== 'number')) {
+            return res.status(400).json({ error: 'Request body must include key (string) and retentionDays (number or null)' });
+        }
+        await configService.updateWorkerKeyResponseRetention(key, retentionDays);
+        res.json({ success: true, key: key, retentionDays: retentionDays });
+    } catch (error) {
+        if (error.message.includes('not found')) {
+            return res.status(404).json({ error: error.message });
+        }
+        if (error.message.includes('must be a non-negative integer')) {
+            return res.status(400).json({ error: error.message });
+        }
+        next(error);
+    }
+});
+
 
 // --- Model Configuration Management --- (/api/admin/models)
 router.route('/models')
@@ -358,22 +499,57 @@ router.route('/models')
     })
     .post(async (req, res, next) => { // Add or Update
         try {
-             const { id, category, dailyQuota, individualQuota } = parseBody(req);
-             if (!id || !category || !['Pro', 'Flash', 'Custom'].includes(category)) {
-                 return res.status(400).json({ error: 'Request body must include valid id and category (Pro, Flash, or Custom)' });
+             const { id, category, dailyQuota, individualQuota, maxInputTokens, thinkingBudget, aliases, fallbackModels, rpmLimit, tpmLimit, tierRateLimits } = parseBody(req);
+             if (!id || !category || !MODEL_CATEGORIES.includes(category)) {
+                 return res.status(400).json({ error: `Request body must include valid id and category (${MODEL_CATEGORIES.join(', ')})` });
              }
              // Basic validation for quotas (more in service layer)
              const dailyQuotaNum = (dailyQuota === null || dailyQuota === undefined || dailyQuota === '') ? null : Number(dailyQuota);
              const individualQuotaNum = (individualQuota === null || individualQuota === undefined || individualQuota === '') ? null : Number(individualQuota);
+             const maxInputTokensNum = (maxInputTokens === null || maxInputTokens === undefined || maxInputTokens === '') ? null : Number(maxInputTokens);
+             const thinkingBudgetNum = (thinkingBudget === null || thinkingBudget === undefined || thinkingBudget === '') ? null : Number(thinkingBudget);
+             const rpmLimitNum = (rpmLimit === null || rpmLimit === undefined || rpmLimit === '') ? null : Number(rpmLimit);
+             const tpmLimitNum = (tpmLimit === null || tpmLimit === undefined || tpmLimit === '') ? null : Number(tpmLimit);
 
              if ((dailyQuotaNum !== null && isNaN(dailyQuotaNum)) || (individualQuotaNum !== null && isNaN(individualQuotaNum))) {
                  return res.status(400).json({ error: 'Quotas must be numbers or null/empty.' });
              }
+             if (maxInputTokensNum !== null && isNaN(maxInputTokensNum)) {
+                 return res.status(400).json({ error: 'Max input tokens must be a number or null/empty.' });
+             }
+             if (thinkingBudgetNum !== null && isNaN(thinkingBudgetNum)) {
+                 return res.status(400).json({ error: 'Thinking budget must be a number or null/empty.' });
+             }
+             if ((rpmLimitNum !== null && isNaN(rpmLimitNum)) || (tpmLimitNum !== null && isNaN(tpmLimitNum))) {
+                 return res.status(400).json({ error: 'RPM and TPM limits must be numbers or null/empty.' });
+             }
+             // Tier limits are an object of tier -> { rpm, tpm }, or a string like "free=10/250000, tier1=1000/"
+             let tierLimits = tierRateLimits ?? null;
+             if (typeof tierRateLimits === 'string') {
+                 const entries = tierRateLimits.split(',').map(item => item.trim()).filter(Boolean).map(item => {
+                     const match = /^([^=\s]+)\s*=\s*(\d*)\s*\/\s*(\d*)$/.exec(item);
+                     return match && [match[1], { rpm: match[2] === '' ? null : Number(match[2]), tpm: match[3] === '' ? null : Number(match[3]) }];
+                 });
+                 if (entries.some(entry => !entry)) {
+                     return res.status(400).json({ error: "Tier limits must be written as tier=rpm/tpm, separated by commas (leave a number out to keep the model's limit)." });
+                 }
+                 tierLimits = Object.fromEntries(entries);
+             }
+             // Aliases and fallbacks are lists of model IDs, a comma-separated string is accepted too
+             const toIdList = (value) => typeof value === 'string'
+                 ? value.split(',').map(item => item.trim()).filter(Boolean)
+                 : (value ?? []);
+             const aliasList = toIdList(aliases);
+             const fallbackList = toIdList(fallbackModels);
+             if (!Array.isArray(aliasList) || !Array.isArray(fallbackList)) {
+                 return res.status(400).json({ error: 'Aliases and fallback models must be lists of model IDs.' });
+             }
 
-             await configService.setModelConfig(id, category, dailyQuotaNum, individualQuotaNum);
-             res.status(200).json({ success: true, id, category, dailyQuota: dailyQuotaNum, individualQuota: individualQuotaNum }); // Use 200 for add/update simplicity
+             await configService.setModelConfig(id, category, dailyQuotaNum, individualQuotaNum, maxInputTokensNum, thinkingBudgetNum, aliasList, fallbackList, rpmLimitNum, tpmLimitNum, tierLimits);
+             res.status(200).json({ success: true, id, category, dailyQuota: dailyQuotaNum, individualQuota: individualQuotaNum, maxInputTokens: maxInputTokensNum, thinkingBudget: thinkingBudgetNum, aliases: aliasList, fallbackModels: fallbackList, rpmLimit: rpmLimitNum, tpmLimit: tpmLimitNum, tierRateLimits: tierLimits }); // Use 200 for add/update simplicity
         } catch (error) {
-             if (error.message.includes('must be a non-negative integer')) {
+             if (error.message.includes('must be a non-negative integer') || error.message.includes('must be a positive integer') || error.message.includes('must be an integer')
+                 || error.message.includes('without spaces') || error.message.includes('is already used as') || error.message.includes('must be another configured model')) {
                 return res.status(400).json({ error: error.message });
              }
             next(error);
@@ -409,10 +585,10 @@ router.route('/category-quotas')
     })
     .post(async (req, res, next) => {
         try {
-            const { proQuota, flashQuota } = parseBody(req);
+            const { proQuota, flashQuota, embeddingQuota } = parseBody(req);
             // Service layer handles detailed validation
-             await configService.setCategoryQuotas(proQuota, flashQuota);
-             res.json({ success: true, proQuota, flashQuota });
+             await configService.setCategoryQuotas(proQuota, flashQuota, embeddingQuota);
+             res.json({ success: true, proQuota, flashQuota, embeddingQuota });
         } catch (error) {
              if (error.message.includes('must be non-negative numbers')) {
                  return res.status(400).json({ error: error.message });
@@ -422,4 +598,83 @@ router.route('/category-quotas')
     });
 
 
+// --- Model Variant Rules --- (/api/admin/model-variants)
+router.route('/model-variants')
+    .get(async (req, res, next) => {
+        try {
+            const rules = await modelVariantService.getVariantRules();
+            res.json(rules);
+        } catch (error) {
+            next(error);
+        }
+    })
+    .put(async (req, res, next) => { // Replaces the whole rule list
+        try {
+            const { rules } = parseBody(req);
+            const validationError = modelVariantService.validateVariantRules(rules);
+            if (validationError) {
+                return res.status(400).json({ error: validationError });
+            }
+            const savedRules = await modelVariantService.setVariantRules(rules);
+            res.json({ success: true, rules: savedRules });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+// Previews unsaved rules: the variants /v1/models would list, and optionally how one model ID resolves
+router.post('/model-variants/preview', async (req, res, next) => {
+    try {
+        const { rules, model } = parseBody(req);
+        const validationError = modelVariantService.validateVariantRules(rules);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+        const baseIds = Object.keys(await configService.getModelsConfig());
+        const listedVariants = await modelVariantService.listModelVariants(baseIds, rules);
+
+        let resolution = null;
+        if (model) {
+            const variant = await modelVariantService.resolveModelVariant(model, baseIds, rules);
+            if (variant?.error) {
+                resolution = { model, error: variant.error.message };
+            } else if (variant) {
+                resolution = { model, ...variant };
+            } else if (baseIds.includes(model)) {
+                resolution = { model, baseModelId: model, suffixes: [], tools: [] };
+            } else {
+                resolution = { model, error: `No configured model or variant matches '${model}'.` };
+            }
+        }
+        res.json({ listedVariants, resolution });
+    } catch (error) {
+        next(error);
+    }
+});
+
+
+// --- Uploaded File Management --- (/api/admin/files)
+router.get('/files', async (req, res, next) => {
+    try {
+        const files = await geminiFilesService.getAllFilesForAdmin();
+        res.json(files);
+    } catch (error) {
+        next(error);
+    }
+});
+
+router.delete('/files/:id', async (req, res, next) => {
+    try {
+        const fileId = decodeURIComponent(req.params.id);
+        const result = await geminiFilesService.deleteFile(fileId);
+        if (result.error) {
+            return res.status(result.status || 500).json({ error: result.error.message });
+        }
+        res.json({ success: true, id: fileId });
+    } catch (error) {
+        next(error);
+    }
+});
+
+
 module.exports = router;
@@ -2,10 +2,23 @@
 
 const express = require('express');
 const { Readable, Transform } = require('stream'); // For handling streams and transforming
+const mime = require('mime-types');
 const requireWorkerAuth = require('../middleware/workerAuth');
+const { singleFile, fileFields } = require('../middleware/upload');
 const geminiProxyService = require('../services/geminiProxyService');
+const embeddingProxyService = require('../services/embeddingProxyService');
+const geminiFilesService = require('../services/geminiFilesService');
+const imageProxyService = require('../services/imageProxyService');
+const audioProxyService = require('../services/audioProxyService');
+const responsesService = require('../services/responsesService');
+const modelVariantService = require('../services/modelVariantService');
 const configService = require('../services/configService'); // For /v1/models
 const transformUtils = require('../utils/transform');
+const anthropicTransform = require('../utils/anthropicTransform');
+const completionsTransform = require('../utils/completionsTransform');
+const responsesTransform = require('../utils/responsesTransform');
+const { createGeminiStreamParser } = require('../utils/geminiStreamParser');
+const { sniffMimeType } = require('../utils/mediaFetcher');
 
 // Import vertexProxyService, which now includes manual loading logic
 const vertexProxyService = require('../services/vertexProxyService');
@@ -27,42 +40,32 @@ router.get('/models', async (req, res, next) => {
             // Add other relevant properties if available/needed
         }));
 
-        // Add search versions for gemini-2.0+ series models
-        const searchModels = Object.keys(modelsConfig)
-            .filter(modelId => 
-                // Match gemini-2.0, gemini-2.5, gemini-3.0, etc. series models
-                /^gemini-[2-9]\.\d/.test(modelId) && 
-                // Exclude models that are already search versions
-                !modelId.endsWith('-search')
-            )
+        // Add the listed variants of each model (e.g. -search, :non-thinking), as configured in the admin panel
+        const variantModels = (await modelVariantService.listModelVariants(Object.keys(modelsConfig)))
             .map(modelId => ({
-                id: `${modelId}-search`,
+                id: modelId,
                 object: "model",
                 created: Math.floor(Date.now() / 1000),
                 owned_by: "google",
             }));
-        
-        // Add non-thinking versions for gemini-2.5-flash-preview models
-        const nonThinkingModels = Object.keys(modelsConfig)
-            .filter(modelId => 
-                // Currently only gemini-2.5-flash-preview supports thinkingBudget
-                modelId.includes('gemini-2.5-flash-preview') && 
-                // Exclude models that are already non-thinking versions
-                !modelId.endsWith(':non-thinking')
-            )
-            .map(modelId => ({
-                id: `${modelId}:non-thinking`,
+        modelsData = [...modelsData, ...variantModels];
+
+        // Aliases (e.g. gpt-4o) are listed as models of their own
+        const aliasModels = Object.values(modelsConfig)
+            .flatMap(modelInfo => modelInfo.aliases || [])
+            .map(alias => ({
+                id: alias,
                 object: "model",
                 created: Math.floor(Date.now() / 1000),
                 owned_by: "google",
             }));
-        
-        // Merge regular, search and non-thinking model lists
-        modelsData = [...modelsData, ...searchModels, ...nonThinkingModels];
+        modelsData = [...modelsData, ...aliasModels];
 
         // If Vertex feature is enabled (via manual loading), add Vertex AI supported models
         if (vertexProxyService.isVertexEnabled()) {
-            const vertexModels = vertexProxyService.getVertexSupportedModels().map(modelId => ({
+            const vertexModelIds = vertexProxyService.getVertexSupportedModels();
+            const vertexVariantIds = await modelVariantService.listModelVariants(vertexModelIds);
+            const vertexModels = [...vertexModelIds, ...vertexVariantIds].map(modelId => ({
                 id: modelId,  // Model ID including [v] prefix
                 object: "model",
                 created: Math.floor(Date.now() / 1000),
@@ -80,6 +83,21 @@ router.get('/models', async (req, res, next) => {
     }
 });
 
+/**
+ * Validates the content of every choice against a strict json_schema response_format.
+ * @param {Array<string | null | undefined>} contents
+ * @param {object} [responseFormat]
+ * @returns {string | null} The first validation error, or null when all choices are valid.
+ */
+function validateChoiceContents(contents, responseFormat) {
+    // No choices at all still has to fail, like an empty response would
+    for (const content of (contents.length > 0 ? contents : [null])) {
+        const validationError = transformUtils.validateStructuredOutput(content, responseFormat);
+        if (validationError) return validationError;
+    }
+    return null;
+}
+
 // --- /v1/chat/completions ---
 router.post('/chat/completions', async (req, res, next) => {
     const openAIRequestBody = req.body;
@@ -89,19 +107,6 @@ router.post('/chat/completions', async (req, res, next) => {
     const requestedModelId = openAIRequestBody?.model; // Keep track for transformations
     
     try {
-        // Check if this is a non-thinking model request
-        const isNonThinking = requestedModelId?.endsWith(':non-thinking');
-        // Remove the suffix for actual model lookup, but keep original for response
-        const actualModelId = isNonThinking ? requestedModelId.replace(':non-thinking', '') : requestedModelId;
-        
-        // Set thinkingBudget to 0 for non-thinking models
-        const thinkingBudget = isNonThinking ? 0 : undefined;
-        
-        // If model was modified, update the request body with the actual model ID
-        if (isNonThinking) {
-            openAIRequestBody.model = actualModelId;
-        }
-
         let result;
         
         // Check if it's a Vertex model (with [v] prefix) and confirm Vertex feature is enabled
@@ -114,13 +119,16 @@ router.post('/chat/completions', async (req, res, next) => {
                 stream
             );
         } else {
-            // Use Gemini proxy service to handle the request with optional thinkingBudget
+            // Use Gemini proxy service to handle the request, model variant suffixes, aliases
+            // and fallback chains (which may end on a Vertex model) are resolved there
             result = await geminiProxyService.proxyChatCompletions(
                 openAIRequestBody,
                 workerApiKey,
                 stream,
-                thinkingBudget,
-                returnThoughtProcess
+                undefined,
+                returnThoughtProcess,
+                undefined,
+                { allowVertex: true }
             );
         }
 
@@ -135,12 +143,15 @@ router.post('/chat/completions', async (req, res, next) => {
         // For KEEPALIVE, `result.response` might be undefined initially if we change it,
         // but `result.getResponsePromise` will exist.
         const { response: geminiResponse, selectedKeyId, modelCategory, getResponsePromise } = result;
+        // The model that actually served the request, after aliases and fallbacks
+        const responseModelId = result.modelUsed || requestedModelId;
 
         // --- Handle Response ---
 
         // Set common headers
         res.setHeader('X-Proxied-By', 'gemini-proxy-panel-node');
         res.setHeader('X-Selected-Key-ID', selectedKeyId); // Send back which key was used (optional)
+        res.setHeader('X-Model-Used', responseModelId);
 
         if (stream) {
             // --- Streaming Response ---
@@ -170,6 +181,14 @@ router.post('/chat/completions', async (req, res, next) => {
             let isCollectingJson = false;
             let openBraces = 0;
             let closeBraces = 0;
+            // With a strict json_schema response_format the streamed text is collected and validated at the end
+            const validateStreamedOutput = openAIRequestBody.response_format?.json_schema?.strict === true;
+            const streamedContents = {}; // Per choice index
+            // Shared across chunks so parallel_tool_calls: false can stop after the first call
+            const streamContext = {
+                parallelToolCalls: openAIRequestBody.parallel_tool_calls !== false,
+                includeUsage: openAIRequestBody.stream_options?.include_usage === true,
+            };
 
             // Implement stream processing transformer for both Gemini and Vertex streams
             const streamTransformer = new Transform({
@@ -242,6 +261,13 @@ router.post('/chat/completions', async (req, res, next) => {
                                                 }
                                             } else {
                                                 // Not the 'done' marker, so jsonStr is a data chunk.
+                                                if (validateStreamedOutput) {
+                                                    try {
+                                                        (JSON.parse(jsonStr).choices || []).forEach(choice => {
+                                                            streamedContents[choice.index] = (streamedContents[choice.index] || '') + (choice.delta?.content || '');
+                                                        });
+                                                    } catch (e) { /* validated as invalid at the end */ }
+                                                }
                                                 this.push(`data: ${jsonStr}\n\n`);
                                                 if (typeof res.flush === 'function') res.flush();
                                             }
@@ -416,6 +442,19 @@ router.post('/chat/completions', async (req, res, next) => {
                              }
                         }
                         
+                        if (validateStreamedOutput) {
+                            const validationError = validateChoiceContents(Object.values(streamedContents), openAIRequestBody.response_format);
+                            if (validationError) {
+                                console.warn(`Streamed structured output failed validation: ${validationError}`);
+                                this.push(`data: ${JSON.stringify({ error: { message: validationError, type: 'invalid_response_format' } })}\n\n`);
+                            }
+                        }
+
+                        // Vertex streams send their own usage chunk
+                        if (streamContext.includeUsage && selectedKeyId !== 'vertex-ai') {
+                            this.push(transformUtils.createStreamUsageChunk(responseModelId, streamContext.usageMetadata));
+                        }
+
                         // Always send the final [DONE] event
                                                 // console.log("Stream transformer flushing, sending [DONE]."); // Removed log
                                                 this.push('data: [DONE]\n\n');
@@ -431,10 +470,20 @@ router.post('/chat/completions', async (req, res, next) => {
             function processGeminiObject(geminiObj, stream) {
                 if (!geminiObj) return;
 
-                // If it's a valid Gemini response object (contains candidates or is an array)
-                if ((geminiObj.candidates && geminiObj.candidates.length > 0) || Array.isArray(geminiObj)) {
+                if (validateStreamedOutput) {
+                    (geminiObj.candidates || []).forEach((candidate, position) => {
+                        const choiceIndex = candidate.index ?? position;
+                        streamedContents[choiceIndex] = (streamedContents[choiceIndex] || '') + (candidate.content?.parts || [])
+                            .filter(part => typeof part.text === 'string' && part.thought !== true)
+                            .map(part => part.text)
+                            .join('');
+                    });
+                }
+
+                // If it's a valid Gemini response object (contains candidates or is an array), or a usage-only chunk
+                if ((geminiObj.candidates && geminiObj.candidates.length > 0) || Array.isArray(geminiObj) || geminiObj.usageMetadata) {
                     // The transformation function now returns a string of one or more SSE events
-                    const sseEventsString = transformUtils.transformGeminiStreamChunk(geminiObj, requestedModelId);
+                    const sseEventsString = transformUtils.transformGeminiStreamChunk(geminiObj, responseModelId, streamContext);
                     if (sseEventsString) {
                         stream.push(sseEventsString);
                     }
@@ -448,7 +497,7 @@ router.post('/chat/completions', async (req, res, next) => {
                             }
                         }]
                     };
-                    const sseEventsString = transformUtils.transformGeminiStreamChunk(mockGeminiChunk, requestedModelId);
+                    const sseEventsString = transformUtils.transformGeminiStreamChunk(mockGeminiChunk, responseModelId, streamContext);
                     if (sseEventsString) {
                         stream.push(sseEventsString);
                     }
@@ -491,7 +540,8 @@ router.post('/chat/completions', async (req, res, next) => {
                     }
                     const openAIResponse = JSON.parse(transformUtils.transformGeminiResponseToOpenAI(
                         vertexResponseData,
-                        requestedModelIdFromKeepAlive
+                        requestedModelIdFromKeepAlive,
+                        { imageOutput: 'markdown' } // Sent as a stream delta, which has to be text
                     ));
                     const content = openAIResponse.choices[0].message.content || "";
                     const completeChunk = {
@@ -501,11 +551,19 @@ router.post('/chat/completions', async (req, res, next) => {
                         model: requestedModelIdFromKeepAlive,
                         choices: [{
                             index: 0,
-                            delta: { role: "assistant", content: content },
+                            delta: {
+                                role: "assistant",
+                                content: content,
+                                reasoning_content: openAIResponse.choices[0].message.reasoning_content,
+                                annotations: openAIResponse.choices[0].message.annotations,
+                            },
                             finish_reason: openAIResponse.choices[0].finish_reason || "stop"
                         }]
                     };
                     keepAliveSseStream.push(`data: ${JSON.stringify(completeChunk)}\n\n`);
+                    if (streamContext.includeUsage) {
+                        keepAliveSseStream.push(transformUtils.createStreamUsageChunk(requestedModelIdFromKeepAlive, vertexResponseData.usageMetadata));
+                    }
                     keepAliveSseStream.push('data: [DONE]\n\n');
                     keepAliveSseStream.push(null);
                 }).catch(error => {
@@ -577,12 +635,24 @@ router.post('/chat/completions', async (req, res, next) => {
                 if (selectedKeyId === 'vertex-ai') {
                     // Vertex service already transformed the response to OpenAI format
                     const openaiJson = await geminiResponse.json(); // Get the pre-transformed JSON
+                    const validationError = validateChoiceContents((openaiJson.choices || []).map(choice => choice.message?.content), openAIRequestBody.response_format);
+                    if (validationError) {
+                        console.warn(`Structured output failed validation: ${validationError}`);
+                        return res.status(502).json({ error: { message: validationError, type: 'invalid_response_format' } });
+                    }
                     res.status(geminiResponse.status || 200).json(openaiJson); // Send it directly
                     console.log(`Non-stream Vertex request completed, status: ${geminiResponse.status || 200}`);
                 } else {
                     // Original Gemini service response handling
                     const geminiJson = await geminiResponse.json(); // Parse the raw upstream Gemini JSON
-                    const openaiJsonString = transformUtils.transformGeminiResponseToOpenAI(geminiJson, requestedModelId); // Transform it
+                    const openaiJsonString = transformUtils.transformGeminiResponseToOpenAI(geminiJson, responseModelId, {
+                        parallelToolCalls: openAIRequestBody.parallel_tool_calls !== false
+                    }); // Transform it
+                    const validationError = validateChoiceContents(JSON.parse(openaiJsonString).choices.map(choice => choice.message?.content), openAIRequestBody.response_format);
+                    if (validationError) {
+                        console.warn(`Structured output failed validation: ${validationError}`);
+                        return res.status(502).json({ error: { message: validationError, type: 'invalid_response_format' } });
+                    }
                     // Use Gemini's original status code if available and OK, otherwise default to 200
                     res.status(geminiResponse.ok ? geminiResponse.status : 200).send(openaiJsonString);
                     console.log(`Non-stream Gemini request completed for key ${selectedKeyId}, status: ${geminiResponse.status}`);
@@ -604,4 +674,555 @@ router.post('/chat/completions', async (req, res, next) => {
     }
 });
 
+// --- /v1/chat/completions/count_tokens ---
+router.post('/chat/completions/count_tokens', async (req, res, next) => {
+    try {
+        const result = await geminiProxyService.countChatTokens(req.body, req.workerApiKey);
+
+        if (result.error) {
+            res.setHeader('Content-Type', 'application/json');
+            return res.status(result.status || 500).json({ error: result.error });
+        }
+
+        res.setHeader('X-Proxied-By', 'gemini-proxy-panel-node');
+        res.setHeader('X-Selected-Key-ID', result.selectedKeyId);
+        res.json({ object: 'chat.completion.input_tokens', model: req.body.model, input_tokens: result.response.totalTokens });
+    } catch (error) {
+        console.error("Error in /v1/chat/completions/count_tokens handler:", error);
+        next(error);
+    }
+});
+
+// --- /v1/completions (legacy text completions) ---
+// Each prompt is sent as its own chat request, so batching, rotation and safety settings behave like /chat/completions.
+router.post('/completions', async (req, res, next) => {
+    const completionsRequestBody = req.body;
+    const workerApiKey = req.workerApiKey;
+    const stream = completionsRequestBody?.stream ?? false;
+    const requestedModelId = completionsRequestBody?.model;
+
+    try {
+        const translated = completionsTransform.transformCompletionsToChat(completionsRequestBody);
+        if (translated.error) {
+            res.setHeader('Content-Type', 'application/json');
+            return res.status(translated.status).json({ error: translated.error });
+        }
+
+        const { prompts, chatRequestBodies, echo, logprobs } = translated;
+        const choicesPerPrompt = completionsRequestBody.n || 1;
+        const completionId = completionsTransform.generateCompletionId();
+
+        if (!stream) {
+            const results = await Promise.all(chatRequestBodies.map(chatRequestBody =>
+                geminiProxyService.proxyChatCompletions(chatRequestBody, workerApiKey, false)
+            ));
+            const failed = results.find(result => result.error);
+            if (failed) {
+                res.setHeader('Content-Type', 'application/json');
+                return res.status(failed.status || 500).json({ error: failed.error });
+            }
+
+            const geminiJsons = await Promise.all(results.map(result => result.isKeepAlive ? result.response : result.response.json()));
+            const choices = geminiJsons.flatMap((geminiJson, promptIndex) =>
+                completionsTransform.transformGeminiResponseToCompletionChoices(geminiJson, {
+                    prompt: prompts[promptIndex],
+                    echo,
+                    logprobs,
+                    indexOffset: promptIndex * choicesPerPrompt,
+                })
+            );
+            const usageMetadata = transformUtils.sumUsageMetadata(geminiJsons.map(geminiJson => geminiJson.usageMetadata));
+
+            res.setHeader('X-Proxied-By', 'gemini-proxy-panel-node');
+            res.setHeader('X-Selected-Key-ID', [...new Set(results.map(result => result.selectedKeyId))].join(','));
+            res.setHeader('X-Model-Used', [...new Set(results.map(result => result.modelUsed))].join(','));
+            return res.json({
+                id: completionId,
+                object: 'text_completion',
+                created: Math.floor(Date.now() / 1000),
+                model: results[0].modelUsed || requestedModelId,
+                choices: choices.sort((a, b) => a.index - b.index),
+                usage: transformUtils.transformUsageMetadata(usageMetadata),
+            });
+        }
+
+        // Streaming: prompts are streamed one after another, each choice keeping its batch index
+        const usageMetadataList = [];
+        let responseModelId = requestedModelId;
+        for (let promptIndex = 0; promptIndex < prompts.length; promptIndex++) {
+            const result = await geminiProxyService.proxyChatCompletions(chatRequestBodies[promptIndex], workerApiKey, true);
+
+            if (result.error) {
+                if (!res.headersSent) {
+                    res.setHeader('Content-Type', 'application/json');
+                    return res.status(result.status || 500).json({ error: result.error });
+                }
+                res.write(`data: ${JSON.stringify({ error: result.error })}\n\n`);
+                return res.end();
+            }
+
+            if (!res.headersSent) {
+                responseModelId = result.modelUsed || requestedModelId;
+                res.setHeader('X-Proxied-By', 'gemini-proxy-panel-node');
+                res.setHeader('X-Selected-Key-ID', result.selectedKeyId);
+                res.setHeader('X-Model-Used', responseModelId);
+                res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+                res.setHeader('Cache-Control', 'no-cache');
+                res.setHeader('Connection', 'keep-alive');
+                res.flushHeaders();
+            }
+
+            const completionStream = completionsTransform.createCompletionStreamTransformer(result.modelUsed || requestedModelId, {
+                id: completionId,
+                prompt: prompts[promptIndex],
+                echo,
+                logprobs,
+                indexOffset: promptIndex * choicesPerPrompt,
+                onUsage: (usageMetadata) => usageMetadataList.push(usageMetadata),
+            });
+            completionStream.on('data', (chunk) => res.write(chunk));
+            const streamFinished = new Promise((resolve, reject) => {
+                completionStream.on('end', resolve);
+                completionStream.on('error', reject);
+            });
+
+            if (result.isKeepAlive) {
+                // KEEPALIVE mode already fetched the full response, replay it as a single chunk
+                completionStream.end(result.response);
+            } else {
+                result.response.body.on('error', (err) => completionStream.destroy(err));
+                result.response.body.pipe(createGeminiStreamParser()).pipe(completionStream);
+            }
+
+            try {
+                await streamFinished;
+            } catch (err) {
+                console.error(`Error streaming completion from upstream (${result.selectedKeyId}):`, err);
+                if (!res.writableEnded) {
+                    res.write(`data: ${JSON.stringify({ error: { message: 'Upstream stream error', type: 'api_error' } })}\n\n`);
+                    res.end();
+                }
+                return;
+            }
+        }
+
+        if (completionsRequestBody.stream_options?.include_usage) {
+            res.write(`data: ${JSON.stringify({
+                id: completionId,
+                object: 'text_completion',
+                created: Math.floor(Date.now() / 1000),
+                model: responseModelId,
+                choices: [],
+                usage: transformUtils.transformUsageMetadata(transformUtils.sumUsageMetadata(usageMetadataList)),
+            })}\n\n`);
+        }
+        res.write('data: [DONE]\n\n');
+        res.end();
+    } catch (error) {
+        console.error("Error in /v1/completions handler:", error);
+        if (res.headersSent) {
+            if (!res.writableEnded) res.end();
+            return;
+        }
+        next(error);
+    }
+});
+
+// --- /v1/responses (OpenAI Responses API) ---
+router.post('/responses', async (req, res, next) => {
+    const responsesRequestBody = req.body;
+    const workerApiKey = req.workerApiKey;
+    const stream = responsesRequestBody?.stream ?? false;
+
+    const saveResponse = (prepared, response) => {
+        responsesService.saveResponse(workerApiKey, prepared, response)
+            .catch(err => console.error(`Failed to store response ${response.id}:`, err));
+    };
+
+    try {
+        const prepared = await responsesService.prepareResponseRequest(responsesRequestBody, workerApiKey);
+        if (prepared.error) {
+            res.setHeader('Content-Type', 'application/json');
+            return res.status(prepared.status).json({ error: prepared.error });
+        }
+
+        const result = await geminiProxyService.proxyChatCompletions(
+            prepared.openAIRequestBody,
+            workerApiKey,
+            stream,
+            undefined,
+            false,
+            prepared.includeThoughts
+        );
+
+        if (result.error) {
+            res.setHeader('Content-Type', 'application/json');
+            return res.status(result.status || 500).json({ error: result.error });
+        }
+
+        // Report the model that actually served the request, after aliases and fallbacks
+        const skeleton = { ...prepared.skeleton, model: result.modelUsed || prepared.skeleton.model };
+        res.setHeader('X-Proxied-By', 'gemini-proxy-panel-node');
+        res.setHeader('X-Selected-Key-ID', result.selectedKeyId);
+        res.setHeader('X-Model-Used', skeleton.model);
+
+        if (!stream) {
+            const geminiJson = await result.response.json();
+            const response = responsesTransform.transformGeminiResponseToResponses(geminiJson, skeleton);
+            saveResponse(prepared, response);
+            return res.json(response);
+        }
+
+        res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+        res.setHeader('Cache-Control', 'no-cache');
+        res.setHeader('Connection', 'keep-alive');
+
+        const responsesStream = responsesTransform.createResponsesStreamTransformer(skeleton, {
+            onComplete: (response) => saveResponse(prepared, response),
+        });
+        const sendStreamError = (message) => {
+            if (!res.writableEnded) {
+                res.write(`event: error\ndata: ${JSON.stringify({ type: 'error', code: 'server_error', message, param: null })}\n\n`);
+                res.end();
+            }
+        };
+        responsesStream.on('error', (err) => {
+            console.error('Error in Responses stream transformer:', err);
+            sendStreamError('Stream processing error');
+        });
+        responsesStream.pipe(res);
+
+        if (result.isKeepAlive) {
+            // KEEPALIVE mode already fetched the full response, replay it as a single chunk
+            responsesStream.end(result.response);
+            return;
+        }
+
+        const parser = createGeminiStreamParser();
+        result.response.body.on('error', (err) => {
+            console.error(`Error reading stream from upstream (${result.selectedKeyId}):`, err);
+            sendStreamError('Upstream stream error');
+        });
+        result.response.body.pipe(parser).pipe(responsesStream);
+        console.log(`Responses streaming response initiated for key ${result.selectedKeyId}`);
+    } catch (error) {
+        console.error("Error in /v1/responses handler:", error);
+        next(error);
+    }
+});
+
+router.get('/responses/:response_id', async (req, res, next) => {
+    try {
+        const result = await responsesService.retrieveResponse(req.workerApiKey, req.params.response_id);
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+        res.json(result.response);
+    } catch (error) {
+        console.error("Error in GET /v1/responses handler:", error);
+        next(error);
+    }
+});
+
+router.delete('/responses/:response_id', async (req, res, next) => {
+    try {
+        const result = await responsesService.deleteResponse(req.workerApiKey, req.params.response_id);
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+        res.json(result.response);
+    } catch (error) {
+        console.error("Error in DELETE /v1/responses handler:", error);
+        next(error);
+    }
+});
+
+// --- /v1/embeddings ---
+router.post('/embeddings', async (req, res, next) => {
+    try {
+        const result = await embeddingProxyService.proxyEmbeddings(req.body);
+
+        if (result.error) {
+            res.setHeader('Content-Type', 'application/json');
+            return res.status(result.status || 500).json({ error: result.error });
+        }
+
+        res.setHeader('X-Proxied-By', 'gemini-proxy-panel-node');
+        res.setHeader('X-Selected-Key-ID', result.selectedKeyId);
+        res.json(result.response);
+    } catch (error) {
+        console.error("Error in /v1/embeddings handler:", error);
+        next(error);
+    }
+});
+
+// Browsers and SDKs often upload files as application/octet-stream, Gemini needs the real type:
+// a specific declared type wins, then the file name's extension, then the content's magic bytes
+function detectUploadMimeType(file, fallback = 'application/octet-stream') {
+    const isSpecific = (type) => type && type !== 'application/octet-stream';
+    const declaredType = (file.mimetype || '').toLowerCase();
+    const extensionType = mime.lookup(file.originalname || '');
+    return (isSpecific(declaredType) && declaredType)
+        || (isSpecific(extensionType) && extensionType)
+        || sniffMimeType(file.buffer)
+        || fallback;
+}
+
+// --- /v1/images (Imagen and Gemini image output models) ---
+
+// Origin of the generated image URLs: PUBLIC_BASE_URL when the panel sits behind a reverse proxy
+// that rewrites the host, otherwise the host the request came in on
+function getPublicBaseUrl(req) {
+    if (process.env.PUBLIC_BASE_URL) {
+        return process.env.PUBLIC_BASE_URL.replace(/\/+$/, '');
+    }
+    const protocol = (req.headers['x-forwarded-proto'] || req.protocol).split(',')[0].trim();
+    return `${protocol}://${req.get('host')}`;
+}
+
+function sendImagesResult(res, result) {
+    if (result.error) {
+        res.setHeader('Content-Type', 'application/json');
+        return res.status(result.status || 500).json({ error: result.error });
+    }
+    res.setHeader('X-Proxied-By', 'gemini-proxy-panel-node');
+    res.setHeader('X-Selected-Key-ID', result.selectedKeyId);
+    res.json(result.response);
+}
+
+router.post('/images/generations', async (req, res, next) => {
+    try {
+        const result = await imageProxyService.proxyImageGenerations(req.body, { publicBaseUrl: getPublicBaseUrl(req) });
+        sendImagesResult(res, result);
+    } catch (error) {
+        console.error("Error in /v1/images/generations handler:", error);
+        next(error);
+    }
+});
+
+// Clients send one image as `image` or several as `image[]`
+router.post('/images/edits', fileFields([{ name: 'image', maxCount: 16 }, { name: 'image[]', maxCount: 16 }, { name: 'mask', maxCount: 1 }]), async (req, res, next) => {
+    try {
+        const withMimeType = (file) => ({ ...file, mimetype: detectUploadMimeType(file, 'image/png') });
+        const imageFiles = [...(req.files?.image || []), ...(req.files?.['image[]'] || [])].map(withMimeType);
+        const maskFile = req.files?.mask?.[0] && withMimeType(req.files.mask[0]);
+
+        const result = await imageProxyService.proxyImageEdits(req.body, imageFiles, maskFile, { publicBaseUrl: getPublicBaseUrl(req) });
+        sendImagesResult(res, result);
+    } catch (error) {
+        console.error("Error in /v1/images/edits handler:", error);
+        next(error);
+    }
+});
+
+// --- /v1/audio (Gemini audio understanding and TTS models) ---
+
+router.post('/audio/transcriptions', singleFile('file'), async (req, res, next) => {
+    try {
+        const audioFile = req.file && { ...req.file, mimetype: detectUploadMimeType(req.file) };
+        const result = await audioProxyService.proxyTranscription(req.body || {}, audioFile);
+
+        if (result.error) {
+            res.setHeader('Content-Type', 'application/json');
+            return res.status(result.status || 500).json({ error: result.error });
+        }
+
+        res.setHeader('X-Proxied-By', 'gemini-proxy-panel-node');
+        res.setHeader('X-Selected-Key-ID', result.selectedKeyId);
+        res.setHeader('Content-Type', result.contentType);
+        res.send(typeof result.response === 'string' ? result.response : JSON.stringify(result.response));
+    } catch (error) {
+        console.error("Error in /v1/audio/transcriptions handler:", error);
+        next(error);
+    }
+});
+
+router.post('/audio/speech', async (req, res, next) => {
+    try {
+        const result = await audioProxyService.proxySpeech(req.body);
+
+        if (result.error) {
+            res.setHeader('Content-Type', 'application/json');
+            return res.status(result.status || 500).json({ error: result.error });
+        }
+
+        res.setHeader('X-Proxied-By', 'gemini-proxy-panel-node');
+        res.setHeader('X-Selected-Key-ID', result.selectedKeyId);
+        res.setHeader('Content-Type', result.contentType);
+        res.send(result.response);
+    } catch (error) {
+        console.error("Error in /v1/audio/speech handler:", error);
+        next(error);
+    }
+});
+
+// --- /v1/files (backed by the Gemini Files API) ---
+
+// Sends a files service result: errors as is, successes with the proxy headers
+function sendFilesResult(res, result) {
+    if (result.error) {
+        res.setHeader('Content-Type', 'application/json');
+        return res.status(result.status || 500).json({ error: result.error });
+    }
+    res.setHeader('X-Proxied-By', 'gemini-proxy-panel-node');
+    if (result.selectedKeyId) {
+        res.setHeader('X-Selected-Key-ID', result.selectedKeyId);
+    }
+    res.json(result.response);
+}
+
+router.post('/files', singleFile('file'), async (req, res, next) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ error: { message: "'file' is required.", type: 'invalid_request_error', param: 'file', code: null } });
+        }
+
+        const mimeType = detectUploadMimeType(req.file);
+
+        const result = await geminiFilesService.uploadFile(req.workerApiKey, req.file.buffer, {
+            filename: req.file.originalname || 'upload',
+            mimeType,
+            purpose: req.body?.purpose,
+        });
+        sendFilesResult(res, result);
+    } catch (error) {
+        console.error("Error in POST /v1/files handler:", error);
+        next(error);
+    }
+});
+
+router.get('/files', async (req, res, next) => {
+    try {
+        const { purpose, limit, order, after } = req.query;
+        const list = await geminiFilesService.listFiles(req.workerApiKey, { purpose, limit, order, after });
+        res.json(list);
+    } catch (error) {
+        console.error("Error in GET /v1/files handler:", error);
+        next(error);
+    }
+});
+
+router.get('/files/:file_id', async (req, res, next) => {
+    try {
+        sendFilesResult(res, await geminiFilesService.retrieveFile(req.workerApiKey, req.params.file_id));
+    } catch (error) {
+        console.error("Error in GET /v1/files/:file_id handler:", error);
+        next(error);
+    }
+});
+
+router.delete('/files/:file_id', async (req, res, next) => {
+    try {
+        sendFilesResult(res, await geminiFilesService.deleteFile(req.workerApiKey, req.params.file_id));
+    } catch (error) {
+        console.error("Error in DELETE /v1/files/:file_id handler:", error);
+        next(error);
+    }
+});
+
+// --- /v1/messages/count_tokens (Anthropic token counting) ---
+router.post('/messages/count_tokens', async (req, res, next) => {
+    const sendAnthropicError = (error, status) => {
+        res.setHeader('Content-Type', 'application/json');
+        return res.status(status || 500).json(anthropicTransform.toAnthropicError(error, status || 500));
+    };
+
+    try {
+        const translated = anthropicTransform.transformAnthropicToOpenAI(req.body);
+        if (translated.error) {
+            return sendAnthropicError(translated.error, translated.status);
+        }
+
+        const result = await geminiProxyService.countChatTokens(translated.openAIRequestBody, req.workerApiKey);
+        if (result.error) {
+            return sendAnthropicError(result.error, result.status);
+        }
+
+        res.setHeader('X-Proxied-By', 'gemini-proxy-panel-node');
+        res.setHeader('X-Selected-Key-ID', result.selectedKeyId);
+        res.json({ input_tokens: result.response.totalTokens });
+    } catch (error) {
+        console.error("Error in /v1/messages/count_tokens handler:", error);
+        next(error);
+    }
+});
+
+// --- /v1/messages (Anthropic Messages API) ---
+router.post('/messages', async (req, res, next) => {
+    const anthropicRequestBody = req.body;
+    const workerApiKey = req.workerApiKey;
+    const stream = anthropicRequestBody?.stream ?? false;
+    const requestedModelId = anthropicRequestBody?.model;
+
+    const sendAnthropicError = (error, status) => {
+        res.setHeader('Content-Type', 'application/json');
+        return res.status(status || 500).json(anthropicTransform.toAnthropicError(error, status || 500));
+    };
+
+    try {
+        const translated = anthropicTransform.transformAnthropicToOpenAI(anthropicRequestBody);
+        if (translated.error) {
+            return sendAnthropicError(translated.error, translated.status);
+        }
+
+        const result = await geminiProxyService.proxyChatCompletions(
+            translated.openAIRequestBody,
+            workerApiKey,
+            stream,
+            translated.thinkingBudget,
+            false,
+            translated.includeThoughts
+        );
+
+        if (result.error) {
+            return sendAnthropicError(result.error, result.status);
+        }
+
+        const responseModelId = result.modelUsed || requestedModelId;
+        res.setHeader('X-Proxied-By', 'gemini-proxy-panel-node');
+        res.setHeader('X-Selected-Key-ID', result.selectedKeyId);
+        res.setHeader('X-Model-Used', responseModelId);
+        const parallelToolCalls = translated.openAIRequestBody.parallel_tool_calls !== false;
+
+        if (!stream) {
+            const geminiJson = await result.response.json();
+            return res.json(anthropicTransform.transformGeminiResponseToAnthropic(geminiJson, responseModelId, { parallelToolCalls }));
+        }
+
+        res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+        res.setHeader('Cache-Control', 'no-cache');
+        res.setHeader('Connection', 'keep-alive');
+
+        const anthropicStream = anthropicTransform.createAnthropicStreamTransformer(responseModelId, { parallelToolCalls });
+        anthropicStream.on('error', (err) => {
+            console.error('Error in Anthropic stream transformer:', err);
+            if (!res.writableEnded) {
+                res.write(anthropicTransform.formatSseEvent('error', { error: { type: 'api_error', message: 'Stream processing error' } }));
+                res.end();
+            }
+        });
+        anthropicStream.pipe(res);
+
+        if (result.isKeepAlive) {
+            // KEEPALIVE mode already fetched the full response, replay it as a single chunk
+            anthropicStream.end(result.response);
+            return;
+        }
+
+        const parser = createGeminiStreamParser();
+        result.response.body.on('error', (err) => {
+            console.error(`Error reading stream from upstream (${result.selectedKeyId}):`, err);
+            if (!res.writableEnded) {
+                res.write(anthropicTransform.formatSseEvent('error', { error: { type: 'api_error', message: 'Upstream stream error' } }));
+                res.end();
+            }
+        });
+        result.response.body.pipe(parser).pipe(anthropicStream);
+        console.log(`Anthropic streaming response initiated for key ${result.selectedKeyId}`);
+    } catch (error) {
+        console.error("Error in /v1/messages handler:", error);
+        next(error);
+    }
+});
+
 module.exports = router;
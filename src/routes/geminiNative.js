@@ -0,0 +1,97 @@
+// src/routes/geminiNative.js
+
+const express = require('express');
+const requireWorkerAuth = require('../middleware/workerAuth');
+const geminiProxyService = require('../services/geminiProxyService');
+
+const router = express.Router();
+
+// Google SDKs authenticate with x-goog-api-key or ?key=, both accepted by the worker auth middleware
+router.use(requireWorkerAuth);
+
+/**
+ * Sends a proxy error result in the Gemini error format ({ error: { code, message, status } }).
+ * @param {import('express').Response} res
+ * @param {{ error: object; status: number }} result
+ */
+function sendGeminiError(res, result) {
+    const status = result.status || 500;
+    const error = result.error || {};
+    res.status(status).json({
+        error: {
+            code: typeof error.code === 'number' ? error.code : status,
+            message: error.message || 'Unknown error',
+            status: typeof error.status === 'string' ? error.status : 'UNKNOWN',
+            ...(error.details && { details: error.details }),
+        }
+    });
+}
+
+/**
+ * Streams an upstream Gemini response back to the client unchanged.
+ * @param {import('express').Response} res
+ * @param {{ response: import('node-fetch').Response; selectedKeyId: string }} result
+ */
+function forwardUpstreamResponse(res, result) {
+    const upstream = result.response;
+    res.status(upstream.status);
+    res.setHeader('Content-Type', upstream.headers.get('content-type') || 'application/json; charset=utf-8');
+    res.setHeader('X-Proxied-By', 'gemini-proxy-panel-node');
+    res.setHeader('X-Selected-Key-ID', result.selectedKeyId);
+
+    upstream.body.on('error', (err) => {
+        console.error(`Error reading native stream from upstream (${result.selectedKeyId}):`, err);
+        if (!res.writableEnded) {
+            res.end();
+        }
+    });
+    upstream.body.pipe(res);
+}
+
+// --- GET /v1beta/models (models.list) ---
+router.get('/models', async (req, res, next) => {
+    try {
+        const result = await geminiProxyService.proxyNativeModelsRequest(null, req.query);
+        if (result.error) {
+            return sendGeminiError(res, result);
+        }
+        forwardUpstreamResponse(res, result);
+    } catch (error) {
+        console.error("Error handling /v1beta/models:", error);
+        next(error);
+    }
+});
+
+// --- GET /v1beta/models/{model} (models.get) ---
+router.get(/^\/models\/([^/:]+)$/, async (req, res, next) => {
+    try {
+        const result = await geminiProxyService.proxyNativeModelsRequest(req.params[0], req.query);
+        if (result.error) {
+            return sendGeminiError(res, result);
+        }
+        forwardUpstreamResponse(res, result);
+    } catch (error) {
+        console.error("Error handling /v1beta/models/{model}:", error);
+        next(error);
+    }
+});
+
+// --- POST /v1beta/models/{model}:{generateContent|streamGenerateContent|countTokens} ---
+router.post(/^\/models\/([^/:]+):(\w+)$/, async (req, res, next) => {
+    const modelId = req.params[0];
+    const action = req.params[1];
+
+    try {
+        const result = await geminiProxyService.proxyNativeModelAction(modelId, action, req.body, req.query);
+        if (result.error) {
+            return sendGeminiError(res, result);
+        }
+        forwardUpstreamResponse(res, result);
+        console.log(`Native Gemini ${action} response forwarded for key ${result.selectedKeyId}`);
+    } catch (error) {
+        console.error(`Error handling /v1beta/models/${modelId}:${action}:`, error);
+        next(error);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,19 @@
+const express = require('express');
+const generatedImageStore = require('../utils/generatedImageStore');
+
+const router = express.Router();
+
+// Serves the images returned as URLs by /v1/images. No worker key is required, so the URLs can be
+// opened by browsers and fetched by clients directly; the random IDs act as capabilities.
+router.get('/:id', (req, res) => {
+    const image = generatedImageStore.getImage(req.params.id);
+    if (!image) {
+        return res.status(404).json({ error: { message: 'Image not found or expired.', type: 'invalid_request_error' } });
+    }
+    const maxAgeSeconds = Math.max(Math.floor((image.expiresAt - Date.now()) / 1000), 0);
+    res.setHeader('Content-Type', image.mimeType);
+    res.setHeader('Cache-Control', `private, max-age=${maxAgeSeconds}`);
+    res.send(image.buffer);
+});
+
+module.exports = router;
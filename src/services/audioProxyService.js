@@ -0,0 +1,389 @@
+const configService = require('./configService');
+const geminiProxyService = require('./geminiProxyService');
+const rateLimitService = require('./rateLimitService');
+
+// Used when a request names an OpenAI speech model (whisper-1, gpt-4o-transcribe, tts-1, ...) or none
+const DEFAULT_TRANSCRIPTION_MODEL = process.env.DEFAULT_TRANSCRIPTION_MODEL || 'gemini-2.5-flash';
+const DEFAULT_TTS_MODEL = process.env.DEFAULT_TTS_MODEL || 'gemini-2.5-flash-preview-tts';
+// Audio above this size is sent through the Files API instead of inline (keeps the request under 20 MB)
+const INLINE_AUDIO_MAX_BYTES = 15 * 1024 * 1024;
+
+const TRANSCRIPTION_FORMATS = ['json', 'text', 'srt', 'vtt', 'verbose_json'];
+// Gemini TTS returns 16-bit PCM, which can be sent as is or wrapped in a WAV header;
+// compressed formats would need an encoder
+const SPEECH_FORMATS = { wav: 'audio/wav', pcm: 'audio/pcm' };
+
+// OpenAI voices mapped onto Gemini prebuilt voices of a similar character.
+// Gemini voice names (e.g. "Kore") are accepted as well.
+const OPENAI_VOICES = {
+    alloy: 'Zephyr',
+    ash: 'Orus',
+    ballad: 'Enceladus',
+    coral: 'Leda',
+    echo: 'Puck',
+    fable: 'Aoede',
+    nova: 'Kore',
+    onyx: 'Charon',
+    sage: 'Sulafat',
+    shimmer: 'Callirrhoe',
+    verse: 'Fenrir',
+};
+const GEMINI_VOICES = [
+    'Zephyr', 'Puck', 'Charon', 'Kore', 'Fenrir', 'Leda', 'Orus', 'Aoede', 'Callirrhoe', 'Autonoe',
+    'Enceladus', 'Iapetus', 'Umbriel', 'Algieba', 'Despina', 'Erinome', 'Algenib', 'Rasalgethi', 'Laomedeia',
+    'Achernar', 'Alnilam', 'Schedar', 'Gacrux', 'Pulcherrima', 'Achird', 'Zubenelgenubi', 'Vindemiatrix',
+    'Sadachbia', 'Sadaltager', 'Sulafat',
+];
+
+/**
+ * Builds an OpenAI-style invalid_request_error result.
+ * @param {string} message
+ * @param {string} [param] The request field that caused the error.
+ * @returns {{ error: object; status: number }}
+ */
+function invalidRequest(message, param) {
+    return { error: { message, type: 'invalid_request_error', param: param || null, code: null }, status: 400 };
+}
+
+/**
+ * Resolves the Gemini model for an audio request, substituting the default for OpenAI model names.
+ * @param {string} [requestedModelId]
+ * @param {RegExp} openAiModels OpenAI model names that are replaced by `defaultModelId`.
+ * @param {string} defaultModelId
+ * @returns {Promise<{ modelId: string; modelInfo: object } | { error: object; status: number }>}
+ */
+async function resolveAudioModel(requestedModelId, openAiModels, defaultModelId) {
+    const requested = typeof requestedModelId === 'string' ? requestedModelId.replace(/^models\//, '') : '';
+    const modelId = !requested || openAiModels.test(requested) ? defaultModelId : requested;
+    const modelsConfig = await configService.getModelsConfig();
+    const modelInfo = modelsConfig[modelId];
+    if (!modelInfo) {
+        return { error: { message: `Model '${modelId}' is not configured in the proxy.` }, status: 400 };
+    }
+    return { modelId, modelInfo };
+}
+
+// --- Transcriptions ---
+
+/**
+ * Normalizes `timestamp_granularities[]` (a string or an array of multipart fields).
+ * @param {object} body
+ * @returns {string[]}
+ */
+function parseTimestampGranularities(body) {
+    const value = body['timestamp_granularities[]'] ?? body.timestamp_granularities;
+    if (value === undefined) return [];
+    return (Array.isArray(value) ? value : String(value).split(',')).map(item => String(item).trim()).filter(Boolean);
+}
+
+/**
+ * Formats seconds as an SRT ("00:01:02,500") or VTT ("00:01:02.500") timestamp.
+ * @param {number} seconds
+ * @param {',' | '.'} decimalSeparator
+ * @returns {string}
+ */
+function formatTimestamp(seconds, decimalSeparator) {
+    const totalMs = Math.max(Math.round((Number(seconds) || 0) * 1000), 0);
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+    const hours = Math.floor(totalMs / 3600000);
+    const minutes = Math.floor((totalMs % 3600000) / 60000);
+    const secs = Math.floor((totalMs % 60000) / 1000);
+    return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${decimalSeparator}${pad(totalMs % 1000, 3)}`;
+}
+
+function toSrt(segments) {
+    return segments
+        .map((segment, index) => `${index + 1}\n${formatTimestamp(segment.start, ',')} --> ${formatTimestamp(segment.end, ',')}\n${segment.text.trim()}\n`)
+        .join('\n');
+}
+
+function toVtt(segments) {
+    const cues = segments.map(segment => `${formatTimestamp(segment.start, '.')} --> ${formatTimestamp(segment.end, '.')}\n${segment.text.trim()}\n`);
+    return ['WEBVTT\n', ...cues].join('\n');
+}
+
+/**
+ * Builds the Gemini request for a transcription. Formats with timestamps ask for JSON segments
+ * through a response schema; Gemini estimates the timestamps, so they are approximate.
+ * @returns {object} The generateContent request body, without the audio part.
+ */
+function buildTranscriptionRequest({ language, prompt, temperature, withTimestamps, withWords }) {
+    const instructions = [
+        'Transcribe the speech in this audio verbatim, in the language it is spoken in. Do not translate, summarize or add commentary.',
+        language && `The audio is in the language with ISO-639-1 code "${language}".`,
+        prompt && `Context and spelling of names that may appear in the audio: ${prompt}`,
+        withTimestamps
+            ? `Split the transcription into segments of one or two sentences with their start and end times in seconds from the beginning of the audio${withWords ? ', and list every word with its start and end time' : ''}. Report the spoken language as its lowercase English name.`
+            : 'Output only the transcription text.',
+    ].filter(Boolean).join('\n');
+
+    const timedItem = (textField) => ({
+        type: 'OBJECT',
+        properties: { [textField]: { type: 'STRING' }, start: { type: 'NUMBER' }, end: { type: 'NUMBER' } },
+        required: [textField, 'start', 'end'],
+        propertyOrdering: ['start', 'end', textField],
+    });
+
+    return {
+        contents: [{ role: 'user', parts: [{ text: instructions }] }],
+        generationConfig: {
+            ...(temperature !== undefined && { temperature }),
+            ...(withTimestamps && {
+                responseMimeType: 'application/json',
+                responseSchema: {
+                    type: 'OBJECT',
+                    properties: {
+                        language: { type: 'STRING' },
+                        segments: { type: 'ARRAY', items: timedItem('text') },
+                        ...(withWords && { words: { type: 'ARRAY', items: timedItem('word') } }),
+                    },
+                    required: ['language', 'segments', ...(withWords ? ['words'] : [])],
+                },
+            }),
+        },
+    };
+}
+
+/**
+ * Handles OpenAI-compatible /v1/audio/transcriptions requests with a Gemini audio understanding prompt.
+ * @param {object} form The multipart form fields (model, language, prompt, response_format, temperature, timestamp_granularities[]).
+ * @param {{ buffer: Buffer; mimetype: string; originalname?: string }} audioFile
+ * @returns {Promise<{ response: object | string; contentType: string; selectedKeyId: string } | { error: object; status: number }>}
+ */
+async function proxyTranscription(form, audioFile) {
+    try {
+        if (!audioFile || audioFile.buffer.length === 0) {
+            return invalidRequest("'file' is required.", 'file');
+        }
+        const responseFormat = form.response_format || 'json';
+        if (!TRANSCRIPTION_FORMATS.includes(responseFormat)) {
+            return invalidRequest(`'response_format' must be one of ${TRANSCRIPTION_FORMATS.join(', ')}.`, 'response_format');
+        }
+        const granularities = parseTimestampGranularities(form);
+        if (granularities.some(granularity => granularity !== 'word' && granularity !== 'segment')) {
+            return invalidRequest("'timestamp_granularities' may only contain 'word' and 'segment'.", 'timestamp_granularities');
+        }
+        if (granularities.length > 0 && responseFormat !== 'verbose_json') {
+            return invalidRequest("'timestamp_granularities' requires 'response_format' to be 'verbose_json'.", 'timestamp_granularities');
+        }
+        const temperature = form.temperature === undefined || form.temperature === '' ? undefined : Number(form.temperature);
+        if (temperature !== undefined && (Number.isNaN(temperature) || temperature < 0 || temperature > 2)) {
+            return invalidRequest("'temperature' must be a number between 0 and 2.", 'temperature');
+        }
+
+        const model = await resolveAudioModel(form.model, /^(whisper|gpt-4o(-mini)?-transcribe)/i, DEFAULT_TRANSCRIPTION_MODEL);
+        if (model.error) {
+            return model;
+        }
+
+        const withTimestamps = ['srt', 'vtt', 'verbose_json'].includes(responseFormat);
+        const withWords = granularities.includes('word');
+        const geminiRequestBody = buildTranscriptionRequest({
+            language: form.language,
+            prompt: form.prompt,
+            temperature,
+            withTimestamps,
+            withWords,
+        });
+
+        console.log(`Transcribing ${audioFile.buffer.length} bytes of ${audioFile.mimetype} with model ${model.modelId} (${responseFormat})`);
+        const result = await geminiProxyService.executeWithKeyRotation(model.modelId, model.modelInfo.category, async (selectedKey) => {
+            // Large recordings go through the Files API with the key that makes the request
+            const audioPart = audioFile.buffer.length > INLINE_AUDIO_MAX_BYTES
+                ? { fileData: { mimeType: audioFile.mimetype, fileUri: (await geminiProxyService.uploadToGeminiFiles(selectedKey, audioFile.buffer, audioFile.mimetype, audioFile.originalname)).uri } }
+                : { inlineData: { mimeType: audioFile.mimetype, data: audioFile.buffer.toString('base64') } };
+            const body = { ...geminiRequestBody, contents: [{ role: 'user', parts: [audioPart, ...geminiRequestBody.contents[0].parts] }] };
+            return geminiProxyService.fetchGemini(`/v1beta/models/${model.modelId}:generateContent`, selectedKey, { body });
+        });
+        if (result.error) {
+            return result;
+        }
+
+        const geminiJson = await result.response.json();
+        const outputText = (geminiJson.candidates?.[0]?.content?.parts || [])
+            .filter(part => typeof part.text === 'string' && !part.thought)
+            .map(part => part.text)
+            .join('')
+            .trim();
+        const usage = geminiJson.usageMetadata && {
+            type: 'tokens',
+            input_tokens: geminiJson.usageMetadata.promptTokenCount || 0,
+            output_tokens: geminiJson.usageMetadata.candidatesTokenCount || 0,
+            total_tokens: geminiJson.usageMetadata.totalTokenCount || 0,
+        };
+        const selectedKeyId = result.selectedKeyId;
+
+        if (!withTimestamps) {
+            return responseFormat === 'text'
+                ? { response: outputText, contentType: 'text/plain; charset=utf-8', selectedKeyId }
+                : { response: { text: outputText, ...(usage && { usage }) }, contentType: 'application/json', selectedKeyId };
+        }
+
+        let transcript;
+        try {
+            transcript = JSON.parse(outputText);
+        } catch (e) {
+            console.error("Gemini returned a transcription that isn't valid JSON:", outputText.substring(0, 500));
+            return { error: { message: 'Gemini returned an invalid timestamped transcription.', type: 'proxy_error' }, status: 502 };
+        }
+        const segments = (transcript.segments || []).filter(segment => typeof segment?.text === 'string');
+
+        if (responseFormat === 'srt') {
+            return { response: toSrt(segments), contentType: 'text/plain; charset=utf-8', selectedKeyId };
+        }
+        if (responseFormat === 'vtt') {
+            return { response: toVtt(segments), contentType: 'text/vtt; charset=utf-8', selectedKeyId };
+        }
+
+        const text = segments.map(segment => segment.text.trim()).join(' ');
+        const duration = segments.reduce((max, segment) => Math.max(max, Number(segment.end) || 0), 0);
+        return {
+            response: {
+                task: 'transcribe',
+                language: transcript.language || form.language || 'unknown',
+                duration: duration,
+                text: text,
+                // Segments are returned unless only word timestamps were asked for, as OpenAI does
+                ...((granularities.length === 0 || granularities.includes('segment')) && {
+                    segments: segments.map((segment, index) => ({
+                        id: index,
+                        start: Number(segment.start) || 0,
+                        end: Number(segment.end) || 0,
+                        text: segment.text.trim(),
+                    })),
+                }),
+                ...(withWords && {
+                    words: (transcript.words || []).map(word => ({
+                        word: word.word,
+                        start: Number(word.start) || 0,
+                        end: Number(word.end) || 0,
+                    })),
+                }),
+                ...(usage && { usage }),
+            },
+            contentType: 'application/json',
+            selectedKeyId,
+        };
+    } catch (error) {
+        console.error("Error processing transcription request:", error);
+        return { error: { message: `Internal Proxy Error: ${error.message}`, type: 'proxy_internal_error' }, status: 500 };
+    }
+}
+
+// --- Speech ---
+
+/**
+ * Wraps 16-bit little-endian mono PCM in a WAV header.
+ * @param {Buffer} pcm
+ * @param {number} sampleRate
+ * @returns {Buffer}
+ */
+function pcmToWav(pcm, sampleRate) {
+    const header = Buffer.alloc(44);
+    header.write('RIFF', 0);
+    header.writeUInt32LE(36 + pcm.length, 4);
+    header.write('WAVE', 8);
+    header.write('fmt ', 12);
+    header.writeUInt32LE(16, 16); // fmt chunk size
+    header.writeUInt16LE(1, 20); // PCM
+    header.writeUInt16LE(1, 22); // mono
+    header.writeUInt32LE(sampleRate, 24);
+    header.writeUInt32LE(sampleRate * 2, 28); // byte rate
+    header.writeUInt16LE(2, 32); // block align
+    header.writeUInt16LE(16, 34); // bits per sample
+    header.write('data', 36);
+    header.writeUInt32LE(pcm.length, 40);
+    return Buffer.concat([header, pcm]);
+}
+
+/**
+ * Maps an OpenAI voice (or a Gemini voice name) onto a Gemini prebuilt voice.
+ * @param {string} [voice]
+ * @returns {string | null} null when the voice is unknown.
+ */
+function resolveVoice(voice) {
+    if (!voice) return OPENAI_VOICES.alloy;
+    const name = String(typeof voice === 'object' ? voice.id : voice).toLowerCase();
+    return OPENAI_VOICES[name] || GEMINI_VOICES.find(geminiVoice => geminiVoice.toLowerCase() === name) || null;
+}
+
+/**
+ * Handles OpenAI-compatible /v1/audio/speech requests with a Gemini TTS model.
+ * `instructions` and `speed` have no speechConfig equivalent and are given to the model as a
+ * spoken style direction instead.
+ * @param {object} openAIRequestBody
+ * @returns {Promise<{ response: Buffer; contentType: string; selectedKeyId: string } | { error: object; status: number }>}
+ */
+async function proxySpeech(openAIRequestBody) {
+    try {
+        const input = openAIRequestBody?.input;
+        if (typeof input !== 'string' || input.trim().length === 0) {
+            return invalidRequest("'input' is required.", 'input');
+        }
+        const voiceName = resolveVoice(openAIRequestBody.voice);
+        if (!voiceName) {
+            return invalidRequest(`Unknown voice '${openAIRequestBody.voice}'. Use an OpenAI voice (${Object.keys(OPENAI_VOICES).join(', ')}) or a Gemini prebuilt voice name.`, 'voice');
+        }
+        // OpenAI defaults to mp3, which can't be produced without an encoder, so WAV is the default here
+        const responseFormat = openAIRequestBody.response_format || 'wav';
+        if (!SPEECH_FORMATS[responseFormat]) {
+            return invalidRequest(`'response_format' '${responseFormat}' is not supported by the Gemini backend. Use ${Object.keys(SPEECH_FORMATS).join(' or ')}.`, 'response_format');
+        }
+        const speed = openAIRequestBody.speed ?? 1;
+        if (typeof speed !== 'number' || speed < 0.25 || speed > 4) {
+            return invalidRequest("'speed' must be a number between 0.25 and 4.", 'speed');
+        }
+
+        const model = await resolveAudioModel(openAIRequestBody.model, /^(tts-1|gpt-4o(-mini)?-tts)/i, DEFAULT_TTS_MODEL);
+        if (model.error) {
+            return model;
+        }
+
+        const directions = [
+            openAIRequestBody.instructions,
+            speed !== 1 && `speak at ${speed} times the normal speaking rate`,
+        ].filter(Boolean);
+        const text = directions.length > 0 ? `${directions.join('; ')}:\n${input}` : input;
+
+        const body = {
+            contents: [{ role: 'user', parts: [{ text }] }],
+            generationConfig: {
+                responseModalities: ['AUDIO'],
+                speechConfig: { voiceConfig: { prebuiltVoiceConfig: { voiceName } } },
+            },
+        };
+
+        console.log(`Synthesizing ${input.length} characters with model ${model.modelId} (voice ${voiceName}, ${responseFormat})`);
+        const result = await geminiProxyService.executeWithKeyRotation(model.modelId, model.modelInfo.category, (selectedKey) =>
+            geminiProxyService.fetchGemini(`/v1beta/models/${model.modelId}:generateContent`, selectedKey, { body }),
+            { estimatedTokens: rateLimitService.estimateTokens(body) }
+        );
+        if (result.error) {
+            return result;
+        }
+
+        const geminiJson = await result.response.json();
+        const audioPart = (geminiJson.candidates?.[0]?.content?.parts || []).find(part => part.inlineData?.data);
+        if (!audioPart) {
+            console.error("Gemini TTS response without audio:", JSON.stringify(geminiJson).substring(0, 500));
+            return { error: { message: 'Gemini returned no audio.', type: 'proxy_error' }, status: 502 };
+        }
+
+        // e.g. "audio/L16;codec=pcm;rate=24000"
+        const sampleRate = parseInt((audioPart.inlineData.mimeType || '').match(/rate=(\d+)/)?.[1], 10) || 24000;
+        const pcm = Buffer.from(audioPart.inlineData.data, 'base64');
+        return {
+            response: responseFormat === 'wav' ? pcmToWav(pcm, sampleRate) : pcm,
+            contentType: SPEECH_FORMATS[responseFormat],
+            selectedKeyId: result.selectedKeyId,
+        };
+    } catch (error) {
+        console.error("Error processing speech request:", error);
+        return { error: { message: `Internal Proxy Error: ${error.message}`, type: 'proxy_internal_error' }, status: 500 };
+    }
+}
+
+module.exports = {
+    proxyTranscription,
+    proxySpeech,
+};
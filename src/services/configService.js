@@ -1,15 +1,34 @@
+const { AsyncLocalStorage } = require('async_hooks');
 const { db, syncToGitHub } = require('../db');
 
 // --- Helper Functions for DB Interaction ---
 
+// All queries share one SQLite connection. A transaction there covers every statement sent while it
+// is open, and a second BEGIN fails. Transactions therefore run one at a time through this queue, and
+// writes outside a transaction wait in it too, so they can't end up in (and be rolled back with) a
+// transaction they don't belong to. Statements inside a transaction are recognised by its async
+// context and run right away.
+let writeQueue = Promise.resolve();
+const transactionContext = new AsyncLocalStorage();
+
 /**
- * Helper function to run a single SQL query with parameters.
- * Returns a Promise.
- * @param {string} sql The SQL query string.
- * @param {Array} params Query parameters.
- * @returns {Promise<object>} Promise resolving with { lastID, changes } or rejecting with error.
+ * Runs a task after all queued transactions and writes.
+ * @param {() => Promise<any>} task
+ * @returns {Promise<any>}
  */
-const runDb = (sql, params = []) => {
+function enqueueWrite(task) {
+    const run = writeQueue.then(task);
+    writeQueue = run.catch(() => {});
+    return run;
+}
+
+/**
+ * Runs a single statement on the connection, without queueing.
+ * @param {string} sql
+ * @param {Array} params
+ * @returns {Promise<{ lastID: number; changes: number }>}
+ */
+const runStatement = (sql, params = []) => {
     return new Promise((resolve, reject) => {
         db.run(sql, params, function (err) { // Use function() to access this context
             if (err) {
@@ -22,6 +41,45 @@ const runDb = (sql, params = []) => {
     });
 };
 
+/**
+ * Helper function to run a single SQL query with parameters.
+ * Outside a transaction the query waits for running transactions (see withTransaction).
+ * Returns a Promise.
+ * @param {string} sql The SQL query string.
+ * @param {Array} params Query parameters.
+ * @returns {Promise<object>} Promise resolving with { lastID, changes } or rejecting with error.
+ */
+const runDb = (sql, params = []) => {
+    if (transactionContext.getStore()) {
+        return runStatement(sql, params);
+    }
+    return enqueueWrite(() => runStatement(sql, params));
+};
+
+/**
+ * Runs a function in a transaction, committed when it resolves and rolled back when it throws.
+ * Transactions never overlap; called inside a transaction, the function joins it.
+ * @template T
+ * @param {() => Promise<T>} fn Runs its queries through runDb/getDb/allDb.
+ * @returns {Promise<T>}
+ */
+function withTransaction(fn) {
+    if (transactionContext.getStore()) {
+        return fn();
+    }
+    return enqueueWrite(() => transactionContext.run(true, async () => {
+        await runStatement('BEGIN TRANSACTION');
+        try {
+            const result = await fn();
+            await runStatement('COMMIT');
+            return result;
+        } catch (error) {
+            await runStatement('ROLLBACK').catch(rollbackError => console.error('Error rolling back transaction:', rollbackError));
+            throw error;
+        }
+    }));
+}
+
 /**
  * Helper function to get a single row from the database.
  * Returns a Promise.
@@ -89,106 +147,180 @@ async function getSetting(key, defaultValue = null) {
  * Automatically stringifies objects/arrays.
  * @param {string} key The setting key.
  * @param {any} value The value to set.
- * @param {boolean} [skipSync=false] Skip sync to GitHub if true.
- * @param {boolean} [useTransaction=false] Whether this call is part of an existing transaction.
+ * @param {boolean} [skipSync=false] Skip sync to GitHub if true. Calls inside a transaction (see withTransaction) never sync.
  * @returns {Promise<void>}
  */
-async function setSetting(key, value, skipSync = false, useTransaction = false) {
+async function setSetting(key, value, skipSync = false) {
     // Convert value to string for storage
     const valueToStore = (typeof value === 'object' && value !== null)
         ? JSON.stringify(value)
         : String(value); // Ensure it's a string if not object/array
-    
-    // If not part of an existing transaction, start a new one
-    if (!useTransaction) {
-        await runDb('BEGIN TRANSACTION');
-    }
-    
-    try {
-        // Update or insert the setting
-        await runDb('INSERT OR REPLACE INTO settings (key, value) VALUES (?, ?)', [key, valueToStore]);
-        
-        // If we started a transaction, commit it
-        if (!useTransaction) {
-            await runDb('COMMIT');
-            
-            // Sync updates to GitHub (unless skipped)
-            if (!skipSync) {
-                await syncToGitHub();
-            }
-        }
-    } catch (error) {
-        // If we started a transaction and an error occurred, roll it back
-        if (!useTransaction) {
-            await runDb('ROLLBACK');
-        }
-        // Re-throw the error to be handled by the caller
-        throw error;
+    const inTransaction = Boolean(transactionContext.getStore());
+
+    await runDb('INSERT OR REPLACE INTO settings (key, value) VALUES (?, ?)', [key, valueToStore]);
+
+    // Sync updates to GitHub (unless skipped, or the caller's transaction isn't committed yet)
+    if (!skipSync && !inTransaction) {
+        await syncToGitHub();
     }
 }
 
 
 // --- Model Configuration ---
 
+// The models configuration and category quotas are read on every proxied request, so they are kept
+// in memory. The functions below that change them reset the cached copy.
+let modelsConfigCache = null;
+let categoryQuotasCache = null;
+
+/**
+ * Caches the promise of a load, dropping it again if the load fails.
+ * @param {() => Promise<any>} load
+ * @param {(promise: Promise<any> | null) => void} setCache
+ * @returns {Promise<any>}
+ */
+function cacheLoad(load, setCache) {
+    const promise = load();
+    setCache(promise);
+    promise.catch(() => setCache(null));
+    return promise;
+}
+
+/**
+ * Gets the entire models configuration object. The object is shared and frozen.
+ * @returns {Promise<Record<string, {category: 'Pro' | 'Flash' | 'Custom' | 'Embedding', dailyQuota?: number, individualQuota?: number, maxInputTokens?: number, thinkingBudget?: number, aliases?: string[], fallbackModels?: string[]}>>}
+ */
+function getModelsConfig() {
+    return modelsConfigCache || cacheLoad(loadModelsConfig, promise => { modelsConfigCache = promise; });
+}
+
 /**
- * Gets the entire models configuration object.
- * @returns {Promise<Record<string, {category: string, dailyQuota?: number, individualQuota?: number}>>}
+ * Reads the models configuration from the database.
+ * @returns {Promise<object>} See getModelsConfig.
  */
-async function getModelsConfig() {
+async function loadModelsConfig() {
     const rows = await allDb('SELECT * FROM models_config');
     const config = {};
     rows.forEach(row => {
-        config[row.model_id] = {
+        config[row.model_id] = Object.freeze({
             category: row.category,
             // Return null or undefined from DB as undefined
             dailyQuota: row.daily_quota ?? undefined,
-            individualQuota: row.individual_quota ?? undefined
-        };
+            individualQuota: row.individual_quota ?? undefined,
+            maxInputTokens: row.max_input_tokens ?? undefined,
+            thinkingBudget: row.thinking_budget ?? undefined,
+            aliases: row.aliases ? JSON.parse(row.aliases) : undefined,
+            fallbackModels: row.fallback_models ? JSON.parse(row.fallback_models) : undefined,
+            rpmLimit: row.rpm_limit ?? undefined,
+            tpmLimit: row.tpm_limit ?? undefined,
+            tierRateLimits: row.tier_rate_limits ? JSON.parse(row.tier_rate_limits) : undefined
+        });
     });
-    return config;
+    return Object.freeze(config);
+}
+
+/**
+ * Checks the aliases and fallback chain of a model against the other configured models.
+ * @param {string} modelId
+ * @param {string[]} aliases
+ * @param {string[]} fallbackModels
+ * @returns {Promise<void>}
+ * @throws {Error} If a name is invalid or already taken.
+ */
+async function validateModelRouting(modelId, aliases, fallbackModels) {
+    const isModelName = (name) => typeof name === 'string' && name.trim() !== '' && !/\s/.test(name);
+    if (!aliases.every(isModelName) || !fallbackModels.every(isModelName)) {
+        throw new Error("Aliases and fallback models must be model names without spaces.");
+    }
+
+    const otherModels = Object.entries(await getModelsConfig()).filter(([id]) => id !== modelId);
+    const otherIds = otherModels.map(([id]) => id);
+    const otherAliases = otherModels.flatMap(([, info]) => info.aliases || []);
+    if (otherAliases.includes(modelId)) {
+        throw new Error(`Model ID '${modelId}' is already used as an alias.`);
+    }
+    const takenAlias = aliases.find(alias => alias === modelId || otherIds.includes(alias) || otherAliases.includes(alias));
+    if (takenAlias) {
+        throw new Error(`Alias '${takenAlias}' is already used as a model ID or alias.`);
+    }
+    // Vertex models ([v] prefix) are not part of models_config
+    const unknownFallback = fallbackModels.find(id => id === modelId || (!id.startsWith('[v]') && !otherIds.includes(id)));
+    if (unknownFallback) {
+        throw new Error(`Fallback model '${unknownFallback}' must be another configured model or a [v] Vertex model.`);
+    }
 }
 
 /**
  * Adds or updates a model configuration.
  * @param {string} modelId
- * @param {'Pro' | 'Flash' | 'Custom'} category
+ * @param {'Pro' | 'Flash' | 'Custom' | 'Embedding'} category
  * @param {number | null | undefined} dailyQuota Use null/undefined for no limit.
  * @param {number | null | undefined} individualQuota Use null/undefined for no limit.
+ * @param {number | null | undefined} [maxInputTokens] Prompts above this many tokens are rejected before reaching Gemini. Use null/undefined for no check.
+ * @param {number | null | undefined} [thinkingBudget] Thinking budget of requests that don't set one (-1 for dynamic). Use null/undefined for Gemini's default.
+ * @param {string[] | null | undefined} [aliases] Other names clients can request the model by.
+ * @param {string[] | null | undefined} [fallbackModels] Models tried in order when no key can serve this one.
+ * @param {number | null | undefined} [rpmLimit] Requests per minute per key. Use null/undefined for no limit.
+ * @param {number | null | undefined} [tpmLimit] Tokens per minute per key. Use null/undefined for no limit.
+ * @param {Record<string, { rpm?: number | null; tpm?: number | null }> | null | undefined} [tierRateLimits]
+ *        Limits for keys of a tier, replacing rpmLimit/tpmLimit where set.
  * @returns {Promise<void>}
  */
-async function setModelConfig(modelId, category, dailyQuota, individualQuota) {
+async function setModelConfig(modelId, category, dailyQuota, individualQuota, maxInputTokens, thinkingBudget, aliases, fallbackModels, rpmLimit, tpmLimit, tierRateLimits) {
     // Ensure null is stored in DB if quota is undefined or explicitly null
     const dailyQuotaDb = (dailyQuota === undefined || dailyQuota === null) ? null : Number(dailyQuota);
     const individualQuotaDb = (individualQuota === undefined || individualQuota === null) ? null : Number(individualQuota);
+    const maxInputTokensDb = (maxInputTokens === undefined || maxInputTokens === null) ? null : Number(maxInputTokens);
+    const thinkingBudgetDb = (thinkingBudget === undefined || thinkingBudget === null) ? null : Number(thinkingBudget);
 
     if ((category === 'Custom' && dailyQuotaDb !== null && !Number.isInteger(dailyQuotaDb)) || dailyQuotaDb < 0) {
         throw new Error("Custom model dailyQuota must be a non-negative integer or null.");
     }
-    if (((category === 'Pro' || category === 'Flash') && individualQuotaDb !== null && !Number.isInteger(individualQuotaDb)) || individualQuotaDb < 0) {
-        throw new Error("Pro/Flash model individualQuota must be a non-negative integer or null.");
+    if (((category === 'Pro' || category === 'Flash' || category === 'Embedding') && individualQuotaDb !== null && !Number.isInteger(individualQuotaDb)) || individualQuotaDb < 0) {
+        throw new Error("Pro/Flash/Embedding model individualQuota must be a non-negative integer or null.");
     }
-
-    await runDb('BEGIN TRANSACTION');
-    
-    try {
-        const sql = `
-            INSERT OR REPLACE INTO models_config
-            (model_id, category, daily_quota, individual_quota)
-            VALUES (?, ?, ?, ?)
-        `;
-        
-        await runDb(sql, [modelId, category, dailyQuotaDb, individualQuotaDb]);
-        
-        // Commit the transaction
-        await runDb('COMMIT');
-        
-        // Sync updates to GitHub (outside transaction)
-        await syncToGitHub();
-    } catch (error) {
-        // Rollback on error
-        await runDb('ROLLBACK');
-        throw error;
+    if (maxInputTokensDb !== null && (!Number.isInteger(maxInputTokensDb) || maxInputTokensDb <= 0)) {
+        throw new Error("maxInputTokens must be a positive integer or null.");
+    }
+    if (thinkingBudgetDb !== null && (!Number.isInteger(thinkingBudgetDb) || thinkingBudgetDb < -1)) {
+        throw new Error("thinkingBudget must be an integer of at least -1 or null.");
+    }
+    const isLimit = (value) => value === null || (Number.isInteger(value) && value >= 0);
+    const rpmLimitDb = (rpmLimit === undefined || rpmLimit === null) ? null : Number(rpmLimit);
+    const tpmLimitDb = (tpmLimit === undefined || tpmLimit === null) ? null : Number(tpmLimit);
+    if (!isLimit(rpmLimitDb) || !isLimit(tpmLimitDb)) {
+        throw new Error("rpmLimit and tpmLimit must be a non-negative integer or null.");
+    }
+    const tierEntries = Object.entries(tierRateLimits || {});
+    const tierLimitsValid = tierRateLimits === undefined || tierRateLimits === null
+        || (typeof tierRateLimits === 'object' && !Array.isArray(tierRateLimits) && tierEntries.every(([tier, limits]) =>
+            tier.trim() !== '' && !/\s/.test(tier) && limits && typeof limits === 'object'
+            && isLimit(limits.rpm ?? null) && isLimit(limits.tpm ?? null)));
+    if (!tierLimitsValid) {
+        throw new Error("Tier rate limits must map tier names without spaces to rpm/tpm values that are a non-negative integer or null.");
     }
+    const tierLimitsDb = tierEntries.length > 0
+        ? JSON.stringify(Object.fromEntries(tierEntries.map(([tier, limits]) => [tier, { rpm: limits.rpm ?? null, tpm: limits.tpm ?? null }])))
+        : null;
+    const aliasList = [...new Set(aliases || [])];
+    const fallbackList = [...new Set(fallbackModels || [])];
+    await validateModelRouting(modelId, aliasList, fallbackList);
+
+    const sql = `
+        INSERT OR REPLACE INTO models_config
+        (model_id, category, daily_quota, individual_quota, max_input_tokens, thinking_budget, aliases, fallback_models, rpm_limit, tpm_limit, tier_rate_limits)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+    await runDb(sql, [
+        modelId, category, dailyQuotaDb, individualQuotaDb, maxInputTokensDb, thinkingBudgetDb,
+        aliasList.length > 0 ? JSON.stringify(aliasList) : null,
+        fallbackList.length > 0 ? JSON.stringify(fallbackList) : null,
+        rpmLimitDb, tpmLimitDb, tierLimitsDb,
+    ]);
+    modelsConfigCache = null;
+
+    // Sync updates to GitHub
+    await syncToGitHub();
 }
 
 /**
@@ -197,91 +329,85 @@ async function setModelConfig(modelId, category, dailyQuota, individualQuota) {
  * @returns {Promise<void>}
  */
 async function deleteModelConfig(modelId) {
-    await runDb('BEGIN TRANSACTION');
-    
-    try {
-        const result = await runDb('DELETE FROM models_config WHERE model_id = ?', [modelId]);
-        
-        if (result.changes === 0) {
-            await runDb('ROLLBACK');
-            throw new Error(`Model '${modelId}' not found for deletion.`);
-        }
-        
-        await runDb('COMMIT');
-        
-        // Sync updates to GitHub (outside transaction)
-        await syncToGitHub();
-    } catch (error) {
-        await runDb('ROLLBACK');
-        throw error;
+    const result = await runDb('DELETE FROM models_config WHERE model_id = ?', [modelId]);
+    if (result.changes === 0) {
+        throw new Error(`Model '${modelId}' not found for deletion.`);
     }
+    modelsConfigCache = null;
+
+    // Sync updates to GitHub
+    await syncToGitHub();
 }
 
 
 // --- Category Quotas ---
 
 /**
- * Gets the category quotas (Pro/Flash).
- * @returns {Promise<{proQuota: number, flashQuota: number}>}
+ * Gets the category quotas (Pro/Flash/Embedding). The object is shared and frozen.
+ * @returns {Promise<{proQuota: number, flashQuota: number, embeddingQuota: number}>}
+ */
+function getCategoryQuotas() {
+    return categoryQuotasCache || cacheLoad(loadCategoryQuotas, promise => { categoryQuotasCache = promise; });
+}
+
+/**
+ * Reads the category quotas from the settings.
+ * @returns {Promise<{proQuota: number, flashQuota: number, embeddingQuota: number}>}
  */
-async function getCategoryQuotas() {
+async function loadCategoryQuotas() {
     // Retrieve from settings table, providing defaults
-    const quotas = await getSetting('category_quotas', { proQuota: 50, flashQuota: 1500 });
+    const quotas = await getSetting('category_quotas', { proQuota: 50, flashQuota: 1500, embeddingQuota: 1500 });
     // Ensure the retrieved value has the expected format
-     return {
+     return Object.freeze({
         proQuota: typeof quotas?.proQuota === 'number' ? quotas.proQuota : 50,
         flashQuota: typeof quotas?.flashQuota === 'number' ? quotas.flashQuota : 1500,
-    };
+        // Older databases were created before the Embedding category existed
+        embeddingQuota: typeof quotas?.embeddingQuota === 'number' ? quotas.embeddingQuota : 1500,
+    });
 }
 
 /**
  * Sets the category quotas.
  * @param {number} proQuota
  * @param {number} flashQuota
+ * @param {number} [embeddingQuota] Keeps the current value when omitted.
  * @returns {Promise<void>}
  */
-async function setCategoryQuotas(proQuota, flashQuota) {
+async function setCategoryQuotas(proQuota, flashQuota, embeddingQuota) {
     if (typeof proQuota !== 'number' || typeof flashQuota !== 'number' || proQuota < 0 || flashQuota < 0) {
         throw new Error("Quotas must be non-negative numbers.");
     }
-
-    await runDb('BEGIN TRANSACTION');
-    
-    try {
-        // Save directly with SQL to avoid nested transactions
-        const quotasObj = {
-            proQuota: Math.floor(proQuota),
-            flashQuota: Math.floor(flashQuota)
-        };
-        
-        await runDb('INSERT OR REPLACE INTO settings (key, value) VALUES (?, ?)', 
-            ['category_quotas', JSON.stringify(quotasObj)]);
-        
-        // Commit the transaction
-        await runDb('COMMIT');
-        
-        // Sync updates to GitHub outside transaction
-        await syncToGitHub();
-    } catch (error) {
-        // Rollback on error
-        await runDb('ROLLBACK');
-        throw error;
+    if (embeddingQuota !== undefined && (typeof embeddingQuota !== 'number' || embeddingQuota < 0)) {
+        throw new Error("Quotas must be non-negative numbers.");
+    }
+    if (embeddingQuota === undefined) {
+        embeddingQuota = (await getCategoryQuotas()).embeddingQuota;
     }
+
+    const quotasObj = {
+        proQuota: Math.floor(proQuota),
+        flashQuota: Math.floor(flashQuota),
+        embeddingQuota: Math.floor(embeddingQuota)
+    };
+    await setSetting('category_quotas', quotasObj, true);
+    categoryQuotasCache = null;
+    await syncToGitHub();
 }
 
 
 // --- Worker Keys ---
 
 /**
- * Gets all worker keys with their descriptions and safety settings.
- * @returns {Promise<Array<{key: string, description: string, safetyEnabled: boolean, createdAt: string}>>}
+ * Gets all worker keys with their descriptions, safety and response retention settings.
+ * @returns {Promise<Array<{key: string, description: string, safetyEnabled: boolean, responseRetentionDays: number | null, createdAt: string}>>}
  */
 async function getAllWorkerKeys() {
-    const rows = await allDb('SELECT api_key, description, safety_enabled, created_at FROM worker_keys ORDER BY created_at DESC');
+    const rows = await allDb('SELECT api_key, description, safety_enabled, response_retention_days, created_at FROM worker_keys ORDER BY created_at DESC');
     return rows.map(row => ({
         key: row.api_key,
         description: row.description || '',
         safetyEnabled: row.safety_enabled === 1, // Convert DB integer to boolean
+        responseRetentionDays: row.response_retention_days ?? null, // null means the default retention
         createdAt: row.created_at
     }));
 }
@@ -297,6 +423,16 @@ async function getWorkerKeySafetySetting(apiKey) {
      return row ? row.safety_enabled === 1 : true;
 }
 
+/**
+ * Gets how many days /v1/responses results created with a worker key are kept.
+ * @param {string} apiKey The worker API key.
+ * @returns {Promise<number | null>} The number of days (0 means responses are not stored), or null for the default.
+ */
+async function getWorkerKeyResponseRetention(apiKey) {
+    const row = await getDb('SELECT response_retention_days FROM worker_keys WHERE api_key = ?', [apiKey]);
+    return row?.response_retention_days ?? null;
+}
+
 
 /**
  * Adds a new worker key.
@@ -305,30 +441,21 @@ async function getWorkerKeySafetySetting(apiKey) {
  * @returns {Promise<void>}
  */
 async function addWorkerKey(apiKey, description = '') {
-    await runDb('BEGIN TRANSACTION');
-    
+    const sql = `
+        INSERT INTO worker_keys (api_key, description, safety_enabled, created_at)
+        VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+    `;
     try {
-        const sql = `
-            INSERT INTO worker_keys (api_key, description, safety_enabled, created_at)
-            VALUES (?, ?, ?, CURRENT_TIMESTAMP)
-        `;
-        
         await runDb(sql, [apiKey, description, 1]); // Default safety_enabled to true (1)
-        
-        // Commit transaction
-        await runDb('COMMIT');
-        
-        // Sync updates to GitHub (outside transaction)
-        await syncToGitHub();
     } catch (err) {
-        // Rollback on error
-        await runDb('ROLLBACK');
-        
         if (err.code === 'SQLITE_CONSTRAINT') { // Handle potential unique constraint violation
             throw new Error(`Worker key '${apiKey}' already exists.`);
         }
         throw err; // Re-throw other errors
     }
+
+    // Sync updates to GitHub
+    await syncToGitHub();
 }
 
 /**
@@ -338,25 +465,40 @@ async function addWorkerKey(apiKey, description = '') {
  * @returns {Promise<void>}
  */
 async function updateWorkerKeySafety(apiKey, safetyEnabled) {
-    await runDb('BEGIN TRANSACTION');
-    
-    try {
-        const sql = `UPDATE worker_keys SET safety_enabled = ? WHERE api_key = ?`;
-        const result = await runDb(sql, [safetyEnabled ? 1 : 0, apiKey]);
-        
+    const sql = `UPDATE worker_keys SET safety_enabled = ? WHERE api_key = ?`;
+    const result = await runDb(sql, [safetyEnabled ? 1 : 0, apiKey]);
+    if (result.changes === 0) {
+        throw new Error(`Worker key '${apiKey}' not found for updating safety settings.`);
+    }
+
+    // Sync updates to GitHub
+    await syncToGitHub();
+}
+
+/**
+ * Updates how many days /v1/responses results created with a worker key are kept.
+ * @param {string} apiKey
+ * @param {number | null} retentionDays A non-negative integer, 0 to stop storing responses, or null for the default.
+ * @returns {Promise<void>}
+ */
+async function updateWorkerKeyResponseRetention(apiKey, retentionDays) {
+    if (retentionDays !== null && (!Number.isInteger(retentionDays) || retentionDays < 0)) {
+        throw new Error('Response retention must be a non-negative integer number of days.');
+    }
+
+    await withTransaction(async () => {
+        const result = await runDb('UPDATE worker_keys SET response_retention_days = ? WHERE api_key = ?', [retentionDays, apiKey]);
         if (result.changes === 0) {
-            await runDb('ROLLBACK');
-            throw new Error(`Worker key '${apiKey}' not found for updating safety settings.`);
+            throw new Error(`Worker key '${apiKey}' not found for updating response retention.`);
         }
-        
-        await runDb('COMMIT');
-        
-        // Sync updates to GitHub (outside transaction)
-        await syncToGitHub();
-    } catch (error) {
-        await runDb('ROLLBACK');
-        throw error;
-    }
+        if (retentionDays === 0) {
+            // Nothing may be kept any more, so drop what is already stored
+            await runDb('DELETE FROM stored_responses WHERE worker_key = ?', [apiKey]);
+        }
+    });
+
+    // Sync updates to GitHub
+    await syncToGitHub();
 }
 
 
@@ -366,24 +508,17 @@ async function updateWorkerKeySafety(apiKey, safetyEnabled) {
  * @returns {Promise<void>}
  */
 async function deleteWorkerKey(apiKey) {
-    await runDb('BEGIN TRANSACTION');
-    
-    try {
+    await withTransaction(async () => {
         const result = await runDb('DELETE FROM worker_keys WHERE api_key = ?', [apiKey]);
-        
         if (result.changes === 0) {
-            await runDb('ROLLBACK');
             throw new Error(`Worker key '${apiKey}' not found for deletion.`);
         }
-        
-        await runDb('COMMIT');
-        
-        // Sync updates to GitHub (outside transaction)
-        await syncToGitHub();
-    } catch (error) {
-        await runDb('ROLLBACK');
-        throw error;
-    }
+        // Responses stored for the key can no longer be retrieved by anyone
+        await runDb('DELETE FROM stored_responses WHERE worker_key = ?', [apiKey]);
+    });
+
+    // Sync updates to GitHub (outside transaction)
+    await syncToGitHub();
 }
 
 
@@ -406,25 +541,7 @@ async function getGitHubConfig() {
  * @returns {Promise<void>}
  */
 async function setGitHubConfig(repo, token, dbPath = './database.db', encryptKey = null) {
-    await runDb('BEGIN TRANSACTION');
-    
-    try {
-        // Save directly with SQL to avoid nested transactions
-        const configObj = { repo, token, dbPath, encryptKey };
-        
-        await runDb('INSERT OR REPLACE INTO settings (key, value) VALUES (?, ?)', 
-            ['github_config', JSON.stringify(configObj)]);
-        
-        // Commit the transaction
-        await runDb('COMMIT');
-        
-        // Sync updates to GitHub outside transaction
-        await syncToGitHub();
-    } catch (error) {
-        // Rollback on error
-        await runDb('ROLLBACK');
-        throw error;
-    }
+    await setSetting('github_config', { repo, token, dbPath, encryptKey });
 }
 
 
@@ -447,8 +564,11 @@ module.exports = {
     getWorkerKeySafetySetting,
     addWorkerKey,
     updateWorkerKeySafety,
+    getWorkerKeyResponseRetention,
+    updateWorkerKeyResponseRetention,
     deleteWorkerKey,
     // DB helpers (optional export if needed elsewhere)
+    withTransaction,
     runDb,
     getDb,
     allDb,
@@ -0,0 +1,154 @@
+const configService = require('./configService');
+const geminiProxyService = require('./geminiProxyService');
+const rateLimitService = require('./rateLimitService');
+
+// batchEmbedContents accepts at most 100 requests per call
+const MAX_EMBED_BATCH_SIZE = 100;
+
+/**
+ * Builds an OpenAI-style invalid_request_error result.
+ * @param {string} message
+ * @param {string} [param] The request field that caused the error.
+ * @returns {{ error: object; status: number }}
+ */
+function invalidRequest(message, param) {
+    return { error: { message, type: 'invalid_request_error', param: param || null, code: null }, status: 400 };
+}
+
+/**
+ * Normalizes the OpenAI `input` field into a list of strings.
+ * Token arrays (number[] or number[][]) can't be mapped onto Gemini, so they are rejected.
+ * @param {any} input The `input` value from the OpenAI request.
+ * @returns {{ texts: string[] } | { error: object; status: number }}
+ */
+function normalizeEmbeddingInput(input) {
+    if (typeof input === 'string') {
+        return input.length > 0
+            ? { texts: [input] }
+            : invalidRequest("'input' cannot be an empty string.", 'input');
+    }
+    if (!Array.isArray(input) || input.length === 0) {
+        return invalidRequest("'input' must be a non-empty string or array of strings.", 'input');
+    }
+    if (input.some(item => typeof item === 'number' || Array.isArray(item))) {
+        return invalidRequest("Token array inputs are not supported by the Gemini embeddings backend. Send the input as text instead.", 'input');
+    }
+    if (input.some(item => typeof item !== 'string' || item.length === 0)) {
+        return invalidRequest("Every item in 'input' must be a non-empty string.", 'input');
+    }
+    return { texts: input };
+}
+
+/**
+ * Encodes an embedding vector in the requested OpenAI format.
+ * `base64` matches OpenAI: the little-endian float32 bytes of the vector.
+ * @param {number[]} values
+ * @param {'float' | 'base64'} encodingFormat
+ * @returns {number[] | string}
+ */
+function encodeEmbedding(values, encodingFormat) {
+    if (encodingFormat === 'base64') {
+        return Buffer.from(new Float32Array(values).buffer).toString('base64');
+    }
+    return values;
+}
+
+/**
+ * Handles OpenAI-compatible embeddings requests using Gemini embedContent/batchEmbedContents.
+ * Inputs larger than one batch are split into several upstream calls, each with its own rotated key.
+ * @param {object} openAIRequestBody The OpenAI embeddings request body.
+ * @returns {Promise<{ response: object; selectedKeyId: string } | { error: object; status: number }>}
+ */
+async function proxyEmbeddings(openAIRequestBody) {
+    const requestedModelId = openAIRequestBody?.model;
+    if (!requestedModelId || typeof requestedModelId !== 'string') {
+        return invalidRequest("Missing 'model' field in request body", 'model');
+    }
+
+    const normalized = normalizeEmbeddingInput(openAIRequestBody.input);
+    if (normalized.error) {
+        return normalized;
+    }
+
+    const encodingFormat = openAIRequestBody.encoding_format ?? 'float';
+    if (encodingFormat !== 'float' && encodingFormat !== 'base64') {
+        return invalidRequest("'encoding_format' must be either 'float' or 'base64'.", 'encoding_format');
+    }
+
+    const dimensions = openAIRequestBody.dimensions;
+    if (dimensions !== undefined && (!Number.isInteger(dimensions) || dimensions <= 0)) {
+        return invalidRequest("'dimensions' must be a positive integer.", 'dimensions');
+    }
+
+    try {
+        // Clients built against Gemini docs sometimes send the resource name
+        const modelId = requestedModelId.replace(/^models\//, '');
+        const modelsConfig = await configService.getModelsConfig();
+        const modelInfo = modelsConfig[modelId];
+        if (!modelInfo) {
+            return { error: { message: `Model '${modelId}' is not configured in the proxy.` }, status: 400 };
+        }
+
+        const buildEmbedRequest = (text) => ({
+            model: `models/${modelId}`,
+            content: { parts: [{ text }] },
+            ...(dimensions !== undefined && { outputDimensionality: dimensions }),
+        });
+
+        const embeddings = [];
+        let selectedKeyId;
+
+        for (let offset = 0; offset < normalized.texts.length; offset += MAX_EMBED_BATCH_SIZE) {
+            const batch = normalized.texts.slice(offset, offset + MAX_EMBED_BATCH_SIZE);
+            const isSingle = normalized.texts.length === 1;
+
+            console.log(`Embedding ${batch.length} input(s) with model ${modelId} (offset ${offset} of ${normalized.texts.length})`);
+            const result = await geminiProxyService.executeWithKeyRotation(modelId, modelInfo.category, (selectedKey) =>
+                isSingle
+                    ? geminiProxyService.fetchGemini(`/v1beta/models/${modelId}:embedContent`, selectedKey, { body: buildEmbedRequest(batch[0]) })
+                    : geminiProxyService.fetchGemini(`/v1beta/models/${modelId}:batchEmbedContents`, selectedKey, { body: { requests: batch.map(buildEmbedRequest) } }),
+                { estimatedTokens: rateLimitService.estimateTokens(batch) }
+            );
+            if (result.error) {
+                return result;
+            }
+
+            const geminiJson = await result.response.json();
+            const vectors = isSingle ? [geminiJson.embedding] : (geminiJson.embeddings || []);
+            if (vectors.length !== batch.length || vectors.some(v => !Array.isArray(v?.values))) {
+                console.error("Unexpected Gemini embeddings response:", JSON.stringify(geminiJson).substring(0, 500));
+                return { error: { message: 'Gemini returned an unexpected embeddings response.', type: 'proxy_error' }, status: 502 };
+            }
+            vectors.forEach(vector => embeddings.push(vector.values));
+            selectedKeyId = result.selectedKeyId;
+        }
+
+        return {
+            response: {
+                object: 'list',
+                data: embeddings.map((values, index) => ({
+                    object: 'embedding',
+                    index: index,
+                    embedding: encodeEmbedding(values, encodingFormat),
+                })),
+                model: requestedModelId,
+                // Gemini does not report token counts for embeddings
+                usage: { prompt_tokens: 0, total_tokens: 0 },
+            },
+            selectedKeyId: selectedKeyId
+        };
+    } catch (error) {
+        console.error("Error processing embeddings request:", error);
+        return {
+            error: {
+                message: `Internal Proxy Error: ${error.message}`,
+                type: 'proxy_internal_error'
+            },
+            status: 500
+        };
+    }
+}
+
+module.exports = {
+    proxyEmbeddings,
+};
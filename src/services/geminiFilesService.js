@@ -0,0 +1,256 @@
+const configService = require('./configService');
+const geminiKeyService = require('./geminiKeyService');
+// geminiProxyService requires this module for file key affinity, so it is loaded lazily to avoid a circular import
+const getGeminiProxyService = () => require('./geminiProxyService');
+
+// Gemini keeps uploaded files for 48 hours
+const FILE_TTL_MS = 48 * 60 * 60 * 1000;
+const MAX_UPLOAD_ATTEMPTS = 3;
+
+/**
+ * Builds an OpenAI-style error result.
+ * @param {number} status
+ * @param {string} message
+ * @param {string} [param]
+ * @returns {{ error: object; status: number }}
+ */
+function fileError(status, message, param) {
+    return { error: { message, type: 'invalid_request_error', param: param || null, code: status === 404 ? 'file_not_found' : null }, status };
+}
+
+/**
+ * Accepts OpenAI file IDs with or without the Gemini `files/` prefix.
+ * @param {string} fileId
+ * @returns {string}
+ */
+function normalizeFileId(fileId) {
+    return String(fileId || '').replace(/^files\//, '');
+}
+
+const toUnixSeconds = (isoString) => Math.floor(new Date(isoString).getTime() / 1000);
+
+/**
+ * Converts a gemini_files row into an OpenAI file object.
+ * @param {object} row
+ * @returns {object}
+ */
+function toOpenAiFile(row) {
+    return {
+        id: row.id,
+        object: 'file',
+        bytes: row.bytes,
+        created_at: toUnixSeconds(row.created_at),
+        expires_at: toUnixSeconds(row.expires_at),
+        filename: row.filename,
+        purpose: row.purpose,
+        status: 'processed',
+        status_details: null,
+    };
+}
+
+/**
+ * Removes the records of files Gemini has already deleted.
+ * @returns {Promise<void>}
+ */
+async function purgeExpiredFiles() {
+    await configService.runDb('DELETE FROM gemini_files WHERE expires_at <= ?', [new Date().toISOString()]);
+}
+
+/**
+ * Uploads a file to the Gemini Files API with the next key in rotation and records that key as its owner.
+ * @param {string} workerApiKey The worker key the file will belong to.
+ * @param {Buffer} buffer The file content.
+ * @param {object} metadata
+ * @param {string} metadata.filename
+ * @param {string} metadata.mimeType
+ * @param {string} metadata.purpose The OpenAI purpose, stored as is.
+ * @returns {Promise<{ response: object; selectedKeyId: string } | { error: object; status: number }>}
+ */
+async function uploadFile(workerApiKey, buffer, { filename, mimeType, purpose }) {
+    if (!buffer || buffer.length === 0) {
+        return fileError(400, "'file' is required and cannot be empty.", 'file');
+    }
+    if (!purpose) {
+        return fileError(400, "'purpose' is required.", 'purpose');
+    }
+
+    let lastError = null;
+    for (let attempt = 1; attempt <= MAX_UPLOAD_ATTEMPTS; attempt++) {
+        const selectedKey = await geminiKeyService.getNextAvailableGeminiKey(null);
+        if (!selectedKey) {
+            return lastError
+                ? { error: { message: `File upload failed: ${lastError.message}`, type: 'upstream_error' }, status: 502 }
+                : { error: { message: "No available Gemini API Key configured or all keys are currently rate-limited/invalid." }, status: 503 };
+        }
+
+        try {
+            const file = await getGeminiProxyService().uploadToGeminiFiles(selectedKey, buffer, mimeType, filename);
+            const createdAt = file.createTime || new Date().toISOString();
+            const row = {
+                id: normalizeFileId(file.name),
+                key_id: selectedKey.id,
+                worker_key: workerApiKey,
+                uri: file.uri,
+                filename: filename,
+                mime_type: file.mimeType || mimeType,
+                bytes: parseInt(file.sizeBytes, 10) || buffer.length,
+                purpose: purpose,
+                created_at: createdAt,
+                expires_at: file.expirationTime || new Date(new Date(createdAt).getTime() + FILE_TTL_MS).toISOString(),
+            };
+            await configService.runDb(
+                `INSERT OR REPLACE INTO gemini_files (id, key_id, worker_key, uri, filename, mime_type, bytes, purpose, created_at, expires_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [row.id, row.key_id, row.worker_key, row.uri, row.filename, row.mime_type, row.bytes, row.purpose, row.created_at, row.expires_at]
+            );
+            console.log(`Recorded file ${row.id} (${row.filename}) owned by key ${selectedKey.id}.`);
+            return { response: toOpenAiFile(row), selectedKeyId: selectedKey.id };
+        } catch (error) {
+            console.error(`Attempt ${attempt}: Uploading ${filename} with key ${selectedKey.id} failed:`, error.message);
+            lastError = error;
+        }
+    }
+    return { error: { message: `File upload failed: ${lastError.message}`, type: 'upstream_error' }, status: 502 };
+}
+
+/**
+ * Lists the worker key's files that haven't expired yet, newest first unless `order` is 'asc'.
+ * @param {string} workerApiKey
+ * @param {object} [options]
+ * @param {string} [options.purpose] Only return files with this purpose.
+ * @param {number} [options.limit=10000]
+ * @param {'asc' | 'desc'} [options.order='desc']
+ * @param {string} [options.after] Cursor: the ID of the last file of the previous page.
+ * @returns {Promise<object>} An OpenAI list object.
+ */
+async function listFiles(workerApiKey, { purpose, limit = 10000, order = 'desc', after } = {}) {
+    await purgeExpiredFiles();
+    const direction = order === 'asc' ? 'ASC' : 'DESC';
+    let rows = await configService.allDb(
+        `SELECT * FROM gemini_files WHERE worker_key = ? ${purpose ? 'AND purpose = ?' : ''} ORDER BY created_at ${direction}, id ${direction}`,
+        purpose ? [workerApiKey, purpose] : [workerApiKey]
+    );
+    if (after) {
+        const cursor = rows.findIndex(row => row.id === normalizeFileId(after));
+        rows = cursor === -1 ? rows : rows.slice(cursor + 1);
+    }
+    const pageSize = Math.max(1, Math.min(parseInt(limit, 10) || 10000, 10000));
+    const page = rows.slice(0, pageSize).map(toOpenAiFile);
+    return {
+        object: 'list',
+        data: page,
+        first_id: page[0]?.id || null,
+        last_id: page[page.length - 1]?.id || null,
+        has_more: rows.length > pageSize,
+    };
+}
+
+/**
+ * Looks up the record of a file, if it belongs to the worker key.
+ * @param {string} workerApiKey
+ * @param {string} fileId
+ * @returns {Promise<object | null>} The gemini_files row, or null when unknown, expired or owned by another worker key.
+ */
+async function getFileRecord(workerApiKey, fileId) {
+    const row = await configService.getDb('SELECT * FROM gemini_files WHERE id = ? AND worker_key = ?', [normalizeFileId(fileId), workerApiKey]);
+    if (!row || new Date(row.expires_at) <= new Date()) {
+        return null;
+    }
+    return row;
+}
+
+/**
+ * Retrieves an OpenAI file object.
+ * @param {string} workerApiKey
+ * @param {string} fileId
+ * @returns {Promise<{ response: object } | { error: object; status: number }>}
+ */
+async function retrieveFile(workerApiKey, fileId) {
+    const row = await getFileRecord(workerApiKey, fileId);
+    if (!row) {
+        return fileError(404, `No such File object: ${fileId}`, 'file_id');
+    }
+    return { response: toOpenAiFile(row) };
+}
+
+/**
+ * Deletes a file of the worker key from the Gemini Files API (with its owning key) and removes its record.
+ * @param {string} workerApiKey
+ * @param {string} fileId
+ * @returns {Promise<{ response: object } | { error: object; status: number }>}
+ */
+async function deleteFile(workerApiKey, fileId) {
+    const id = normalizeFileId(fileId);
+    const row = await configService.getDb('SELECT * FROM gemini_files WHERE id = ? AND worker_key = ?', [id, workerApiKey]);
+    if (!row) {
+        return fileError(404, `No such File object: ${fileId}`, 'file_id');
+    }
+
+    const ownerKey = await geminiKeyService.getGeminiKeyById(row.key_id);
+    if (ownerKey) {
+        const response = await getGeminiProxyService().fetchGemini(`/v1beta/files/${encodeURIComponent(id)}`, ownerKey, { method: 'DELETE' });
+        // 404 means Gemini already removed it (e.g. it expired)
+        if (!response.ok && response.status !== 404) {
+            const errorText = await response.text();
+            console.error(`Deleting Gemini file ${id} failed: ${response.status}`, errorText);
+            return { error: { message: `Gemini API error while deleting file: ${errorText}`, type: `gemini_api_error_${response.status}` }, status: response.status };
+        }
+    } else {
+        console.warn(`Owning key ${row.key_id} of file ${id} no longer exists, only removing the record.`);
+    }
+
+    await configService.runDb('DELETE FROM gemini_files WHERE id = ?', [id]);
+    return { response: { id: id, object: 'file', deleted: true } };
+}
+
+/**
+ * Finds the key a chat request has to use because it references uploaded files.
+ * @param {string} workerApiKey The worker key making the request.
+ * @param {string[]} fileIds The `file_id`s referenced by the request.
+ * @returns {Promise<{ keyId: string | null; files: object[] } | { error: object; status: number }>}
+ *          keyId is null when none of the files were uploaded through the proxy.
+ */
+async function resolveFileKeyAffinity(workerApiKey, fileIds) {
+    const files = [];
+    for (const fileId of new Set(fileIds.map(normalizeFileId))) {
+        const row = await configService.getDb('SELECT * FROM gemini_files WHERE id = ?', [fileId]);
+        if (!row) continue; // Not uploaded through the proxy, passed on as is
+        // Rejected rather than passed on, which could still reach the file when its owning key gets picked
+        if (row.worker_key !== workerApiKey) {
+            return fileError(404, `No such File object: ${fileId}`, 'messages');
+        }
+        if (new Date(row.expires_at) <= new Date()) {
+            return fileError(400, `File ${fileId} expired at ${row.expires_at}. Upload it again.`, 'messages');
+        }
+        files.push(row);
+    }
+
+    const keyIds = [...new Set(files.map(file => file.key_id))];
+    if (keyIds.length > 1) {
+        return fileError(400, `The referenced files were uploaded with different API keys and can't be used in the same request: ${files.map(file => file.id).join(', ')}.`, 'messages');
+    }
+    return { keyId: keyIds[0] || null, files };
+}
+
+/**
+ * Lists all file records with the name of their owning key, for the admin panel.
+ * @returns {Promise<Array<object>>}
+ */
+async function getAllFilesForAdmin() {
+    await purgeExpiredFiles();
+    return configService.allDb(`
+        SELECT f.id, f.filename, f.mime_type AS mimeType, f.bytes, f.purpose, f.key_id AS keyId,
+               k.name AS keyName, f.created_at AS createdAt, f.expires_at AS expiresAt
+        FROM gemini_files f LEFT JOIN gemini_keys k ON k.id = f.key_id
+        ORDER BY f.expires_at ASC
+    `);
+}
+
+module.exports = {
+    uploadFile,
+    listFiles,
+    retrieveFile,
+    deleteFile,
+    resolveFileKeyAffinity,
+    getAllFilesForAdmin,
+};
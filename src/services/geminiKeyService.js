@@ -1,8 +1,39 @@
-const { db, syncToGitHub } = require('../db');
+const { syncToGitHub, registerShutdownHook } = require('../db');
 const configService = require('./configService'); // Use configService for DB helpers and settings
+const keyStateStore = require('./keyStateStore');
+const rateLimitService = require('./rateLimitService');
+const keyCooldownService = require('./keyCooldownService');
 const { getTodayInLA } = require('../utils/helpers');
+const { pickKey, findRoundRobinKey } = require('../utils/keySelection');
 const crypto = require('crypto'); // For generating key IDs
 
+// Key usage, rotation and error state live in memory (see keyStateStore) and are written to the
+// database in one batch at this interval, and on shutdown
+const KEY_STATE_FLUSH_INTERVAL_MS = parseInt(process.env.KEY_STATE_FLUSH_INTERVAL_MS, 10) || 10000;
+
+/**
+ * Writes pending key state changes to the database and syncs it to GitHub if anything changed.
+ * @returns {Promise<void>}
+ */
+async function flushKeyState() {
+    if (await keyStateStore.flush()) {
+        await syncToGitHub();
+    }
+}
+
+setInterval(() => {
+    flushKeyState().catch(err => console.error('Error flushing Gemini key state:', err));
+}, KEY_STATE_FLUSH_INTERVAL_MS).unref();
+
+registerShutdownHook(async () => {
+    try {
+        await flushKeyState();
+        console.log('Flushed Gemini key state before shutdown.');
+    } catch (err) {
+        console.error('Error flushing Gemini key state before shutdown:', err);
+    }
+});
+
 // --- Gemini Key CRUD Operations ---
 
 /**
@@ -30,14 +61,13 @@ async function addGeminiKey(apiKey, name) {
     `;
 
     try {
-        // Insert the key first
-        await configService.runDb(insertSQL, [keyId, trimmedApiKey, keyName]);
-
-        // Use transaction for updating the key list
-        await configService.runDb('BEGIN TRANSACTION');
-        
-        try {
-            // Get the current list directly with SQL to avoid nested transactions
+        // Load the key state first, so the new key is added to the loaded state instead of being loaded with it
+        await keyStateStore.ready();
+
+        // Insert the key and add it to the rotation list in one transaction
+        await configService.withTransaction(async () => {
+            await configService.runDb(insertSQL, [keyId, trimmedApiKey, keyName]);
+
             const currentListValue = await configService.getDb('SELECT value FROM settings WHERE key = ?', ['gemini_key_list']);
             let currentList = [];
             
@@ -58,22 +88,15 @@ async function addGeminiKey(apiKey, name) {
             // Update the list directly with SQL
             await configService.runDb('INSERT OR REPLACE INTO settings (key, value) VALUES (?, ?)', 
                 ['gemini_key_list', JSON.stringify(currentList)]);
-            
-            // Commit the transaction
-            await configService.runDb('COMMIT');
-            
-            console.log(`Added key ${keyId} to database and rotation list.`);
-            
-            // Sync updates to GitHub outside transaction
-            await syncToGitHub();
-            
-            return { id: keyId, name: keyName };
-        } catch (error) {
-            // Rollback transaction on error
-            await configService.runDb('ROLLBACK');
-            console.error(`Transaction error while updating gemini_key_list:`, error);
-            throw error;
-        }
+        });
+
+        keyStateStore.addKey(await configService.getDb('SELECT * FROM gemini_keys WHERE id = ?', [keyId]));
+        console.log(`Added key ${keyId} to database and rotation list.`);
+
+        // Sync updates to GitHub outside transaction
+        await syncToGitHub();
+
+        return { id: keyId, name: keyName };
     } catch (err) {
         if (err.message.includes('UNIQUE constraint failed: gemini_keys.api_key')) {
             throw new Error('Cannot add duplicate API key.');
@@ -93,79 +116,96 @@ async function deleteGeminiKey(keyId) {
         throw new Error('Invalid key ID provided for deletion.');
     }
     const trimmedKeyId = keyId.trim();
+    await keyStateStore.ready();
 
-    // Use transaction to wrap the entire deletion process to ensure atomicity
-    await configService.runDb('BEGIN TRANSACTION');
-    
     try {
-        // Check if key exists before deleting
-        const keyExists = await configService.getDb('SELECT id FROM gemini_keys WHERE id = ?', [trimmedKeyId]);
-        if (!keyExists) {
-            await configService.runDb('ROLLBACK');
-            throw new Error(`Key with ID '${trimmedKeyId}' not found.`);
-        }
+        // One transaction, so the key never stays in the rotation list without its row or the other way round
+        await configService.withTransaction(async () => {
+            // Check if key exists before deleting
+            const keyExists = await configService.getDb('SELECT id FROM gemini_keys WHERE id = ?', [trimmedKeyId]);
+            if (!keyExists) {
+                throw new Error(`Key with ID '${trimmedKeyId}' not found.`);
+            }
 
-        // Delete key info from DB
-        await configService.runDb('DELETE FROM gemini_keys WHERE id = ?', [trimmedKeyId]);
+            // Delete key info from DB
+            await configService.runDb('DELETE FROM gemini_keys WHERE id = ?', [trimmedKeyId]);
+            // Files uploaded with the key can't be used with any other key
+            await configService.runDb('DELETE FROM gemini_files WHERE key_id = ?', [trimmedKeyId]);
+            await configService.runDb('DELETE FROM key_health_checks WHERE key_id = ?', [trimmedKeyId]);
 
-        // Remove key ID from the rotation list - get the latest list state
-        const currentListValue = await configService.getDb('SELECT value FROM settings WHERE key = ?', ['gemini_key_list']);
-        let currentList = [];
-        try {
-            currentList = currentListValue ? JSON.parse(currentListValue.value) : [];
+            // Remove key ID from the rotation list - get the latest list state
+            const currentListValue = await configService.getDb('SELECT value FROM settings WHERE key = ?', ['gemini_key_list']);
+            let currentList = [];
+            try {
+                currentList = currentListValue ? JSON.parse(currentListValue.value) : [];
+            } catch (e) {
+                console.warn("Error parsing gemini_key_list, resetting index:", e);
+                currentList = null;
+            }
             if (!Array.isArray(currentList)) {
                 console.warn("Setting 'gemini_key_list' is not an array during delete, resetting index.");
-                // Update the index directly within transaction
                 await configService.runDb('INSERT OR REPLACE INTO settings (key, value) VALUES (?, ?)', ['gemini_key_index', '0']);
-                await configService.runDb('COMMIT');
                 return; // Can't remove from a non-array list
             }
-        } catch (e) {
-            console.warn("Error parsing gemini_key_list, resetting index:", e);
-            await configService.runDb('INSERT OR REPLACE INTO settings (key, value) VALUES (?, ?)', ['gemini_key_index', '0']);
-            await configService.runDb('COMMIT');
-            return;
-        }
 
-        const initialLength = currentList.length;
-        const newList = currentList.filter(id => id !== trimmedKeyId);
+            const initialLength = currentList.length;
+            const newList = currentList.filter(id => id !== trimmedKeyId);
 
-        if (newList.length < initialLength) {
-            // Update the list directly with SQL
-            await configService.runDb('INSERT OR REPLACE INTO settings (key, value) VALUES (?, ?)', 
-                ['gemini_key_list', JSON.stringify(newList)]);
-            console.log(`Removed key ${trimmedKeyId} from rotation list.`);
+            if (newList.length < initialLength) {
+                // Update the list directly with SQL
+                await configService.runDb('INSERT OR REPLACE INTO settings (key, value) VALUES (?, ?)', 
+                    ['gemini_key_list', JSON.stringify(newList)]);
+                console.log(`Removed key ${trimmedKeyId} from rotation list.`);
 
-            // Get the latest index state and adjust if needed
-            const indexValue = await configService.getDb('SELECT value FROM settings WHERE key = ?', ['gemini_key_index']);
-            let currentIndex = 0;
-            try {
-                currentIndex = indexValue ? parseInt(indexValue.value) : 0;
+                // Get the latest index state and adjust if needed
+                const indexValue = await configService.getDb('SELECT value FROM settings WHERE key = ?', ['gemini_key_index']);
+                let currentIndex = indexValue ? parseInt(indexValue.value, 10) : 0;
                 if (isNaN(currentIndex)) currentIndex = 0;
-            } catch (e) {
-                currentIndex = 0;
-            }
 
-            if (newList.length === 0 || currentIndex >= newList.length) {
-                // Reset index if list is empty or index is out of bounds
-                await configService.runDb('INSERT OR REPLACE INTO settings (key, value) VALUES (?, ?)', ['gemini_key_index', '0']);
+                if (newList.length === 0 || currentIndex >= newList.length) {
+                    // Reset index if list is empty or index is out of bounds
+                    await configService.runDb('INSERT OR REPLACE INTO settings (key, value) VALUES (?, ?)', ['gemini_key_index', '0']);
+                }
+            } else {
+                console.warn(`Key ID ${trimmedKeyId} was not found in the rotation list.`);
             }
-        } else {
-            console.warn(`Key ID ${trimmedKeyId} was not found in the rotation list.`);
-        }
-        
-        // All operations completed successfully, commit the transaction
-        await configService.runDb('COMMIT');
-        console.log(`Deleted Gemini key ${trimmedKeyId} from database.`);
-        
-        // GitHub sync outside the transaction (doesn't affect atomicity)
-        await syncToGitHub();
+        });
     } catch (error) {
-        // If any error occurs during the process, rollback the transaction
-        await configService.runDb('ROLLBACK');
         console.error(`Error deleting Gemini key ${trimmedKeyId}:`, error);
         throw error; // Re-throw the error for upstream handling
     }
+
+    keyStateStore.removeKey(trimmedKeyId);
+    console.log(`Deleted Gemini key ${trimmedKeyId} from database.`);
+
+    // GitHub sync outside the transaction (doesn't affect atomicity)
+    await syncToGitHub();
+}
+
+/**
+ * Looks up a single key, for requests that have to use a specific key (e.g. one owning an uploaded file).
+ * @param {string} keyId
+ * @returns {Promise<{ id: string; key: string; errorStatus: number | null } | null>} null when the key doesn't exist.
+ */
+async function getGeminiKeyById(keyId) {
+    await keyStateStore.ready();
+    const keyInfo = keyStateStore.getKey(keyId);
+    return keyInfo ? { id: keyInfo.id, key: keyInfo.apiKey, errorStatus: keyInfo.errorStatus } : null;
+}
+
+/**
+ * Lists all keys with their API key values, for jobs that call Gemini with every key (e.g. health checks).
+ * @returns {Promise<Array<{ id: string; name: string; key: string; errorStatus: number | null; tier: string | null }>>}
+ */
+async function listGeminiKeys() {
+    await keyStateStore.ready();
+    return keyStateStore.getAllKeys().map(keyInfo => ({
+        id: keyInfo.id,
+        name: keyInfo.name,
+        key: keyInfo.apiKey,
+        errorStatus: keyInfo.errorStatus,
+        tier: keyInfo.tier,
+    }));
 }
 
 /**
@@ -176,83 +216,79 @@ async function getAllGeminiKeysWithUsage() {
     // Fetch models config and category quotas needed for display logic
     const [modelsConfig, categoryQuotas] = await Promise.all([
         configService.getModelsConfig(),
-        configService.getCategoryQuotas()
+        configService.getCategoryQuotas(),
+        keyStateStore.ready()
     ]);
 
-    const keys = await configService.allDb('SELECT * FROM gemini_keys ORDER BY created_at DESC');
+    const keys = keyStateStore.getAllKeys();
     const todayInLA = getTodayInLA();
 
-    return keys.map(keyRow => {
-        try {
-            const modelUsageDb = JSON.parse(keyRow.model_usage || '{}');
-            const categoryUsageDb = JSON.parse(keyRow.category_usage || '{}');
-            const consecutive429CountsDb = JSON.parse(keyRow.consecutive_429_counts || '{}');
-
-            const isQuotaReset = keyRow.usage_date !== todayInLA;
-
-            let displayModelUsage = {};
-             // Populate modelUsageData for all relevant models (Custom or Pro/Flash with individualQuota)
-            Object.entries(modelsConfig).forEach(([modelId, modelConfig]) => {
-                let quota = undefined;
-                let shouldInclude = false;
-
-                if (modelConfig.category === 'Custom') {
-                    quota = modelConfig.dailyQuota;
-                    shouldInclude = true; // Always include Custom models
-                } else if ((modelConfig.category === 'Pro' || modelConfig.category === 'Flash') && modelConfig.individualQuota) {
-                    quota = modelConfig.individualQuota;
-                    shouldInclude = true; // Include Pro/Flash if they have individualQuota
-                }
+    return keys.map(keyInfo => {
+        const isQuotaReset = keyInfo.usageDate !== todayInLA;
+
+        let displayModelUsage = {};
+         // Populate modelUsageData for all relevant models (Custom or Pro/Flash with individualQuota)
+        Object.entries(modelsConfig).forEach(([modelId, modelConfig]) => {
+            let quota = undefined;
+            let shouldInclude = false;
+
+            if (modelConfig.category === 'Custom') {
+                quota = modelConfig.dailyQuota;
+                shouldInclude = true; // Always include Custom models
+            } else if ((modelConfig.category === 'Pro' || modelConfig.category === 'Flash' || modelConfig.category === 'Embedding') && modelConfig.individualQuota) {
+                quota = modelConfig.individualQuota;
+                shouldInclude = true; // Include Pro/Flash/Embedding if they have individualQuota
+            }
 
-                if (shouldInclude) {
-                    const count = isQuotaReset ? 0 : (modelUsageDb[modelId] || 0);
-                    displayModelUsage[modelId] = {
-                        count: typeof count === 'number' ? count : 0, // Ensure count is a number
-                        quota: quota
-                    };
+            if (shouldInclude) {
+                const count = isQuotaReset ? 0 : (keyInfo.modelUsage[modelId] || 0);
+                displayModelUsage[modelId] = {
+                    count: typeof count === 'number' ? count : 0, // Ensure count is a number
+                    quota: quota
+                };
+            }
+        });
+
+
+        const displayCategoryUsage = isQuotaReset
+            ? { pro: 0, flash: 0, embedding: 0 }
+            : {
+                pro: keyInfo.categoryUsage.pro || 0,
+                flash: keyInfo.categoryUsage.flash || 0,
+                embedding: keyInfo.categoryUsage.embedding || 0
+              };
+
+        // Calculate overall usage for display (sum of category + custom model usage)
+        // This is just for display, not used for actual quota checks
+        let displayTotalUsage = 0;
+        if (!isQuotaReset) {
+            displayTotalUsage = (displayCategoryUsage.pro || 0) + (displayCategoryUsage.flash || 0) + (displayCategoryUsage.embedding || 0);
+            Object.entries(displayModelUsage).forEach(([modelId, usage]) => {
+                // Only add custom model usage if category is Custom
+                if (modelsConfig[modelId]?.category === 'Custom') {
+                     displayTotalUsage += usage.count;
                 }
             });
+        }
 
 
-            const displayCategoryUsage = isQuotaReset
-                ? { pro: 0, flash: 0 }
-                : {
-                    pro: categoryUsageDb.pro || 0,
-                    flash: categoryUsageDb.flash || 0
-                  };
-
-            // Calculate overall usage for display (sum of category + custom model usage)
-            // This is just for display, not used for actual quota checks
-            let displayTotalUsage = 0;
-            if (!isQuotaReset) {
-                displayTotalUsage = (displayCategoryUsage.pro || 0) + (displayCategoryUsage.flash || 0);
-                Object.values(displayModelUsage).forEach(usage => {
-                    // Only add custom model usage if category is Custom
-                    const modelId = Object.keys(displayModelUsage).find(key => displayModelUsage[key] === usage);
-                    if (modelId && modelsConfig[modelId]?.category === 'Custom') {
-                         displayTotalUsage += usage.count;
-                    }
-                });
-            }
-
-
-            return {
-                id: keyRow.id,
-                name: keyRow.name || keyRow.id,
-                keyPreview: `...${(keyRow.api_key || '').slice(-4)}`,
-                usage: displayTotalUsage, // Display calculated total usage
-                usageDate: keyRow.usage_date || 'N/A',
-                modelUsage: displayModelUsage,
-                categoryUsage: displayCategoryUsage,
-                categoryQuotas: categoryQuotas, // Pass fetched quotas for context
-                errorStatus: keyRow.error_status, // 401, 403, or null
-                consecutive429Counts: consecutive429CountsDb || {}
-            };
-        } catch (e) {
-            console.error(`Error processing key ${keyRow.id}:`, e);
-            return null; // Skip malformed keys
-        }
-    }).filter(k => k !== null);
+        return {
+            id: keyInfo.id,
+            name: keyInfo.name,
+            keyPreview: `...${(keyInfo.apiKey || '').slice(-4)}`,
+            usage: displayTotalUsage, // Display calculated total usage
+            usageDate: keyInfo.usageDate || 'N/A',
+            modelUsage: displayModelUsage,
+            categoryUsage: displayCategoryUsage,
+            categoryQuotas: categoryQuotas, // Pass fetched quotas for context
+            errorStatus: keyInfo.errorStatus, // 401, 403, or null
+            weight: keyInfo.weight,
+            tier: keyInfo.tier,
+            rateUsage: getKeyRateUsage(keyInfo, modelsConfig),
+            cooldowns: keyCooldownService.listCooldowns(keyInfo.id),
+            consecutive429Counts: { ...keyInfo.consecutive429Counts }
+        };
+    });
 }
 
 /**
@@ -260,43 +296,33 @@ async function getAllGeminiKeysWithUsage() {
  * @returns {Promise<Array<{id: string, name: string, error: number}>>}
  */
 async function getErrorKeys() {
-    const rows = await configService.allDb('SELECT id, name, error_status FROM gemini_keys WHERE error_status = 401 OR error_status = 403');
-    return rows.map(row => ({
-        id: row.id,
-        name: row.name || row.id,
-        error: row.error_status,
-    }));
+    await keyStateStore.ready();
+    return keyStateStore.getAllKeys()
+        .filter(keyInfo => keyInfo.errorStatus === 401 || keyInfo.errorStatus === 403)
+        .map(keyInfo => ({
+            id: keyInfo.id,
+            name: keyInfo.name,
+            error: keyInfo.errorStatus,
+        }));
 }
 
 /**
- * Clears the error status (sets to NULL) for a specific key.
+ * Clears the error status (sets to NULL) for a specific key and writes it to the database right away.
  * @param {string} keyId The ID of the key to clear the error for.
  * @returns {Promise<void>}
  */
 async function clearKeyError(keyId) {
-    await configService.runDb('BEGIN TRANSACTION');
-    
-    try {
-        const result = await configService.runDb('UPDATE gemini_keys SET error_status = NULL WHERE id = ?', [keyId]);
-        if (result.changes === 0) {
-            await configService.runDb('ROLLBACK');
-            throw new Error(`Key with ID '${keyId}' not found for clearing error status.`);
-        }
-        
-        await configService.runDb('COMMIT');
-        console.log(`Cleared error status for key ${keyId}.`);
-        
-        // Sync updates to GitHub - outside transaction
-        await syncToGitHub();
-    } catch (error) {
-        await configService.runDb('ROLLBACK');
-        console.error(`Error clearing error status for key ${keyId}:`, error);
-        throw error;
+    await keyStateStore.ready();
+    if (!keyStateStore.updateKey(keyId, key => { key.errorStatus = null; })) {
+        throw new Error(`Key with ID '${keyId}' not found for clearing error status.`);
     }
+    console.log(`Cleared error status for key ${keyId}.`);
+    await flushKeyState();
 }
 
 /**
- * Records a persistent error (401/403) for a key.
+ * Records a persistent error (401/403) for a key. Selection skips the key from the next request on;
+ * the status is written to the database with the next flush.
  * @param {string} keyId
  * @param {401 | 403} status
  * @returns {Promise<void>}
@@ -306,443 +332,454 @@ async function recordKeyError(keyId, status) {
         console.warn(`Attempted to record invalid error status ${status} for key ${keyId}.`);
         return;
     }
-    
-    // Use transaction to ensure atomicity
-    await configService.runDb('BEGIN TRANSACTION');
-    
     try {
-        const result = await configService.runDb(
-            'UPDATE gemini_keys SET error_status = ? WHERE id = ?',
-            [status, keyId]
-        );
-        
-        if (result.changes > 0) {
-            // Commit the transaction
-            await configService.runDb('COMMIT');
-            console.log(`Recorded error status ${status} for key ${keyId}.`);
-            
-            // Sync updates to GitHub (outside transaction)
-            await syncToGitHub();
-        } else {
-            // Commit anyway since no update was made (key not found)
-            await configService.runDb('COMMIT');
-            console.warn(`Cannot record error: Key info not found for ID: ${keyId}`);
-        }
+        await keyStateStore.ready();
     } catch (e) {
-        // Rollback on error
-        await configService.runDb('ROLLBACK');
         console.error(`Failed to record error status ${status} for key ${keyId}:`, e);
-        // Don't rethrow, recording error is secondary
+        return; // Don't rethrow, recording error is secondary
+    }
+    if (keyStateStore.updateKey(keyId, key => { key.errorStatus = status; })) {
+        console.log(`Recorded error status ${status} for key ${keyId}.`);
+    } else {
+        console.warn(`Cannot record error: Key info not found for ID: ${keyId}`);
     }
 }
 
 // --- Key Selection and Usage Update Logic ---
 
+// Strategies getNextAvailableGeminiKey can pick keys with, chosen in the admin panel:
+// - round-robin: keys in turn, the position is persisted in 'gemini_key_index'
+// - least-used: the key with the lowest usage today for the requested model's category (or Custom model)
+// - weighted: random, proportional to each key's weight; keys with weight 0 are never picked
+// - random: any available key
+// - sticky: the same key for the same conversation, so Gemini's implicit caching hits; requests
+//   without a conversation (e.g. embeddings) use round-robin
+const KEY_SELECTION_STRATEGIES = ['round-robin', 'least-used', 'weighted', 'random', 'sticky'];
+const DEFAULT_KEY_SELECTION_STRATEGY = 'round-robin';
+// Read on every key selection, so kept in memory once loaded; only setKeySelectionStrategy changes it
+let keySelectionStrategy = null;
+
 /**
- * Selects the next available Gemini API key using round-robin.
- * Skips keys with errors or quota limits reached.
- * @param {string} [requestedModelId] The model being requested, for quota checking.
- * @param {boolean} [updateIndex=true] Whether to update the index in the database. Set to false for read-only operations.
- * @returns {Promise<{ id: string; key: string } | null>} The selected key ID and value, or null if none available.
+ * Gets the configured key selection strategy.
+ * @returns {Promise<string>} One of KEY_SELECTION_STRATEGIES.
  */
-async function getNextAvailableGeminiKey(requestedModelId, updateIndex = true) {
-    try {
-        // 1. Get key list, current index, configs in parallel
-        const [allKeyIds, currentIndexSetting, modelsConfig, categoryQuotas] = await Promise.all([
-            configService.getSetting('gemini_key_list', []),
-            configService.getSetting('gemini_key_index', 0),
-            configService.getModelsConfig(),
-            configService.getCategoryQuotas()
-        ]);
+async function getKeySelectionStrategy() {
+    if (!keySelectionStrategy) {
+        const strategy = await configService.getSetting('key_selection_strategy', DEFAULT_KEY_SELECTION_STRATEGY);
+        keySelectionStrategy = KEY_SELECTION_STRATEGIES.includes(strategy) ? strategy : DEFAULT_KEY_SELECTION_STRATEGY;
+    }
+    return keySelectionStrategy;
+}
 
-        if (!Array.isArray(allKeyIds) || allKeyIds.length === 0) {
-            console.error("No Gemini keys configured in settings 'gemini_key_list'");
-            return null;
-        }
+/**
+ * Sets the key selection strategy.
+ * @param {string} strategy One of KEY_SELECTION_STRATEGIES.
+ * @returns {Promise<void>}
+ * @throws {Error} If the strategy is unknown.
+ */
+async function setKeySelectionStrategy(strategy) {
+    if (!KEY_SELECTION_STRATEGIES.includes(strategy)) {
+        throw new Error(`Key selection strategy must be one of: ${KEY_SELECTION_STRATEGIES.join(', ')}.`);
+    }
+    await configService.setSetting('key_selection_strategy', strategy);
+    keySelectionStrategy = strategy;
+    console.log(`Key selection strategy set to ${strategy}.`);
+}
 
-        // Use transaction for index updates to prevent race conditions
-        let selectedKeyData = null;
-        
-        // Start transaction if we're going to update the index
-        if (updateIndex) {
-            await configService.runDb('BEGIN TRANSACTION');
+/**
+ * Sets the weight of a key for the weighted selection strategy.
+ * @param {string} keyId
+ * @param {number} weight A non-negative integer, 0 keeps the key out of weighted selection.
+ * @returns {Promise<void>}
+ */
+async function setGeminiKeyWeight(keyId, weight) {
+    if (!Number.isInteger(weight) || weight < 0) {
+        throw new Error('Key weight must be a non-negative integer.');
+    }
+    await keyStateStore.ready();
+    if (!keyStateStore.updateKey(keyId, key => { key.weight = weight; })) {
+        throw new Error(`Key with ID '${keyId}' not found.`);
+    }
+    console.log(`Set weight of key ${keyId} to ${weight}.`);
+    await flushKeyState();
+}
+
+/**
+ * Sets the rate limit tier of a key, which selects the model limits in tierRateLimits.
+ * @param {string} keyId
+ * @param {string | null} tier A name without spaces, null or empty to use the models' default limits.
+ * @returns {Promise<void>}
+ */
+async function setGeminiKeyTier(keyId, tier) {
+    const tierValue = typeof tier === 'string' && tier.trim() !== '' ? tier.trim() : null;
+    if ((tier !== null && tier !== undefined && typeof tier !== 'string') || (tierValue && /\s/.test(tierValue))) {
+        throw new Error('Key tier must be a name without spaces.');
+    }
+    await keyStateStore.ready();
+    if (!keyStateStore.updateKey(keyId, key => { key.tier = tierValue; })) {
+        throw new Error(`Key with ID '${keyId}' not found.`);
+    }
+    console.log(`Set tier of key ${keyId} to ${tierValue ?? '(none)'}.`);
+    await flushKeyState();
+}
+
+/**
+ * Collects a key's per-minute usage for the models that limit it or that it was used with in the last minute.
+ * @param {import('./keyStateStore').KeyState} keyInfo
+ * @param {object} modelsConfig
+ * @returns {Record<string, { requests: number; tokens: number; rpmLimit: number | null; tpmLimit: number | null }>}
+ */
+function getKeyRateUsage(keyInfo, modelsConfig) {
+    const rateUsage = {};
+    Object.entries(modelsConfig).forEach(([modelId, modelConfig]) => {
+        const limits = rateLimitService.getRateLimits(keyInfo.tier, modelConfig);
+        const usage = rateLimitService.getWindowUsage(keyInfo.id, modelId);
+        if (limits.rpm !== null || limits.tpm !== null || usage.requests > 0) {
+            rateUsage[modelId] = { ...usage, rpmLimit: limits.rpm, tpmLimit: limits.tpm };
         }
-        
-        try {
-            // Get the most current index value within the transaction if updating
-            let currentIndex;
-            if (updateIndex) {
-                const refreshedIndexSetting = await configService.getSetting('gemini_key_index', 0);
-                currentIndex = (typeof refreshedIndexSetting === 'number' && refreshedIndexSetting >= 0) ? 
-                    refreshedIndexSetting : 0;
-            } else {
-                currentIndex = (typeof currentIndexSetting === 'number' && currentIndexSetting >= 0) ? 
-                    currentIndexSetting : 0;
+    });
+    return rateUsage;
+}
+
+/**
+ * Gets the per-minute usage of every key, for live display.
+ * @returns {Promise<Record<string, ReturnType<typeof getKeyRateUsage>>>} By key ID.
+ */
+async function getRateUsageByKey() {
+    const [modelsConfig] = await Promise.all([configService.getModelsConfig(), keyStateStore.ready()]);
+    return Object.fromEntries(keyStateStore.getAllKeys().map(keyInfo => [keyInfo.id, getKeyRateUsage(keyInfo, modelsConfig)]));
+}
+
+/**
+ * Checks whether a key has reached its daily quota for a model.
+ * @param {import('./keyStateStore').KeyState} keyInfo
+ * @param {string} modelId
+ * @param {object | undefined} modelConfig The model's entry in models_config, undefined when unknown.
+ * @param {{ proQuota: number | null; flashQuota: number | null; embeddingQuota: number | null }} categoryQuotas
+ * @param {string} todayInLA
+ * @returns {boolean}
+ */
+function isKeyQuotaExceeded(keyInfo, modelId, modelConfig, categoryQuotas, todayInLA) {
+    const keyId = keyInfo.id;
+    const modelCategory = modelConfig?.category;
+    // Quota is only checked if the model category is known and it's the same day
+    if (!modelCategory || keyInfo.usageDate !== todayInLA) {
+        return false;
+    }
+    const { modelUsage, categoryUsage } = keyInfo;
+    let quotaExceeded = false;
+
+    switch (modelCategory) {
+        case 'Pro':
+            if (modelConfig?.individualQuota) { // Check individual first
+                if ((modelUsage[modelId] || 0) >= modelConfig.individualQuota) {
+                    console.log(`Skipping key ${keyId}: Pro model '${modelId}' individual quota reached (${modelUsage[modelId] || 0}/${modelConfig.individualQuota}).`);
+                    quotaExceeded = true;
+                }
             }
-            
-            if (currentIndex >= allKeyIds.length) {
-                currentIndex = 0; // Reset if index is out of bounds
+            if (!quotaExceeded && categoryQuotas.proQuota !== null && (categoryUsage.pro || 0) >= categoryQuotas.proQuota) {
+                console.log(`Skipping key ${keyId}: Pro category quota reached (${categoryUsage.pro || 0}/${categoryQuotas.proQuota}).`);
+                quotaExceeded = true;
             }
-
-            // 2. Determine model category for quota checks
-            let modelCategory = undefined;
-            let modelConfig = undefined;
-            if (requestedModelId) {
-                modelConfig = modelsConfig[requestedModelId];
-                if (modelConfig) {
-                    modelCategory = modelConfig.category;
-                } else {
-                    console.warn(`Model ID '${requestedModelId}' not found in config during key selection.`);
-                    // Proceed without model-specific quota checks if model unknown
+            break;
+        case 'Flash':
+            if (modelConfig?.individualQuota) { // Check individual first
+                if ((modelUsage[modelId] || 0) >= modelConfig.individualQuota) {
+                    console.log(`Skipping key ${keyId}: Flash model '${modelId}' individual quota reached (${modelUsage[modelId] || 0}/${modelConfig.individualQuota}).`);
+                    quotaExceeded = true;
                 }
             }
-
-            // 3. Iterate through keys using round-robin
-            const todayInLA = getTodayInLA();
-            let keysChecked = 0;
-            let initialIndex = currentIndex; // To detect full loop
-
-            while (keysChecked < allKeyIds.length) {
-                const keyId = allKeyIds[currentIndex];
-                keysChecked++;
-
-                const keyInfo = await configService.getDb('SELECT * FROM gemini_keys WHERE id = ?', [keyId]);
-
-                // --- Move index update here to ensure it always happens ---
-                const nextIndex = (currentIndex + 1) % allKeyIds.length;
-
-                // --- Validation Checks ---
-                if (!keyInfo) {
-                    console.warn(`Key ID ${keyId} from list not found in database. Skipping.`);
-                    currentIndex = nextIndex;
-                    continue; // Skip this key if its details aren't in the DB
+            if (!quotaExceeded && categoryQuotas.flashQuota !== null && (categoryUsage.flash || 0) >= categoryQuotas.flashQuota) {
+                console.log(`Skipping key ${keyId}: Flash category quota reached (${categoryUsage.flash || 0}/${categoryQuotas.flashQuota}).`);
+                quotaExceeded = true;
+            }
+            break;
+        case 'Embedding':
+            if (modelConfig?.individualQuota) { // Check individual first
+                if ((modelUsage[modelId] || 0) >= modelConfig.individualQuota) {
+                    console.log(`Skipping key ${keyId}: Embedding model '${modelId}' individual quota reached (${modelUsage[modelId] || 0}/${modelConfig.individualQuota}).`);
+                    quotaExceeded = true;
                 }
+            }
+            if (!quotaExceeded && categoryQuotas.embeddingQuota !== null && (categoryUsage.embedding || 0) >= categoryQuotas.embeddingQuota) {
+                console.log(`Skipping key ${keyId}: Embedding category quota reached (${categoryUsage.embedding || 0}/${categoryQuotas.embeddingQuota}).`);
+                quotaExceeded = true;
+            }
+            break;
+        case 'Custom':
+            if (modelConfig?.dailyQuota !== null && (modelUsage[modelId] || 0) >= modelConfig.dailyQuota) {
+                console.log(`Skipping key ${keyId}: Custom model '${modelId}' quota reached (${modelUsage[modelId] || 0}/${modelConfig.dailyQuota}).`);
+                quotaExceeded = true;
+            }
+            break;
+    }
+    return quotaExceeded;
+}
 
-                // Check for 401/403 error status
-                if (keyInfo.error_status === 401 || keyInfo.error_status === 403) {
-                    console.log(`Skipping key ${keyId} due to error status: ${keyInfo.error_status}`);
-                    currentIndex = nextIndex;
-                    continue;
-                }
+/**
+ * Checks whether a key can serve a request: no 401/403 error status, no cooldown, daily quota left
+ * for the model and room in its per-minute windows.
+ * @param {import('./keyStateStore').KeyState} keyInfo
+ * @param {string | null | undefined} modelId
+ * @param {object} modelsConfig
+ * @param {object} categoryQuotas
+ * @param {string} todayInLA
+ * @param {number} estimatedTokens Input tokens of the request, for the TPM limit.
+ * @returns {boolean}
+ */
+function isKeyAvailable(keyInfo, modelId, modelsConfig, categoryQuotas, todayInLA, estimatedTokens) {
+    if (keyInfo.errorStatus === 401 || keyInfo.errorStatus === 403) {
+        console.log(`Skipping key ${keyInfo.id} due to error status: ${keyInfo.errorStatus}`);
+        return false;
+    }
+    const cooldown = keyCooldownService.getActiveCooldown(keyInfo.id, modelId);
+    if (cooldown) {
+        console.log(`Skipping key ${keyInfo.id}: cooling down${cooldown.modelId ? ` for '${cooldown.modelId}'` : ''} for another ${Math.ceil(cooldown.remainingMs / 1000)}s after ${cooldown.status}.`);
+        return false;
+    }
+    return !modelId || (!isKeyQuotaExceeded(keyInfo, modelId, modelsConfig[modelId], categoryQuotas, todayInLA)
+        && !rateLimitService.wouldExceedRateLimits(keyInfo.id, keyInfo.tier, modelId, modelsConfig[modelId], estimatedTokens));
+}
 
-                // Check quota if model category is known and it's the same day
-                let quotaExceeded = false;
-                if (modelCategory && keyInfo.usage_date === todayInLA) {
-                    try {
-                        const modelUsage = JSON.parse(keyInfo.model_usage || '{}');
-                        const categoryUsage = JSON.parse(keyInfo.category_usage || '{}');
-
-                        switch (modelCategory) {
-                            case 'Pro':
-                                if (modelConfig?.individualQuota) { // Check individual first
-                                    if ((modelUsage[requestedModelId] || 0) >= modelConfig.individualQuota) {
-                                        console.log(`Skipping key ${keyId}: Pro model '${requestedModelId}' individual quota reached (${modelUsage[requestedModelId] || 0}/${modelConfig.individualQuota}).`);
-                                        quotaExceeded = true;
-                                    }
-                                }
-                                if (!quotaExceeded && categoryQuotas.proQuota !== null && (categoryUsage.pro || 0) >= categoryQuotas.proQuota) {
-                                    console.log(`Skipping key ${keyId}: Pro category quota reached (${categoryUsage.pro || 0}/${categoryQuotas.proQuota}).`);
-                                    quotaExceeded = true;
-                                }
-                                break;
-                            case 'Flash':
-                                if (modelConfig?.individualQuota) { // Check individual first
-                                    if ((modelUsage[requestedModelId] || 0) >= modelConfig.individualQuota) {
-                                        console.log(`Skipping key ${keyId}: Flash model '${requestedModelId}' individual quota reached (${modelUsage[requestedModelId] || 0}/${modelConfig.individualQuota}).`);
-                                        quotaExceeded = true;
-                                    }
-                                }
-                                if (!quotaExceeded && categoryQuotas.flashQuota !== null && (categoryUsage.flash || 0) >= categoryQuotas.flashQuota) {
-                                    console.log(`Skipping key ${keyId}: Flash category quota reached (${categoryUsage.flash || 0}/${categoryQuotas.flashQuota}).`);
-                                    quotaExceeded = true;
-                                }
-                                break;
-                            case 'Custom':
-                                if (modelConfig?.dailyQuota !== null && (modelUsage[requestedModelId] || 0) >= modelConfig.dailyQuota) {
-                                    console.log(`Skipping key ${keyId}: Custom model '${requestedModelId}' quota reached (${modelUsage[requestedModelId] || 0}/${modelConfig.dailyQuota}).`);
-                                    quotaExceeded = true;
-                                }
-                                break;
-                        }
-                    } catch (parseError) {
-                        console.error(`Error parsing usage JSON for key ${keyId}. Skipping quota check. Error:`, parseError);
-                        // Optionally skip the key entirely if parsing fails
-                    }
-                }
+/**
+ * Picks the next available key in rotation order, starting at the stored round-robin position.
+ * @param {string[]} allKeyIds
+ * @param {(keyId: string) => boolean} isCandidate
+ * @param {boolean} updateIndex Whether to advance the position past the selected key.
+ * @returns {{ id: string; key: string } | null}
+ */
+function selectRoundRobinKey(allKeyIds, isCandidate, updateIndex) {
+    const found = findRoundRobinKey(allKeyIds, keyStateStore.getRoundRobinIndex(), isCandidate);
+    if (!found) {
+        console.error("No available Gemini keys found after checking all keys.");
+        return null;
+    }
 
-                if (quotaExceeded) {
-                    currentIndex = nextIndex;
-                    continue; // Skip this key
-                }
+    const { keyId, nextIndex } = found;
+    if (updateIndex) {
+        keyStateStore.setRoundRobinIndex(nextIndex);
+        console.log(`Selected Gemini Key ID via sequential round-robin: ${keyId} (next index will be: ${nextIndex})`);
+    } else {
+        console.log(`Selected Gemini Key ID (read-only): ${keyId} (index not updated)`);
+    }
+    return { id: keyId, key: keyStateStore.getKey(keyId).apiKey };
+}
+
+/**
+ * Selects an available Gemini API key with the configured strategy (see KEY_SELECTION_STRATEGIES).
+ * Skips keys with errors, a cooldown, daily quota reached or a full per-minute window. Works on the in-memory
+ * key state, so selection never waits on a database transaction.
+ * @param {string} [requestedModelId] The model being requested, for quota checking.
+ * @param {boolean} [updateIndex=true] Whether round-robin advances its index. Set to false for read-only operations.
+ * @param {object} [options]
+ * @param {string[]} [options.excludeKeyIds] Keys not to pick, e.g. ones that already failed for this request.
+ * @param {string} [options.affinityKey] Identifies the conversation for the sticky strategy.
+ * @param {number} [options.estimatedTokens] Input tokens of the request, keys whose TPM window can't take them are skipped.
+ * @returns {Promise<{ id: string; key: string } | null>} The selected key ID and value, or null if none available.
+ */
+async function getNextAvailableGeminiKey(requestedModelId, updateIndex = true, { excludeKeyIds = [], affinityKey, estimatedTokens = 0 } = {}) {
+    try {
+        const [strategy, modelsConfig, categoryQuotas] = await Promise.all([
+            getKeySelectionStrategy(),
+            configService.getModelsConfig(),
+            configService.getCategoryQuotas(),
+            keyStateStore.ready()
+        ]);
 
-                // If we reach here, the key is valid
-                selectedKeyData = { id: keyInfo.id, key: keyInfo.api_key };
-                currentIndex = nextIndex; // Set index for the *next* request
-                break; // Found a valid key
-            } // End while loop
+        // From here on everything is synchronous, so concurrent requests see each other's index updates
+        const allKeyIds = keyStateStore.getKeyList();
+        if (allKeyIds.length === 0) {
+            console.error("No Gemini keys configured in settings 'gemini_key_list'");
+            return null;
+        }
+        // Model-specific quota checks are skipped if the model is unknown
+        if (requestedModelId && !modelsConfig[requestedModelId]) {
+            console.warn(`Model ID '${requestedModelId}' not found in config during key selection.`);
+        }
 
-            // --- Post-selection Updates ---
-            if (!selectedKeyData) {
-                if (updateIndex) {
-                    await configService.runDb('ROLLBACK'); // Rollback if no key found
-                }
-                console.error("No available Gemini keys found after checking all keys.");
-                return null;
+        const todayInLA = getTodayInLA();
+        const isCandidate = (keyId) => {
+            const keyInfo = keyStateStore.getKey(keyId);
+            if (!keyInfo) {
+                console.warn(`Key ID ${keyId} from list not found in database. Skipping.`);
+                return false;
             }
+            return !excludeKeyIds.includes(keyId) && isKeyAvailable(keyInfo, requestedModelId, modelsConfig, categoryQuotas, todayInLA, estimatedTokens);
+        };
 
-            // Only update indices if updateIndex is true (for API operations)
-            // Skip for read-only operations like fetching model lists
-            if (updateIndex) {
-                // Save the next index for the subsequent request within the transaction
-                // Use direct SQL to avoid nested transactions
-                await configService.runDb('INSERT OR REPLACE INTO settings (key, value) VALUES (?, ?)', 
-                    ['gemini_key_index', String(currentIndex)]);
-                await configService.runDb('INSERT OR REPLACE INTO settings (key, value) VALUES (?, ?)', 
-                    ['last_used_gemini_key_id', selectedKeyData.id]);
-                
-                // Commit the transaction
-                await configService.runDb('COMMIT');
-                
-                // GitHub sync outside transaction
-                await syncToGitHub();
-                console.log(`Selected Gemini Key ID via sequential round-robin: ${selectedKeyData.id} (next index will be: ${currentIndex})`);
-            } else {
-                console.log(`Selected Gemini Key ID (read-only): ${selectedKeyData.id} (index not updated)`);
-            }
-            
-            return selectedKeyData;
-            
-        } catch (error) {
-            // If any error occurs and we're in a transaction, rollback
-            if (updateIndex) {
-                await configService.runDb('ROLLBACK');
-            }
-            throw error; // Re-throw to be caught by outer try/catch
+        if (strategy === 'round-robin' || (strategy === 'sticky' && !affinityKey)) {
+            return selectRoundRobinKey(allKeyIds, isCandidate, updateIndex);
+        }
+
+        const availableKeys = allKeyIds.filter(isCandidate).map(keyId => keyStateStore.getKey(keyId));
+        const selected = availableKeys.length > 0
+            ? pickKey(strategy, availableKeys, requestedModelId, modelsConfig[requestedModelId]?.category, affinityKey, todayInLA)
+            : null;
+        if (!selected) {
+            console.error("No available Gemini keys found after checking all keys.");
+            return null;
         }
+        console.log(`Selected Gemini Key ID via ${strategy} strategy: ${selected.id}`);
+        return { id: selected.id, key: selected.apiKey };
     } catch (error) {
         console.error("Error retrieving or processing Gemini keys:", error);
         return null;
     }
 }
 
+/**
+ * Starts a new usage day for a key if its counters belong to an earlier one.
+ * @param {import('./keyStateStore').KeyState} key
+ * @param {string} todayInLA
+ * @returns {boolean} Whether the counters were reset.
+ */
+function resetUsageIfNewDay(key, todayInLA) {
+    if (key.usageDate === todayInLA) {
+        return false;
+    }
+    key.usageDate = todayInLA;
+    key.modelUsage = {};
+    key.categoryUsage = { pro: 0, flash: 0, embedding: 0 };
+    key.consecutive429Counts = {};
+    return true;
+}
 
 /**
  * Increments the usage count for a given Gemini Key ID. Resets if the date changes.
- * Tracks usage per model and per category. Resets 429 counters on success.
+ * Tracks usage per model and per category. Resets 429 counters and the cooldown backoff on success.
+ * The change is made in memory and written to the database with the next flush.
  * @param {string} keyId
  * @param {string} [modelId]
- * @param {'Pro' | 'Flash' | 'Custom'} [category]
+ * @param {'Pro' | 'Flash' | 'Custom' | 'Embedding'} [category]
  * @returns {Promise<void>}
  */
 async function incrementKeyUsage(keyId, modelId, category) {
-    // Start a transaction for atomic update
-    await configService.runDb('BEGIN TRANSACTION');
-    
-    try {
-        // Get the most current key data within the transaction
-        const keyRow = await configService.getDb('SELECT usage_date, model_usage, category_usage, consecutive_429_counts FROM gemini_keys WHERE id = ?', [keyId]);
-        if (!keyRow) {
-            await configService.runDb('ROLLBACK');
-            console.warn(`Cannot increment usage: Key info not found for ID: ${keyId}`);
-            return;
-        }
+    await keyStateStore.ready();
+    const todayInLA = getTodayInLA();
+    if (modelId) {
+        keyCooldownService.recordSuccess(keyId, modelId);
+    }
 
-        const todayInLA = getTodayInLA();
-        let modelUsage = JSON.parse(keyRow.model_usage || '{}');
-        let categoryUsage = JSON.parse(keyRow.category_usage || '{}');
-        let consecutive429Counts = {}; // Reset 429 on successful usage increment
-        let usageDate = keyRow.usage_date;
-
-        // Reset counters if it's a new day
-        if (usageDate !== todayInLA) {
-            console.log(`Date change detected for key ${keyId} (${usageDate} → ${todayInLA}). Resetting usage.`);
-            usageDate = todayInLA;
-            modelUsage = {};
-            categoryUsage = { pro: 0, flash: 0 };
-            // 429 counts are already reset above
+    const updated = keyStateStore.updateKey(keyId, key => {
+        const previousDate = key.usageDate;
+        if (resetUsageIfNewDay(key, todayInLA)) {
+            console.log(`Date change detected for key ${keyId} (${previousDate} → ${todayInLA}). Resetting usage.`);
         }
+        key.consecutive429Counts = {}; // Reset 429 on successful usage increment
 
         // Increment model-specific usage
         if (modelId) {
-            modelUsage[modelId] = (modelUsage[modelId] || 0) + 1;
+            key.modelUsage[modelId] = (key.modelUsage[modelId] || 0) + 1;
         }
 
         // Increment category-specific usage
         if (category === 'Pro') {
-            categoryUsage.pro = (categoryUsage.pro || 0) + 1;
+            key.categoryUsage.pro = (key.categoryUsage.pro || 0) + 1;
         } else if (category === 'Flash') {
-            categoryUsage.flash = (categoryUsage.flash || 0) + 1;
+            key.categoryUsage.flash = (key.categoryUsage.flash || 0) + 1;
+        } else if (category === 'Embedding') {
+            key.categoryUsage.embedding = (key.categoryUsage.embedding || 0) + 1;
         }
-
-        // Update the database within the transaction
-        const sql = `
-            UPDATE gemini_keys
-            SET usage_date = ?, model_usage = ?, category_usage = ?, consecutive_429_counts = ?
-            WHERE id = ?
-        `;
-        await configService.runDb(sql, [
-            usageDate,
-            JSON.stringify(modelUsage),
-            JSON.stringify(categoryUsage),
-            JSON.stringify(consecutive429Counts), // Store empty object (reset counters)
-            keyId
-        ]);
-        
-        // Commit the transaction after successful update
-        await configService.runDb('COMMIT');
-        
-        console.log(`Usage for key ${keyId} updated. Date: ${usageDate}, Model: ${modelId} (${category}), Models: ${JSON.stringify(modelUsage)}, Categories: ${JSON.stringify(categoryUsage)}, 429Counts reset.`);
-        
-        // Sync updates to GitHub - outside transaction
-        await syncToGitHub();
-    } catch (e) {
-        // Rollback the transaction if any error occurs
-        await configService.runDb('ROLLBACK');
-        console.error(`Failed to increment usage for key ${keyId}:`, e);
-        // Don't rethrow, allow request to potentially succeed anyway
+    });
+    if (!updated) {
+        console.warn(`Cannot increment usage: Key info not found for ID: ${keyId}`);
+        return;
     }
+
+    const key = keyStateStore.getKey(keyId);
+    console.log(`Usage for key ${keyId} updated. Date: ${key.usageDate}, Model: ${modelId} (${category}), Models: ${JSON.stringify(key.modelUsage)}, Categories: ${JSON.stringify(key.categoryUsage)}, 429Counts reset.`);
 }
 
 /**
  * Forces the usage count for a specific category/model on a key to its configured limit.
  * Resets the specific 429 counter that triggered the limit.
  * @param {string} keyId
- * @param {'Pro' | 'Flash' | 'Custom'} category
- * @param {string} [modelId] Optional model ID (required for Custom or Pro/Flash with individual quota).
+ * @param {'Pro' | 'Flash' | 'Custom' | 'Embedding'} category
+ * @param {string} [modelId] Optional model ID (required for Custom or Pro/Flash/Embedding with individual quota).
  * @param {string} [counterKey] The specific counter key (e.g., 'model-id' or 'category:pro') to reset.
  * @returns {Promise<void>}
  */
 async function forceSetQuotaToLimit(keyId, category, modelId, counterKey) {
-    // Start a transaction for atomic update
-    await configService.runDb('BEGIN TRANSACTION');
-    
-    try {
-        // Fetch current key info and configs
-        // Get models and quotas outside the transaction as they don't need to be transactional
-        const [modelsConfig, categoryQuotas] = await Promise.all([
-            configService.getModelsConfig(),
-            configService.getCategoryQuotas()
-        ]);
-        
-        // Get the latest key data within transaction
-        const keyRow = await configService.getDb('SELECT usage_date, model_usage, category_usage, consecutive_429_counts FROM gemini_keys WHERE id = ?', [keyId]);
-
-        if (!keyRow) {
-            await configService.runDb('ROLLBACK');
-            console.warn(`Cannot force quota limit: Key info not found for ID: ${keyId}`);
-            return;
-        }
-
-        const todayInLA = getTodayInLA();
-        let modelUsage = JSON.parse(keyRow.model_usage || '{}');
-        let categoryUsage = JSON.parse(keyRow.category_usage || '{}');
-        let consecutive429Counts = JSON.parse(keyRow.consecutive_429_counts || '{}');
-        let usageDate = keyRow.usage_date;
+    const [modelsConfig, categoryQuotas] = await Promise.all([
+        configService.getModelsConfig(),
+        configService.getCategoryQuotas(),
+        keyStateStore.ready()
+    ]);
+    const todayInLA = getTodayInLA();
+    const modelConfig = modelId ? modelsConfig[modelId] : undefined;
+    let updated = false;
 
-        // Reset usage if date changed
-        if (usageDate !== todayInLA) {
+    const keyFound = keyStateStore.updateKey(keyId, key => {
+        if (resetUsageIfNewDay(key, todayInLA)) {
             console.log(`Date change detected in forceSetQuotaToLimit for key ${keyId}. Resetting usage before forcing.`);
-            usageDate = todayInLA;
-            modelUsage = {};
-            categoryUsage = { pro: 0, flash: 0 };
-            consecutive429Counts = {}; // Also reset 429 counts on date change
         }
 
         // Reset the specific 429 counter
-        if (counterKey && consecutive429Counts.hasOwnProperty(counterKey)) {
+        if (counterKey && Object.prototype.hasOwnProperty.call(key.consecutive429Counts, counterKey)) {
             console.log(`Resetting 429 counter for key ${keyId}, counter ${counterKey} after forcing quota.`);
-            delete consecutive429Counts[counterKey];
+            delete key.consecutive429Counts[counterKey];
         }
 
         // Determine the limit and update the relevant usage counter
-        let quotaLimit = Infinity;
-        const modelConfig = modelId ? modelsConfig[modelId] : undefined;
-        let updated = false;
-
         switch (category) {
             case 'Pro':
                 if (modelId && modelConfig?.individualQuota) {
-                    quotaLimit = modelConfig.individualQuota;
-                    modelUsage[modelId] = quotaLimit;
-                    console.log(`Forcing Pro model ${modelId} individual usage for key ${keyId} to limit: ${quotaLimit}`);
+                    key.modelUsage[modelId] = modelConfig.individualQuota;
+                    console.log(`Forcing Pro model ${modelId} individual usage for key ${keyId} to limit: ${modelConfig.individualQuota}`);
                     updated = true;
                 } else if (categoryQuotas.proQuota !== null) {
-                    quotaLimit = categoryQuotas.proQuota;
-                    categoryUsage.pro = quotaLimit;
-                    console.log(`Forcing Pro category usage for key ${keyId} to limit: ${quotaLimit}`);
+                    key.categoryUsage.pro = categoryQuotas.proQuota;
+                    console.log(`Forcing Pro category usage for key ${keyId} to limit: ${categoryQuotas.proQuota}`);
                     updated = true;
                 }
                 break;
             case 'Flash':
                 if (modelId && modelConfig?.individualQuota) {
-                    quotaLimit = modelConfig.individualQuota;
-                    modelUsage[modelId] = quotaLimit;
-                    console.log(`Forcing Flash model ${modelId} individual usage for key ${keyId} to limit: ${quotaLimit}`);
+                    key.modelUsage[modelId] = modelConfig.individualQuota;
+                    console.log(`Forcing Flash model ${modelId} individual usage for key ${keyId} to limit: ${modelConfig.individualQuota}`);
                     updated = true;
                 } else if (categoryQuotas.flashQuota !== null) {
-                    quotaLimit = categoryQuotas.flashQuota;
-                    categoryUsage.flash = quotaLimit;
-                    console.log(`Forcing Flash category usage for key ${keyId} to limit: ${quotaLimit}`);
+                    key.categoryUsage.flash = categoryQuotas.flashQuota;
+                    console.log(`Forcing Flash category usage for key ${keyId} to limit: ${categoryQuotas.flashQuota}`);
+                    updated = true;
+                }
+                break;
+            case 'Embedding':
+                if (modelId && modelConfig?.individualQuota) {
+                    key.modelUsage[modelId] = modelConfig.individualQuota;
+                    console.log(`Forcing Embedding model ${modelId} individual usage for key ${keyId} to limit: ${modelConfig.individualQuota}`);
+                    updated = true;
+                } else if (categoryQuotas.embeddingQuota !== null) {
+                    key.categoryUsage.embedding = categoryQuotas.embeddingQuota;
+                    console.log(`Forcing Embedding category usage for key ${keyId} to limit: ${categoryQuotas.embeddingQuota}`);
                     updated = true;
                 }
                 break;
             case 'Custom':
                 if (modelId && modelConfig?.dailyQuota !== null) {
-                    quotaLimit = modelConfig.dailyQuota;
-                    modelUsage[modelId] = quotaLimit;
-                    console.log(`Forcing Custom model ${modelId} usage for key ${keyId} to limit: ${quotaLimit}`);
+                    key.modelUsage[modelId] = modelConfig.dailyQuota;
+                    console.log(`Forcing Custom model ${modelId} usage for key ${keyId} to limit: ${modelConfig.dailyQuota}`);
                     updated = true;
                 } else if (!modelId) {
                     console.warn(`Cannot force quota limit for Custom category without modelId.`);
                 }
                 break;
         }
-
-        if (!updated) {
-            console.warn(`No relevant quota found to force for key ${keyId}, category ${category}, model ${modelId}.`);
-            // Still save potential reset of 429 counter if counterKey was provided
-            if (counterKey) {
-                await configService.runDb(
-                    'UPDATE gemini_keys SET consecutive_429_counts = ? WHERE id = ?',
-                    [JSON.stringify(consecutive429Counts), keyId]
-                );
-            }
-            await configService.runDb('COMMIT'); // Still commit the transaction
-            return;
-        }
-
-        // Update the database within transaction
-        const sql = `
-            UPDATE gemini_keys
-            SET usage_date = ?, model_usage = ?, category_usage = ?, consecutive_429_counts = ?
-            WHERE id = ?
-        `;
-        await configService.runDb(sql, [
-            usageDate,
-            JSON.stringify(modelUsage),
-            JSON.stringify(categoryUsage),
-            JSON.stringify(consecutive429Counts),
-            keyId
-        ]);
-        
-        // Commit the transaction
-        await configService.runDb('COMMIT');
-        
-        console.log(`Key ${keyId} quota forced for category ${category}${modelId ? ` (model: ${modelId})` : ''} for date ${usageDate}.`);
-        
-        // Sync updates to GitHub outside transaction
-        await syncToGitHub();
-    } catch (e) {
-        // Rollback on error
-        await configService.runDb('ROLLBACK');
-        console.error(`Failed to force quota limit for key ${keyId}:`, e);
+    });
+
+    if (!keyFound) {
+        console.warn(`Cannot force quota limit: Key info not found for ID: ${keyId}`);
+    } else if (!updated) {
+        console.warn(`No relevant quota found to force for key ${keyId}, category ${category}, model ${modelId}.`);
+    } else {
+        console.log(`Key ${keyId} quota forced for category ${category}${modelId ? ` (model: ${modelId})` : ''} for date ${todayInLA}.`);
     }
 }
 
 /**
  * Handles 429 errors: increments counter, forces quota limit if threshold reached.
  * @param {string} keyId
- * @param {'Pro' | 'Flash' | 'Custom'} category
+ * @param {'Pro' | 'Flash' | 'Custom' | 'Embedding'} category
  * @param {string} [modelId] Optional model ID.
  * @param {object | string} [errorDetails] Optional error object/string from Gemini, used to check for quotaId.
  * @returns {Promise<void>}
@@ -763,100 +800,64 @@ async function handle429Error(keyId, category, modelId, errorDetails) {
     // --- Handle Quota Exceeded 429 ---
     console.warn(`Received quota-exceeded 429 for key ${keyId}. Proceeding with counter logic.`);
 
-    let transactionCommitted = false; // Flag to prevent double commit/rollback in finally block if forceSetQuotaToLimit is called
-    try {
-        // Start transaction only if we are processing a quota-exceeded error
-        await configService.runDb('BEGIN TRANSACTION');
-
-        // Get models and quotas (can stay outside transaction)
-        const [modelsConfig, categoryQuotas] = await Promise.all([
-            configService.getModelsConfig(),
-            configService.getCategoryQuotas()
-        ]);
-
-        // Get key data within transaction
-        const keyRow = await configService.getDb('SELECT consecutive_429_counts FROM gemini_keys WHERE id = ?', [keyId]);
+    const [modelsConfig, categoryQuotas] = await Promise.all([
+        configService.getModelsConfig(),
+        configService.getCategoryQuotas(),
+        keyStateStore.ready()
+    ]);
 
-        if (!keyRow) {
-            await configService.runDb('ROLLBACK');
-            console.warn(`Cannot handle quota 429: Key info not found for ID: ${keyId}`);
-            return;
-        }
+    // Determine the counter key and if a relevant quota exists
+    // Use keyId as prefix to ensure each key has its own independent counter
+    let counterKey = undefined;
+    let needsQuotaCheck = false; // Still useful to check if a quota is actually configured
+    const modelConfig = modelId ? modelsConfig[modelId] : undefined;
+
+    if (category === 'Custom' && modelId) {
+        counterKey = `${keyId}-${modelId}`; // Prefix with keyId for uniqueness
+        needsQuotaCheck = !!modelConfig?.dailyQuota;
+    } else if ((category === 'Pro' || category === 'Flash' || category === 'Embedding') && modelId && modelConfig?.individualQuota) {
+        counterKey = `${keyId}-${modelId}`; // Prefix with keyId for uniqueness
+        needsQuotaCheck = true; // Individual quota exists
+    } else if (category === 'Pro') {
+        counterKey = `${keyId}-category:pro`; // Prefix with keyId for uniqueness
+        needsQuotaCheck = !!categoryQuotas?.proQuota && isFinite(categoryQuotas.proQuota);
+    } else if (category === 'Flash') {
+        counterKey = `${keyId}-category:flash`; // Prefix with keyId for uniqueness
+        needsQuotaCheck = !!categoryQuotas?.flashQuota && isFinite(categoryQuotas.flashQuota);
+    } else if (category === 'Embedding') {
+        counterKey = `${keyId}-category:embedding`; // Prefix with keyId for uniqueness
+        needsQuotaCheck = !!categoryQuotas?.embeddingQuota && isFinite(categoryQuotas.embeddingQuota);
+    }
 
-        let consecutive429Counts = JSON.parse(keyRow.consecutive_429_counts || '{}');
-
-        // Determine the counter key and if a relevant quota exists
-        // Use keyId as prefix to ensure each key has its own independent counter
-        let counterKey = undefined;
-        let needsQuotaCheck = false; // Still useful to check if a quota is actually configured
-        const modelConfig = modelId ? modelsConfig[modelId] : undefined;
-
-        if (category === 'Custom' && modelId) {
-            counterKey = `${keyId}-${modelId}`; // Prefix with keyId for uniqueness
-            needsQuotaCheck = !!modelConfig?.dailyQuota;
-        } else if ((category === 'Pro' || category === 'Flash') && modelId && modelConfig?.individualQuota) {
-            counterKey = `${keyId}-${modelId}`; // Prefix with keyId for uniqueness
-            needsQuotaCheck = true; // Individual quota exists
-        } else if (category === 'Pro') {
-            counterKey = `${keyId}-category:pro`; // Prefix with keyId for uniqueness
-            needsQuotaCheck = !!categoryQuotas?.proQuota && isFinite(categoryQuotas.proQuota);
-        } else if (category === 'Flash') {
-            counterKey = `${keyId}-category:flash`; // Prefix with keyId for uniqueness
-            needsQuotaCheck = !!categoryQuotas?.flashQuota && isFinite(categoryQuotas.flashQuota);
-        }
+    if (!counterKey) {
+        console.warn(`Could not determine counter key for quota 429 handling (key ${keyId}, category ${category}, model ${modelId}).`);
+        return;
+    }
 
-        if (!counterKey) {
-            await configService.runDb('ROLLBACK');
-            console.warn(`Could not determine counter key for quota 429 handling (key ${keyId}, category ${category}, model ${modelId}).`);
-            return;
-        }
+    // Only proceed if a relevant quota is actually configured for this limit type
+    if (!needsQuotaCheck) {
+        console.log(`Skipping quota-exceeded 429 counter for key ${keyId}, counter ${counterKey} as no relevant quota is configured.`);
+        return;
+    }
 
-        // Only proceed if a relevant quota is actually configured for this limit type
-        if (!needsQuotaCheck) {
-            await configService.runDb('COMMIT'); // Commit as no changes needed, but avoids rollback error
-            console.log(`Skipping quota-exceeded 429 counter for key ${keyId}, counter ${counterKey} as no relevant quota is configured.`);
-            return;
-        }
+    // Increment counter for the specific quota key
+    let currentCount = 0;
+    const keyFound = keyStateStore.updateKey(keyId, key => {
+        currentCount = (key.consecutive429Counts[counterKey] || 0) + 1;
+        key.consecutive429Counts[counterKey] = currentCount;
+    });
+    if (!keyFound) {
+        console.warn(`Cannot handle quota 429: Key info not found for ID: ${keyId}`);
+        return;
+    }
 
-        // Increment counter for the specific quota key
-        const currentCount = (consecutive429Counts[counterKey] || 0) + 1;
-        consecutive429Counts[counterKey] = currentCount;
-
-        console.warn(`Quota-exceeded 429 for key ${keyId}, counter ${counterKey}. Consecutive count: ${currentCount}`);
-
-        // Check if the threshold is reached
-        if (currentCount >= CONSECUTIVE_429_LIMIT) {
-            // Commit the current transaction *before* calling forceSetQuotaToLimit,
-            // as it starts its own transaction.
-            await configService.runDb('COMMIT');
-            transactionCommitted = true; // Mark as committed
-
-            console.warn(`Consecutive quota-exceeded 429 limit (${CONSECUTIVE_429_LIMIT}) reached for key ${keyId}, counter ${counterKey}. Forcing quota limit.`);
-            // forceSetQuotaToLimit handles the counter reset and its own transaction.
-            await forceSetQuotaToLimit(keyId, category, modelId, counterKey);
-
-        } else {
-            // Limit not reached, just update the count within this transaction
-            await configService.runDb(
-                'UPDATE gemini_keys SET consecutive_429_counts = ? WHERE id = ?',
-                [JSON.stringify(consecutive429Counts), keyId]
-            );
-            // Commit the transaction
-            await configService.runDb('COMMIT');
-            transactionCommitted = true; // Mark as committed
-        }
+    console.warn(`Quota-exceeded 429 for key ${keyId}, counter ${counterKey}. Consecutive count: ${currentCount}`);
 
-    } catch (e) {
-        console.error(`Failed to handle quota 429 error for key ${keyId}:`, e);
-        // Attempt to rollback if transaction wasn't already committed
-        if (!transactionCommitted) {
-            try {
-                await configService.runDb('ROLLBACK');
-            } catch (rollbackError) {
-                console.error(`Error during rollback after failed 429 handling for key ${keyId}:`, rollbackError);
-            }
-        }
-        // Do not rethrow, allow processing to continue if possible
+    // Check if the threshold is reached
+    if (currentCount >= CONSECUTIVE_429_LIMIT) {
+        console.warn(`Consecutive quota-exceeded 429 limit (${CONSECUTIVE_429_LIMIT}) reached for key ${keyId}, counter ${counterKey}. Forcing quota limit.`);
+        // forceSetQuotaToLimit also resets the counter
+        await forceSetQuotaToLimit(keyId, category, modelId, counterKey);
     }
 }
 
@@ -865,6 +866,14 @@ module.exports = {
     addGeminiKey,
     deleteGeminiKey,
     getAllGeminiKeysWithUsage,
+    getGeminiKeyById,
+    listGeminiKeys,
+    KEY_SELECTION_STRATEGIES,
+    getKeySelectionStrategy,
+    setKeySelectionStrategy,
+    setGeminiKeyWeight,
+    setGeminiKeyTier,
+    getRateUsageByKey,
     getNextAvailableGeminiKey,
     incrementKeyUsage,
     handle429Error,
@@ -1,10 +1,17 @@
 const fetch = require('node-fetch');
-const { Readable } = require('stream');
+const crypto = require('crypto');
+const { Readable, PassThrough } = require('stream');
 const { URL } = require('url'); // Import URL for parsing remains relevant for potential future URL parsing
 const { syncToGitHub } = require('../db');
 const configService = require('./configService');
 const geminiKeyService = require('./geminiKeyService');
+const geminiFilesService = require('./geminiFilesService');
+const modelVariantService = require('./modelVariantService');
+const vertexProxyService = require('./vertexProxyService');
+const rateLimitService = require('./rateLimitService');
+const keyCooldownService = require('./keyCooldownService');
 const transformUtils = require('../utils/transform');
+const { createGeminiStreamParser } = require('../utils/geminiStreamParser');
 const proxyPool = require('../utils/proxyPool'); // Import the new proxy pool module
 
 
@@ -17,7 +24,659 @@ const PROJECT_ID_REGEX = /^[0-9a-f]{32}$/i;
 // Default Cloudflare Gateway project ID (Replace with your actual default if needed)
 const DEFAULT_PROJECT_ID = 'db16589aa22233d56fe69a2c3161fe3c';
 
-async function proxyChatCompletions(openAIRequestBody, workerApiKey, stream, thinkingBudget, returnThoughtProcess) {
+/**
+ * Resolves the Gemini API base URL, routing through Cloudflare AI Gateway when CF_GATEWAY is set.
+ * @returns {string} The base URL without a trailing slash.
+ */
+function getGeminiBaseUrl() {
+    let baseUrl = BASE_GEMINI_URL; // Default to standard Gemini URL
+    const cfGateway = process.env.CF_GATEWAY;
+
+    // Return default URL if CF_GATEWAY is not set
+    if (!cfGateway) {
+        // Use default Gemini API URL (already set)
+    } else {
+        // Handle case 1: CF_GATEWAY = "1" (use default project ID)
+        if (cfGateway === '1') {
+            // Validate default project ID format
+            if (PROJECT_ID_REGEX.test(DEFAULT_PROJECT_ID)) {
+                // Only use default Cloudflare Gateway if project ID format is valid
+                baseUrl = `${CF_GATEWAY_BASE}/${DEFAULT_PROJECT_ID}/gemini/google-ai-studio`;
+                console.log(`Using default Cloudflare Gateway: ${baseUrl}`);
+            } else {
+                 console.warn(`Invalid DEFAULT_PROJECT_ID format: ${DEFAULT_PROJECT_ID}. Falling back to default Gemini URL.`);
+            }
+            // If invalid, fall back to default Gemini API URL (already set)
+        } else {
+            // Handle case 2: CF_GATEWAY contains projectId/gatewayName
+            try {
+                // Remove trailing slashes
+                let gatewayValue = cfGateway.replace(/\/+$/, '');
+
+                // Try to extract projectId/gatewayName pattern from anywhere in the string
+                // This will work for both full URLs and direct format strings like "projectId/gatewayName"
+                const pattern = /([0-9a-f]{32})\/([^\/\s]+)/i;
+                const matches = gatewayValue.match(pattern);
+
+                if (matches && matches.length >= 3) {
+                    const projectId = matches[1];
+                    const gatewayName = matches[2];
+
+                    if (PROJECT_ID_REGEX.test(projectId)) {
+                        baseUrl = `${CF_GATEWAY_BASE}/${projectId}/${gatewayName}/google-ai-studio`;
+                        console.log(`Using custom Cloudflare Gateway: ${baseUrl}`);
+                    } else {
+                         console.warn(`Invalid Project ID format found in CF_GATEWAY: ${projectId}. Falling back to default Gemini URL.`);
+                    }
+                } else {
+                    console.warn(`CF_GATEWAY value "${cfGateway}" does not match expected format (e.g., 'projectId/gatewayName' or full URL). Falling back to default Gemini URL.`);
+                }
+            } catch (error) {
+                console.error('Error parsing CF_GATEWAY value:', error);
+                // Fall back to default URL on error (already set)
+            }
+        }
+        // For any other value or format issue of CF_GATEWAY, keep using default Gemini API URL
+    }
+    return baseUrl;
+}
+
+/**
+ * Builds the headers sent with every upstream Gemini request.
+ * @param {string} apiKey The Gemini API key to authenticate with.
+ * @returns {Record<string, string>}
+ */
+function buildGeminiHeaders(apiKey) {
+    return {
+        'Content-Type': 'application/json',
+        'User-Agent': `Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/118.0.0.0 Safari/537.36`,
+        'X-Accel-Buffering': 'no',
+        'Cache-Control': 'no-cache, no-store, must-revalidate',
+        'Pragma': 'no-cache',
+        'Expires': '0',
+        'x-goog-api-key': apiKey
+    };
+}
+
+/**
+ * Sends a request to a Gemini REST endpoint using the given key and the next proxy from the pool.
+ * @param {string} apiPath Path below the base URL, e.g. `/v1beta/models/text-embedding-004:embedContent`.
+ * @param {{ id: string; key: string }} selectedKey The key returned by getNextAvailableGeminiKey.
+ * @param {object} [options]
+ * @param {string} [options.method='POST']
+ * @param {object} [options.body] JSON body, stringified before sending.
+ * @param {number} [options.timeout=300000] Milliseconds until the request is aborted.
+ * @returns {Promise<import('node-fetch').Response>}
+ */
+async function fetchGemini(apiPath, selectedKey, { method = 'POST', body, timeout = 300000 } = {}) {
+    const geminiUrl = `${getGeminiBaseUrl()}${apiPath}`;
+    const fetchOptions = {
+        method: method,
+        headers: buildGeminiHeaders(selectedKey.key),
+        size: 100 * 1024 * 1024,
+        timeout
+    };
+    if (body !== undefined) {
+        fetchOptions.body = JSON.stringify(body);
+    }
+
+    const agent = proxyPool.getNextProxyAgent();
+    if (agent) {
+        fetchOptions.agent = agent;
+    }
+    console.log(`Sending ${method} request to Gemini URL: ${geminiUrl} with key ${selectedKey.id}${agent ? ` via proxy ${agent.proxy.href}` : ''}`);
+
+    return fetch(geminiUrl, fetchOptions);
+}
+
+/**
+ * Runs a Gemini call with the same key rotation as chat completions: a new key is selected for
+ * every attempt, 429s move on to the next key, 401/403 are recorded against the key and usage
+ * is counted on success.
+ * @param {string} modelId Configured model ID, used for key selection and usage accounting.
+ * @param {string} modelCategory Category of the model in models_config.
+ * @param {(selectedKey: { id: string; key: string }, attempt: number) => Promise<import('node-fetch').Response>} sendRequest
+ *        Performs the upstream call for one attempt.
+ * @param {object} [options]
+ * @param {boolean} [options.countUsage=true] Set to false for calls that don't consume quota, e.g. countTokens.
+ * @param {number} [options.estimatedTokens] Input tokens of the request for the TPM window, until the response reports them.
+ * @returns {Promise<{ response: import('node-fetch').Response; selectedKeyId: string } | { error: object; status: number }>}
+ *          The successful upstream response (body not yet consumed) or the last error.
+ */
+async function executeWithKeyRotation(modelId, modelCategory, sendRequest, { countUsage = true, estimatedTokens = 0 } = {}) {
+    const MAX_RETRIES = 3;
+    let lastError = null;
+    let lastErrorStatus = 500;
+    const triedKeyIds = [];
+
+    for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
+        const selectedKey = await geminiKeyService.getNextAvailableGeminiKey(modelId, true, { excludeKeyIds: triedKeyIds, estimatedTokens });
+        if (!selectedKey) {
+            console.error(`Attempt ${attempt}: No available Gemini API Key found.`);
+            if (attempt === 1) {
+                return { error: { message: "No available Gemini API Key configured or all keys are currently rate-limited/invalid." }, status: 503 };
+            }
+            return { error: lastError, status: lastErrorStatus };
+        }
+        triedKeyIds.push(selectedKey.id);
+        // Rejected requests count against Gemini's per-minute limits too
+        const rateEntry = countUsage ? rateLimitService.recordRequest(selectedKey.id, modelId, estimatedTokens) : null;
+
+        let response;
+        try {
+            response = await sendRequest(selectedKey, attempt);
+        } catch (fetchError) {
+            console.error(`Attempt ${attempt}: Error during proxy call:`, fetchError);
+            return {
+                error: { message: `Internal Proxy Error during attempt ${attempt}: ${fetchError.message}`, type: 'proxy_internal_error' },
+                status: 500
+            };
+        }
+
+        if (response.ok) {
+            console.log(`Attempt ${attempt}: Request successful with key ${selectedKey.id}.`);
+            if (countUsage) {
+                geminiKeyService.incrementKeyUsage(selectedKey.id, modelId, modelCategory)
+                    .catch(err => console.error(`Error incrementing usage for key ${selectedKey.id} in background:`, err));
+                response = rateLimitService.trackResponseTokens(response, rateEntry);
+            }
+            return { response, selectedKeyId: selectedKey.id };
+        }
+
+        const errorBodyText = await response.text();
+        console.error(`Attempt ${attempt}: Gemini API error: ${response.status} ${response.statusText}`, errorBodyText);
+        lastErrorStatus = response.status;
+        try {
+            lastError = JSON.parse(errorBodyText).error || { message: errorBodyText };
+        } catch {
+            lastError = { message: errorBodyText };
+        }
+        if (!lastError.type) lastError.type = `gemini_api_error_${response.status}`;
+        if (!lastError.code) lastError.code = response.status;
+        if (response.status === 429 || response.status >= 500) {
+            keyCooldownService.recordFailure(selectedKey.id, modelId, response.status, lastError);
+        }
+
+        if (response.status === 429) {
+            geminiKeyService.handle429Error(selectedKey.id, modelCategory, modelId, lastError)
+                .catch(err => console.error(`Error handling 429 for key ${selectedKey.id} in background:`, err));
+            if (attempt < MAX_RETRIES) {
+                console.warn(`Attempt ${attempt}: Received 429, trying next key...`);
+                continue;
+            }
+            console.error(`Attempt ${attempt}: Received 429, but max retries reached.`);
+        } else if (response.status === 401 || response.status === 403) {
+            geminiKeyService.recordKeyError(selectedKey.id, response.status)
+                .catch(err => console.error(`Error recording key error ${response.status} for key ${selectedKey.id} in background:`, err));
+        } else {
+            console.error(`Attempt ${attempt}: Received non-retryable error ${response.status}.`);
+        }
+        break;
+    }
+
+    return { error: lastError, status: lastErrorStatus };
+}
+
+/**
+ * Counts the input tokens of an OpenAI chat completions request with Gemini countTokens,
+ * after the same transformation a real request goes through. Doesn't consume quota.
+ * @param {object} openAIRequestBody The OpenAI chat completions request body.
+ * @param {string} workerApiKey The worker key used for the request, for its safety setting.
+ * @returns {Promise<{ response: { totalTokens: number; modelId: string }; selectedKeyId: string } | { error: object; status: number }>}
+ */
+async function countChatTokens(openAIRequestBody, workerApiKey) {
+    const requestedModelId = openAIRequestBody?.model;
+    if (!requestedModelId) {
+        return { error: { message: "Missing 'model' field in request body" }, status: 400 };
+    }
+    if (!Array.isArray(openAIRequestBody.messages)) {
+        return { error: { message: "Missing or invalid 'messages' field in request body" }, status: 400 };
+    }
+    if (requestedModelId.startsWith('[v]')) {
+        return { error: { message: 'Token counting is not supported for Vertex AI models.', type: 'invalid_request_error', param: 'model' }, status: 400 };
+    }
+
+    try {
+        const [modelsConfig, isSafetyEnabled] = await Promise.all([
+            configService.getModelsConfig(),
+            configService.getWorkerKeySafetySetting(workerApiKey),
+        ]);
+        // Aliases are resolved, fallbacks aren't: counting doesn't consume quota
+        const [resolvedModelId] = await resolveModelChain(requestedModelId, modelsConfig);
+        const variant = await modelVariantService.resolveModelVariant(resolvedModelId, Object.keys(modelsConfig));
+        if (variant?.error) {
+            return variant;
+        }
+        const modelId = variant ? variant.baseModelId : resolvedModelId;
+        const modelInfo = modelsConfig[modelId];
+        if (!modelInfo) {
+            return { error: { message: `Model '${modelId}' is not configured in the proxy.` }, status: 400 };
+        }
+
+        const { contents, systemInstruction, tools } = await transformUtils.transformOpenAiToGemini(openAIRequestBody, resolvedModelId, isSafetyEnabled);
+        const countRequest = buildCountTokensRequest(modelId, { contents, systemInstruction, tools });
+
+        const result = await executeWithKeyRotation(
+            modelId,
+            modelInfo.category,
+            (selectedKey) => fetchGemini(`/v1beta/models/${modelId}:countTokens`, selectedKey, { body: countRequest }),
+            { countUsage: false }
+        );
+        if (result.error) {
+            return result;
+        }
+        const geminiJson = await result.response.json();
+        return { response: { totalTokens: geminiJson.totalTokens || 0, modelId }, selectedKeyId: result.selectedKeyId };
+    } catch (error) {
+        console.error("Error counting chat tokens:", error);
+        return { error: { message: `Internal Proxy Error: ${error.message}`, type: 'proxy_internal_error' }, status: 500 };
+    }
+}
+
+// Gemini-native actions that can be proxied per model, and whether they consume quota
+const NATIVE_MODEL_ACTIONS = {
+    generateContent: { countUsage: true },
+    streamGenerateContent: { countUsage: true },
+    countTokens: { countUsage: false },
+};
+
+/**
+ * Forwards a Gemini-native model request (e.g. `:generateContent`) unchanged, using the pooled keys.
+ * @param {string} modelId The model ID from the request path, without the `models/` prefix.
+ * @param {string} action One of the keys of NATIVE_MODEL_ACTIONS.
+ * @param {object} requestBody The Gemini request body, forwarded as is.
+ * @param {object} [query] Query parameters to forward (only `alt` is passed on).
+ * @returns {Promise<{ response: import('node-fetch').Response; selectedKeyId: string } | { error: object; status: number }>}
+ */
+async function proxyNativeModelAction(modelId, action, requestBody, query = {}) {
+    const actionConfig = NATIVE_MODEL_ACTIONS[action];
+    if (!actionConfig) {
+        return { error: { code: 404, message: `Method '${action}' is not supported by the proxy.`, status: 'NOT_FOUND' }, status: 404 };
+    }
+
+    try {
+        const modelsConfig = await configService.getModelsConfig();
+        const modelInfo = modelsConfig[modelId];
+        if (!modelInfo) {
+            return { error: { code: 400, message: `Model '${modelId}' is not configured in the proxy.`, status: 'INVALID_ARGUMENT' }, status: 400 };
+        }
+
+        const queryString = query.alt ? `?alt=${encodeURIComponent(query.alt)}` : '';
+        const apiPath = `/v1beta/models/${encodeURIComponent(modelId)}:${action}${queryString}`;
+        console.log(`Native Gemini ${action} request for model: ${modelId}, Category: ${modelInfo.category}`);
+
+        return await executeWithKeyRotation(
+            modelId,
+            modelInfo.category,
+            (selectedKey) => fetchGemini(apiPath, selectedKey, { body: requestBody || {} }),
+            { countUsage: actionConfig.countUsage, estimatedTokens: rateLimitService.estimateTokens(requestBody || {}) }
+        );
+    } catch (error) {
+        console.error(`Error processing native Gemini ${action} request:`, error);
+        return { error: { code: 500, message: `Internal Proxy Error: ${error.message}`, status: 'INTERNAL' }, status: 500 };
+    }
+}
+
+/**
+ * Forwards a Gemini-native `models.list` or `models.get` call with any available key.
+ * Read-only, so the rotation index is left untouched and no usage is counted.
+ * @param {string} [modelId] Model to fetch; lists all models when omitted.
+ * @param {object} [query] Query parameters to forward (`pageSize`, `pageToken`).
+ * @returns {Promise<{ response: import('node-fetch').Response; selectedKeyId: string } | { error: object; status: number }>}
+ */
+async function proxyNativeModelsRequest(modelId, query = {}) {
+    try {
+        const availableKey = await geminiKeyService.getNextAvailableGeminiKey(null, false);
+        if (!availableKey) {
+            return { error: { code: 503, message: "No available Gemini API Key configured or all keys are currently rate-limited/invalid.", status: 'UNAVAILABLE' }, status: 503 };
+        }
+
+        const params = new URLSearchParams();
+        ['pageSize', 'pageToken'].forEach(name => {
+            if (query[name] !== undefined) params.set(name, query[name]);
+        });
+        const queryString = params.toString() ? `?${params.toString()}` : '';
+        const apiPath = modelId ? `/v1beta/models/${encodeURIComponent(modelId)}` : `/v1beta/models${queryString}`;
+
+        const response = await fetchGemini(apiPath, availableKey, { method: 'GET' });
+        return { response, selectedKeyId: availableKey.id };
+    } catch (error) {
+        console.error("Error processing native Gemini models request:", error);
+        return { error: { code: 500, message: `Internal Proxy Error: ${error.message}`, status: 'INTERNAL' }, status: 500 };
+    }
+}
+
+// Gemini rejects generateContent requests over 20 MB, so larger inline media is moved to the Files API
+const MAX_INLINE_REQUEST_BYTES = parseInt(process.env.MAX_INLINE_REQUEST_BYTES, 10) || 20 * 1024 * 1024;
+// How long to wait for an uploaded file (e.g. a video) to finish processing
+const FILE_PROCESSING_TIMEOUT_MS = 120000;
+
+/**
+ * Uploads a file to the Gemini Files API with the resumable upload protocol and waits until it is ACTIVE.
+ * Files belong to the project of the key they were uploaded with, so the same key has to be used to reference them.
+ * @param {{ id: string; key: string }} selectedKey
+ * @param {Buffer} buffer The file content.
+ * @param {string} mimeType
+ * @param {string} [displayName]
+ * @returns {Promise<object>} The Gemini File resource (name, uri, mimeType, state, expirationTime, ...).
+ */
+async function uploadToGeminiFiles(selectedKey, buffer, mimeType, displayName) {
+    const agent = proxyPool.getNextProxyAgent();
+    const startResponse = await fetch(`${getGeminiBaseUrl()}/upload/v1beta/files`, {
+        method: 'POST',
+        headers: {
+            ...buildGeminiHeaders(selectedKey.key),
+            'X-Goog-Upload-Protocol': 'resumable',
+            'X-Goog-Upload-Command': 'start',
+            'X-Goog-Upload-Header-Content-Length': String(buffer.length),
+            'X-Goog-Upload-Header-Content-Type': mimeType,
+        },
+        body: JSON.stringify({ file: { ...(displayName && { display_name: displayName }) } }),
+        timeout: 60000,
+        ...(agent && { agent }),
+    });
+    if (!startResponse.ok) {
+        throw new Error(`Upload start failed with status ${startResponse.status}: ${await startResponse.text()}`);
+    }
+    const uploadUrl = startResponse.headers.get('x-goog-upload-url');
+    if (!uploadUrl) {
+        throw new Error('Upload start response did not include an upload URL.');
+    }
+
+    const uploadResponse = await fetch(uploadUrl, {
+        method: 'POST',
+        headers: {
+            'Content-Length': String(buffer.length),
+            'X-Goog-Upload-Offset': '0',
+            'X-Goog-Upload-Command': 'upload, finalize',
+        },
+        body: buffer,
+        timeout: 300000,
+        ...(agent && { agent }),
+    });
+    if (!uploadResponse.ok) {
+        throw new Error(`Upload failed with status ${uploadResponse.status}: ${await uploadResponse.text()}`);
+    }
+    let { file } = await uploadResponse.json();
+    console.log(`Uploaded ${buffer.length} bytes (${mimeType}) to the Gemini Files API as ${file.name} with key ${selectedKey.id}.`);
+
+    // Videos and audio are processed before they can be used in a request
+    const deadline = Date.now() + FILE_PROCESSING_TIMEOUT_MS;
+    while (file.state === 'PROCESSING') {
+        if (Date.now() > deadline) {
+            throw new Error(`File ${file.name} is still processing after ${FILE_PROCESSING_TIMEOUT_MS / 1000}s.`);
+        }
+        await new Promise(resolve => setTimeout(resolve, 2000));
+        const statusResponse = await fetchGemini(`/v1beta/${file.name}`, selectedKey, { method: 'GET' });
+        if (!statusResponse.ok) {
+            throw new Error(`Checking the state of ${file.name} failed with status ${statusResponse.status}.`);
+        }
+        file = await statusResponse.json();
+    }
+    if (file.state === 'FAILED') {
+        throw new Error(`Gemini failed to process file ${file.name}.`);
+    }
+    return file;
+}
+
+/**
+ * Keeps a generateContent request under the inline size limit by uploading its largest
+ * inlineData parts to the Files API (with the key that will send the request) and
+ * replacing them with fileData references. The request body is modified in place.
+ * @param {object} geminiRequestBody
+ * @param {{ id: string; key: string }} selectedKey
+ * @returns {Promise<void>}
+ */
+async function offloadOversizedInlineData(geminiRequestBody, selectedKey) {
+    let requestSize = Buffer.byteLength(JSON.stringify(geminiRequestBody));
+    if (requestSize <= MAX_INLINE_REQUEST_BYTES) {
+        return;
+    }
+
+    const inlineParts = geminiRequestBody.contents
+        .flatMap(content => content.parts || [])
+        .filter(part => part.inlineData?.data)
+        .sort((a, b) => b.inlineData.data.length - a.inlineData.data.length);
+
+    for (const part of inlineParts) {
+        if (requestSize <= MAX_INLINE_REQUEST_BYTES) break;
+        const { mimeType, data } = part.inlineData;
+        console.log(`Request is ${requestSize} bytes, moving ${data.length} bytes of ${mimeType} to the Gemini Files API.`);
+        const file = await uploadToGeminiFiles(selectedKey, Buffer.from(data, 'base64'), mimeType);
+        delete part.inlineData;
+        part.fileData = { mimeType: file.mimeType || mimeType, fileUri: file.uri };
+        requestSize -= data.length;
+    }
+}
+
+/**
+ * Collects the `file_id`s referenced by `file` content parts.
+ * @param {object[]} messages The OpenAI messages.
+ * @returns {string[]}
+ */
+function collectReferencedFileIds(messages) {
+    return messages
+        .filter(msg => Array.isArray(msg.content))
+        .flatMap(msg => msg.content)
+        .filter(part => part?.type === 'file' && part.file?.file_id)
+        .map(part => part.file.file_id);
+}
+
+/**
+ * Identifies a conversation for the sticky key selection strategy by hashing its opening messages
+ * (everything up to and including the first user message), which stay the same as it grows.
+ * @param {object[]} messages The OpenAI messages.
+ * @returns {string}
+ */
+function computeConversationAffinity(messages) {
+    const firstUserIndex = messages.findIndex(msg => msg.role === 'user');
+    const openingMessages = messages.slice(0, firstUserIndex === -1 ? 1 : firstUserIndex + 1)
+        .map(msg => ({ role: msg.role, content: msg.content }));
+    return crypto.createHash('sha256').update(JSON.stringify(openingMessages)).digest('hex');
+}
+
+/**
+ * Builds a countTokens request covering everything a generateContent request sends as input.
+ * @param {string} modelId
+ * @param {object} geminiRequestBody The generateContent request body.
+ * @returns {object}
+ */
+function buildCountTokensRequest(modelId, geminiRequestBody) {
+    return {
+        generateContentRequest: {
+            model: `models/${modelId}`,
+            contents: geminiRequestBody.contents,
+            ...(geminiRequestBody.systemInstruction && { systemInstruction: geminiRequestBody.systemInstruction }),
+            ...(geminiRequestBody.tools && { tools: geminiRequestBody.tools }),
+        },
+    };
+}
+
+/**
+ * Rejects a request whose prompt is longer than the model's configured max input tokens.
+ * Text-only prompts with fewer characters than the limit can't exceed it (a token is at least
+ * one character), so only longer prompts and prompts with media cost a countTokens call.
+ * @param {string} modelId
+ * @param {number} maxInputTokens
+ * @param {object} geminiRequestBody The generateContent request body.
+ * @param {{ id: string; key: string }} selectedKey Key used for the countTokens call.
+ * @returns {Promise<{ error: object; status: number } | null>} The context_length_exceeded error, or null when the prompt fits.
+ */
+async function checkContextLength(modelId, maxInputTokens, geminiRequestBody, selectedKey) {
+    const countRequest = buildCountTokensRequest(modelId, geminiRequestBody);
+    const hasMedia = geminiRequestBody.contents.some(content => content.parts.some(part => part.inlineData || part.fileData));
+    if (!hasMedia && JSON.stringify(countRequest).length <= maxInputTokens) {
+        return null;
+    }
+
+    const response = await fetchGemini(`/v1beta/models/${modelId}:countTokens`, selectedKey, { body: countRequest });
+    if (!response.ok) {
+        // The limit is a safeguard, Gemini still enforces its own
+        console.warn(`Could not count tokens for the context length check (${response.status}), sending the request anyway.`);
+        return null;
+    }
+    const { totalTokens } = await response.json();
+    if (totalTokens > maxInputTokens) {
+        console.warn(`Rejecting request for ${modelId}: ${totalTokens} input tokens exceed the configured maximum of ${maxInputTokens}.`);
+        return {
+            error: {
+                message: `This model's maximum context length is ${maxInputTokens} tokens. However, your messages resulted in ${totalTokens} tokens. Please reduce the length of the messages.`,
+                type: 'invalid_request_error',
+                param: 'messages',
+                code: 'context_length_exceeded',
+            },
+            status: 400,
+        };
+    }
+    return null;
+}
+
+/**
+ * Whether a Gemini model can return images in generateContent responses (e.g. gemini-2.5-flash-image,
+ * gemini-2.0-flash-preview-image-generation). Imagen models only support `predict`.
+ * @param {string} modelId
+ * @returns {boolean}
+ */
+function isImageOutputModel(modelId) {
+    return /^gemini-.*image/i.test(modelId || '');
+}
+
+// Upper bound for OpenAI's `n`, matching the largest candidateCount Gemini accepts
+const MAX_CANDIDATE_COUNT = 8;
+
+/**
+ * Whether an upstream error means the model doesn't support candidateCount > 1
+ * (e.g. "Multiple candidates is not enabled for models/...").
+ * @param {number} status
+ * @param {object} error The parsed upstream error.
+ * @returns {boolean}
+ */
+function isCandidateCountRejected(status, error) {
+    return status === 400 && /candidate/i.test(error?.message || '');
+}
+
+/**
+ * Merges complete Gemini responses into one, with the candidates renumbered in order and the usage summed.
+ * @param {object[]} geminiResponses
+ * @returns {object}
+ */
+function mergeGeminiResponses(geminiResponses) {
+    const candidates = [];
+    geminiResponses.forEach(geminiResponse => {
+        (geminiResponse.candidates || []).forEach(candidate => {
+            candidates.push({ ...candidate, index: candidates.length });
+        });
+    });
+    const usageMetadata = transformUtils.sumUsageMetadata(geminiResponses.map(geminiResponse => geminiResponse.usageMetadata));
+    return {
+        ...geminiResponses[0],
+        candidates: candidates,
+        ...(usageMetadata && { usageMetadata: usageMetadata }),
+    };
+}
+
+/**
+ * Interleaves several Gemini `streamGenerateContent` bodies into a single body in the same
+ * JSON-array format. Each stream's candidate becomes candidate `i` (its position in `bodies`);
+ * the per-stream usage is withheld and sent summed in a last object once every stream has ended.
+ * @param {import('stream').Readable[]} bodies
+ * @returns {import('stream').PassThrough}
+ */
+function mergeGeminiStreams(bodies) {
+    const merged = new PassThrough();
+    const lastUsage = [];
+    let objectsWritten = 0;
+    let pending = bodies.length;
+
+    const writeObject = (obj) => {
+        merged.write(`${objectsWritten === 0 ? '[' : ','}${JSON.stringify(obj)}`);
+        objectsWritten++;
+    };
+    const finishOne = () => {
+        if (--pending > 0) return;
+        const usageMetadata = transformUtils.sumUsageMetadata(lastUsage);
+        if (usageMetadata) {
+            writeObject({ usageMetadata: usageMetadata });
+        }
+        merged.end(objectsWritten === 0 ? '[]' : ']');
+    };
+
+    bodies.forEach((body, streamIndex) => {
+        const parser = createGeminiStreamParser();
+        parser.on('data', (obj) => {
+            if (obj.usageMetadata) {
+                lastUsage[streamIndex] = obj.usageMetadata;
+            }
+            const { usageMetadata, ...rest } = obj;
+            if (rest.candidates) {
+                rest.candidates = rest.candidates.map(candidate => ({ ...candidate, index: streamIndex }));
+                writeObject(rest);
+            }
+        });
+        parser.on('end', finishOne);
+        body.on('error', (err) => {
+            console.error(`Error reading fanned-out stream ${streamIndex}:`, err);
+            parser.end();
+        });
+        body.pipe(parser);
+    });
+
+    return merged;
+}
+
+/**
+ * Fallback for models that reject candidateCount: sends `n` single-candidate requests in parallel,
+ * each selecting its own key through the usual rotation and counting its own usage, and merges
+ * the results as if they were one multi-candidate response. Requests that fail are left out
+ * as long as at least one succeeds.
+ * @param {object} openAIRequestBody The original request body.
+ * @param {number} candidateCount The requested `n`.
+ * @param {Array} proxyArgs The remaining proxyModelChatCompletions arguments, after the request body.
+ * @returns {Promise<object>} Same shape as the proxyModelChatCompletions result.
+ */
+async function fanOutChatCompletions(openAIRequestBody, candidateCount, proxyArgs) {
+    const [, stream] = proxyArgs;
+    const singleRequestBody = { ...openAIRequestBody, n: 1 };
+    const results = await Promise.all(
+        Array.from({ length: candidateCount }, () => proxyModelChatCompletions(singleRequestBody, ...proxyArgs))
+    );
+
+    const succeeded = results.filter(result => !result.error);
+    if (succeeded.length === 0) {
+        return results[0];
+    }
+    if (succeeded.length < candidateCount) {
+        console.warn(`Only ${succeeded.length} of ${candidateCount} fanned-out requests succeeded.`);
+    }
+
+    const combined = {
+        ...succeeded[0],
+        selectedKeyId: [...new Set(succeeded.map(result => result.selectedKeyId))].join(','),
+    };
+    if (combined.isKeepAlive) {
+        combined.response = mergeGeminiResponses(succeeded.map(result => result.response));
+    } else if (stream) {
+        combined.response = { ok: true, status: 200, body: mergeGeminiStreams(succeeded.map(result => result.response.body)) };
+    } else {
+        const mergedJson = mergeGeminiResponses(await Promise.all(succeeded.map(result => result.response.json())));
+        combined.response = { ok: true, status: 200, json: () => Promise.resolve(mergedJson) };
+    }
+    return combined;
+}
+
+/**
+ * Proxies an OpenAI chat completions request to a single Gemini model with key rotation.
+ * @param {object} openAIRequestBody The OpenAI chat completions request body.
+ * @param {string} workerApiKey The worker key used for the request, for its safety setting and uploaded files.
+ * @param {boolean} stream Whether the client expects a streaming response.
+ * @param {number} [thinkingBudget] Sets generationConfig.thinkingConfig.thinkingBudget when defined.
+ *   Otherwise the request's `thinking`/`reasoning_effort`, the model variant and the model's default budget apply, in that order.
+ * @param {boolean} [returnThoughtProcess] Legacy flag, asks for thought summaries like `reasoning_effort` does.
+ * @param {boolean} [includeThoughts] Asks Gemini to return thought summaries as `thought` parts.
+ *   When undefined, thoughts are included if the request asks for reasoning.
+ * @returns {Promise<object>} The raw upstream response and selected key, or `{ error, status }`.
+ */
+async function proxyModelChatCompletions(openAIRequestBody, workerApiKey, stream, thinkingBudget, returnThoughtProcess, includeThoughts) {
     // Check if KEEPALIVE mode is enabled
     const keepAliveEnabled = process.env.KEEPALIVE === '1';
     
@@ -30,9 +689,47 @@ async function proxyChatCompletions(openAIRequestBody, workerApiKey, stream, thi
         return { error: { message: "Missing or invalid 'messages' field in request body" }, status: 400 };
     }
 
+    const responseFormatConfig = transformUtils.transformResponseFormat(openAIRequestBody.response_format);
+    if (responseFormatConfig.error) {
+        return responseFormatConfig;
+    }
+    const toolChoiceConfig = transformUtils.transformToolChoice(openAIRequestBody.tool_choice, openAIRequestBody.tools);
+    if (toolChoiceConfig.error) {
+        return toolChoiceConfig;
+    }
+    const thinkingOptions = transformUtils.transformThinkingConfig(openAIRequestBody);
+    if (thinkingOptions.error) {
+        return thinkingOptions;
+    }
+    const topLogprobs = openAIRequestBody.top_logprobs;
+    if (topLogprobs !== undefined && topLogprobs !== null && (!Number.isInteger(topLogprobs) || topLogprobs < 0 || topLogprobs > 20)) {
+        return { error: { message: "'top_logprobs' must be an integer between 0 and 20.", type: 'invalid_request_error', param: 'top_logprobs' }, status: 400 };
+    }
+    const candidateCount = openAIRequestBody.n ?? 1;
+    if (!Number.isInteger(candidateCount) || candidateCount < 1 || candidateCount > MAX_CANDIDATE_COUNT) {
+        return { error: { message: `'n' must be an integer between 1 and ${MAX_CANDIDATE_COUNT}.`, type: 'invalid_request_error', param: 'n' }, status: 400 };
+    }
+
+    // Uploaded files only work with the key that uploaded them, so such requests skip rotation
+    let pinnedKeyId = null;
+    let uploadedFiles = [];
+    const referencedFileIds = collectReferencedFileIds(openAIRequestBody.messages);
+    if (referencedFileIds.length > 0) {
+        const affinity = await geminiFilesService.resolveFileKeyAffinity(workerApiKey, referencedFileIds);
+        if (affinity.error) {
+            return affinity;
+        }
+        pinnedKeyId = affinity.keyId;
+        uploadedFiles = affinity.files;
+    }
+    const affinityKey = computeConversationAffinity(openAIRequestBody.messages);
+    // Keys are picked before the Gemini request is built, so the TPM check uses the OpenAI input
+    const estimatedTokens = rateLimitService.estimateTokens({ messages: openAIRequestBody.messages, tools: openAIRequestBody.tools });
+
     const MAX_RETRIES = 3;
     let lastError = null;
     let lastErrorStatus = 500;
+    const triedKeyIds = [];
     let modelInfo;
     let modelCategory;
     let isSafetyEnabled;
@@ -45,10 +742,13 @@ async function proxyChatCompletions(openAIRequestBody, workerApiKey, stream, thi
             configService.getWorkerKeySafetySetting(workerApiKey) // Get safety setting for this worker key
         ]);
         
-        // Check if web search functionality needs to be added
-        // 1. Via web_search parameter or 2. Using a model ending with -search
-        const isSearchModel = requestedModelId.endsWith('-search');
-        const actualModelId = isSearchModel ? requestedModelId.replace('-search', '') : requestedModelId;
+        // Variant suffixes (e.g. -search, :thinking-<N>) are stripped and turned into request options
+        const variant = await modelVariantService.resolveModelVariant(requestedModelId, Object.keys(modelsConfig));
+        if (variant?.error) {
+            return variant;
+        }
+        const actualModelId = variant ? variant.baseModelId : requestedModelId;
+        const variantTools = variant ? variant.tools : [];
         
         // If KEEPALIVE is enabled, this is a streaming request, and safety is disabled, we'll handle it specially
         const useKeepAlive = !isSafetyEnabled && keepAliveEnabled && stream;
@@ -56,25 +756,42 @@ async function proxyChatCompletions(openAIRequestBody, workerApiKey, stream, thi
         // If using keepalive, we'll make a non-streaming request to Gemini but send streaming responses to client
         const actualStreamMode = useKeepAlive ? false : stream;
 
-        // If it's a search model, use the original model ID to find model info
-        const modelLookupId = isSearchModel ? actualModelId : requestedModelId;
-        modelInfo = modelsConfig[modelLookupId];
+        modelInfo = modelsConfig[actualModelId];
         if (!modelInfo) {
-            return { error: { message: `Model '${modelLookupId}' is not configured in the proxy.` }, status: 400 };
+            return { error: { message: `Model '${actualModelId}' is not configured in the proxy.` }, status: 400 };
         }
         modelCategory = modelInfo.category;
 
+        // Explicit budgets win over the variant's, which wins over the model's default
+        const effectiveThinkingBudget = thinkingBudget ?? thinkingOptions.thinkingBudget ?? variant?.thinkingBudget ?? modelInfo.thinkingBudget;
+        const effectiveIncludeThoughts = includeThoughts ?? (Boolean(returnThoughtProcess) || thinkingOptions.includeThoughts);
+
+        // Image output models only return images when IMAGE is among the response modalities;
+        // OpenAI's `modalities` (e.g. ["text", "image"]) overrides the default
+        const responseModalities = Array.isArray(openAIRequestBody.modalities)
+            ? openAIRequestBody.modalities.map(modality => String(modality).toUpperCase())
+            : (isImageOutputModel(actualModelId) ? ['TEXT', 'IMAGE'] : undefined);
+
         // --- Retry Loop ---
         for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
             let selectedKey;
             let forceNewKey = false; // Flag to force getting a new key on retry
             try {
                 // 1. Get Key inside the loop for each attempt
-                // If it's a search model, use the original model ID to get the API key
-                const keyModelId = isSearchModel ? actualModelId : requestedModelId;
+                // Variants share the quota of their base model
+                const keyModelId = actualModelId;
                 
-                // If previous attempt had an empty response, force getting a new key by calling getNextAvailableGeminiKey
-                selectedKey = await geminiKeyService.getNextAvailableGeminiKey(keyModelId);
+                if (pinnedKeyId) {
+                    selectedKey = await geminiKeyService.getGeminiKeyById(pinnedKeyId);
+                    if (!selectedKey) {
+                        return { error: { message: `The API key that uploaded the referenced files no longer exists. Upload them again.`, type: 'invalid_request_error' }, status: 400 };
+                    }
+                    console.log(`Attempt ${attempt}: Using key ${pinnedKeyId}, which owns the referenced files.`);
+                } else {
+                    // Keys that already failed for this request (429 or an empty response) are not picked again
+                    selectedKey = await geminiKeyService.getNextAvailableGeminiKey(keyModelId, true, { excludeKeyIds: triedKeyIds, affinityKey, estimatedTokens });
+                    if (selectedKey) triedKeyIds.push(selectedKey.id);
+                }
 
                 // 2. Validate Key
                 if (!selectedKey) {
@@ -92,7 +809,7 @@ async function proxyChatCompletions(openAIRequestBody, workerApiKey, stream, thi
                 console.log(`Attempt ${attempt}: Proxying request for model: ${requestedModelId}, Category: ${modelCategory}, KeyID: ${selectedKey.id}, Safety: ${isSafetyEnabled}`);
 
                 // 3. Transform Request Body (remains the same)
-                const { contents, systemInstruction, tools: geminiTools } = transformUtils.transformOpenAiToGemini(
+                const { contents, systemInstruction, tools: geminiTools } = await transformUtils.transformOpenAiToGemini(
                     openAIRequestBody,
                     requestedModelId,
                     isSafetyEnabled // Pass safety setting to transformer
@@ -102,46 +819,53 @@ async function proxyChatCompletions(openAIRequestBody, workerApiKey, stream, thi
                     return { error: { message: "Request must contain at least one user or assistant message." }, status: 400 };
                 }
 
+                // file_id references only carry the URI, add the MIME type recorded at upload
+                uploadedFiles.forEach(file => {
+                    contents.forEach(content => content.parts.forEach(part => {
+                        if (part.fileData?.fileUri === file.uri && !part.fileData.mimeType) {
+                            part.fileData.mimeType = file.mime_type;
+                        }
+                    }));
+                });
+
                 const geminiRequestBody = {
                     contents: contents,
                     generationConfig: {
                         ...(openAIRequestBody.temperature !== undefined && { temperature: openAIRequestBody.temperature }),
                         ...(openAIRequestBody.top_p !== undefined && { topP: openAIRequestBody.top_p }),
+                        ...(openAIRequestBody.top_k !== undefined && { topK: openAIRequestBody.top_k }),
                         ...(openAIRequestBody.max_tokens !== undefined && { maxOutputTokens: openAIRequestBody.max_tokens }),
                         ...(openAIRequestBody.stop && { stopSequences: Array.isArray(openAIRequestBody.stop) ? openAIRequestBody.stop : [openAIRequestBody.stop] }),
-                        ...(thinkingBudget !== undefined && { thinkingConfig: { thinkingBudget: thinkingBudget } }),
+                        ...(candidateCount > 1 && { candidateCount: candidateCount }),
+                        ...(responseModalities && { responseModalities: responseModalities }),
+                        ...(openAIRequestBody.logprobs === true && {
+                            responseLogprobs: true,
+                            ...(Number.isInteger(topLogprobs) && { logprobs: topLogprobs }),
+                        }),
+                        ...responseFormatConfig,
+                        ...((effectiveThinkingBudget !== undefined || effectiveIncludeThoughts) && {
+                            thinkingConfig: {
+                                ...(effectiveThinkingBudget !== undefined && { thinkingBudget: effectiveThinkingBudget }),
+                                ...(effectiveIncludeThoughts && { includeThoughts: true }),
+                            }
+                        }),
                     },
                     ...(geminiTools && { tools: geminiTools }),
+                    ...(toolChoiceConfig.toolConfig && { toolConfig: toolChoiceConfig.toolConfig }),
                     ...(systemInstruction && { systemInstruction: systemInstruction }),
                 };
 
-                if (returnThoughtProcess) {
-                    console.log("Enabling thought process for this request.");
-                    // Ensure tool_config and thinking_config exist
-                    if (!geminiRequestBody.tool_config) {
-                        geminiRequestBody.tool_config = {};
-                    }
-                    geminiRequestBody.tool_config.thinking_config = {
-                        thinking_mode: "INCLUDE",
-                        placeholder: "(Thinking...)"
-                    };
+                // Built-in tools come from the model variant, web search also from the web_search parameter
+                const builtInTools = [...variantTools];
+                if (openAIRequestBody.web_search === 1 && !builtInTools.includes('googleSearch')) {
+                    builtInTools.push('googleSearch');
+                }
+                if (builtInTools.length > 0) {
+                    console.log(`Built-in tools enabled for this request: ${builtInTools.join(', ')}`);
+                    geminiRequestBody.tools = [...(geminiRequestBody.tools || []), ...builtInTools.map(tool => ({ [tool]: {} }))];
                 }
 
-                if (openAIRequestBody.web_search === 1 || isSearchModel) {
-                    console.log(`Web search enabled for this request (${isSearchModel ? 'model-based' : 'parameter-based'})`);
-                    
-                    // Create Google Search tool
-                    const googleSearchTool = {
-                        googleSearch: {}
-                    };
-                    
-                    // Add to existing tools or create a new tools array
-                    if (geminiRequestBody.tools) {
-                        geminiRequestBody.tools = [...geminiRequestBody.tools, googleSearchTool];
-                    } else {
-                        geminiRequestBody.tools = [googleSearchTool];
-                    }
-                    
+                if (builtInTools.includes('googleSearch')) {
                     // Add a prompt at the end of the request to encourage the model to use search tools
                     geminiRequestBody.contents.push({
                         role: 'user',
@@ -160,74 +884,33 @@ async function proxyChatCompletions(openAIRequestBody, workerApiKey, stream, thi
                      console.log("Applying safety settings.");
                 }
 
+                try {
+                    await offloadOversizedInlineData(geminiRequestBody, selectedKey);
+                } catch (uploadError) {
+                    console.error(`Attempt ${attempt}: Failed to move inline media to the Files API:`, uploadError);
+                    return { error: { message: `Failed to upload oversized media to the Gemini Files API: ${uploadError.message}`, type: 'media_upload_error' }, status: 502 };
+                }
+
+                // The prompt doesn't change between attempts, so it is only checked once
+                if (modelInfo.maxInputTokens && attempt === 1) {
+                    const contextLengthError = await checkContextLength(actualModelId, modelInfo.maxInputTokens, geminiRequestBody, selectedKey);
+                    if (contextLengthError) {
+                        return contextLengthError;
+                    }
+                }
+
                 // 4. Prepare and Send Request to Gemini
                 // If keepalive is enabled and original request was streaming, use non-streaming API
                 const apiAction = actualStreamMode ? 'streamGenerateContent' : 'generateContent';
                 
                 // Determine Base URL based on CF_GATEWAY environment variable
-                let baseUrl = BASE_GEMINI_URL; // Default to standard Gemini URL
-                const cfGateway = process.env.CF_GATEWAY;
-
-                // Return default URL if CF_GATEWAY is not set
-                if (!cfGateway) {
-                    // Use default Gemini API URL (already set)
-                } else {
-                    // Handle case 1: CF_GATEWAY = "1" (use default project ID)
-                    if (cfGateway === '1') {
-                        // Validate default project ID format
-                        if (PROJECT_ID_REGEX.test(DEFAULT_PROJECT_ID)) {
-                            // Only use default Cloudflare Gateway if project ID format is valid
-                            baseUrl = `${CF_GATEWAY_BASE}/${DEFAULT_PROJECT_ID}/gemini/google-ai-studio`;
-                            console.log(`Using default Cloudflare Gateway: ${baseUrl}`);
-                        } else {
-                             console.warn(`Invalid DEFAULT_PROJECT_ID format: ${DEFAULT_PROJECT_ID}. Falling back to default Gemini URL.`);
-                        }
-                        // If invalid, fall back to default Gemini API URL (already set)
-                    } else {
-                        // Handle case 2: CF_GATEWAY contains projectId/gatewayName
-                        try {
-                            // Remove trailing slashes
-                            let gatewayValue = cfGateway.replace(/\/+$/, '');
-
-                            // Try to extract projectId/gatewayName pattern from anywhere in the string
-                            // This will work for both full URLs and direct format strings like "projectId/gatewayName"
-                            const pattern = /([0-9a-f]{32})\/([^\/\s]+)/i;
-                            const matches = gatewayValue.match(pattern);
-
-                            if (matches && matches.length >= 3) {
-                                const projectId = matches[1];
-                                const gatewayName = matches[2];
-
-                                if (PROJECT_ID_REGEX.test(projectId)) {
-                                    baseUrl = `${CF_GATEWAY_BASE}/${projectId}/${gatewayName}/google-ai-studio`;
-                                    console.log(`Using custom Cloudflare Gateway: ${baseUrl}`);
-                                } else {
-                                     console.warn(`Invalid Project ID format found in CF_GATEWAY: ${projectId}. Falling back to default Gemini URL.`);
-                                }
-                            } else {
-                                console.warn(`CF_GATEWAY value "${cfGateway}" does not match expected format (e.g., 'projectId/gatewayName' or full URL). Falling back to default Gemini URL.`);
-                            }
-                        } catch (error) {
-                            console.error('Error parsing CF_GATEWAY value:', error);
-                            // Fall back to default URL on error (already set)
-                        }
-                    }
-                    // For any other value or format issue of CF_GATEWAY, keep using default Gemini API URL
-                }
+                const baseUrl = getGeminiBaseUrl();
 
                 // Build complete API URL using the determined base URL
-                // Use actualModelId instead of requestedModelId with -search suffix
+                // Use actualModelId instead of requestedModelId with its variant suffixes
                 const geminiUrl = `${baseUrl}/v1beta/models/${actualModelId}:${apiAction}`;
 
-                const geminiRequestHeaders = {
-                    'Content-Type': 'application/json',
-                    'User-Agent': `Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/118.0.0.0 Safari/537.36`,
-                    'X-Accel-Buffering': 'no',
-                    'Cache-Control': 'no-cache, no-store, must-revalidate',
-                    'Pragma': 'no-cache',
-                    'Expires': '0',
-                    'x-goog-api-key': selectedKey.key
-                };
+                const geminiRequestHeaders = buildGeminiHeaders(selectedKey.key);
 
                 // Get the next proxy agent for this request
                 const agent = proxyPool.getNextProxyAgent(); // Use function from imported module
@@ -258,7 +941,8 @@ async function proxyChatCompletions(openAIRequestBody, workerApiKey, stream, thi
                     fetchOptions.agent = agent;
                 }
 
-                const geminiResponse = await fetch(geminiUrl, fetchOptions); // Use fetchOptions
+                const rateEntry = rateLimitService.recordRequest(selectedKey.id, actualModelId, estimatedTokens);
+                let geminiResponse = await fetch(geminiUrl, fetchOptions); // Use fetchOptions
 
                 // 5. Handle Gemini Response Status and Errors
                 if (!geminiResponse.ok) {
@@ -274,7 +958,10 @@ async function proxyChatCompletions(openAIRequestBody, workerApiKey, stream, thi
                      // Add type and code if not present from Gemini
                     if (!lastError.type) lastError.type = `gemini_api_error_${geminiResponse.status}`;
                     if (!lastError.code) lastError.code = geminiResponse.status;
-
+                    // Keep the key away from this model for a while, see keyCooldownService
+                    if (geminiResponse.status === 429 || geminiResponse.status >= 500) {
+                        keyCooldownService.recordFailure(selectedKey.id, actualModelId, geminiResponse.status, lastError);
+                    }
 
                     // Handle specific errors impacting key status
                     if (geminiResponse.status === 429) {
@@ -285,13 +972,15 @@ async function proxyChatCompletions(openAIRequestBody, workerApiKey, stream, thi
                         geminiKeyService.handle429Error(selectedKey.id, modelCategory, actualModelId, lastError)
                             .catch(err => console.error(`Error handling 429 for key ${selectedKey.id} in background:`, err));
 
-                        // If not the last attempt, continue to the next key
-                        if (attempt < MAX_RETRIES) {
+                        // If not the last attempt, continue to the next key (a pinned key can't be swapped)
+                        if (attempt < MAX_RETRIES && !pinnedKeyId) {
                             console.warn(`Attempt ${attempt}: Received 429, trying next key...`);
                             continue; // Go to the next iteration of the loop
                         } else {
-                            console.error(`Attempt ${attempt}: Received 429, but max retries reached.`);
-                            // Fall through to return the last recorded 429 error after the loop
+                            console.error(pinnedKeyId
+                                ? `Attempt ${attempt}: Received 429 from key ${pinnedKeyId}, which owns the referenced files; not retrying.`
+                                : `Attempt ${attempt}: Received 429, but max retries reached.`);
+                            break; // Return the last recorded 429 error after the loop
                         }
                     } else if (geminiResponse.status === 401 || geminiResponse.status === 403) {
                         // Record persistent error for the key
@@ -299,6 +988,9 @@ async function proxyChatCompletions(openAIRequestBody, workerApiKey, stream, thi
                              .catch(err => console.error(`Error recording key error ${geminiResponse.status} for key ${selectedKey.id} in background:`, err));
                         // Do not retry for 401/403, break and return this error
                         break;
+                    } else if (candidateCount > 1 && isCandidateCountRejected(geminiResponse.status, lastError)) {
+                        console.warn(`Model ${actualModelId} rejected candidateCount ${candidateCount}, fanning out ${candidateCount} parallel requests instead.`);
+                        return fanOutChatCompletions(openAIRequestBody, candidateCount, [workerApiKey, stream, thinkingBudget, returnThoughtProcess, includeThoughts]);
                     } else {
                          // For other errors (400, 500, etc.), don't retry, break and return the error
                          console.error(`Attempt ${attempt}: Received non-retryable error ${geminiResponse.status}.`);
@@ -310,6 +1002,7 @@ async function proxyChatCompletions(openAIRequestBody, workerApiKey, stream, thi
                     // Increment usage count for the actual model ID, not the -search version
                     geminiKeyService.incrementKeyUsage(selectedKey.id, actualModelId, modelCategory)
                           .catch(err => console.error(`Error incrementing usage for key ${selectedKey.id} in background:`, err));
+                    geminiResponse = rateLimitService.trackResponseTokens(geminiResponse, rateEntry);
 
                     // For KEEPALIVE mode with streaming client request
                     if (useKeepAlive) {
@@ -381,7 +1074,107 @@ async function proxyChatCompletions(openAIRequestBody, workerApiKey, stream, thi
     }
 }
 
+// Upstream statuses after which the next model of a fallback chain is tried:
+// model not found, rate limited on every key, or no key available at all
+const FALLBACK_STATUSES = [404, 429, 503];
+
+/**
+ * Resolves a requested model ID into the ordered list of models to try: the aliased model
+ * (keeping any variant suffix), then its configured fallbacks. Fallbacks keep the suffix when
+ * it is a valid variant of them too.
+ * @param {string} requestedModelId
+ * @param {object} modelsConfig As returned by configService.getModelsConfig().
+ * @returns {Promise<string[]>}
+ */
+async function resolveModelChain(requestedModelId, modelsConfig) {
+    const aliasTargets = {};
+    Object.entries(modelsConfig).forEach(([modelId, info]) => {
+        (info.aliases || []).forEach(alias => { aliasTargets[alias] = modelId; });
+    });
+    const configuredIds = Object.keys(modelsConfig);
+
+    const split = await modelVariantService.splitModelVariant(requestedModelId, [...configuredIds, ...Object.keys(aliasTargets)]);
+    const requestedBase = split ? split.baseModelId : requestedModelId;
+    const suffix = split ? split.suffix : '';
+    const baseModelId = aliasTargets[requestedBase] || requestedBase;
+
+    const chain = [`${baseModelId}${suffix}`];
+    for (const fallbackId of modelsConfig[baseModelId]?.fallbackModels || []) {
+        // Fallbacks whose model was removed since are skipped
+        if (!fallbackId.startsWith('[v]') && !modelsConfig[fallbackId]) continue;
+        let candidate = fallbackId;
+        if (suffix) {
+            const knownIds = fallbackId.startsWith('[v]') ? [fallbackId] : configuredIds;
+            const variant = await modelVariantService.resolveModelVariant(`${fallbackId}${suffix}`, knownIds);
+            if (variant && !variant.error) {
+                candidate = `${fallbackId}${suffix}`;
+            }
+        }
+        if (!chain.includes(candidate)) {
+            chain.push(candidate);
+        }
+    }
+    return chain;
+}
+
+/**
+ * Proxies an OpenAI chat completions request to Gemini with key rotation, resolving model aliases.
+ * When the model has a fallback chain and no key can serve it (no key available, or every attempt
+ * ended in 404/429), the request is retried on the next model of the chain.
+ * Takes the same arguments as proxyModelChatCompletions, plus:
+ * @param {object} [options]
+ * @param {boolean} [options.allowVertex] Whether `[v]` fallbacks may be used. Only callers that handle
+ *   Vertex results (`selectedKeyId` 'vertex-ai') should set it.
+ * @returns {Promise<object>} The proxyModelChatCompletions result with `modelUsed`, the model that served the request.
+ */
+async function proxyChatCompletions(openAIRequestBody, workerApiKey, stream, thinkingBudget, returnThoughtProcess, includeThoughts, { allowVertex = false } = {}) {
+    const requestedModelId = openAIRequestBody?.model;
+    let chain = [requestedModelId];
+    if (requestedModelId) {
+        try {
+            chain = await resolveModelChain(requestedModelId, await configService.getModelsConfig());
+        } catch (error) {
+            console.error("Error resolving model chain:", error);
+            return { error: { message: `Internal Proxy Error: ${error.message}`, type: 'proxy_internal_error' }, status: 500 };
+        }
+    }
+    const vertexAvailable = allowVertex && vertexProxyService.isVertexEnabled();
+
+    let result;
+    let lastModelId;
+    for (const modelId of chain) {
+        const useVertex = modelId.startsWith('[v]') && vertexAvailable;
+        if (result) {
+            if (modelId.startsWith('[v]') && !useVertex) {
+                console.warn(`Skipping fallback model ${modelId}: Vertex AI is not available for this request.`);
+                continue;
+            }
+            console.warn(`Model ${lastModelId} unavailable (status ${result.status}), falling back to ${modelId}.`);
+        }
+        lastModelId = modelId;
+        const modelRequestBody = modelId === requestedModelId ? openAIRequestBody : { ...openAIRequestBody, model: modelId };
+        result = useVertex
+            ? await vertexProxyService.proxyVertexChatCompletions(modelRequestBody, workerApiKey, stream)
+            : await proxyModelChatCompletions(modelRequestBody, workerApiKey, stream, thinkingBudget, returnThoughtProcess, includeThoughts);
+        if (!result.error) {
+            return { ...result, modelUsed: modelId };
+        }
+        if (!FALLBACK_STATUSES.includes(result.status)) {
+            break;
+        }
+    }
+    return result;
+}
+
 module.exports = {
     proxyChatCompletions,
+    countChatTokens,
+    getGeminiBaseUrl,
+    fetchGemini,
+    uploadToGeminiFiles,
+    isImageOutputModel,
+    executeWithKeyRotation,
+    proxyNativeModelAction,
+    proxyNativeModelsRequest,
     // getProxyPoolStatus is no longer needed here, it's in proxyPool.js
 };
@@ -0,0 +1,272 @@
+const configService = require('./configService');
+const geminiProxyService = require('./geminiProxyService');
+const rateLimitService = require('./rateLimitService');
+const generatedImageStore = require('../utils/generatedImageStore');
+
+// Used when a request names an OpenAI image model (dall-e-*, gpt-image-*) or no model at all
+const DEFAULT_IMAGE_MODEL = process.env.DEFAULT_IMAGE_MODEL || 'imagen-3.0-generate-002';
+// OpenAI accepts up to 10 images per request, Imagen returns at most 4 per predict call
+const MAX_IMAGES_PER_REQUEST = 10;
+const MAX_IMAGEN_SAMPLES = 4;
+
+const IMAGEN_ASPECT_RATIOS = ['1:1', '3:4', '4:3', '9:16', '16:9'];
+const GEMINI_ASPECT_RATIOS = ['1:1', '2:3', '3:2', '3:4', '4:3', '4:5', '5:4', '9:16', '16:9', '21:9'];
+
+/**
+ * Builds an OpenAI-style invalid_request_error result.
+ * @param {string} message
+ * @param {string} [param] The request field that caused the error.
+ * @param {string} [code]
+ * @returns {{ error: object; status: number }}
+ */
+function invalidRequest(message, param, code) {
+    return { error: { message, type: 'invalid_request_error', param: param || null, code: code || null }, status: 400 };
+}
+
+const isImagenModel = (modelId) => /^imagen-/i.test(modelId);
+
+/**
+ * Maps an OpenAI `size` ("1024x1792") onto the closest aspect ratio a model supports.
+ * @param {string} [size]
+ * @param {string[]} supportedRatios
+ * @returns {{ aspectRatio?: string } | { error: object; status: number }} No aspectRatio for "auto" or no size.
+ */
+function sizeToAspectRatio(size, supportedRatios) {
+    if (size === undefined || size === null || size === 'auto') {
+        return {};
+    }
+    const match = String(size).match(/^(\d+)x(\d+)$/);
+    if (!match || Number(match[1]) === 0 || Number(match[2]) === 0) {
+        return invalidRequest(`Invalid 'size': '${size}'. Expected WIDTHxHEIGHT, e.g. '1024x1024', or 'auto'.`, 'size');
+    }
+    const target = Math.log(Number(match[1]) / Number(match[2]));
+    const distance = (ratio) => {
+        const [width, height] = ratio.split(':').map(Number);
+        return Math.abs(Math.log(width / height) - target);
+    };
+    return { aspectRatio: supportedRatios.reduce((best, ratio) => distance(ratio) < distance(best) ? ratio : best) };
+}
+
+/**
+ * Validates the fields shared by generations and edits and resolves the model.
+ * @param {object} body The OpenAI images request body (form fields for edits, so numbers may be strings).
+ * @returns {Promise<{ modelId: string; modelInfo: object; count: number; responseFormat: string; aspectRatio?: string } | { error: object; status: number }>}
+ */
+async function parseImageRequest(body) {
+    if (typeof body?.prompt !== 'string' || body.prompt.trim().length === 0) {
+        return invalidRequest("'prompt' is required.", 'prompt');
+    }
+
+    const count = body.n === undefined || body.n === '' ? 1 : Number(body.n);
+    if (!Number.isInteger(count) || count < 1 || count > MAX_IMAGES_PER_REQUEST) {
+        return invalidRequest(`'n' must be an integer between 1 and ${MAX_IMAGES_PER_REQUEST}.`, 'n');
+    }
+
+    const responseFormat = body.response_format || 'url';
+    if (responseFormat !== 'url' && responseFormat !== 'b64_json') {
+        return invalidRequest("'response_format' must be either 'url' or 'b64_json'.", 'response_format');
+    }
+
+    const requestedModelId = typeof body.model === 'string' ? body.model.replace(/^models\//, '') : '';
+    const modelId = !requestedModelId || /^(dall-e|gpt-image)/i.test(requestedModelId) ? DEFAULT_IMAGE_MODEL : requestedModelId;
+    if (!isImagenModel(modelId) && !geminiProxyService.isImageOutputModel(modelId)) {
+        return invalidRequest(`Model '${modelId}' can't generate images. Use an Imagen model or a Gemini image output model.`, 'model');
+    }
+    const modelsConfig = await configService.getModelsConfig();
+    const modelInfo = modelsConfig[modelId];
+    if (!modelInfo) {
+        return { error: { message: `Model '${modelId}' is not configured in the proxy.` }, status: 400 };
+    }
+
+    const ratio = sizeToAspectRatio(body.size, isImagenModel(modelId) ? IMAGEN_ASPECT_RATIOS : GEMINI_ASPECT_RATIOS);
+    if (ratio.error) {
+        return ratio;
+    }
+
+    return { modelId, modelInfo, count, responseFormat, aspectRatio: ratio.aspectRatio };
+}
+
+/**
+ * Generates images with Imagen `predict`, in batches of up to 4 samples.
+ * @param {string} prompt
+ * @param {object} options The result of parseImageRequest.
+ * @returns {Promise<{ images: Array<{ mimeType: string; data: string }>; selectedKeyId: string } | { error: object; status: number }>}
+ */
+async function generateWithImagen(prompt, { modelId, modelInfo, count, aspectRatio }) {
+    const images = [];
+    const selectedKeyIds = [];
+
+    for (let remaining = count; remaining > 0; remaining -= MAX_IMAGEN_SAMPLES) {
+        const sampleCount = Math.min(remaining, MAX_IMAGEN_SAMPLES);
+        const body = {
+            instances: [{ prompt }],
+            parameters: { sampleCount, ...(aspectRatio && { aspectRatio }) },
+        };
+        const result = await geminiProxyService.executeWithKeyRotation(modelId, modelInfo.category, (selectedKey) =>
+            geminiProxyService.fetchGemini(`/v1beta/models/${modelId}:predict`, selectedKey, { body })
+        );
+        if (result.error) {
+            return result;
+        }
+
+        const geminiJson = await result.response.json();
+        // Filtered samples come back with raiFilteredReason instead of image bytes
+        (geminiJson.predictions || [])
+            .filter(prediction => prediction.bytesBase64Encoded)
+            .forEach(prediction => images.push({ mimeType: prediction.mimeType || 'image/png', data: prediction.bytesBase64Encoded }));
+        selectedKeyIds.push(result.selectedKeyId);
+    }
+
+    return { images, selectedKeyId: [...new Set(selectedKeyIds)].join(',') };
+}
+
+/**
+ * Generates images with a Gemini image output model, one generateContent call per image
+ * (run in parallel, each with its own rotated key).
+ * @param {string} prompt
+ * @param {object} options The result of parseImageRequest.
+ * @param {object[]} [inputParts] Images to edit, as Gemini inlineData parts placed before the prompt.
+ * @returns {Promise<{ images: Array<{ mimeType: string; data: string; revisedPrompt?: string }>; selectedKeyId: string } | { error: object; status: number }>}
+ */
+async function generateWithGemini(prompt, { modelId, modelInfo, count, aspectRatio }, inputParts = []) {
+    const body = {
+        contents: [{ role: 'user', parts: [...inputParts, { text: prompt }] }],
+        generationConfig: {
+            responseModalities: ['TEXT', 'IMAGE'],
+            ...(aspectRatio && { imageConfig: { aspectRatio } }),
+        },
+    };
+
+    const results = await Promise.all(Array.from({ length: count }, () =>
+        geminiProxyService.executeWithKeyRotation(modelId, modelInfo.category, (selectedKey) =>
+            geminiProxyService.fetchGemini(`/v1beta/models/${modelId}:generateContent`, selectedKey, { body }),
+            { estimatedTokens: rateLimitService.estimateTokens(body) }
+        )
+    ));
+    const failed = results.find(result => result.error);
+    if (failed && results.every(result => result.error)) {
+        return failed;
+    }
+
+    const images = [];
+    const selectedKeyIds = [];
+    for (const result of results.filter(result => !result.error)) {
+        const geminiJson = await result.response.json();
+        const parts = geminiJson.candidates?.[0]?.content?.parts || [];
+        // The model's accompanying text is the closest thing to OpenAI's revised_prompt
+        const text = parts.filter(part => part.text && !part.thought).map(part => part.text).join('').trim();
+        parts
+            .filter(part => part.inlineData?.mimeType?.startsWith('image/') && !part.thought)
+            .forEach(part => images.push({ mimeType: part.inlineData.mimeType, data: part.inlineData.data, ...(text && { revisedPrompt: text }) }));
+        selectedKeyIds.push(result.selectedKeyId);
+    }
+
+    return { images, selectedKeyId: [...new Set(selectedKeyIds)].join(',') };
+}
+
+/**
+ * Builds the OpenAI images response.
+ * @param {Array<{ mimeType: string; data: string; revisedPrompt?: string }>} images
+ * @param {'url' | 'b64_json'} responseFormat
+ * @param {string} publicBaseUrl Origin the generated image URLs are served from.
+ * @returns {object}
+ */
+function buildImagesResponse(images, responseFormat, publicBaseUrl) {
+    return {
+        created: Math.floor(Date.now() / 1000),
+        data: images.map(image => {
+            const item = responseFormat === 'b64_json'
+                ? { b64_json: image.data }
+                : { url: `${publicBaseUrl}/generated-images/${generatedImageStore.saveImage(Buffer.from(image.data, 'base64'), image.mimeType)}` };
+            if (image.revisedPrompt) {
+                item.revised_prompt = image.revisedPrompt;
+            }
+            return item;
+        }),
+    };
+}
+
+/**
+ * Turns the outcome of a generation into the service result, treating "no images at all" as a
+ * content policy rejection (both backends drop filtered images silently).
+ */
+function toImagesResult(generated, responseFormat, publicBaseUrl) {
+    if (generated.error) {
+        return generated;
+    }
+    if (generated.images.length === 0) {
+        return invalidRequest('No image was generated. The prompt may have been blocked by the safety filters.', 'prompt', 'content_policy_violation');
+    }
+    return { response: buildImagesResponse(generated.images, responseFormat, publicBaseUrl), selectedKeyId: generated.selectedKeyId };
+}
+
+/**
+ * Handles OpenAI-compatible /v1/images/generations requests with Imagen or a Gemini image output model.
+ * @param {object} openAIRequestBody
+ * @param {object} options
+ * @param {string} options.publicBaseUrl Origin used to build the URLs of response_format "url".
+ * @returns {Promise<{ response: object; selectedKeyId: string } | { error: object; status: number }>}
+ */
+async function proxyImageGenerations(openAIRequestBody, { publicBaseUrl }) {
+    try {
+        const parsed = await parseImageRequest(openAIRequestBody);
+        if (parsed.error) {
+            return parsed;
+        }
+
+        console.log(`Generating ${parsed.count} image(s) with model ${parsed.modelId}${parsed.aspectRatio ? ` (${parsed.aspectRatio})` : ''}`);
+        const generated = isImagenModel(parsed.modelId)
+            ? await generateWithImagen(openAIRequestBody.prompt, parsed)
+            : await generateWithGemini(openAIRequestBody.prompt, parsed);
+        return toImagesResult(generated, parsed.responseFormat, publicBaseUrl);
+    } catch (error) {
+        console.error("Error processing image generation request:", error);
+        return { error: { message: `Internal Proxy Error: ${error.message}`, type: 'proxy_internal_error' }, status: 500 };
+    }
+}
+
+/**
+ * Handles OpenAI-compatible /v1/images/edits requests with a Gemini image output model.
+ * The uploaded images are sent before the prompt; a mask is sent as an extra image with
+ * an instruction, since Gemini has no native mask input.
+ * @param {object} openAIRequestBody The form fields.
+ * @param {Array<{ buffer: Buffer; mimetype: string }>} imageFiles
+ * @param {{ buffer: Buffer; mimetype: string }} [maskFile]
+ * @param {object} options
+ * @param {string} options.publicBaseUrl Origin used to build the URLs of response_format "url".
+ * @returns {Promise<{ response: object; selectedKeyId: string } | { error: object; status: number }>}
+ */
+async function proxyImageEdits(openAIRequestBody, imageFiles, maskFile, { publicBaseUrl }) {
+    try {
+        if (!imageFiles || imageFiles.length === 0) {
+            return invalidRequest("'image' is required.", 'image');
+        }
+        const parsed = await parseImageRequest(openAIRequestBody);
+        if (parsed.error) {
+            return parsed;
+        }
+        if (isImagenModel(parsed.modelId)) {
+            return invalidRequest(`Model '${parsed.modelId}' can't edit images: Imagen editing is only available on Vertex AI. Use a Gemini image output model.`, 'model');
+        }
+
+        const toPart = (file) => ({ inlineData: { mimeType: file.mimetype, data: file.buffer.toString('base64') } });
+        const inputParts = imageFiles.map(toPart);
+        let prompt = openAIRequestBody.prompt;
+        if (maskFile) {
+            inputParts.push(toPart(maskFile));
+            prompt = `The last image is a mask: only change the areas where it is transparent and keep everything else identical.\n\n${prompt}`;
+        }
+
+        console.log(`Editing ${imageFiles.length} image(s) into ${parsed.count} result(s) with model ${parsed.modelId}`);
+        const generated = await generateWithGemini(prompt, parsed, inputParts);
+        return toImagesResult(generated, parsed.responseFormat, publicBaseUrl);
+    } catch (error) {
+        console.error("Error processing image edit request:", error);
+        return { error: { message: `Internal Proxy Error: ${error.message}`, type: 'proxy_internal_error' }, status: 500 };
+    }
+}
+
+module.exports = {
+    proxyImageGenerations,
+    proxyImageEdits,
+};
@@ -0,0 +1,152 @@
+// Cooldowns keep keys out of key selection for a while after Gemini rate-limited them (429) or failed
+// (5xx), so the next requests don't run into the same error. Gemini's limits are per model, so a
+// cooldown covers one key × model, unless the quota that was hit isn't tied to a model. Repeated
+// failures back off exponentially. Cooldowns are short-lived and kept in memory only.
+const KEY_COOLDOWN_BASE_MS = parseInt(process.env.KEY_COOLDOWN_BASE_MS, 10) || 10000;
+const KEY_COOLDOWN_MAX_MS = parseInt(process.env.KEY_COOLDOWN_MAX_MS, 10) || 600000;
+
+/**
+ * @typedef {object} Cooldown
+ * @property {string} keyId
+ * @property {string | null} modelId null when the cooldown covers every model of the key.
+ * @property {number} until Timestamp the key can be used again.
+ * @property {number} failures Consecutive failures, the exponent of the backoff.
+ * @property {number} status Upstream status of the last failure.
+ */
+
+/** @type {Map<string, Cooldown>} By `${keyId}\n${modelId}`, an empty model for key-wide cooldowns */
+const cooldowns = new Map();
+
+/**
+ * Finds a detail of a Gemini error by its type, e.g. 'google.rpc.RetryInfo'.
+ * @param {object} error The parsed `error` object of a Gemini error response.
+ * @param {string} type
+ * @returns {object | undefined}
+ */
+function findErrorDetail(error, type) {
+    const details = Array.isArray(error?.details) ? error.details : [];
+    return details.find(detail => typeof detail?.['@type'] === 'string' && detail['@type'].endsWith(type));
+}
+
+/**
+ * Reads the delay Gemini asks for before retrying, from the RetryInfo detail (e.g. "34s" or "1.5s").
+ * @param {object} error
+ * @returns {number | null} Milliseconds, null when the error has none.
+ */
+function parseRetryDelay(error) {
+    const match = /^(\d+(?:\.\d+)?)s$/.exec(findErrorDetail(error, 'google.rpc.RetryInfo')?.retryDelay || '');
+    return match ? Math.ceil(parseFloat(match[1]) * 1000) : null;
+}
+
+/**
+ * Whether a 429 was caused by quotas of the whole key (project) rather than of one model.
+ * @param {object} error
+ * @returns {boolean}
+ */
+function isKeyWideQuota(error) {
+    const violations = findErrorDetail(error, 'google.rpc.QuotaFailure')?.violations;
+    return Array.isArray(violations) && violations.length > 0 && violations.every(violation => !violation?.quotaDimensions?.model);
+}
+
+/**
+ * Puts a key into cooldown after a 429 or 5xx. The delay is Gemini's retryDelay when it sends one,
+ * otherwise KEY_COOLDOWN_BASE_MS doubled for every further failure after the previous cooldown
+ * ended, up to KEY_COOLDOWN_MAX_MS. Failures of requests sent before a cooldown started don't escalate it.
+ * @param {string} keyId
+ * @param {string} modelId Configured model ID, without variant suffixes.
+ * @param {number} status
+ * @param {object} [error] The parsed `error` object of the Gemini response.
+ */
+function recordFailure(keyId, modelId, status, error) {
+    const scopeModelId = status === 429 && isKeyWideQuota(error) ? null : modelId;
+    const cooldownKey = `${keyId}\n${scopeModelId ?? ''}`;
+    const previous = cooldowns.get(cooldownKey);
+    const now = Date.now();
+
+    let failures = 1;
+    if (previous && now < previous.until) {
+        failures = previous.failures;
+    } else if (previous && now - previous.until < KEY_COOLDOWN_MAX_MS) {
+        failures = previous.failures + 1;
+    }
+    const retryDelay = parseRetryDelay(error);
+    const delay = retryDelay ?? Math.min(KEY_COOLDOWN_BASE_MS * 2 ** (failures - 1), KEY_COOLDOWN_MAX_MS);
+
+    cooldowns.set(cooldownKey, {
+        keyId,
+        modelId: scopeModelId,
+        until: Math.max(now + delay, previous?.until ?? 0),
+        failures,
+        status,
+    });
+    console.warn(`Key ${keyId}${scopeModelId ? ` (model ${scopeModelId})` : ''} cooling down for ${Math.ceil(delay / 1000)}s after ${status}`
+        + ` (failure ${failures}${retryDelay !== null ? ', delay requested by Gemini' : ''}).`);
+}
+
+/**
+ * Resets the backoff of a key after a successful request. Cooldowns still running are kept,
+ * since the request may have been sent before they started.
+ * @param {string} keyId
+ * @param {string} modelId
+ */
+function recordSuccess(keyId, modelId) {
+    const now = Date.now();
+    [`${keyId}\n${modelId}`, `${keyId}\n`].forEach(cooldownKey => {
+        if (cooldowns.get(cooldownKey)?.until <= now) {
+            cooldowns.delete(cooldownKey);
+        }
+    });
+}
+
+/**
+ * Gets the cooldown keeping a key from serving a model, the longer one when both the key and the model are cooling down.
+ * @param {string} keyId
+ * @param {string | null | undefined} modelId Without a model only key-wide cooldowns apply.
+ * @returns {(Cooldown & { remainingMs: number }) | null}
+ */
+function getActiveCooldown(keyId, modelId) {
+    const now = Date.now();
+    const active = [cooldowns.get(`${keyId}\n`), modelId ? cooldowns.get(`${keyId}\n${modelId}`) : undefined]
+        .filter(cooldown => cooldown && cooldown.until > now)
+        .sort((a, b) => b.until - a.until)[0];
+    return active ? { ...active, remainingMs: active.until - now } : null;
+}
+
+/**
+ * Lists the running cooldowns, longest remaining first.
+ * @param {string} [keyId] Only the cooldowns of this key.
+ * @returns {Array<Cooldown & { remainingMs: number }>}
+ */
+function listCooldowns(keyId) {
+    const now = Date.now();
+    return [...cooldowns.values()]
+        .filter(cooldown => cooldown.until > now && (!keyId || cooldown.keyId === keyId))
+        .map(cooldown => ({ ...cooldown, remainingMs: cooldown.until - now }))
+        .sort((a, b) => b.remainingMs - a.remainingMs);
+}
+
+/**
+ * Ends cooldowns early and resets their backoff.
+ * @param {string} keyId
+ * @param {string | null} [modelId] The model whose cooldown to clear, null for the key-wide one,
+ *        undefined for all cooldowns of the key.
+ * @returns {number} How many cooldowns were cleared.
+ */
+function clearCooldowns(keyId, modelId) {
+    const cleared = [...cooldowns.entries()]
+        .filter(([, cooldown]) => cooldown.keyId === keyId && (modelId === undefined || cooldown.modelId === modelId));
+    cleared.forEach(([cooldownKey]) => cooldowns.delete(cooldownKey));
+    if (cleared.length > 0) {
+        console.log(`Cleared ${cleared.length} cooldown(s) of key ${keyId}.`);
+    }
+    return cleared.length;
+}
+
+module.exports = {
+    findErrorDetail,
+    recordFailure,
+    recordSuccess,
+    getActiveCooldown,
+    listCooldowns,
+    clearCooldowns,
+};
@@ -0,0 +1,279 @@
+const configService = require('./configService');
+const geminiKeyService = require('./geminiKeyService');
+const geminiProxyService = require('./geminiProxyService');
+const { findErrorDetail } = require('./keyCooldownService');
+const { syncToGitHub } = require('../db');
+
+// Checks every key with a cheap Gemini call in the background, so invalid keys leave the rotation
+// before a user request runs into them and keys that work again return to it without an admin.
+// By default a check lists the models, which costs no quota. With KEY_HEALTH_CHECK_MODEL set it
+// generates one token with that model instead, which also tells free tier keys apart once they hit
+// a free tier quota.
+const parsedInterval = parseInt(process.env.KEY_HEALTH_CHECK_INTERVAL_MS, 10);
+const KEY_HEALTH_CHECK_INTERVAL_MS = Number.isNaN(parsedInterval) ? 60 * 60 * 1000 : Math.max(0, parsedInterval); // 0 disables scheduled checks
+const KEY_HEALTH_CHECK_CONCURRENCY = Math.max(1, parseInt(process.env.KEY_HEALTH_CHECK_CONCURRENCY, 10) || 3);
+const KEY_HEALTH_CHECK_MODEL = process.env.KEY_HEALTH_CHECK_MODEL || null;
+
+const CHECK_TIMEOUT_MS = 30000;
+// Checks kept per key in key_health_checks
+const HISTORY_SIZE = 20;
+
+/**
+ * @typedef {object} HealthCheck
+ * @property {string} keyId
+ * @property {string} checkedAt ISO timestamp.
+ * @property {'healthy' | 'invalid' | 'rate_limited' | 'error'} result rate_limited keys are valid;
+ *           error means the check was inconclusive (5xx, network) and changed nothing.
+ * @property {number | null} httpStatus null when Gemini couldn't be reached.
+ * @property {string | null} message
+ * @property {string | null} detectedTier
+ * @property {number} durationMs
+ * @property {'scheduled' | 'manual'} trigger
+ */
+
+/**
+ * @typedef {object} HealthCheckRun
+ * @property {'scheduled' | 'manual'} trigger
+ * @property {string} startedAt
+ * @property {string} finishedAt
+ * @property {number} checked
+ * @property {number} healthy
+ * @property {number} invalid
+ * @property {number} rateLimited
+ * @property {number} errors
+ * @property {number} recovered Keys whose error status was cleared.
+ * @property {number} markedInvalid Keys that got an error status.
+ */
+
+let runningCheck = null;
+/** @type {HealthCheckRun | null} */
+let lastRun = null;
+let nextRunAt = null;
+
+/**
+ * Interprets the response of a check. Gemini answers invalid and expired keys with a 400 whose
+ * ErrorInfo reason is API_KEY_INVALID; they are recorded as 401 like other authentication failures.
+ * @param {number} status
+ * @param {object | undefined} error The parsed `error` object of an error response.
+ * @returns {{ result: HealthCheck['result']; errorStatus?: 401 | 403; detectedTier?: string | null }}
+ */
+function classifyResponse(status, error) {
+    if (status >= 200 && status < 300) {
+        return { result: 'healthy' };
+    }
+    if (status === 401 || status === 403) {
+        return { result: 'invalid', errorStatus: status };
+    }
+    if (status === 400 && findErrorDetail(error, 'google.rpc.ErrorInfo')?.reason === 'API_KEY_INVALID') {
+        return { result: 'invalid', errorStatus: 401 };
+    }
+    if (status === 429) {
+        // Quotas of free tier projects are named e.g. 'GenerateRequestsPerDayPerProjectPerModel-FreeTier'
+        const violations = findErrorDetail(error, 'google.rpc.QuotaFailure')?.violations;
+        const isFreeTier = Array.isArray(violations)
+            && violations.some(violation => /free_?tier/i.test(`${violation?.quotaId || ''} ${violation?.quotaMetric || ''}`));
+        return { result: 'rate_limited', detectedTier: isFreeTier ? 'free' : null };
+    }
+    return { result: 'error' };
+}
+
+/**
+ * Converts a key_health_checks row into a HealthCheck.
+ * @param {object} row
+ * @returns {HealthCheck}
+ */
+function rowToCheck(row) {
+    return {
+        keyId: row.key_id,
+        checkedAt: row.checked_at,
+        result: row.result,
+        httpStatus: row.http_status,
+        message: row.message,
+        detectedTier: row.detected_tier,
+        durationMs: row.duration_ms,
+        trigger: row.trigger,
+    };
+}
+
+/**
+ * Checks one key, updates its error status and tier from the outcome and records the check.
+ * An error status is cleared by any answer that shows the key authenticates, including a 429.
+ * A detected tier is only set on keys without a tier, so tiers set in the admin panel are kept.
+ * @param {{ id: string; key: string; errorStatus: number | null; tier: string | null }} keyInfo
+ * @param {'scheduled' | 'manual'} trigger
+ * @param {object} modelsConfig
+ * @returns {Promise<HealthCheck & { statusChange: 'recovered' | 'invalid' | null }>}
+ */
+async function checkKey(keyInfo, trigger, modelsConfig) {
+    const started = Date.now();
+    let httpStatus = null;
+    let error;
+    let message = null;
+    try {
+        const response = KEY_HEALTH_CHECK_MODEL
+            ? await geminiProxyService.fetchGemini(`/v1beta/models/${KEY_HEALTH_CHECK_MODEL}:generateContent`, keyInfo, {
+                body: { contents: [{ role: 'user', parts: [{ text: 'Hi' }] }], generationConfig: { maxOutputTokens: 1 } },
+                timeout: CHECK_TIMEOUT_MS,
+            })
+            : await geminiProxyService.fetchGemini('/v1beta/models?pageSize=1', keyInfo, { method: 'GET', timeout: CHECK_TIMEOUT_MS });
+        httpStatus = response.status;
+        const text = await response.text();
+        if (!response.ok) {
+            try {
+                error = JSON.parse(text).error;
+            } catch (e) {
+                // Not a Gemini error body (e.g. from a gateway), the text is kept as the message
+            }
+            message = (error?.message || text || response.statusText).slice(0, 500);
+        }
+    } catch (fetchError) {
+        message = `Request failed: ${fetchError.message}`;
+    }
+
+    const outcome = httpStatus === null ? { result: 'error' } : classifyResponse(httpStatus, error);
+    let statusChange = null;
+    if (outcome.result === 'invalid' && keyInfo.errorStatus !== outcome.errorStatus) {
+        await geminiKeyService.recordKeyError(keyInfo.id, outcome.errorStatus);
+        statusChange = 'invalid';
+    } else if ((outcome.result === 'healthy' || outcome.result === 'rate_limited') && keyInfo.errorStatus) {
+        await geminiKeyService.clearKeyError(keyInfo.id);
+        statusChange = 'recovered';
+    }
+    if (outcome.detectedTier && !keyInfo.tier) {
+        await geminiKeyService.setGeminiKeyTier(keyInfo.id, outcome.detectedTier);
+    }
+    if (outcome.result === 'healthy' && KEY_HEALTH_CHECK_MODEL) {
+        // The generated token counts against the key's quota like any other request
+        await geminiKeyService.incrementKeyUsage(keyInfo.id, KEY_HEALTH_CHECK_MODEL, modelsConfig[KEY_HEALTH_CHECK_MODEL]?.category);
+    }
+
+    const check = {
+        keyId: keyInfo.id,
+        checkedAt: new Date().toISOString(),
+        result: outcome.result,
+        httpStatus,
+        message,
+        detectedTier: outcome.detectedTier || null,
+        durationMs: Date.now() - started,
+        trigger,
+    };
+    await configService.runDb(`
+        INSERT INTO key_health_checks (key_id, checked_at, result, http_status, message, detected_tier, duration_ms, trigger)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `, [check.keyId, check.checkedAt, check.result, check.httpStatus, check.message, check.detectedTier, check.durationMs, check.trigger]);
+
+    console.log(`Health check of key ${keyInfo.id}: ${check.result}${httpStatus !== null ? ` (${httpStatus})` : ''}`
+        + `${statusChange === 'recovered' ? ', error status cleared' : ''}${statusChange === 'invalid' ? `, marked with error ${outcome.errorStatus}` : ''}.`);
+    return { ...check, statusChange };
+}
+
+/**
+ * Checks all keys, KEY_HEALTH_CHECK_CONCURRENCY at a time, then trims the history.
+ * @param {'scheduled' | 'manual'} trigger
+ * @returns {Promise<HealthCheckRun>}
+ */
+async function checkAllKeys(trigger) {
+    const startedAt = new Date().toISOString();
+    const [keys, modelsConfig] = await Promise.all([
+        geminiKeyService.listGeminiKeys(),
+        configService.getModelsConfig(),
+    ]);
+    console.log(`Running ${trigger} health check of ${keys.length} Gemini keys.`);
+
+    const checks = [];
+    let nextIndex = 0;
+    const worker = async () => {
+        while (nextIndex < keys.length) {
+            const keyInfo = keys[nextIndex++];
+            try {
+                checks.push(await checkKey(keyInfo, trigger, modelsConfig));
+            } catch (err) {
+                // E.g. the key was deleted while it was being checked
+                console.error(`Error checking Gemini key ${keyInfo.id}:`, err);
+            }
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(KEY_HEALTH_CHECK_CONCURRENCY, keys.length) }, worker));
+
+    await configService.runDb('DELETE FROM key_health_checks WHERE key_id NOT IN (SELECT id FROM gemini_keys)');
+    await configService.runDb(`
+        DELETE FROM key_health_checks WHERE id NOT IN (
+            SELECT id FROM key_health_checks AS kept WHERE kept.key_id = key_health_checks.key_id ORDER BY id DESC LIMIT ?
+        )
+    `, [HISTORY_SIZE]);
+
+    const count = result => checks.filter(check => check.result === result).length;
+    lastRun = {
+        trigger,
+        startedAt,
+        finishedAt: new Date().toISOString(),
+        checked: checks.length,
+        healthy: count('healthy'),
+        invalid: count('invalid'),
+        rateLimited: count('rate_limited'),
+        errors: count('error'),
+        recovered: checks.filter(check => check.statusChange === 'recovered').length,
+        markedInvalid: checks.filter(check => check.statusChange === 'invalid').length,
+    };
+    console.log(`Key health check finished: ${lastRun.healthy} healthy, ${lastRun.invalid} invalid, ${lastRun.rateLimited} rate limited, ${lastRun.errors} inconclusive.`);
+    if (checks.length > 0) {
+        await syncToGitHub();
+    }
+    return lastRun;
+}
+
+/**
+ * Checks all keys now. While a check is running, further calls wait for that check instead of starting another.
+ * @param {'scheduled' | 'manual'} [trigger='manual']
+ * @returns {Promise<HealthCheckRun>}
+ */
+function runHealthCheck(trigger = 'manual') {
+    if (!runningCheck) {
+        runningCheck = checkAllKeys(trigger).finally(() => {
+            runningCheck = null;
+        });
+    }
+    return runningCheck;
+}
+
+/**
+ * Gets the health check settings, the last run since startup and the latest check of every key.
+ * @returns {Promise<{ intervalMs: number; concurrency: number; model: string | null; running: boolean;
+ *          lastRun: HealthCheckRun | null; nextRunAt: string | null; latest: Record<string, HealthCheck> }>}
+ */
+async function getHealthStatus() {
+    const rows = await configService.allDb('SELECT * FROM key_health_checks WHERE id IN (SELECT MAX(id) FROM key_health_checks GROUP BY key_id)');
+    return {
+        intervalMs: KEY_HEALTH_CHECK_INTERVAL_MS,
+        concurrency: KEY_HEALTH_CHECK_CONCURRENCY,
+        model: KEY_HEALTH_CHECK_MODEL,
+        running: runningCheck !== null,
+        lastRun,
+        nextRunAt: nextRunAt !== null ? new Date(nextRunAt).toISOString() : null,
+        latest: Object.fromEntries(rows.map(row => [row.key_id, rowToCheck(row)])),
+    };
+}
+
+/**
+ * Gets the recorded checks of a key, newest first.
+ * @param {string} keyId
+ * @returns {Promise<HealthCheck[]>}
+ */
+async function getHealthHistory(keyId) {
+    const rows = await configService.allDb('SELECT * FROM key_health_checks WHERE key_id = ? ORDER BY id DESC', [keyId]);
+    return rows.map(rowToCheck);
+}
+
+if (KEY_HEALTH_CHECK_INTERVAL_MS > 0) {
+    nextRunAt = Date.now() + KEY_HEALTH_CHECK_INTERVAL_MS;
+    setInterval(() => {
+        nextRunAt = Date.now() + KEY_HEALTH_CHECK_INTERVAL_MS;
+        runHealthCheck('scheduled').catch(err => console.error('Error running key health checks:', err));
+    }, KEY_HEALTH_CHECK_INTERVAL_MS).unref();
+}
+
+module.exports = {
+    runHealthCheck,
+    getHealthStatus,
+    getHealthHistory,
+};
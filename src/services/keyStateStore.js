@@ -0,0 +1,245 @@
+const configService = require('./configService');
+
+// In-memory copy of the Gemini keys, their usage counters and the round-robin position.
+// Request handling reads and updates it synchronously, so concurrent requests can't interleave
+// half-done updates, and no request waits on SQLite. Changes reach the database in batched flushes
+// (see geminiKeyService), and the store is loaded from the database on first use after startup.
+
+/**
+ * @typedef {object} KeyState
+ * @property {string} id
+ * @property {string} apiKey
+ * @property {string} name
+ * @property {string} usageDate Date (America/Los_Angeles) the usage counters belong to.
+ * @property {Record<string, number>} modelUsage
+ * @property {Record<string, number>} categoryUsage
+ * @property {Record<string, number>} consecutive429Counts
+ * @property {number | null} errorStatus 401, 403 or null.
+ * @property {number} weight
+ * @property {string | null} tier Rate limit tier, see rateLimitService.getRateLimits.
+ * @property {string} createdAt
+ */
+
+/** @type {Map<string, KeyState>} */
+let keys = new Map();
+// Key IDs in rotation order, mirrors the 'gemini_key_list' setting
+let keyList = [];
+let roundRobinIndex = 0;
+let loadPromise = null;
+
+// Changes not written to the database yet
+const dirtyKeyIds = new Set();
+let indexDirty = false;
+
+/**
+ * Parses a JSON column, falling back to an empty object.
+ * @param {string | null} value
+ * @param {string} keyId For the warning.
+ * @returns {object}
+ */
+function parseJsonColumn(value, keyId) {
+    try {
+        const parsed = JSON.parse(value || '{}');
+        return parsed && typeof parsed === 'object' ? parsed : {};
+    } catch (e) {
+        console.warn(`Malformed usage JSON for key ${keyId}, starting from empty counters.`);
+        return {};
+    }
+}
+
+/**
+ * Converts a gemini_keys row into its in-memory state.
+ * @param {object} row
+ * @returns {KeyState}
+ */
+function rowToKeyState(row) {
+    return {
+        id: row.id,
+        apiKey: row.api_key,
+        name: row.name || row.id,
+        usageDate: row.usage_date || '',
+        modelUsage: parseJsonColumn(row.model_usage, row.id),
+        categoryUsage: parseJsonColumn(row.category_usage, row.id),
+        consecutive429Counts: parseJsonColumn(row.consecutive_429_counts, row.id),
+        errorStatus: row.error_status ?? null,
+        weight: row.weight ?? 1,
+        tier: row.tier || null,
+        createdAt: row.created_at || '',
+    };
+}
+
+/**
+ * Loads the keys, rotation list and round-robin index from the database, replacing the store's content.
+ * @returns {Promise<void>}
+ */
+async function load() {
+    const [rows, listSetting, indexSetting] = await Promise.all([
+        configService.allDb('SELECT * FROM gemini_keys'),
+        configService.getSetting('gemini_key_list', []),
+        configService.getSetting('gemini_key_index', 0),
+    ]);
+    keys = new Map(rows.map(row => [row.id, rowToKeyState(row)]));
+    keyList = Array.isArray(listSetting) ? listSetting : [];
+    roundRobinIndex = Number.isInteger(indexSetting) && indexSetting >= 0 ? indexSetting : 0;
+    dirtyKeyIds.clear();
+    indexDirty = false;
+    console.log(`Loaded state of ${keys.size} Gemini keys into memory.`);
+}
+
+/**
+ * Loads the store once; later calls wait for the same load.
+ * @returns {Promise<void>}
+ */
+function ready() {
+    if (!loadPromise) {
+        loadPromise = load().catch(err => {
+            loadPromise = null; // Retry on the next call
+            throw err;
+        });
+    }
+    return loadPromise;
+}
+
+/**
+ * @returns {string[]} Key IDs in rotation order.
+ */
+function getKeyList() {
+    return keyList;
+}
+
+/**
+ * @param {string} keyId
+ * @returns {KeyState | undefined}
+ */
+function getKey(keyId) {
+    return keys.get(keyId);
+}
+
+/**
+ * @returns {KeyState[]} All keys, newest first.
+ */
+function getAllKeys() {
+    return [...keys.values()].sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Applies a change to a key's state and schedules it for the next flush.
+ * @param {string} keyId
+ * @param {(key: KeyState) => void} mutate Must be synchronous.
+ * @returns {boolean} false when the key doesn't exist.
+ */
+function updateKey(keyId, mutate) {
+    const key = keys.get(keyId);
+    if (!key) {
+        return false;
+    }
+    mutate(key);
+    dirtyKeyIds.add(keyId);
+    return true;
+}
+
+/**
+ * @returns {number}
+ */
+function getRoundRobinIndex() {
+    return roundRobinIndex;
+}
+
+/**
+ * @param {number} index
+ */
+function setRoundRobinIndex(index) {
+    if (index !== roundRobinIndex) {
+        roundRobinIndex = index;
+        indexDirty = true;
+    }
+}
+
+/**
+ * Adds a key that was just inserted into the database.
+ * @param {object} row The gemini_keys row.
+ */
+function addKey(row) {
+    keys.set(row.id, rowToKeyState(row));
+    if (!keyList.includes(row.id)) {
+        keyList = [...keyList, row.id];
+    }
+}
+
+/**
+ * Removes a key that was just deleted from the database.
+ * @param {string} keyId
+ */
+function removeKey(keyId) {
+    keys.delete(keyId);
+    dirtyKeyIds.delete(keyId);
+    keyList = keyList.filter(id => id !== keyId);
+    if (roundRobinIndex >= keyList.length) {
+        setRoundRobinIndex(0);
+    }
+}
+
+/**
+ * Writes all pending changes to the database in one transaction.
+ * @returns {Promise<boolean>} Whether anything was written.
+ */
+async function flush() {
+    if (dirtyKeyIds.size === 0 && !indexDirty) {
+        return false;
+    }
+    let keyIds = [];
+    let writeIndex = false;
+    try {
+        await configService.withTransaction(async () => {
+            // Pending changes are only taken once the transaction is open, so a failed BEGIN leaves them
+            // for the next flush. Changes made while writing go into the next flush as well.
+            keyIds = [...dirtyKeyIds];
+            writeIndex = indexDirty;
+            dirtyKeyIds.clear();
+            indexDirty = false;
+
+            for (const keyId of keyIds) {
+                const key = keys.get(keyId);
+                if (!key) continue; // Deleted since
+                await configService.runDb(`
+                    UPDATE gemini_keys
+                    SET usage_date = ?, model_usage = ?, category_usage = ?, consecutive_429_counts = ?, error_status = ?, weight = ?, tier = ?
+                    WHERE id = ?
+                `, [
+                    key.usageDate,
+                    JSON.stringify(key.modelUsage),
+                    JSON.stringify(key.categoryUsage),
+                    JSON.stringify(key.consecutive429Counts),
+                    key.errorStatus,
+                    key.weight,
+                    key.tier,
+                    keyId,
+                ]);
+            }
+            if (writeIndex) {
+                await configService.runDb('INSERT OR REPLACE INTO settings (key, value) VALUES (?, ?)',
+                    ['gemini_key_index', String(roundRobinIndex)]);
+            }
+        });
+        return keyIds.length > 0 || writeIndex;
+    } catch (error) {
+        // Keep the changes for the next attempt
+        keyIds.forEach(keyId => dirtyKeyIds.add(keyId));
+        indexDirty = indexDirty || writeIndex;
+        throw error;
+    }
+}
+
+module.exports = {
+    ready,
+    load,
+    getKeyList,
+    getKey,
+    getAllKeys,
+    updateKey,
+    getRoundRobinIndex,
+    setRoundRobinIndex,
+    addKey,
+    removeKey,
+    flush,
+};
@@ -0,0 +1,270 @@
+const configService = require('./configService');
+const { REASONING_EFFORT_BUDGETS } = require('../utils/transform');
+
+// Settings key holding the admin-managed variant rules
+const VARIANT_RULES_SETTING = 'model_variant_rules';
+
+// Placeholder in a suffix that captures a non-negative integer, e.g. ':thinking-<N>'
+const NUMBER_PLACEHOLDER = '<N>';
+
+// Built-in Gemini tools a variant can enable, by their generateContent tool name
+const VARIANT_TOOLS = ['googleSearch', 'codeExecution', 'urlContext'];
+
+/**
+ * @typedef {object} VariantRule
+ * @property {string} suffix Appended to a base model ID, may contain one `<N>` placeholder.
+ * @property {string} [models] Regular expression the base model ID (without `[v]`) must match; empty matches every model.
+ * @property {number | string} [thinkingBudget] A budget, or `'<N>'` to use the number captured by the suffix.
+ * @property {'low' | 'medium' | 'high'} [reasoningEffort]
+ * @property {string[]} [tools] Built-in tools to enable, see VARIANT_TOOLS.
+ * @property {boolean} [listed] Whether /v1/models lists the variant for every matching model.
+ * @property {string} [description]
+ */
+
+/**
+ * Escapes a string for literal use in a regular expression.
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Builds the regular expression matching a rule's suffix at the end of a model ID.
+ * @param {string} suffix
+ * @returns {RegExp}
+ */
+function buildSuffixRegExp(suffix) {
+    const pattern = suffix.split(NUMBER_PLACEHOLDER).map(escapeRegExp).join('(\\d+)');
+    return new RegExp(`${pattern}$`);
+}
+
+/**
+ * Checks a rule list and returns the first problem found.
+ * @param {any} rules
+ * @returns {string | null} The validation error, or null when the rules are valid.
+ */
+function validateVariantRules(rules) {
+    if (!Array.isArray(rules)) {
+        return 'Variant rules must be an array.';
+    }
+    const suffixes = new Set();
+    for (const rule of rules) {
+        if (!rule || typeof rule !== 'object') {
+            return 'Each variant rule must be an object.';
+        }
+        const { suffix } = rule;
+        if (typeof suffix !== 'string' || !suffix.trim() || /\s/.test(suffix)) {
+            return 'Each variant rule needs a suffix without spaces.';
+        }
+        if (suffix.split(NUMBER_PLACEHOLDER).length > 2) {
+            return `Suffix '${suffix}' may contain ${NUMBER_PLACEHOLDER} only once.`;
+        }
+        if (suffix === NUMBER_PLACEHOLDER) {
+            return `Suffix '${suffix}' needs text besides ${NUMBER_PLACEHOLDER}.`;
+        }
+        if (suffixes.has(suffix)) {
+            return `Suffix '${suffix}' is defined more than once.`;
+        }
+        suffixes.add(suffix);
+
+        if (rule.models !== undefined && rule.models !== null && rule.models !== '') {
+            if (typeof rule.models !== 'string') {
+                return `Model pattern of '${suffix}' must be a string.`;
+            }
+            try {
+                new RegExp(rule.models);
+            } catch (e) {
+                return `Model pattern of '${suffix}' is not a valid regular expression: ${e.message}`;
+            }
+        }
+        if (rule.thinkingBudget !== undefined && rule.thinkingBudget !== null) {
+            if (rule.thinkingBudget === NUMBER_PLACEHOLDER) {
+                if (!suffix.includes(NUMBER_PLACEHOLDER)) {
+                    return `Thinking budget of '${suffix}' uses ${NUMBER_PLACEHOLDER}, but the suffix doesn't capture it.`;
+                }
+            } else if (!Number.isInteger(rule.thinkingBudget) || rule.thinkingBudget < -1) {
+                return `Thinking budget of '${suffix}' must be an integer of at least -1, or ${NUMBER_PLACEHOLDER}.`;
+            }
+        }
+        if (rule.reasoningEffort !== undefined && rule.reasoningEffort !== null && !REASONING_EFFORT_BUDGETS[rule.reasoningEffort]) {
+            return `Reasoning effort of '${suffix}' must be one of ${Object.keys(REASONING_EFFORT_BUDGETS).join(', ')}.`;
+        }
+        if (rule.tools !== undefined && rule.tools !== null) {
+            if (!Array.isArray(rule.tools) || rule.tools.some(tool => !VARIANT_TOOLS.includes(tool))) {
+                return `Tools of '${suffix}' must be a list of ${VARIANT_TOOLS.join(', ')}.`;
+            }
+        }
+        const hasEffect = (rule.thinkingBudget ?? null) !== null || (rule.reasoningEffort ?? null) !== null || rule.tools?.length > 0;
+        if (!hasEffect) {
+            return `Variant '${suffix}' must set a thinking budget, a reasoning effort or at least one tool.`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Brings a validated rule into its stored shape, dropping empty fields.
+ * @param {VariantRule} rule
+ * @returns {VariantRule}
+ */
+function normalizeRule(rule) {
+    return {
+        suffix: rule.suffix,
+        models: rule.models || '',
+        ...((rule.thinkingBudget ?? null) !== null && { thinkingBudget: rule.thinkingBudget }),
+        ...(rule.reasoningEffort && { reasoningEffort: rule.reasoningEffort }),
+        ...(rule.tools?.length > 0 && { tools: [...new Set(rule.tools)] }),
+        listed: rule.listed !== false && !rule.suffix.includes(NUMBER_PLACEHOLDER),
+        ...(rule.description && { description: String(rule.description) }),
+    };
+}
+
+/**
+ * Gets the configured variant rules.
+ * @returns {Promise<VariantRule[]>}
+ */
+async function getVariantRules() {
+    const rules = await configService.getSetting(VARIANT_RULES_SETTING, []);
+    return Array.isArray(rules) ? rules : [];
+}
+
+/**
+ * Replaces the variant rules.
+ * @param {VariantRule[]} rules
+ * @returns {Promise<VariantRule[]>} The stored rules.
+ * @throws {Error} If the rules are invalid.
+ */
+async function setVariantRules(rules) {
+    const validationError = validateVariantRules(rules);
+    if (validationError) {
+        throw new Error(validationError);
+    }
+    const normalized = rules.map(normalizeRule);
+    await configService.setSetting(VARIANT_RULES_SETTING, normalized);
+    return normalized;
+}
+
+/**
+ * Whether a rule applies to a base model. The `[v]` prefix of Vertex models is ignored.
+ * @param {VariantRule} rule
+ * @param {string} baseModelId
+ * @returns {boolean}
+ */
+function ruleAppliesTo(rule, baseModelId) {
+    return !rule.models || new RegExp(rule.models).test(baseModelId.replace(/^\[v\]/, ''));
+}
+
+/**
+ * Strips variant suffixes from the end of a model ID until a known base model remains.
+ * @param {string} modelId
+ * @param {Set<string>} knownIds
+ * @param {VariantRule[]} rules Rules not used yet; each suffix applies at most once.
+ * @returns {{ baseModelId: string; applied: Array<{ rule: VariantRule; number?: number }> } | null}
+ */
+function stripSuffixes(modelId, knownIds, rules) {
+    for (const rule of rules) {
+        const match = buildSuffixRegExp(rule.suffix).exec(modelId);
+        if (!match || match.index === 0) continue;
+        const remaining = modelId.slice(0, match.index);
+        const application = { rule, ...(match[1] !== undefined && { number: parseInt(match[1], 10) }) };
+        if (knownIds.has(remaining)) {
+            return { baseModelId: remaining, applied: [application] };
+        }
+        const inner = stripSuffixes(remaining, knownIds, rules.filter(other => other !== rule));
+        if (inner) {
+            return { baseModelId: inner.baseModelId, applied: [...inner.applied, application] };
+        }
+    }
+    return null;
+}
+
+/**
+ * Splits a requested model ID into a known base model and its variant suffixes, without checking
+ * whether the rules apply to that base model.
+ * @param {string} modelId The requested model ID.
+ * @param {Iterable<string>} knownBaseIds Model IDs the suffixes may be attached to.
+ * @returns {Promise<{ baseModelId: string; suffix: string } | null>} `suffix` holds all suffixes as written,
+ *   null when no rules match the ID.
+ */
+async function splitModelVariant(modelId, knownBaseIds) {
+    const knownIds = new Set(knownBaseIds);
+    if (!modelId || knownIds.has(modelId)) {
+        return null;
+    }
+    const resolved = stripSuffixes(modelId, knownIds, await getVariantRules());
+    return resolved ? { baseModelId: resolved.baseModelId, suffix: modelId.slice(resolved.baseModelId.length) } : null;
+}
+
+/**
+ * Resolves a requested model ID into its base model and the request changes of its variant suffixes.
+ * Suffixes combine (e.g. `gemini-2.5-flash-search-code`); when two set the same option, the rightmost wins.
+ * @param {string} modelId The requested model ID.
+ * @param {Iterable<string>} knownBaseIds Model IDs requests can be sent to.
+ * @param {VariantRule[]} [rules] Defaults to the configured rules.
+ * @returns {Promise<{ baseModelId: string; suffixes: string[]; thinkingBudget?: number; reasoningEffort?: string; tools: string[] } | { error: object; status: number } | null>}
+ *   null when the ID is a base model itself or no rules match it.
+ */
+async function resolveModelVariant(modelId, knownBaseIds, rules) {
+    const knownIds = new Set(knownBaseIds);
+    if (!modelId || knownIds.has(modelId)) {
+        return null;
+    }
+    const resolved = stripSuffixes(modelId, knownIds, rules || await getVariantRules());
+    if (!resolved) {
+        return null;
+    }
+
+    const variant = { baseModelId: resolved.baseModelId, suffixes: [], tools: [] };
+    for (const { rule, number } of resolved.applied) {
+        if (!ruleAppliesTo(rule, resolved.baseModelId)) {
+            return { error: { message: `Model variant '${rule.suffix}' is not available for '${resolved.baseModelId}'.`, type: 'invalid_request_error', param: 'model' }, status: 400 };
+        }
+        variant.suffixes.push(rule.suffix);
+        if (rule.reasoningEffort) {
+            variant.reasoningEffort = rule.reasoningEffort;
+            variant.thinkingBudget = REASONING_EFFORT_BUDGETS[rule.reasoningEffort];
+        }
+        if (rule.thinkingBudget !== undefined) {
+            variant.thinkingBudget = rule.thinkingBudget === NUMBER_PLACEHOLDER ? number : rule.thinkingBudget;
+        }
+        (rule.tools || []).forEach(tool => {
+            if (!variant.tools.includes(tool)) variant.tools.push(tool);
+        });
+    }
+    return variant;
+}
+
+/**
+ * Lists the variant model IDs of listed rules for the given base models.
+ * Rules with a `<N>` placeholder are never listed.
+ * @param {string[]} baseIds
+ * @param {VariantRule[]} [rules] Defaults to the configured rules.
+ * @returns {Promise<string[]>}
+ */
+async function listModelVariants(baseIds, rules) {
+    const listedRules = (rules || await getVariantRules())
+        .filter(rule => rule.listed !== false && !rule.suffix.includes(NUMBER_PLACEHOLDER));
+    const knownIds = new Set(baseIds);
+    const variantIds = [];
+    listedRules.forEach(rule => {
+        baseIds.forEach(baseId => {
+            const variantId = `${baseId}${rule.suffix}`;
+            // Skip models that already carry the suffix, like a configured '-search' model
+            if (baseId.endsWith(rule.suffix) || knownIds.has(variantId) || !ruleAppliesTo(rule, baseId)) return;
+            variantIds.push(variantId);
+        });
+    });
+    return variantIds;
+}
+
+module.exports = {
+    VARIANT_TOOLS,
+    validateVariantRules,
+    getVariantRules,
+    setVariantRules,
+    splitModelVariant,
+    resolveModelVariant,
+    listModelVariants,
+};
@@ -0,0 +1,177 @@
+const { Transform } = require('stream');
+const { Response } = require('node-fetch');
+
+// Sliding one-minute windows of requests and input tokens per key × model, the unit Gemini's
+// RPM/TPM limits apply to. They only matter for the last minute, so they are kept in memory only.
+const WINDOW_MS = 60 * 1000;
+
+// Gemini counts an image as 258 input tokens; other media is estimated the same way
+const MEDIA_PART_TOKENS = 258;
+
+/**
+ * @typedef {object} WindowEntry
+ * @property {number} time When the request was sent.
+ * @property {number} tokens Input tokens, estimated until the response reports them.
+ */
+
+/** @type {Map<string, WindowEntry[]>} Entries oldest first, by `${keyId}\n${modelId}` */
+const windows = new Map();
+
+/**
+ * Drops entries that left the window, and the window itself once it's empty.
+ * @param {string} windowKey
+ * @param {number} now
+ * @returns {WindowEntry[]}
+ */
+function pruneWindow(windowKey, now) {
+    const entries = windows.get(windowKey);
+    if (!entries) {
+        return [];
+    }
+    while (entries.length > 0 && entries[0].time <= now - WINDOW_MS) {
+        entries.shift();
+    }
+    if (entries.length === 0) {
+        windows.delete(windowKey);
+    }
+    return entries;
+}
+
+/**
+ * Gets a key's requests and input tokens for a model in the last minute.
+ * @param {string} keyId
+ * @param {string} modelId
+ * @returns {{ requests: number; tokens: number }}
+ */
+function getWindowUsage(keyId, modelId) {
+    const entries = pruneWindow(`${keyId}\n${modelId}`, Date.now());
+    return {
+        requests: entries.length,
+        tokens: entries.reduce((sum, entry) => sum + entry.tokens, 0),
+    };
+}
+
+/**
+ * Records a request sent to Gemini with a key.
+ * @param {string} keyId
+ * @param {string} modelId Configured model ID, without variant suffixes.
+ * @param {number} [estimatedTokens=0] Input tokens, see estimateTokens.
+ * @returns {WindowEntry} Pass to trackResponseTokens to replace the estimate with the reported count.
+ */
+function recordRequest(keyId, modelId, estimatedTokens = 0) {
+    const windowKey = `${keyId}\n${modelId}`;
+    const entry = { time: Date.now(), tokens: estimatedTokens };
+    pruneWindow(windowKey, entry.time);
+    if (!windows.has(windowKey)) {
+        windows.set(windowKey, []);
+    }
+    windows.get(windowKey).push(entry);
+    return entry;
+}
+
+/**
+ * Estimates the input tokens of a request body before it's sent, at 4 characters per token.
+ * Inline media and data URLs count as MEDIA_PART_TOKENS each instead of their encoded size.
+ * @param {object} body An OpenAI or Gemini request body.
+ * @returns {number}
+ */
+function estimateTokens(body) {
+    let mediaParts = 0;
+    const text = JSON.stringify(body, (key, value) => {
+        if (key === 'inlineData' || key === 'fileData' || (typeof value === 'string' && value.startsWith('data:'))) {
+            mediaParts++;
+            return undefined;
+        }
+        return value;
+    }) || '';
+    return Math.ceil(text.length / 4) + mediaParts * MEDIA_PART_TOKENS;
+}
+
+/**
+ * Wraps a successful Gemini response so that the input tokens it reports (usageMetadata.promptTokenCount)
+ * replace the estimate of its window entry once the body has been read. Works for streamed and
+ * non-streamed responses; responses without usage metadata (e.g. embeddings) keep the estimate.
+ * @param {import('node-fetch').Response} response
+ * @param {WindowEntry} entry
+ * @returns {import('node-fetch').Response} A response with the same status, headers and body.
+ */
+function trackResponseTokens(response, entry) {
+    const pattern = /"promptTokenCount"\s*:\s*(\d+)/g;
+    let tail = '';
+    let reported = null;
+    const tap = new Transform({
+        transform(chunk, encoding, callback) {
+            // The count can be split across chunks, so the end of the previous chunk is scanned again
+            const text = tail + chunk.toString('latin1');
+            for (const match of text.matchAll(pattern)) {
+                reported = parseInt(match[1], 10); // Streams repeat the usage in every chunk, the last one counts
+            }
+            tail = text.slice(-64);
+            callback(null, chunk);
+        },
+        flush(callback) {
+            if (reported !== null) {
+                entry.tokens = reported;
+            }
+            callback();
+        },
+    });
+    response.body.on('error', err => tap.destroy(err));
+    return new Response(response.body.pipe(tap), {
+        status: response.status,
+        statusText: response.statusText,
+        headers: response.headers,
+        url: response.url,
+    });
+}
+
+/**
+ * Resolves the RPM/TPM limits of a model for a key. Limits of the key's tier replace the model's
+ * own limits where they are set.
+ * @param {string | null} keyTier
+ * @param {object | undefined} modelConfig The model's entry in models_config.
+ * @returns {{ rpm: number | null; tpm: number | null }} null means unlimited.
+ */
+function getRateLimits(keyTier, modelConfig) {
+    const tierLimits = keyTier ? modelConfig?.tierRateLimits?.[keyTier] : undefined;
+    return {
+        rpm: tierLimits?.rpm ?? modelConfig?.rpmLimit ?? null,
+        tpm: tierLimits?.tpm ?? modelConfig?.tpmLimit ?? null,
+    };
+}
+
+/**
+ * Checks whether one more request would take a key over a model's RPM or TPM limit.
+ * A request larger than the whole TPM limit is still let through when the window is empty.
+ * @param {string} keyId
+ * @param {string | null} keyTier
+ * @param {string} modelId
+ * @param {object | undefined} modelConfig
+ * @param {number} [estimatedTokens=0]
+ * @returns {boolean}
+ */
+function wouldExceedRateLimits(keyId, keyTier, modelId, modelConfig, estimatedTokens = 0) {
+    const limits = getRateLimits(keyTier, modelConfig);
+    if (limits.rpm === null && limits.tpm === null) {
+        return false;
+    }
+    const usage = getWindowUsage(keyId, modelId);
+    if (limits.rpm !== null && usage.requests + 1 > limits.rpm) {
+        console.log(`Skipping key ${keyId}: '${modelId}' requests per minute reached (${usage.requests}/${limits.rpm}).`);
+        return true;
+    }
+    if (limits.tpm !== null && (usage.tokens >= limits.tpm || (usage.tokens > 0 && usage.tokens + estimatedTokens > limits.tpm))) {
+        console.log(`Skipping key ${keyId}: '${modelId}' tokens per minute would be exceeded (${usage.tokens}+${estimatedTokens}/${limits.tpm}).`);
+        return true;
+    }
+    return false;
+}
+
+module.exports = {
+    getWindowUsage,
+    recordRequest,
+    estimateTokens,
+    trackResponseTokens,
+    getRateLimits,
+    wouldExceedRateLimits,
+};
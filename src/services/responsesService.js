@@ -0,0 +1,130 @@
+const configService = require('./configService');
+const responsesTransform = require('../utils/responsesTransform');
+
+// Days responses are kept for worker keys without their own retention setting
+const parsedRetentionDays = parseInt(process.env.RESPONSES_RETENTION_DAYS, 10);
+const DEFAULT_RETENTION_DAYS = Number.isNaN(parsedRetentionDays) ? 30 : Math.max(parsedRetentionDays, 0);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Builds the OpenAI-style error returned for unknown, expired or foreign response IDs.
+ * @param {string} responseId
+ * @param {number} status
+ * @param {string} [param]
+ * @returns {{ error: object; status: number }}
+ */
+function responseNotFound(responseId, status, param) {
+    return {
+        error: { message: `Response with id '${responseId}' not found.`, type: 'invalid_request_error', param: param || null, code: status === 404 ? 'not_found' : null },
+        status,
+    };
+}
+
+/**
+ * Removes responses whose retention period is over.
+ * @returns {Promise<void>}
+ */
+async function purgeExpiredResponses() {
+    await configService.runDb('DELETE FROM stored_responses WHERE expires_at <= ?', [new Date().toISOString()]);
+}
+
+/**
+ * Gets the stored_responses row of a response, if it belongs to the worker key and has not expired.
+ * @param {string} workerApiKey
+ * @param {string} responseId
+ * @returns {Promise<object | undefined>}
+ */
+async function getStoredRow(workerApiKey, responseId) {
+    await purgeExpiredResponses();
+    return configService.getDb('SELECT * FROM stored_responses WHERE id = ? AND worker_key = ?', [responseId, workerApiKey]);
+}
+
+/**
+ * Translates a Responses request into a chat request, prepending the stored conversation of
+ * `previous_response_id`, and decides whether the result will be stored.
+ * @param {object} body The Responses request body.
+ * @param {string} workerApiKey
+ * @returns {Promise<{ openAIRequestBody: object; includeThoughts: boolean; skeleton: object; conversation: object[]; retentionDays: number } | { error: object; status: number }>}
+ *   `conversation` holds the chat messages to store along with the output.
+ */
+async function prepareResponseRequest(body, workerApiKey) {
+    let previousMessages = [];
+    if (body?.previous_response_id) {
+        const row = await getStoredRow(workerApiKey, body.previous_response_id);
+        if (!row) {
+            return responseNotFound(body.previous_response_id, 400, 'previous_response_id');
+        }
+        previousMessages = JSON.parse(row.messages);
+    }
+
+    const translated = responsesTransform.transformResponsesToChat(body, previousMessages);
+    if (translated.error) {
+        return translated;
+    }
+
+    const retentionDays = (await configService.getWorkerKeyResponseRetention(workerApiKey)) ?? DEFAULT_RETENTION_DAYS;
+    const store = body.store !== false && retentionDays > 0;
+    return {
+        openAIRequestBody: translated.openAIRequestBody,
+        includeThoughts: translated.includeThoughts,
+        skeleton: responsesTransform.createResponseSkeleton(body, { store }),
+        conversation: [...previousMessages, ...translated.inputMessages],
+        retentionDays,
+    };
+}
+
+/**
+ * Stores a finished response for retrieval and chaining, unless the request opted out.
+ * Failed responses are never stored.
+ * @param {string} workerApiKey
+ * @param {object} prepared The result of prepareResponseRequest.
+ * @param {object} response The final response object.
+ * @returns {Promise<void>}
+ */
+async function saveResponse(workerApiKey, prepared, response) {
+    if (!response.store || response.status === 'failed') {
+        return;
+    }
+    const messages = [...prepared.conversation, ...responsesTransform.outputToChatMessages(response.output)];
+    const expiresAt = new Date(Date.now() + prepared.retentionDays * DAY_MS).toISOString();
+    await configService.runDb(
+        'INSERT OR REPLACE INTO stored_responses (id, worker_key, response, messages, created_at, expires_at) VALUES (?, ?, ?, ?, ?, ?)',
+        [response.id, workerApiKey, JSON.stringify(response), JSON.stringify(messages), new Date().toISOString(), expiresAt]
+    );
+}
+
+/**
+ * Gets a stored response created with the worker key.
+ * @param {string} workerApiKey
+ * @param {string} responseId
+ * @returns {Promise<{ response: object } | { error: object; status: number }>}
+ */
+async function retrieveResponse(workerApiKey, responseId) {
+    const row = await getStoredRow(workerApiKey, responseId);
+    if (!row) {
+        return responseNotFound(responseId, 404);
+    }
+    return { response: JSON.parse(row.response) };
+}
+
+/**
+ * Deletes a stored response created with the worker key.
+ * @param {string} workerApiKey
+ * @param {string} responseId
+ * @returns {Promise<{ response: object } | { error: object; status: number }>}
+ */
+async function deleteResponse(workerApiKey, responseId) {
+    await purgeExpiredResponses();
+    const result = await configService.runDb('DELETE FROM stored_responses WHERE id = ? AND worker_key = ?', [responseId, workerApiKey]);
+    if (result.changes === 0) {
+        return responseNotFound(responseId, 404);
+    }
+    return { response: { id: responseId, object: 'response', deleted: true } };
+}
+
+module.exports = {
+    prepareResponseRequest,
+    saveResponse,
+    retrieveResponse,
+    deleteResponse,
+};
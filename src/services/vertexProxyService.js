@@ -1,4 +1,3 @@
-const fetch = require('node-fetch');
 const { Readable, Transform } = require('stream'); // Import Transform
 const fsSync = require('fs'); // Synchronous fs for manual .env reading
 const fs = require('fs').promises; // Async fs for temp file operations
@@ -7,7 +6,9 @@ const path = require('path');
 const { v4: uuidv4 } = require('uuid');
 const { GoogleGenAI } = require('@google/genai');
 const configService = require('./configService');
+const modelVariantService = require('./modelVariantService');
 const transformUtils = require('../utils/transform');
+const { fetchRemoteMedia } = require('../utils/mediaFetcher');
 
 // List of Vertex AI supported models (prefix [v] indicates it's a Vertex API model)
 const VERTEX_SUPPORTED_MODELS = [
@@ -253,9 +254,9 @@ function parseImageDataUri(uri) {
 }
 
 /**
- * Asynchronously converts OpenAI message content parts to Vertex AI Parts, handling text and images.
- * Downloads images from HTTPS URLs if necessary.
- * @param {Array<object>} openAIContentParts - Array of OpenAI content parts (text or image_url).
+ * Asynchronously converts OpenAI message content parts to Vertex AI Parts, handling text, images, audio, video and files.
+ * Downloads images from http(s) URLs with the shared media fetcher if necessary.
+ * @param {Array<object>} openAIContentParts - Array of OpenAI content parts (text, image_url, input_audio, video_url or file).
  * @returns {Promise<Array<object>>} A promise resolving to an array of Vertex AI Part objects.
  */
 async function convertOpenaiPartsToVertexParts(openAIContentParts) {
@@ -288,28 +289,37 @@ async function convertOpenaiPartsToVertexParts(openAIContentParts) {
                     }
                 });
             } else if (imageUrl.startsWith('http://') || imageUrl.startsWith('https://')) {
-                // Attempt to download image from URL
+                // Download through the shared, size-limited and SSRF-checked media fetcher
                 try {
-                    const response = await fetch(imageUrl, { timeout: 10000 }); // 10s timeout
-                    if (!response.ok) {
-                        throw new Error(`HTTP error! status: ${response.status}`);
-                    }
-                    const imageBuffer = await response.buffer();
-                    const contentType = response.headers.get('content-type') || 'application/octet-stream';
+                    const media = await fetchRemoteMedia(imageUrl);
                     vertexParts.push({
                         inlineData: {
-                            mimeType: contentType,
-                            data: imageBuffer.toString('base64')
+                            mimeType: media.mimeType,
+                            data: media.data
                         }
                     });
                 } catch (e) {
-                    console.error(`Failed to download image from ${imageUrl}: ${e}`); // Keep error log in English
+                    console.error(`Failed to download image from ${imageUrl}: ${e.message}`); // Keep error log in English
                     vertexParts.push({ text: `[Failed to load image at ${imageUrl}]` });
                 }
             } else {
                 console.warn(`Unsupported image URL format: ${imageUrl}`); // Keep warn log in English
                 vertexParts.push({ text: `[Unsupported image format at ${imageUrl}]` });
             }
+        } else if (part.type === 'video_url' && part.video_url?.url?.startsWith('gs://')) {
+            const mime = require('mime-types'); // Lazy require mime-types
+            vertexParts.push({
+                fileData: {
+                    mimeType: mime.lookup(part.video_url.url) || 'video/mp4',
+                    fileUri: part.video_url.url
+                }
+            });
+        } else {
+            // Audio, video and file parts share the Gemini conversion; Files API IDs don't exist on Vertex
+            const mediaPart = await transformUtils.transformOpenAiMediaPart(part, { allowFileIds: false });
+            if (mediaPart) {
+                vertexParts.push(mediaPart);
+            }
         }
     }
     return vertexParts;
@@ -322,6 +332,8 @@ async function convertOpenaiPartsToVertexParts(openAIContentParts) {
  */
 async function convertOpenaiMessagesToVertex(messages) {
     const vertexContents = [];
+    // Tool results only carry the call ID, so look up the function name from earlier assistant tool calls
+    const toolCallNames = transformUtils.buildToolCallNameIndex(messages);
     
     // Process all messages, including system messages, mapping to appropriate Vertex roles
     for (const msg of messages) {
@@ -330,20 +342,23 @@ async function convertOpenaiMessagesToVertex(messages) {
 
         if (vertexRole === 'function') { // Handle tool/function results
             if (msg.tool_call_id && msg.content) {
-                if (msg.name) {
+                const toolName = toolCallNames.get(msg.tool_call_id) || msg.name;
+                if (toolName) {
                     let responseContent = {};
                     try {
                         // Attempt to parse the string content into an object
                         responseContent = JSON.parse(msg.content);
                     } catch (e) {
-                        console.warn(`Tool result content for ${msg.name} (${msg.tool_call_id}) is not valid JSON, sending as string: ${msg.content}`); // Keep warn log in English
-                        // Send as simple text if not parsable JSON
-                        parts.push({ text: `[Tool Result for ${msg.name}: ${msg.content}]` });
-                        continue; // Skip adding as functionResponse if invalid
+                        // Plain-text results are wrapped, the same way the Gemini path does it
+                        responseContent = { content: msg.content };
+                    }
+                    if (!responseContent || typeof responseContent !== 'object' || Array.isArray(responseContent)) {
+                        responseContent = { content: responseContent };
                     }
                     parts.push({
                         functionResponse: {
-                            name: msg.name,
+                            id: msg.tool_call_id,
+                            name: toolName,
                             response: responseContent // Vertex SDK expects the actual object
                         }
                     });
@@ -370,6 +385,7 @@ async function convertOpenaiMessagesToVertex(messages) {
                         }
                         parts.push({
                             functionCall: {
+                                ...(toolCall.id && { id: toolCall.id }),
                                 name: toolCall.function.name,
                                 args: args // Pass the parsed object
                             }
@@ -406,7 +422,13 @@ async function convertOpenaiMessagesToVertex(messages) {
         if (parts.length > 0) {
             // Ensure role mapping is correct before pushing
             const finalVertexRole = mapOpenaiRoleToVertex(msg.role);
-            vertexContents.push({ role: finalVertexRole, parts });
+            const previous = vertexContents[vertexContents.length - 1];
+            if (vertexRole === 'function' && previous?.role === finalVertexRole && previous.parts.every(part => part.functionResponse)) {
+                // Answers to a multi-tool turn go back together in one content
+                previous.parts.push(...parts);
+            } else {
+                vertexContents.push({ role: finalVertexRole, parts });
+            }
         } else {
             console.warn(`Message resulted in empty parts, skipping: ${JSON.stringify(msg)}`); // Keep warn log in English
         }
@@ -480,7 +502,7 @@ function convertVertexToolCallToOpenai(functionCall, index = 0) {
         return null;
     }
     return {
-        id: `call_${uuidv4()}`, // Generate a unique ID for the call
+        id: functionCall.id || `call_${uuidv4()}`, // Keep Vertex's own call ID when it sends one
         type: 'function',
         function: {
             name: functionCall.name,
@@ -517,6 +539,22 @@ function createSafetySettings(blockLevel = 'OFF') {
     }));
 }
 
+/**
+ * Builds the SDK thinkingConfig of a request.
+ * @param {number} [thinkingBudget]
+ * @param {boolean} includeThoughts
+ * @returns {object | undefined} undefined when neither is set.
+ */
+function buildThinkingConfig(thinkingBudget, includeThoughts) {
+    if (thinkingBudget === undefined && !includeThoughts) {
+        return undefined;
+    }
+    return {
+        ...(thinkingBudget !== undefined && { thinkingBudget }),
+        ...(includeThoughts && { includeThoughts: true }),
+    };
+}
+
 /**
  * Handles chat completion requests for the Vertex API.
  */
@@ -535,8 +573,29 @@ async function proxyVertexChatCompletions(openAIRequestBody, workerApiKey, strea
         return { error: { message: "Missing or invalid 'messages' field in request body" }, status: 400 };
     }
 
+    const responseFormatConfig = transformUtils.transformResponseFormat(openAIRequestBody.response_format);
+    if (responseFormatConfig.error) {
+        return responseFormatConfig;
+    }
+    const toolChoiceConfig = transformUtils.transformToolChoice(openAIRequestBody.tool_choice, openAIRequestBody.tools);
+    if (toolChoiceConfig.error) {
+        return toolChoiceConfig;
+    }
+    const thinkingOptions = transformUtils.transformThinkingConfig(openAIRequestBody);
+    if (thinkingOptions.error) {
+        return thinkingOptions;
+    }
+    // With parallel_tool_calls: false only the first function call is returned
+    const maxToolCalls = openAIRequestBody.parallel_tool_calls === false ? 1 : Infinity;
+
+    // Variant suffixes (e.g. -search, :thinking-<N>) are stripped and turned into request options
+    const variant = await modelVariantService.resolveModelVariant(requestedModelId, VERTEX_SUPPORTED_MODELS);
+    if (variant?.error) {
+        return variant;
+    }
+
     // Remove [v] prefix from model name to get the actual Vertex model ID
-    let vertexModelId = requestedModelId;
+    let vertexModelId = variant ? variant.baseModelId : requestedModelId;
     if (vertexModelId.startsWith('[v]')) {
         vertexModelId = vertexModelId.substring(3);
     }
@@ -610,7 +669,10 @@ async function proxyVertexChatCompletions(openAIRequestBody, workerApiKey, strea
 
         // Convert OpenAI format to Vertex format
         const vertexContents = await convertOpenaiMessagesToVertex(openAIRequestBody.messages);
-        const vertexTools = convertOpenaiToolsToVertex(openAIRequestBody.tools);
+        const functionTools = convertOpenaiToolsToVertex(openAIRequestBody.tools);
+        // Built-in tools enabled by the model variant are added after the function declarations
+        const variantTools = (variant?.tools || []).map(tool => ({ [tool]: {} }));
+        const vertexTools = (functionTools || variantTools.length > 0) ? [...(functionTools || []), ...variantTools] : null;
         
         // Set safety level
         const safetySettings = createSafetySettings(isSafetyEnabled ? 'BLOCK_MEDIUM_AND_ABOVE' : 'OFF');
@@ -621,7 +683,9 @@ async function proxyVertexChatCompletions(openAIRequestBody, workerApiKey, strea
             temperature: openAIRequestBody.temperature,
             topP: openAIRequestBody.top_p,
             topK: openAIRequestBody.top_k,
-            stopSequences: typeof openAIRequestBody.stop === 'string' ? [openAIRequestBody.stop] : openAIRequestBody.stop
+            stopSequences: typeof openAIRequestBody.stop === 'string' ? [openAIRequestBody.stop] : openAIRequestBody.stop,
+            thinkingConfig: buildThinkingConfig(thinkingOptions.thinkingBudget ?? variant?.thinkingBudget, thinkingOptions.includeThoughts),
+            ...responseFormatConfig
         };
         
         // Remove undefined keys
@@ -629,49 +693,25 @@ async function proxyVertexChatCompletions(openAIRequestBody, workerApiKey, strea
             generationConfig[key] === undefined && delete generationConfig[key]
         );
 
-        // Tool configuration
-        let toolConfig = null;
-        if (vertexTools) {
-            let mode = 'AUTO'; // Default
-            let allowedFunctionNames = [];
-
-            if (openAIRequestBody.tool_choice) {
-                if (typeof openAIRequestBody.tool_choice === 'string') {
-                    if (openAIRequestBody.tool_choice === 'none') {
-                        mode = 'NONE';
-                    } else if (openAIRequestBody.tool_choice === 'auto') {
-                        mode = 'AUTO';
-                    } else {
-                        mode = 'ANY'; // Assume non-standard string is a function name
-                        allowedFunctionNames.push(openAIRequestBody.tool_choice);
-                    }
-                } else if (typeof openAIRequestBody.tool_choice === 'object' && openAIRequestBody.tool_choice.type === 'function') {
-                    const funcName = openAIRequestBody.tool_choice.function?.name;
-                    if (funcName) {
-                        mode = 'ANY'; // ANY requires specifying function name(s)
-                        allowedFunctionNames.push(funcName);
-                    }
-                }
-            }
-            toolConfig = {
-                functionCallingConfig: {
-                    mode: mode,
-                    allowedFunctionNames: allowedFunctionNames.length > 0 ? allowedFunctionNames : undefined
-                }
-            };
-        }
+        // Tool configuration (shared with the Gemini path), it only concerns function declarations
+        const toolConfig = functionTools ? toolChoiceConfig.toolConfig : null;
 
-        // Build the request payload with all parameters
-        const requestPayload = {
-            model: vertexModelId,
-            contents: vertexContents,
-            generationConfig: generationConfig,
+        // Build the request payload with all parameters.
+        // The SDK only reads generation parameters, safety settings and tools from `config`.
+        const requestConfig = {
+            ...generationConfig,
             safetySettings: safetySettings,
             tools: vertexTools,
             toolConfig: toolConfig
         };
-        // Remove keys with null or undefined values from the payload
-        Object.keys(requestPayload).forEach(key => (requestPayload[key] == null) && delete requestPayload[key]);
+        // Remove keys with null or undefined values from the config
+        Object.keys(requestConfig).forEach(key => (requestConfig[key] == null) && delete requestConfig[key]);
+
+        const requestPayload = {
+            model: vertexModelId,
+            contents: vertexContents,
+            config: requestConfig
+        };
 
 
         // Determine if KEEPALIVE mode should be used:
@@ -776,12 +816,20 @@ async function proxyVertexChatCompletions(openAIRequestBody, workerApiKey, strea
                     const streamResult = await ai.models.generateContentStream(requestPayload);
                     
                     let toolCallIndex = 0; // Keep track across chunks
+                    const includeUsage = openAIRequestBody.stream_options?.include_usage === true;
+                    let lastUsageMetadata = null;
+                    // Citations are sent with the last chunk, once the whole text is known
+                    let streamedText = '';
+                    let groundingMetadata = null;
 
                     // Create a Transform stream to process the stream from Vertex SDK
                     const vertexTransformer = new Transform({
                         objectMode: true, // Process objects from Vertex SDK
                         async transform(item, encoding, callback) {
                             try {
+                                if (item?.usageMetadata) {
+                                    lastUsageMetadata = item.usageMetadata; // Cumulative, the last one is the total
+                                }
                                 if (!item || !item.candidates || item.candidates.length === 0) {
                                     return callback(); // Skip empty items
                                 }
@@ -792,12 +840,16 @@ async function proxyVertexChatCompletions(openAIRequestBody, workerApiKey, strea
 
                                 let deltaContent = null;
                                 let deltaToolCalls = [];
+                                const deltaReasoning = transformUtils.extractThoughtText(candidate.content?.parts);
 
                                 if (candidate.content && candidate.content.parts) {
                                     for (const part of candidate.content.parts) {
-                                        if (part.text) {
+                                        if (part.thought === true) {
+                                            continue; // Sent as reasoning_content
+                                        } else if (part.text) {
                                             deltaContent = part.text;
                                         } else if (part.functionCall) {
+                                            if (toolCallIndex >= maxToolCalls) continue;
                                             const openaiToolCall = convertVertexToolCallToOpenai(part.functionCall, toolCallIndex++);
                                             if (openaiToolCall) {
                                                 deltaToolCalls.push(openaiToolCall);
@@ -806,12 +858,24 @@ async function proxyVertexChatCompletions(openAIRequestBody, workerApiKey, strea
                                     }
                                 }
 
+                                if (deltaContent !== null) streamedText += deltaContent;
+                                if (candidate.groundingMetadata) groundingMetadata = candidate.groundingMetadata;
+                                let annotations;
+                                if (finishReasonOpenai && groundingMetadata) {
+                                    const citations = transformUtils.transformGroundingMetadata(groundingMetadata, streamedText);
+                                    annotations = citations.annotations;
+                                    if (citations.footnotes) deltaContent = (deltaContent || '') + citations.footnotes;
+                                    groundingMetadata = null;
+                                }
+
                                 // Create chunk only if there's content, tool calls, or a finish reason
-                                if (deltaContent !== null || deltaToolCalls.length > 0 || finishReasonOpenai) {
+                                if (deltaContent !== null || deltaReasoning !== null || deltaToolCalls.length > 0 || finishReasonOpenai) {
                                     const choiceDelta = {
                                         role: 'assistant',
                                         content: deltaContent,
-                                        tool_calls: deltaToolCalls.length > 0 ? deltaToolCalls : undefined
+                                        reasoning_content: deltaReasoning ?? undefined,
+                                        tool_calls: deltaToolCalls.length > 0 ? deltaToolCalls : undefined,
+                                        annotations: annotations
                                     };
                                     const streamChoice = {
                                         index: 0,
@@ -840,9 +904,17 @@ async function proxyVertexChatCompletions(openAIRequestBody, workerApiKey, strea
                         },
 
                         flush(callback) {
-                            // Getting final aggregated usage data is difficult here as we are a transform stream
-                            // Ignore sending aggregated data for now
-                            
+                            if (includeUsage) {
+                                this.push(JSON.stringify({
+                                    id: `chatcmpl-stream-${uuidv4()}`,
+                                    object: 'chat.completion.chunk',
+                                    created: Math.floor(Date.now() / 1000),
+                                    model: requestedModelId,
+                                    choices: [],
+                                    usage: transformUtils.transformUsageMetadata(lastUsageMetadata)
+                                }));
+                            }
+
                             // Send the [DONE] message
                             this.push(JSON.stringify({ done: true }));
                             callback();
@@ -918,9 +990,12 @@ async function proxyVertexChatCompletions(openAIRequestBody, workerApiKey, strea
                 if (candidate.content && candidate.content.parts) {
                     const textParts = [];
                     for (const part of candidate.content.parts) {
-                        if (part.text) {
+                        if (part.thought === true) {
+                            continue; // Returned as reasoning_content
+                        } else if (part.text) {
                             textParts.push(part.text);
                         } else if (part.functionCall) {
+                            if (responseToolCalls.length >= maxToolCalls) continue;
                             const openaiToolCall = convertVertexToolCallToOpenai(part.functionCall);
                             if (openaiToolCall) {
                                 responseToolCalls.push(openaiToolCall);
@@ -952,8 +1027,14 @@ async function proxyVertexChatCompletions(openAIRequestBody, workerApiKey, strea
                 const message = {
                     role: 'assistant',
                     content: responseContent, // Can be null if only tool calls
+                    reasoning_content: transformUtils.extractThoughtText(candidate.content?.parts) ?? undefined,
                     tool_calls: responseToolCalls.length > 0 ? responseToolCalls : undefined
                 };
+                if (candidate.groundingMetadata && responseContent !== null) {
+                    const { annotations, footnotes } = transformUtils.transformGroundingMetadata(candidate.groundingMetadata, responseContent);
+                    message.content += footnotes;
+                    message.annotations = annotations;
+                }
 
                 const choice = {
                     index: 0,
@@ -963,11 +1044,7 @@ async function proxyVertexChatCompletions(openAIRequestBody, workerApiKey, strea
                 };
 
                 // Extract usage statistics
-                const usage = {
-                    prompt_tokens: response.usageMetadata?.promptTokenCount || 0,
-                    completion_tokens: response.usageMetadata?.candidatesTokenCount || 0,
-                    total_tokens: response.usageMetadata?.totalTokenCount || (response.usageMetadata?.promptTokenCount || 0) + (response.usageMetadata?.candidatesTokenCount || 0) // Calculate if not present
-                };
+                const usage = transformUtils.transformUsageMetadata(response.usageMetadata);
 
                 // Create the full OpenAI format response
                 const openaiResponse = {
@@ -0,0 +1,457 @@
+// --- Translation between the Anthropic Messages API and the OpenAI/Gemini formats used internally ---
+
+const { Transform } = require('stream');
+
+/**
+ * Maps an HTTP status to the Anthropic error `type`.
+ * @param {number} status
+ * @returns {string}
+ */
+function anthropicErrorType(status) {
+    switch (status) {
+        case 400: return 'invalid_request_error';
+        case 401: return 'authentication_error';
+        case 403: return 'permission_error';
+        case 404: return 'not_found_error';
+        case 413: return 'request_too_large';
+        case 429: return 'rate_limit_error';
+        case 503:
+        case 529: return 'overloaded_error';
+        default: return 'api_error';
+    }
+}
+
+/**
+ * Builds an Anthropic-shaped error body from a proxy `{ error, status }` result.
+ * @param {object|string} error The error object (or message) returned by a proxy service.
+ * @param {number} status The HTTP status that will be sent.
+ * @returns {{ type: 'error'; error: { type: string; message: string } }}
+ */
+function toAnthropicError(error, status) {
+    const message = typeof error === 'string' ? error : (error?.message || 'Unknown error');
+    return { type: 'error', error: { type: anthropicErrorType(status), message } };
+}
+
+/**
+ * Converts an Anthropic image/document source into a URL usable as an OpenAI `image_url`.
+ * @param {object} source The `source` field of an image or document block.
+ * @returns {string | null}
+ */
+function sourceToUrl(source) {
+    if (!source) return null;
+    if (source.type === 'base64' && source.data) {
+        return `data:${source.media_type};base64,${source.data}`;
+    }
+    if (source.type === 'url' && source.url) {
+        return source.url;
+    }
+    return null;
+}
+
+/**
+ * Converts Anthropic content (string or block array) into OpenAI user content parts.
+ * Blocks without an OpenAI equivalent are skipped with a warning.
+ * @param {string | object[]} content
+ * @returns {object[]}
+ */
+function convertContentBlocks(content) {
+    if (typeof content === 'string') {
+        return [{ type: 'text', text: content }];
+    }
+    const parts = [];
+    (content || []).forEach(block => {
+        if (block.type === 'text') {
+            parts.push({ type: 'text', text: block.text });
+        } else if (block.type === 'image' || block.type === 'document') {
+            const url = block.source?.type === 'text' ? null : sourceToUrl(block.source);
+            if (url) {
+                parts.push({ type: 'image_url', image_url: { url } });
+            } else if (block.source?.type === 'text') {
+                parts.push({ type: 'text', text: block.source.data });
+            } else {
+                console.warn(`Unsupported ${block.type} source type: ${block.source?.type}. Skipping block.`);
+            }
+        } else if (block.type !== 'thinking' && block.type !== 'redacted_thinking') {
+            console.warn(`Unsupported Anthropic content block type: ${block.type}. Skipping block.`);
+        }
+    });
+    return parts;
+}
+
+/**
+ * Converts the Anthropic `tool_choice` object into the OpenAI `tool_choice` value.
+ * @param {object} toolChoice
+ * @returns {string | object | undefined}
+ */
+function convertToolChoice(toolChoice) {
+    switch (toolChoice?.type) {
+        case 'auto': return 'auto';
+        case 'any': return 'required';
+        case 'none': return 'none';
+        case 'tool': return { type: 'function', function: { name: toolChoice.name } };
+        default: return undefined;
+    }
+}
+
+/**
+ * Transforms an Anthropic Messages API request into the OpenAI chat format accepted by
+ * geminiProxyService.proxyChatCompletions.
+ * @param {object} anthropicBody The Anthropic request body.
+ * @returns {{ openAIRequestBody: object; thinkingBudget?: number; includeThoughts: boolean } | { error: object; status: number }}
+ */
+function transformAnthropicToOpenAI(anthropicBody) {
+    if (!anthropicBody?.model) {
+        return { error: { message: "Missing 'model' field in request body" }, status: 400 };
+    }
+    if (!Array.isArray(anthropicBody.messages)) {
+        return { error: { message: "Missing or invalid 'messages' field in request body" }, status: 400 };
+    }
+    if (anthropicBody.system != null && typeof anthropicBody.system !== 'string' && !Array.isArray(anthropicBody.system)) {
+        return { error: { message: "'system' must be a string or an array of text blocks" }, status: 400 };
+    }
+
+    const messages = [];
+
+    // 1. System prompt (string or array of text blocks)
+    if (anthropicBody.system) {
+        const systemText = typeof anthropicBody.system === 'string'
+            ? anthropicBody.system
+            : anthropicBody.system.filter(block => block?.type === 'text').map(block => block.text).join('\n\n');
+        if (systemText) {
+            messages.push({ role: 'system', content: systemText });
+        }
+    }
+
+    // 2. Messages
+    for (const msg of anthropicBody.messages) {
+        const blocks = typeof msg.content === 'string' ? [{ type: 'text', text: msg.content }] : (msg.content || []);
+
+        if (msg.role === 'assistant') {
+            const toolCalls = blocks
+                .filter(block => block.type === 'tool_use')
+                .map(block => ({
+                    id: block.id,
+                    type: 'function',
+                    function: { name: block.name, arguments: JSON.stringify(block.input || {}) },
+                }));
+            const textParts = convertContentBlocks(blocks.filter(block => block.type === 'text'));
+            const assistantMessage = { role: 'assistant', content: textParts.length > 0 ? textParts : null };
+            if (toolCalls.length > 0) {
+                assistantMessage.tool_calls = toolCalls;
+            }
+            if (textParts.length > 0 || toolCalls.length > 0) {
+                messages.push(assistantMessage);
+            }
+        } else if (msg.role === 'user') {
+            // Tool results become separate `tool` messages, which must directly follow the assistant turn
+            const extraParts = [];
+            blocks.filter(block => block.type === 'tool_result').forEach(block => {
+                const resultBlocks = typeof block.content === 'string'
+                    ? [{ type: 'text', text: block.content }]
+                    : (block.content || []);
+                const resultText = resultBlocks.filter(b => b.type === 'text').map(b => b.text).join('\n');
+                messages.push({
+                    role: 'tool',
+                    tool_call_id: block.tool_use_id,
+                    content: block.is_error ? JSON.stringify({ error: resultText }) : resultText,
+                });
+                // Gemini function responses can't hold images, so send them along with the user turn
+                extraParts.push(...convertContentBlocks(resultBlocks.filter(b => b.type === 'image')));
+            });
+
+            const userParts = [...extraParts, ...convertContentBlocks(blocks.filter(block => block.type !== 'tool_result'))];
+            if (userParts.length > 0) {
+                messages.push({ role: 'user', content: userParts });
+            }
+        } else {
+            return { error: { message: `Unsupported message role: ${msg.role}` }, status: 400 };
+        }
+    }
+
+    // 3. Tools
+    const tools = Array.isArray(anthropicBody.tools)
+        ? anthropicBody.tools
+            .filter(tool => tool.name && (tool.type === undefined || tool.type === 'custom'))
+            .map(tool => ({
+                type: 'function',
+                function: { name: tool.name, description: tool.description, parameters: tool.input_schema },
+            }))
+        : undefined;
+
+    const openAIRequestBody = {
+        model: anthropicBody.model,
+        messages: messages,
+        ...(anthropicBody.max_tokens !== undefined && { max_tokens: anthropicBody.max_tokens }),
+        ...(anthropicBody.temperature !== undefined && { temperature: anthropicBody.temperature }),
+        ...(anthropicBody.top_p !== undefined && { top_p: anthropicBody.top_p }),
+        ...(anthropicBody.top_k !== undefined && { top_k: anthropicBody.top_k }),
+        ...(Array.isArray(anthropicBody.stop_sequences) && anthropicBody.stop_sequences.length > 0 && { stop: anthropicBody.stop_sequences }),
+        ...(tools && tools.length > 0 && { tools }),
+    };
+
+    const toolChoice = convertToolChoice(anthropicBody.tool_choice);
+    if (toolChoice && tools && tools.length > 0) {
+        openAIRequestBody.tool_choice = toolChoice;
+    }
+    if (anthropicBody.tool_choice?.disable_parallel_tool_use === true) {
+        openAIRequestBody.parallel_tool_calls = false;
+    }
+
+    // 4. Extended thinking
+    const thinkingEnabled = anthropicBody.thinking?.type === 'enabled';
+    return {
+        openAIRequestBody,
+        thinkingBudget: thinkingEnabled ? anthropicBody.thinking.budget_tokens : undefined,
+        includeThoughts: thinkingEnabled,
+    };
+}
+
+/**
+ * Maps a Gemini finishReason onto an Anthropic stop_reason.
+ * @param {string} finishReason
+ * @param {boolean} hasToolUse Whether the response contains tool_use blocks.
+ * @returns {string}
+ */
+function convertFinishReason(finishReason, hasToolUse) {
+    switch (finishReason) {
+        case 'MAX_TOKENS':
+            return 'max_tokens';
+        case 'SAFETY':
+        case 'RECITATION':
+        case 'BLOCKLIST':
+        case 'PROHIBITED_CONTENT':
+        case 'SPII':
+            return 'refusal';
+        default:
+            return hasToolUse ? 'tool_use' : 'end_turn';
+    }
+}
+
+/**
+ * Builds Anthropic usage from Gemini usageMetadata. Thinking tokens are billed as output.
+ * @param {object} usageMetadata
+ * @returns {{ input_tokens: number; output_tokens: number; cache_read_input_tokens?: number }}
+ */
+function convertUsage(usageMetadata) {
+    const usage = {
+        input_tokens: usageMetadata?.promptTokenCount || 0,
+        output_tokens: (usageMetadata?.candidatesTokenCount || 0) + (usageMetadata?.thoughtsTokenCount || 0),
+    };
+    if (usageMetadata?.cachedContentTokenCount) {
+        usage.cache_read_input_tokens = usageMetadata.cachedContentTokenCount;
+    }
+    return usage;
+}
+
+function generateMessageId() {
+    return `msg_${Date.now()}${Math.random().toString(36).substring(2, 10)}`;
+}
+
+function generateToolUseId(index) {
+    return `toolu_${Date.now()}_${index}${Math.random().toString(36).substring(2, 8)}`;
+}
+
+/**
+ * Transforms a complete (non-streaming) Gemini response into an Anthropic Messages response.
+ * @param {object} geminiResponse The parsed Gemini generateContent response.
+ * @param {string} modelId The model ID requested by the client.
+ * @param {object} [options]
+ * @param {boolean} [options.parallelToolCalls=true] When false, only the first tool_use block is returned.
+ * @returns {object} The Anthropic `message` object.
+ */
+function transformGeminiResponseToAnthropic(geminiResponse, modelId, { parallelToolCalls = true } = {}) {
+    const candidate = geminiResponse?.candidates?.[0];
+    const content = [];
+
+    if (!candidate) {
+        const blockReason = geminiResponse?.promptFeedback?.blockReason;
+        console.warn(`Gemini response has no candidates${blockReason ? ` (blocked: ${blockReason})` : ''}.`);
+        return {
+            id: generateMessageId(),
+            type: 'message',
+            role: 'assistant',
+            model: modelId,
+            content: blockReason ? [{ type: 'text', text: `Request blocked by Gemini: ${blockReason}.` }] : [],
+            stop_reason: blockReason ? 'refusal' : 'end_turn',
+            stop_sequence: null,
+            usage: convertUsage(geminiResponse?.usageMetadata),
+        };
+    }
+
+    (candidate.content?.parts || []).forEach((part, index) => {
+        if (part.thought === true && typeof part.text === 'string') {
+            content.push({ type: 'thinking', thinking: part.text, signature: part.thoughtSignature || '' });
+        } else if (part.functionCall) {
+            if (!parallelToolCalls && content.some(block => block.type === 'tool_use')) return;
+            content.push({
+                type: 'tool_use',
+                id: part.functionCall.id || generateToolUseId(index),
+                name: part.functionCall.name,
+                input: part.functionCall.args || {},
+            });
+        } else if (typeof part.text === 'string') {
+            // Merge consecutive text parts into a single block
+            const last = content[content.length - 1];
+            if (last && last.type === 'text') {
+                last.text += part.text;
+            } else {
+                content.push({ type: 'text', text: part.text });
+            }
+        }
+    });
+
+    const hasToolUse = content.some(block => block.type === 'tool_use');
+    return {
+        id: generateMessageId(),
+        type: 'message',
+        role: 'assistant',
+        model: modelId,
+        content: content,
+        stop_reason: convertFinishReason(candidate.finishReason, hasToolUse),
+        stop_sequence: null,
+        usage: convertUsage(geminiResponse.usageMetadata),
+    };
+}
+
+/**
+ * Formats one Anthropic SSE event.
+ * @param {string} type The event type, also used as the `type` field of the data.
+ * @param {object} data
+ * @returns {string}
+ */
+function formatSseEvent(type, data) {
+    return `event: ${type}\ndata: ${JSON.stringify({ type, ...data })}\n\n`;
+}
+
+/**
+ * Creates a Transform that converts parsed Gemini stream objects into the Anthropic SSE event
+ * sequence: message_start, content_block_start/delta/stop per block, message_delta, message_stop.
+ * @param {string} modelId The model ID requested by the client.
+ * @param {object} [options]
+ * @param {boolean} [options.parallelToolCalls=true] When false, only the first tool_use block is emitted.
+ * @returns {import('stream').Transform} Object-mode writable side, string readable side.
+ */
+function createAnthropicStreamTransformer(modelId, { parallelToolCalls = true } = {}) {
+    const messageId = generateMessageId();
+    let messageStarted = false;
+    let blockIndex = -1;
+    let openBlockType = null; // 'text' | 'thinking' | null
+    let hasToolUse = false;
+    let finishReason = null;
+    let usageMetadata = null;
+
+    function startMessage(stream) {
+        if (messageStarted) return;
+        messageStarted = true;
+        stream.push(formatSseEvent('message_start', {
+            message: {
+                id: messageId,
+                type: 'message',
+                role: 'assistant',
+                model: modelId,
+                content: [],
+                stop_reason: null,
+                stop_sequence: null,
+                usage: { ...convertUsage(usageMetadata), output_tokens: 0 },
+            },
+        }));
+    }
+
+    function closeOpenBlock(stream) {
+        if (openBlockType === null) return;
+        stream.push(formatSseEvent('content_block_stop', { index: blockIndex }));
+        openBlockType = null;
+    }
+
+    function openBlock(stream, contentBlock) {
+        closeOpenBlock(stream);
+        blockIndex++;
+        openBlockType = contentBlock.type;
+        stream.push(formatSseEvent('content_block_start', { index: blockIndex, content_block: contentBlock }));
+    }
+
+    function handlePart(stream, part, partIndex) {
+        if (part.thought === true && typeof part.text === 'string') {
+            if (openBlockType !== 'thinking') {
+                openBlock(stream, { type: 'thinking', thinking: '' });
+            }
+            stream.push(formatSseEvent('content_block_delta', { index: blockIndex, delta: { type: 'thinking_delta', thinking: part.text } }));
+            if (part.thoughtSignature) {
+                stream.push(formatSseEvent('content_block_delta', { index: blockIndex, delta: { type: 'signature_delta', signature: part.thoughtSignature } }));
+            }
+        } else if (part.functionCall) {
+            if (!parallelToolCalls && hasToolUse) return;
+            hasToolUse = true;
+            openBlock(stream, {
+                type: 'tool_use',
+                id: part.functionCall.id || generateToolUseId(partIndex),
+                name: part.functionCall.name,
+                input: {},
+            });
+            stream.push(formatSseEvent('content_block_delta', {
+                index: blockIndex,
+                delta: { type: 'input_json_delta', partial_json: JSON.stringify(part.functionCall.args || {}) },
+            }));
+            closeOpenBlock(stream);
+        } else if (typeof part.text === 'string' && part.text.length > 0) {
+            if (openBlockType !== 'text') {
+                openBlock(stream, { type: 'text', text: '' });
+            }
+            stream.push(formatSseEvent('content_block_delta', { index: blockIndex, delta: { type: 'text_delta', text: part.text } }));
+        }
+    }
+
+    return new Transform({
+        writableObjectMode: true,
+        transform(geminiChunk, encoding, callback) {
+            try {
+                if (geminiChunk?.error) {
+                    // Gemini reports mid-stream failures as an error object inside the array
+                    startMessage(this);
+                    const status = geminiChunk.error.code || 500;
+                    this.push(formatSseEvent('error', { error: toAnthropicError(geminiChunk.error, status).error }));
+                    return callback();
+                }
+                if (geminiChunk?.usageMetadata) {
+                    usageMetadata = geminiChunk.usageMetadata;
+                }
+                startMessage(this);
+
+                const candidate = geminiChunk?.candidates?.[0];
+                (candidate?.content?.parts || []).forEach((part, index) => handlePart(this, part, index));
+                if (candidate?.finishReason) {
+                    finishReason = candidate.finishReason;
+                }
+                if (!candidate && geminiChunk?.promptFeedback?.blockReason) {
+                    finishReason = 'SAFETY';
+                }
+                callback();
+            } catch (e) {
+                console.error("Error transforming Gemini chunk to Anthropic event:", e);
+                callback(e);
+            }
+        },
+        flush(callback) {
+            try {
+                startMessage(this);
+                closeOpenBlock(this);
+                this.push(formatSseEvent('message_delta', {
+                    delta: { stop_reason: convertFinishReason(finishReason, hasToolUse), stop_sequence: null },
+                    usage: { output_tokens: convertUsage(usageMetadata).output_tokens },
+                }));
+                this.push(formatSseEvent('message_stop', {}));
+                callback();
+            } catch (e) {
+                callback(e);
+            }
+        }
+    });
+}
+
+module.exports = {
+    toAnthropicError,
+    formatSseEvent,
+    transformAnthropicToOpenAI,
+    transformGeminiResponseToAnthropic,
+    createAnthropicStreamTransformer,
+};
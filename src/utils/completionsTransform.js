@@ -0,0 +1,220 @@
+// --- Translation between the legacy OpenAI completions API and the chat/Gemini formats used internally ---
+
+const { Transform } = require('stream');
+const { randomUUID } = require('crypto');
+
+// The legacy API returns at most 5 alternatives per token
+const MAX_COMPLETION_LOGPROBS = 5;
+
+const CONTINUE_INSTRUCTION = 'You are a text completion engine. Continue the text given by the user exactly where it ends, '
+    + 'without repeating any of it. Output only the continuation, with no commentary, quotes or formatting.';
+const INSERT_INSTRUCTION = 'You are a text completion engine. The user gives the text before a gap inside <prefix> tags and '
+    + 'the text after it inside <suffix> tags. Output only the text that fills the gap, with no tags, commentary or formatting.';
+
+/**
+ * Builds an OpenAI-style invalid_request_error result.
+ * @param {string} message
+ * @param {string} [param] The request field that caused the error.
+ * @returns {{ error: object; status: number }}
+ */
+function invalidRequest(message, param) {
+    return { error: { message, type: 'invalid_request_error', param: param || null, code: null }, status: 400 };
+}
+
+const generateCompletionId = () => `cmpl-${randomUUID().replace(/-/g, '')}`;
+
+/**
+ * Transforms a legacy completions request into one chat completions request per prompt.
+ * Each prompt becomes a single user message (with a system instruction asking for a plain
+ * continuation, or for the text between `prompt` and `suffix`).
+ * @param {object} body The completions request body.
+ * @returns {{ prompts: string[]; chatRequestBodies: object[]; echo: boolean; logprobs: number | null } | { error: object; status: number }}
+ */
+function transformCompletionsToChat(body) {
+    if (!body?.model) {
+        return invalidRequest("Missing 'model' field in request body", 'model');
+    }
+
+    const prompts = typeof body.prompt === 'string' ? [body.prompt] : body.prompt;
+    if (!Array.isArray(prompts) || prompts.length === 0) {
+        return invalidRequest("'prompt' must be a string or a non-empty array of strings.", 'prompt');
+    }
+    if (prompts.some(prompt => typeof prompt !== 'string')) {
+        return invalidRequest("Token array prompts are not supported by the Gemini backend. Send the prompt as text instead.", 'prompt');
+    }
+
+    const logprobs = body.logprobs ?? null;
+    if (logprobs !== null && (!Number.isInteger(logprobs) || logprobs < 0 || logprobs > MAX_COMPLETION_LOGPROBS)) {
+        return invalidRequest(`'logprobs' must be an integer between 0 and ${MAX_COMPLETION_LOGPROBS}.`, 'logprobs');
+    }
+    if (body.suffix !== undefined && body.suffix !== null && typeof body.suffix !== 'string') {
+        return invalidRequest("'suffix' must be a string.", 'suffix');
+    }
+
+    const chatRequestBodies = prompts.map(prompt => ({
+        model: body.model,
+        messages: body.suffix
+            ? [
+                { role: 'system', content: INSERT_INSTRUCTION },
+                { role: 'user', content: `<prefix>${prompt}</prefix>\n<suffix>${body.suffix}</suffix>` },
+            ]
+            : [
+                { role: 'system', content: CONTINUE_INSTRUCTION },
+                { role: 'user', content: prompt },
+            ],
+        ...(body.n !== undefined && { n: body.n }),
+        ...(body.temperature !== undefined && { temperature: body.temperature }),
+        ...(body.top_p !== undefined && { top_p: body.top_p }),
+        ...(body.max_tokens !== undefined && body.max_tokens !== null && { max_tokens: body.max_tokens }),
+        ...(body.stop && { stop: body.stop }),
+        ...(logprobs !== null && { logprobs: true, top_logprobs: logprobs }),
+    }));
+
+    return { prompts, chatRequestBodies, echo: body.echo === true, logprobs };
+}
+
+function mapFinishReason(finishReason) {
+    switch (finishReason) {
+        case 'STOP': return 'stop';
+        case 'MAX_TOKENS': return 'length';
+        case 'SAFETY':
+        case 'RECITATION':
+        case 'BLOCKLIST':
+        case 'PROHIBITED_CONTENT': return 'content_filter';
+        case undefined:
+        case null:
+        case 'FINISH_REASON_UNSPECIFIED': return null;
+        default: return 'stop';
+    }
+}
+
+function candidateText(candidate) {
+    return (candidate?.content?.parts || [])
+        .filter(part => typeof part.text === 'string' && part.thought !== true)
+        .map(part => part.text)
+        .join('');
+}
+
+/**
+ * Converts a Gemini logprobsResult into the legacy completions `logprobs` object.
+ * @param {object} [logprobsResult]
+ * @param {number} textOffset Position of the first token in the choice's text.
+ * @returns {{ tokens: string[]; token_logprobs: number[]; top_logprobs: object[]; text_offset: number[] } | null}
+ */
+function toCompletionLogprobs(logprobsResult, textOffset) {
+    if (!logprobsResult?.chosenCandidates?.length) {
+        return null;
+    }
+    const result = { tokens: [], token_logprobs: [], top_logprobs: [], text_offset: [] };
+    let offset = textOffset;
+    logprobsResult.chosenCandidates.forEach((chosen, position) => {
+        result.tokens.push(chosen.token);
+        result.token_logprobs.push(chosen.logProbability ?? 0);
+        result.top_logprobs.push(Object.fromEntries(
+            (logprobsResult.topCandidates?.[position]?.candidates || []).map(candidate => [candidate.token, candidate.logProbability ?? 0])
+        ));
+        result.text_offset.push(offset);
+        offset += (chosen.token || '').length;
+    });
+    return result;
+}
+
+/**
+ * Transforms a Gemini response for one prompt into legacy completion choices.
+ * @param {object} geminiResponse
+ * @param {object} options
+ * @param {string} options.prompt The prompt, prepended to the text when `echo` is set.
+ * @param {boolean} options.echo
+ * @param {number | null} options.logprobs The requested number of logprobs, null when not requested.
+ * @param {number} options.indexOffset Index of the prompt's first choice (prompt index × n).
+ * @returns {object[]} The `choices` entries.
+ */
+function transformGeminiResponseToCompletionChoices(geminiResponse, { prompt, echo, logprobs, indexOffset }) {
+    const candidates = geminiResponse?.candidates?.length ? geminiResponse.candidates : [{ finishReason: geminiResponse?.promptFeedback?.blockReason ? 'SAFETY' : null }];
+    return candidates.map((candidate, position) => {
+        const prefix = echo ? prompt : '';
+        return {
+            text: prefix + candidateText(candidate),
+            index: indexOffset + (candidate.index ?? position),
+            logprobs: logprobs !== null ? toCompletionLogprobs(candidate.logprobsResult, prefix.length) : null,
+            finish_reason: mapFinishReason(candidate.finishReason),
+        };
+    });
+}
+
+/**
+ * Creates a Transform that turns the parsed Gemini stream objects of one prompt into
+ * `text_completion` SSE chunks. [DONE] is left to the caller, which may stream several prompts.
+ * @param {string} modelId
+ * @param {object} options
+ * @param {string} options.id Completion ID shared by all chunks of the response.
+ * @param {string} options.prompt
+ * @param {boolean} options.echo Sends the prompt as the first chunk of every choice.
+ * @param {number | null} options.logprobs
+ * @param {number} options.indexOffset Index of the prompt's first choice.
+ * @param {(usageMetadata: object) => void} [options.onUsage] Receives the last usageMetadata of the stream.
+ * @returns {import('stream').Transform}
+ */
+function createCompletionStreamTransformer(modelId, { id, prompt, echo, logprobs, indexOffset, onUsage }) {
+    const textOffsets = {}; // Per choice index, for logprobs text_offset
+    let usageMetadata = null;
+
+    const formatChunk = (choice) => `data: ${JSON.stringify({
+        id: id,
+        object: 'text_completion',
+        created: Math.floor(Date.now() / 1000),
+        model: modelId,
+        choices: [choice],
+    })}\n\n`;
+
+    return new Transform({
+        writableObjectMode: true,
+        transform(geminiChunk, encoding, callback) {
+            try {
+                if (geminiChunk?.error) {
+                    // Gemini reports mid-stream failures as an error object inside the array
+                    this.push(`data: ${JSON.stringify({ error: geminiChunk.error })}\n\n`);
+                    return callback();
+                }
+                if (geminiChunk?.usageMetadata) {
+                    usageMetadata = geminiChunk.usageMetadata;
+                }
+
+                (geminiChunk?.candidates || []).forEach((candidate, position) => {
+                    const index = indexOffset + (candidate.index ?? position);
+                    if (textOffsets[index] === undefined) {
+                        textOffsets[index] = 0;
+                        if (echo && prompt) {
+                            this.push(formatChunk({ text: prompt, index, logprobs: null, finish_reason: null }));
+                            textOffsets[index] = prompt.length;
+                        }
+                    }
+
+                    const text = candidateText(candidate);
+                    const finishReason = mapFinishReason(candidate.finishReason);
+                    if (!text && !finishReason) return;
+
+                    const choiceLogprobs = logprobs !== null ? toCompletionLogprobs(candidate.logprobsResult, textOffsets[index]) : null;
+                    textOffsets[index] += text.length;
+                    this.push(formatChunk({ text, index, logprobs: choiceLogprobs, finish_reason: finishReason }));
+                });
+                callback();
+            } catch (error) {
+                callback(error);
+            }
+        },
+        flush(callback) {
+            if (usageMetadata && onUsage) {
+                onUsage(usageMetadata);
+            }
+            callback();
+        },
+    });
+}
+
+module.exports = {
+    generateCompletionId,
+    transformCompletionsToChat,
+    transformGeminiResponseToCompletionChoices,
+    createCompletionStreamTransformer,
+};
@@ -0,0 +1,93 @@
+const { Transform } = require('stream');
+
+/**
+ * Creates a Transform stream that turns the raw body of a Gemini `streamGenerateContent`
+ * call (a JSON array sent in arbitrary byte chunks) into parsed response objects.
+ * Objects are found by scanning for balanced braces outside of strings, the same way the
+ * /v1/chat/completions stream handler does it.
+ * @returns {import('stream').Transform} Writable side takes bytes, readable side emits objects.
+ */
+function createGeminiStreamParser() {
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    // Emits every complete top-level object in the buffer and keeps the incomplete remainder
+    function drainBuffer(stream) {
+        let startPos = -1;
+        let consumedUpTo = 0;
+        let bracketDepth = 0;
+        let inString = false;
+        let escapeNext = false;
+
+        for (let i = 0; i < buffer.length; i++) {
+            const char = buffer[i];
+
+            if (inString) {
+                if (escapeNext) {
+                    escapeNext = false;
+                } else if (char === '\\') {
+                    escapeNext = true;
+                } else if (char === '"') {
+                    inString = false;
+                }
+                continue;
+            }
+
+            if (char === '"') {
+                inString = true;
+            } else if (char === '{') {
+                if (bracketDepth === 0) {
+                    startPos = i;
+                }
+                bracketDepth++;
+            } else if (char === '}') {
+                bracketDepth--;
+                if (bracketDepth === 0 && startPos !== -1) {
+                    const jsonStr = buffer.substring(startPos, i + 1);
+                    try {
+                        stream.push(JSON.parse(jsonStr));
+                    } catch (e) {
+                        console.error("Error parsing Gemini stream object:", e);
+                    }
+                    startPos = -1;
+                    consumedUpTo = i + 1;
+                }
+            }
+            // Array brackets and commas between objects are skipped
+        }
+
+        buffer = startPos !== -1 ? buffer.substring(startPos) : buffer.substring(consumedUpTo);
+        if (startPos === -1 && !buffer.trim().replace(/[\[\],\s]/g, '')) {
+            buffer = '';
+        }
+    }
+
+    return new Transform({
+        readableObjectMode: true,
+        transform(chunk, encoding, callback) {
+            try {
+                buffer += decoder.decode(chunk, { stream: true });
+                drainBuffer(this);
+                callback();
+            } catch (e) {
+                callback(e);
+            }
+        },
+        flush(callback) {
+            try {
+                buffer += decoder.decode();
+                drainBuffer(this);
+                if (buffer.trim()) {
+                    console.debug("Discarding incomplete Gemini stream data:", buffer);
+                }
+                callback();
+            } catch (e) {
+                callback(e);
+            }
+        }
+    });
+}
+
+module.exports = {
+    createGeminiStreamParser,
+};
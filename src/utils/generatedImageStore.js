@@ -0,0 +1,63 @@
+const { randomUUID } = require('crypto');
+const mime = require('mime-types');
+
+// --- In-memory store behind the URLs returned for response_format "url" ---
+//
+// Like OpenAI's image URLs, they stop working after an hour. The store is bounded by
+// GENERATED_IMAGE_STORE_MAX_BYTES (default 256 MB); the oldest images are dropped first.
+
+const IMAGE_URL_TTL_MS = 60 * 60 * 1000;
+const MAX_STORED_BYTES = parseInt(process.env.GENERATED_IMAGE_STORE_MAX_BYTES, 10) || 256 * 1024 * 1024;
+
+// Map keeps insertion order, so the first entry is the oldest
+const images = new Map();
+let storedBytes = 0;
+
+function deleteImage(id) {
+    const entry = images.get(id);
+    if (entry) {
+        storedBytes -= entry.buffer.length;
+        images.delete(id);
+    }
+}
+
+function evictImages() {
+    const now = Date.now();
+    for (const [id, entry] of images) {
+        if (entry.expiresAt > now && storedBytes <= MAX_STORED_BYTES) break;
+        deleteImage(id);
+    }
+}
+
+/**
+ * Stores a generated image for an hour.
+ * @param {Buffer} buffer
+ * @param {string} mimeType
+ * @returns {string} The image ID, an unguessable name with the file extension.
+ */
+function saveImage(buffer, mimeType) {
+    const id = `${randomUUID().replace(/-/g, '')}.${mime.extension(mimeType) || 'bin'}`;
+    images.set(id, { buffer, mimeType, expiresAt: Date.now() + IMAGE_URL_TTL_MS });
+    storedBytes += buffer.length;
+    evictImages();
+    return id;
+}
+
+/**
+ * Looks up a stored image.
+ * @param {string} id
+ * @returns {{ buffer: Buffer; mimeType: string; expiresAt: number } | null} null when unknown or expired.
+ */
+function getImage(id) {
+    const entry = images.get(id);
+    if (!entry || entry.expiresAt <= Date.now()) {
+        deleteImage(id);
+        return null;
+    }
+    return entry;
+}
+
+module.exports = {
+    saveImage,
+    getImage,
+};
@@ -0,0 +1,260 @@
+// --- JSON Schema helpers for structured output (response_format) ---
+
+// Keywords understood by the Gemini Schema object; everything else is dropped during conversion
+const GEMINI_SCHEMA_KEYS = new Set([
+    'type', 'format', 'title', 'description', 'nullable', 'enum', 'items', 'minItems', 'maxItems',
+    'properties', 'required', 'minProperties', 'maxProperties', 'minLength', 'maxLength', 'pattern',
+    'minimum', 'maximum', 'anyOf', 'propertyOrdering', 'default', 'example',
+]);
+
+// Gemini only accepts these `format` values, per type
+const GEMINI_FORMATS = {
+    string: new Set(['enum', 'date-time']),
+    integer: new Set(['int32', 'int64']),
+    number: new Set(['float', 'double']),
+};
+
+/**
+ * Inlines local `$ref`s (`#/$defs/...`, `#/definitions/...`) so the schema is self-contained.
+ * Recursive references can't be expressed without refs, so the second expansion of a
+ * definition is replaced by a plain `{ type: 'object' }`.
+ * @param {object} schema The root JSON Schema.
+ * @returns {object} A deep copy of the schema without `$ref`, `$defs` or `definitions`.
+ */
+function resolveJsonSchemaRefs(schema) {
+    const root = schema;
+
+    function lookup(ref) {
+        if (typeof ref !== 'string' || !ref.startsWith('#/')) {
+            throw new Error(`Unsupported $ref '${ref}'. Only local references are supported.`);
+        }
+        let target = root;
+        for (const segment of ref.substring(2).split('/')) {
+            target = target?.[segment.replace(/~1/g, '/').replace(/~0/g, '~')];
+        }
+        if (target === undefined) {
+            throw new Error(`Unresolvable $ref '${ref}'.`);
+        }
+        return target;
+    }
+
+    function resolve(node, refStack) {
+        if (Array.isArray(node)) {
+            return node.map(item => resolve(item, refStack));
+        }
+        if (!node || typeof node !== 'object') {
+            return node;
+        }
+        if (node.$ref) {
+            if (refStack.includes(node.$ref)) {
+                console.warn(`Recursive $ref '${node.$ref}' cannot be inlined. Replacing it with a generic object.`);
+                return { type: 'object', ...(node.description && { description: node.description }) };
+            }
+            const { $ref, ...siblings } = node;
+            return { ...resolve(lookup($ref), [...refStack, $ref]), ...resolve(siblings, refStack) };
+        }
+        const resolved = {};
+        for (const key in node) {
+            if (key === '$defs' || key === 'definitions') continue;
+            resolved[key] = resolve(node[key], refStack);
+        }
+        return resolved;
+    }
+
+    return resolve(schema, []);
+}
+
+/**
+ * Merges the members of an `allOf` into a single schema (properties and required are combined).
+ * @param {object[]} schemas
+ * @returns {object}
+ */
+function mergeAllOf(schemas) {
+    return schemas.reduce((merged, schema) => {
+        const result = { ...merged, ...schema };
+        if (merged.properties || schema.properties) {
+            result.properties = { ...merged.properties, ...schema.properties };
+        }
+        if (merged.required || schema.required) {
+            result.required = [...new Set([...(merged.required || []), ...(schema.required || [])])];
+        }
+        return result;
+    }, {});
+}
+
+/**
+ * Converts a JSON Schema (as sent in OpenAI `json_schema` response formats) into a Gemini
+ * `responseSchema`: `$ref`s are inlined, `oneOf`/`allOf`/`const`/type arrays are rewritten into
+ * `anyOf`/`enum`/`nullable`, and keywords Gemini rejects (additionalProperties, $schema, ...) are removed.
+ * @param {object} schema The JSON Schema.
+ * @returns {object} The Gemini Schema object.
+ */
+function convertJsonSchemaToGemini(schema) {
+    function convert(node) {
+        if (!node || typeof node !== 'object' || Array.isArray(node)) {
+            return node;
+        }
+
+        let source = { ...node };
+        if (Array.isArray(source.allOf)) {
+            const { allOf, ...rest } = source;
+            source = mergeAllOf([rest, ...allOf]);
+        }
+        if (Array.isArray(source.oneOf)) {
+            source.anyOf = [...(source.anyOf || []), ...source.oneOf];
+        }
+        if (source.const !== undefined) {
+            source.enum = [source.const];
+        }
+
+        const result = {};
+
+        // Type arrays like ["string", "null"] become a nullable type (or anyOf for several types)
+        if (Array.isArray(source.type)) {
+            const types = source.type.filter(type => type !== 'null');
+            if (types.length < source.type.length) result.nullable = true;
+            if (types.length === 1) {
+                source.type = types[0];
+            } else {
+                delete source.type;
+                source.anyOf = [...(source.anyOf || []), ...types.map(type => ({ type }))];
+            }
+        } else if (source.type === 'null') {
+            delete source.type;
+            result.nullable = true;
+        }
+
+        for (const key in source) {
+            if (!GEMINI_SCHEMA_KEYS.has(key)) continue;
+            const value = source[key];
+            switch (key) {
+                case 'properties':
+                    result.properties = {};
+                    for (const propName in value) {
+                        result.properties[propName] = convert(value[propName]);
+                    }
+                    break;
+                case 'items':
+                    result.items = convert(Array.isArray(value) ? value[0] : value);
+                    break;
+                case 'anyOf': {
+                    const members = value.filter(member => member?.type !== 'null');
+                    if (members.length < value.length) result.nullable = true;
+                    if (members.length === 1) {
+                        // Keywords set on the parent take precedence over the single remaining member
+                        Object.assign(result, { ...convert(members[0]), ...result });
+                    } else if (members.length > 1) {
+                        result.anyOf = members.map(convert);
+                    }
+                    break;
+                }
+                case 'enum':
+                    // Gemini enums are string-only
+                    if (value.every(item => typeof item === 'string')) {
+                        result.enum = value;
+                        if (!source.type && !result.type) result.type = 'string';
+                    } else {
+                        console.warn(`Dropping non-string enum ${JSON.stringify(value)} from response schema.`);
+                    }
+                    break;
+                case 'format':
+                    if (GEMINI_FORMATS[source.type]?.has(value)) {
+                        result.format = value;
+                    }
+                    break;
+                default:
+                    result[key] = value;
+            }
+        }
+
+        if (result.required && result.properties) {
+            result.required = result.required.filter(name => result.properties[name] !== undefined);
+        }
+        return result;
+    }
+
+    return convert(resolveJsonSchemaRefs(schema));
+}
+
+function describeType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = describeType(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * Validates a value against a JSON Schema whose `$ref`s have already been resolved.
+ * Supports the keywords OpenAI structured outputs allow (type, properties, required,
+ * additionalProperties, items, enum, const, anyOf/oneOf/allOf and basic length/range limits).
+ * @param {any} value The value to validate.
+ * @param {object} schema The resolved JSON Schema.
+ * @param {string} [path='$'] Path of the value, used in error messages.
+ * @returns {string[]} Validation errors; empty when the value matches.
+ */
+function validateJsonSchema(value, schema, path = '$') {
+    if (!schema || typeof schema !== 'object') return [];
+    const errors = [];
+
+    if (schema.type !== undefined) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesType(value, type)) && !(schema.nullable && value === null)) {
+            return [`${path}: expected ${types.join(' or ')}, got ${describeType(value)}`];
+        }
+    }
+    if (schema.enum && !schema.enum.some(item => JSON.stringify(item) === JSON.stringify(value))) {
+        errors.push(`${path}: value must be one of ${JSON.stringify(schema.enum)}`);
+    }
+    if (schema.const !== undefined && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+        errors.push(`${path}: value must be ${JSON.stringify(schema.const)}`);
+    }
+
+    const alternatives = schema.anyOf || schema.oneOf;
+    if (alternatives && !alternatives.some(member => validateJsonSchema(value, member, path).length === 0)) {
+        errors.push(`${path}: value does not match any of the allowed schemas`);
+    }
+    if (schema.allOf) {
+        schema.allOf.forEach(member => errors.push(...validateJsonSchema(value, member, path)));
+    }
+
+    if (describeType(value) === 'object') {
+        const properties = schema.properties || {};
+        (schema.required || []).forEach(name => {
+            if (value[name] === undefined) errors.push(`${path}: missing required property '${name}'`);
+        });
+        for (const name in value) {
+            if (properties[name]) {
+                errors.push(...validateJsonSchema(value[name], properties[name], `${path}.${name}`));
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${path}: unexpected property '${name}'`);
+            } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+                errors.push(...validateJsonSchema(value[name], schema.additionalProperties, `${path}.${name}`));
+            }
+        }
+    } else if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${path}: expected at least ${schema.minItems} items`);
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${path}: expected at most ${schema.maxItems} items`);
+        if (schema.items) {
+            value.forEach((item, index) => errors.push(...validateJsonSchema(item, schema.items, `${path}[${index}]`)));
+        }
+    } else if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${path}: shorter than ${schema.minLength} characters`);
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${path}: longer than ${schema.maxLength} characters`);
+    } else if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path}: less than ${schema.minimum}`);
+        if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path}: greater than ${schema.maximum}`);
+    }
+
+    return errors;
+}
+
+module.exports = {
+    resolveJsonSchemaRefs,
+    convertJsonSchemaToGemini,
+    validateJsonSchema,
+};
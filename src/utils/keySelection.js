@@ -0,0 +1,91 @@
+const crypto = require('crypto');
+
+// --- Key selection strategies ---
+// Only decide between the keys they are given: geminiKeyService owns the key list, the quota checks
+// and the round-robin position.
+
+/**
+ * Counts a key's usage today that counts against the requested model's quota.
+ * @param {import('../services/keyStateStore').KeyState} keyInfo
+ * @param {string | null | undefined} modelId
+ * @param {string | undefined} modelCategory
+ * @param {string} todayInLA
+ * @returns {number}
+ */
+function getKeyUsageToday(keyInfo, modelId, modelCategory, todayInLA) {
+    if (keyInfo.usageDate !== todayInLA) {
+        return 0;
+    }
+    if (modelCategory === 'Custom') {
+        return keyInfo.modelUsage[modelId] || 0;
+    }
+    if (modelCategory) {
+        return keyInfo.categoryUsage[modelCategory.toLowerCase()] || 0;
+    }
+    return Object.values(keyInfo.categoryUsage).reduce((sum, count) => sum + (count || 0), 0);
+}
+
+/**
+ * Scores a key for a conversation with rendezvous hashing: the conversation goes to its highest-scoring
+ * available key, and only moves when that key becomes unavailable.
+ * @param {string} affinityKey
+ * @param {string} keyId
+ * @returns {number}
+ */
+function affinityScore(affinityKey, keyId) {
+    return parseInt(crypto.createHash('sha256').update(`${affinityKey}:${keyId}`).digest('hex').slice(0, 12), 16);
+}
+
+/**
+ * Picks one of the available keys with a strategy other than round-robin.
+ * @param {string} strategy
+ * @param {import('../services/keyStateStore').KeyState[]} availableKeys In key list order.
+ * @param {string | null | undefined} modelId
+ * @param {string | undefined} modelCategory
+ * @param {string | undefined} affinityKey
+ * @param {string} todayInLA
+ * @returns {import('../services/keyStateStore').KeyState | null}
+ */
+function pickKey(strategy, availableKeys, modelId, modelCategory, affinityKey, todayInLA) {
+    switch (strategy) {
+        case 'least-used':
+            return availableKeys.reduce((best, keyInfo) =>
+                getKeyUsageToday(keyInfo, modelId, modelCategory, todayInLA) < getKeyUsageToday(best, modelId, modelCategory, todayInLA) ? keyInfo : best);
+        case 'weighted': {
+            const weightedKeys = availableKeys.filter(keyInfo => keyInfo.weight > 0);
+            const totalWeight = weightedKeys.reduce((sum, keyInfo) => sum + keyInfo.weight, 0);
+            let target = Math.random() * totalWeight;
+            return weightedKeys.find(keyInfo => (target -= keyInfo.weight) < 0) || null;
+        }
+        case 'sticky':
+            return availableKeys.reduce((best, keyInfo) =>
+                affinityScore(affinityKey, keyInfo.id) > affinityScore(affinityKey, best.id) ? keyInfo : best);
+        default: // random
+            return availableKeys[Math.floor(Math.random() * availableKeys.length)];
+    }
+}
+
+/**
+ * Finds the next key in rotation order that can serve the request.
+ * @param {string[]} allKeyIds Key IDs in rotation order.
+ * @param {number} startIndex The stored round-robin position.
+ * @param {(keyId: string) => boolean} isCandidate
+ * @returns {{ keyId: string; nextIndex: number } | null} The key and the position after it, or null if none qualifies.
+ */
+function findRoundRobinKey(allKeyIds, startIndex, isCandidate) {
+    const start = startIndex < allKeyIds.length ? startIndex : 0; // Reset if index is out of bounds
+    for (let offset = 0; offset < allKeyIds.length; offset++) {
+        const index = (start + offset) % allKeyIds.length;
+        if (isCandidate(allKeyIds[index])) {
+            return { keyId: allKeyIds[index], nextIndex: (index + 1) % allKeyIds.length };
+        }
+    }
+    return null;
+}
+
+module.exports = {
+    getKeyUsageToday,
+    affinityScore,
+    pickKey,
+    findRoundRobinKey,
+};
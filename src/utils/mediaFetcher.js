@@ -0,0 +1,248 @@
+const fetch = require('node-fetch');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const mime = require('mime-types');
+const proxyPool = require('./proxyPool');
+
+// --- Shared downloader for remote media referenced by URL in requests (e.g. image_url parts) ---
+//
+// Configuration (environment variables):
+//   MEDIA_FETCH_MAX_BYTES      Largest accepted download, default 20 MB (Gemini's inline request limit)
+//   MEDIA_FETCH_TIMEOUT_MS     Timeout for the whole download, default 15000
+//   MEDIA_FETCH_USE_PROXY      "1" to download through the SOCKS proxy pool
+//   MEDIA_FETCH_ALLOWED_HOSTS  Comma-separated hosts that may be fetched ("*.example.com" matches subdomains).
+//                              When set, every other host is refused. Listed hosts may resolve to private addresses.
+//   MEDIA_FETCH_BLOCKED_HOSTS  Comma-separated hosts that are always refused
+//   MEDIA_CACHE_SIZE           Number of downloads kept in the in-memory LRU cache, default 32 (0 disables it)
+//   MEDIA_CACHE_MAX_BYTES      Total size of the cached downloads, default 64 MB
+
+const MAX_BYTES = parseInt(process.env.MEDIA_FETCH_MAX_BYTES, 10) || 20 * 1024 * 1024;
+const TIMEOUT_MS = parseInt(process.env.MEDIA_FETCH_TIMEOUT_MS, 10) || 15000;
+const USE_PROXY = process.env.MEDIA_FETCH_USE_PROXY === '1';
+const CACHE_SIZE = process.env.MEDIA_CACHE_SIZE ? parseInt(process.env.MEDIA_CACHE_SIZE, 10) || 0 : 32;
+const CACHE_MAX_BYTES = parseInt(process.env.MEDIA_CACHE_MAX_BYTES, 10) || 64 * 1024 * 1024;
+const MAX_REDIRECTS = 5;
+
+function parseHostList(value) {
+    return (value || '').split(',').map(host => host.trim().toLowerCase()).filter(Boolean);
+}
+
+const ALLOWED_HOSTS = parseHostList(process.env.MEDIA_FETCH_ALLOWED_HOSTS);
+const BLOCKED_HOSTS = parseHostList(process.env.MEDIA_FETCH_BLOCKED_HOSTS);
+
+// Loopback, private, link-local (incl. cloud metadata), CGNAT, multicast and other non-public ranges
+const PRIVATE_RANGES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4],
+].forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv4'));
+[
+    ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8], ['64:ff9b::', 96],
+].forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Whether an IP address is outside the public internet.
+ * @param {string} address IPv4 or IPv6 address.
+ * @returns {boolean}
+ */
+function isPrivateAddress(address) {
+    const mappedIpv4 = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+    if (mappedIpv4) {
+        return PRIVATE_RANGES.check(mappedIpv4[1], 'ipv4');
+    }
+    const family = net.isIP(address);
+    if (family === 0) return true;
+    return PRIVATE_RANGES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+function matchesHost(hostname, pattern) {
+    if (pattern.startsWith('*.')) {
+        return hostname.endsWith(pattern.substring(1));
+    }
+    return hostname === pattern;
+}
+
+/**
+ * Checks a hostname against the allow and deny lists.
+ * @param {string} hostname
+ * @returns {{ allowed: boolean; explicitlyAllowed: boolean }}
+ */
+function checkHostLists(hostname) {
+    const host = hostname.toLowerCase();
+    if (BLOCKED_HOSTS.some(pattern => matchesHost(host, pattern))) {
+        return { allowed: false, explicitlyAllowed: false };
+    }
+    if (ALLOWED_HOSTS.length > 0) {
+        const listed = ALLOWED_HOSTS.some(pattern => matchesHost(host, pattern));
+        return { allowed: listed, explicitlyAllowed: listed };
+    }
+    return { allowed: true, explicitlyAllowed: false };
+}
+
+// dns.lookup replacement used by the direct-connection agents: the address that is actually
+// connected to is checked, so a host can't pass validation and then rebind to a private address
+function guardedLookup(hostname, options, callback) {
+    dns.lookup(hostname, options, (err, address, family) => {
+        if (err) return callback(err);
+        const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+        if (!checkHostLists(hostname).explicitlyAllowed && addresses.some(isPrivateAddress)) {
+            return callback(new Error(`Refusing to fetch media from ${hostname}: it resolves to a private address.`));
+        }
+        callback(null, address, family);
+    });
+}
+
+const httpAgent = new http.Agent({ lookup: guardedLookup });
+const httpsAgent = new https.Agent({ lookup: guardedLookup });
+
+/**
+ * Validates a URL before it is requested: scheme, host lists and, for hosts that aren't
+ * explicitly allowed, that none of its addresses is private.
+ * @param {URL} url
+ * @returns {Promise<void>} Rejects with an Error describing why the URL is refused.
+ */
+async function assertFetchableUrl(url) {
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        throw new Error(`Unsupported protocol '${url.protocol}'.`);
+    }
+    const hostname = url.hostname.replace(/^\[|\]$/g, '');
+    const { allowed, explicitlyAllowed } = checkHostLists(hostname);
+    if (!allowed) {
+        throw new Error(`Host '${hostname}' is not allowed.`);
+    }
+    if (explicitlyAllowed) return;
+
+    const addresses = net.isIP(hostname)
+        ? [hostname]
+        : (await dns.promises.lookup(hostname, { all: true })).map(entry => entry.address);
+    if (addresses.some(isPrivateAddress)) {
+        throw new Error(`Host '${hostname}' resolves to a private address.`);
+    }
+}
+
+/**
+ * Detects common media types from their leading bytes.
+ * @param {Buffer} buffer
+ * @returns {string | null} The detected MIME type, or null when unknown.
+ */
+function sniffMimeType(buffer) {
+    const startsWith = (bytes, offset = 0) => bytes.every((byte, i) => buffer[offset + i] === byte);
+    const ascii = (start, end) => buffer.toString('latin1', start, end);
+
+    if (startsWith([0x89, 0x50, 0x4e, 0x47])) return 'image/png';
+    if (startsWith([0xff, 0xd8, 0xff])) return 'image/jpeg';
+    if (ascii(0, 4) === 'GIF8') return 'image/gif';
+    if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') return 'image/webp';
+    if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WAVE') return 'audio/wav';
+    if (ascii(4, 8) === 'ftyp') {
+        const brand = ascii(8, 12);
+        if (['heic', 'heix', 'hevc', 'hevx'].includes(brand)) return 'image/heic';
+        if (['mif1', 'msf1'].includes(brand)) return 'image/heif';
+        if (brand === 'M4A ') return 'audio/mp4';
+        if (brand.startsWith('qt')) return 'video/quicktime';
+        return 'video/mp4';
+    }
+    if (ascii(0, 5) === '%PDF-') return 'application/pdf';
+    if (ascii(0, 3) === 'ID3' || (buffer[0] === 0xff && (buffer[1] & 0xe0) === 0xe0)) return 'audio/mpeg';
+    if (ascii(0, 4) === 'OggS') return 'audio/ogg';
+    if (ascii(0, 4) === 'fLaC') return 'audio/flac';
+    if (startsWith([0x1a, 0x45, 0xdf, 0xa3])) return 'video/webm';
+    return null;
+}
+
+// --- Small LRU cache keyed by URL (Map keeps insertion order, so the first key is the oldest) ---
+const cache = new Map();
+let cachedBytes = 0;
+
+function getCached(url) {
+    const entry = cache.get(url);
+    if (entry) {
+        cache.delete(url);
+        cache.set(url, entry);
+    }
+    return entry;
+}
+
+function deleteCached(url) {
+    const entry = cache.get(url);
+    if (entry) {
+        cachedBytes -= entry.data.length;
+        cache.delete(url);
+    }
+}
+
+function setCached(url, entry) {
+    if (CACHE_SIZE <= 0 || entry.data.length > CACHE_MAX_BYTES) return;
+    deleteCached(url);
+    cache.set(url, entry);
+    cachedBytes += entry.data.length;
+    while (cache.size > CACHE_SIZE || cachedBytes > CACHE_MAX_BYTES) {
+        deleteCached(cache.keys().next().value);
+    }
+}
+
+/**
+ * Downloads remote media with a size limit, a timeout and SSRF protection. Redirects are
+ * followed manually so that every hop is validated. Results are kept in a small LRU cache,
+ * so an image repeated across the turns of a conversation is only downloaded once.
+ * @param {string} mediaUrl An http(s) URL.
+ * @returns {Promise<{ mimeType: string; data: string }>} The MIME type and base64-encoded content.
+ */
+async function fetchRemoteMedia(mediaUrl) {
+    const cached = getCached(mediaUrl);
+    if (cached) {
+        return cached;
+    }
+
+    const deadline = Date.now() + TIMEOUT_MS;
+    let currentUrl = new URL(mediaUrl);
+    let response;
+
+    for (let redirects = 0; ; redirects++) {
+        await assertFetchableUrl(currentUrl);
+
+        const proxyAgent = USE_PROXY ? proxyPool.getNextProxyAgent() : undefined;
+        response = await fetch(currentUrl.href, {
+            redirect: 'manual',
+            size: MAX_BYTES,
+            timeout: Math.max(deadline - Date.now(), 1),
+            agent: proxyAgent || (currentUrl.protocol === 'https:' ? httpsAgent : httpAgent),
+            headers: { 'Accept': 'image/*, audio/*, video/*, application/pdf, */*;q=0.5' },
+        });
+
+        if (response.status < 300 || response.status >= 400) break;
+        const location = response.headers.get('location');
+        if (!location) break;
+        if (redirects >= MAX_REDIRECTS) {
+            throw new Error(`Too many redirects fetching ${mediaUrl}.`);
+        }
+        currentUrl = new URL(location, currentUrl);
+    }
+
+    if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    const declaredLength = parseInt(response.headers.get('content-length'), 10);
+    if (declaredLength > MAX_BYTES) {
+        throw new Error(`Media is ${declaredLength} bytes, larger than the ${MAX_BYTES} byte limit.`);
+    }
+
+    const buffer = await response.buffer();
+    const headerType = (response.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+    const mimeType = sniffMimeType(buffer)
+        || (headerType && headerType !== 'application/octet-stream' ? headerType : null)
+        || mime.lookup(currentUrl.pathname)
+        || 'application/octet-stream';
+
+    const result = { mimeType, data: buffer.toString('base64') };
+    setCached(mediaUrl, result);
+    return result;
+}
+
+module.exports = {
+    fetchRemoteMedia,
+    sniffMimeType,
+    isPrivateAddress,
+};
@@ -0,0 +1,559 @@
+// --- Translation between the OpenAI Responses API and the chat/Gemini formats used internally ---
+
+const { Transform } = require('stream');
+const { randomUUID } = require('crypto');
+const { generateToolCallId, transformGroundingMetadata } = require('./transform');
+
+/**
+ * Builds an OpenAI-style invalid_request_error result.
+ * @param {string} message
+ * @param {string} [param] The request field that caused the error.
+ * @returns {{ error: object; status: number }}
+ */
+function invalidRequest(message, param) {
+    return { error: { message, type: 'invalid_request_error', param: param || null, code: null }, status: 400 };
+}
+
+const generateItemId = (prefix) => `${prefix}_${randomUUID().replace(/-/g, '')}`;
+const generateResponseId = () => generateItemId('resp');
+
+/**
+ * Converts one Responses content part into an OpenAI chat content part.
+ * @param {object} part
+ * @returns {object | null} null when the part is skipped.
+ */
+function convertContentPart(part) {
+    switch (part?.type) {
+        case 'input_text':
+        case 'output_text':
+        case 'text':
+            return { type: 'text', text: part.text };
+        case 'input_image':
+            if (part.file_id) {
+                return { type: 'file', file: { file_id: part.file_id } };
+            }
+            return part.image_url ? { type: 'image_url', image_url: { url: part.image_url, detail: part.detail } } : null;
+        case 'input_file':
+            if (part.file_id || part.file_data) {
+                return { type: 'file', file: { file_id: part.file_id, file_data: part.file_data, filename: part.filename } };
+            }
+            // Remote files are downloaded like image URLs, whatever their media type
+            return part.file_url ? { type: 'image_url', image_url: { url: part.file_url } } : null;
+        case 'input_audio':
+            return { type: 'input_audio', input_audio: part.input_audio || { data: part.data, format: part.format } };
+        default:
+            console.warn(`Unsupported Responses content part type: ${part?.type}. Skipping part.`);
+            return null;
+    }
+}
+
+const partsToText = (parts) => parts.filter(part => part.type === 'text').map(part => part.text).join('');
+
+/**
+ * Converts the Responses `input` (a string or a list of items) into OpenAI chat messages.
+ * Consecutive function_call items are merged into the preceding assistant message, as Gemini
+ * expects all calls of a turn together.
+ * @param {string | object[]} input
+ * @returns {{ messages: object[] } | { error: object; status: number }}
+ */
+function convertInputItems(input) {
+    if (typeof input === 'string') {
+        return { messages: [{ role: 'user', content: input }] };
+    }
+    if (!Array.isArray(input)) {
+        return invalidRequest("'input' must be a string or an array of input items.", 'input');
+    }
+
+    const messages = [];
+    for (const item of input) {
+        const type = item?.type || (item?.role ? 'message' : undefined);
+        if (type === 'message') {
+            const parts = (typeof item.content === 'string' ? [{ type: 'input_text', text: item.content }] : (item.content || []))
+                .map(convertContentPart)
+                .filter(Boolean);
+            if (item.role === 'user') {
+                messages.push({ role: 'user', content: parts });
+            } else if (item.role === 'assistant') {
+                messages.push({ role: 'assistant', content: partsToText(parts) });
+            } else if (item.role === 'system' || item.role === 'developer') {
+                messages.push({ role: 'system', content: partsToText(parts) });
+            } else {
+                return invalidRequest(`Unsupported message role: ${item.role}`, 'input');
+            }
+        } else if (type === 'function_call') {
+            const toolCall = { id: item.call_id, type: 'function', function: { name: item.name, arguments: item.arguments || '{}' } };
+            const last = messages[messages.length - 1];
+            if (last?.role === 'assistant') {
+                last.tool_calls = [...(last.tool_calls || []), toolCall];
+            } else {
+                messages.push({ role: 'assistant', content: null, tool_calls: [toolCall] });
+            }
+        } else if (type === 'function_call_output') {
+            const output = Array.isArray(item.output) ? partsToText(item.output.map(convertContentPart).filter(Boolean)) : item.output;
+            messages.push({ role: 'tool', tool_call_id: item.call_id, content: typeof output === 'string' ? output : JSON.stringify(output) });
+        } else if (type !== 'reasoning' && type !== 'web_search_call') {
+            // Reasoning and web search items sent back from earlier output carry nothing Gemini can use
+            return invalidRequest(`Unsupported input item type: ${type}`, 'input');
+        }
+    }
+    return { messages };
+}
+
+/**
+ * Converts Responses tools into OpenAI chat tools. The built-in web_search tool has no chat
+ * equivalent and turns on the proxy's googleSearch injection instead.
+ * @param {object[]} [tools]
+ * @returns {{ tools: object[]; webSearch: boolean } | { error: object; status: number }}
+ */
+function convertTools(tools) {
+    const chatTools = [];
+    let webSearch = false;
+    for (const tool of tools || []) {
+        if (tool.type === 'function') {
+            chatTools.push({
+                type: 'function',
+                function: { name: tool.name, description: tool.description, parameters: tool.parameters, strict: tool.strict },
+            });
+        } else if (typeof tool.type === 'string' && tool.type.startsWith('web_search')) {
+            webSearch = true;
+        } else {
+            return invalidRequest(`Unsupported tool type: ${tool.type}. Only 'function' and 'web_search' tools are supported.`, 'tools');
+        }
+    }
+    return { tools: chatTools, webSearch };
+}
+
+/**
+ * Converts the Responses `tool_choice` value into the OpenAI chat `tool_choice` value.
+ * @param {string | object} [toolChoice]
+ * @returns {string | object | undefined}
+ */
+function convertToolChoice(toolChoice) {
+    if (typeof toolChoice === 'string') return toolChoice;
+    if (toolChoice?.type === 'function') return { type: 'function', function: { name: toolChoice.name } };
+    return undefined; // Built-in tool choices leave the decision to the model
+}
+
+/**
+ * Converts the Responses `text.format` into the OpenAI chat `response_format`.
+ * @param {object} [format]
+ * @returns {object | undefined}
+ */
+function convertTextFormat(format) {
+    if (format?.type === 'json_schema') {
+        return { type: 'json_schema', json_schema: { name: format.name, description: format.description, schema: format.schema, strict: format.strict } };
+    }
+    return format ? { type: format.type } : undefined;
+}
+
+/**
+ * Transforms a Responses API request into the OpenAI chat format accepted by
+ * geminiProxyService.proxyChatCompletions.
+ * @param {object} body The Responses request body.
+ * @param {object[]} [previousMessages] The stored conversation of `previous_response_id`.
+ * @returns {{ openAIRequestBody: object; inputMessages: object[]; includeThoughts: boolean } | { error: object; status: number }}
+ *   `inputMessages` are the new messages of this turn, without the instructions, which are not carried over.
+ */
+function transformResponsesToChat(body, previousMessages = []) {
+    if (!body?.model) {
+        return invalidRequest("Missing 'model' field in request body", 'model');
+    }
+    const input = convertInputItems(body.input ?? []);
+    if (input.error) return input;
+    const tools = convertTools(body.tools);
+    if (tools.error) return tools;
+
+    const messages = [
+        ...(body.instructions ? [{ role: 'system', content: body.instructions }] : []),
+        ...previousMessages,
+        ...input.messages,
+    ];
+    if (!messages.some(message => message.role !== 'system')) {
+        return invalidRequest("'input' must contain at least one message.", 'input');
+    }
+
+    const toolChoice = convertToolChoice(body.tool_choice);
+    const responseFormat = convertTextFormat(body.text?.format);
+    const openAIRequestBody = {
+        model: body.model,
+        messages: messages,
+        ...(body.max_output_tokens !== undefined && body.max_output_tokens !== null && { max_tokens: body.max_output_tokens }),
+        ...(body.temperature !== undefined && body.temperature !== null && { temperature: body.temperature }),
+        ...(body.top_p !== undefined && body.top_p !== null && { top_p: body.top_p }),
+        ...(tools.tools.length > 0 && { tools: tools.tools }),
+        ...(toolChoice && tools.tools.length > 0 && { tool_choice: toolChoice }),
+        ...(body.parallel_tool_calls === false && { parallel_tool_calls: false }),
+        ...(responseFormat && { response_format: responseFormat }),
+        ...(tools.webSearch && { web_search: 1 }),
+        ...(body.reasoning?.effort && { reasoning_effort: body.reasoning.effort }),
+    };
+
+    return {
+        openAIRequestBody,
+        inputMessages: input.messages,
+        // A reasoning summary can only be produced from Gemini's thought summaries
+        includeThoughts: Boolean(body.reasoning?.summary),
+    };
+}
+
+/**
+ * Builds the response object for a request before any output exists.
+ * @param {object} body The Responses request body.
+ * @param {object} [options]
+ * @param {boolean} [options.store=true] Whether the response will be stored.
+ * @returns {object} An `in_progress` response object.
+ */
+function createResponseSkeleton(body, { store = true } = {}) {
+    return {
+        id: generateResponseId(),
+        object: 'response',
+        created_at: Math.floor(Date.now() / 1000),
+        status: 'in_progress',
+        background: false,
+        error: null,
+        incomplete_details: null,
+        instructions: body.instructions ?? null,
+        max_output_tokens: body.max_output_tokens ?? null,
+        model: body.model,
+        output: [],
+        parallel_tool_calls: body.parallel_tool_calls !== false,
+        previous_response_id: body.previous_response_id ?? null,
+        reasoning: { effort: body.reasoning?.effort ?? null, summary: body.reasoning?.summary ?? null },
+        store: store,
+        temperature: body.temperature ?? 1,
+        text: body.text ?? { format: { type: 'text' } },
+        tool_choice: body.tool_choice ?? 'auto',
+        tools: body.tools ?? [],
+        top_p: body.top_p ?? 1,
+        truncation: 'disabled',
+        usage: null,
+        user: body.user ?? null,
+        metadata: body.metadata ?? {},
+    };
+}
+
+/**
+ * Builds Responses usage from Gemini usageMetadata. Thinking tokens are billed as output.
+ * @param {object} usageMetadata
+ * @returns {object}
+ */
+function convertUsage(usageMetadata) {
+    const inputTokens = usageMetadata?.promptTokenCount || 0;
+    const reasoningTokens = usageMetadata?.thoughtsTokenCount || 0;
+    const outputTokens = (usageMetadata?.candidatesTokenCount || 0) + reasoningTokens;
+    return {
+        input_tokens: inputTokens,
+        input_tokens_details: { cached_tokens: usageMetadata?.cachedContentTokenCount || 0 },
+        output_tokens: outputTokens,
+        output_tokens_details: { reasoning_tokens: reasoningTokens },
+        total_tokens: usageMetadata?.totalTokenCount || (inputTokens + outputTokens),
+    };
+}
+
+/**
+ * Maps a Gemini finishReason onto the response status and incomplete_details.
+ * @param {string} [finishReason]
+ * @returns {{ status: string; incomplete_details: object | null }}
+ */
+function convertFinishReason(finishReason) {
+    switch (finishReason) {
+        case 'MAX_TOKENS':
+            return { status: 'incomplete', incomplete_details: { reason: 'max_output_tokens' } };
+        case 'SAFETY':
+        case 'RECITATION':
+        case 'BLOCKLIST':
+        case 'PROHIBITED_CONTENT':
+        case 'SPII':
+            return { status: 'incomplete', incomplete_details: { reason: 'content_filter' } };
+        default:
+            return { status: 'completed', incomplete_details: null };
+    }
+}
+
+const createMessageItem = () => ({ id: generateItemId('msg'), type: 'message', status: 'completed', role: 'assistant', content: [] });
+const createReasoningItem = () => ({ id: generateItemId('rs'), type: 'reasoning', summary: [] });
+const createFunctionCallItem = (functionCall) => ({
+    id: generateItemId('fc'),
+    type: 'function_call',
+    status: 'completed',
+    call_id: functionCall.id || generateToolCallId(),
+    name: functionCall.name,
+    arguments: JSON.stringify(functionCall.args || {}),
+});
+const createWebSearchItem = (groundingMetadata) => ({
+    id: generateItemId('ws'),
+    type: 'web_search_call',
+    status: 'completed',
+    action: { type: 'search', query: groundingMetadata.webSearchQueries?.[0] ?? null },
+});
+
+/**
+ * Builds the Responses `url_citation` annotations (and optional footnotes) for a grounded message text.
+ * @param {object} groundingMetadata
+ * @param {string} text
+ * @returns {{ annotations: object[]; footnotes: string }}
+ */
+function convertGroundingMetadata(groundingMetadata, text) {
+    const { annotations, footnotes } = transformGroundingMetadata(groundingMetadata, text);
+    return { annotations: annotations.map(annotation => ({ type: 'url_citation', ...annotation.url_citation })), footnotes };
+}
+
+/**
+ * Transforms a complete (non-streaming) Gemini response into a Responses API response.
+ * @param {object} geminiResponse The parsed Gemini generateContent response.
+ * @param {object} skeleton The response object from createResponseSkeleton.
+ * @returns {object} The completed or incomplete response object.
+ */
+function transformGeminiResponseToResponses(geminiResponse, skeleton) {
+    const candidate = geminiResponse?.candidates?.[0];
+    const output = [];
+
+    if (candidate?.groundingMetadata) {
+        output.push(createWebSearchItem(candidate.groundingMetadata));
+    }
+    (candidate?.content?.parts || []).forEach(part => {
+        const last = output[output.length - 1];
+        if (part.thought === true && typeof part.text === 'string') {
+            if (last?.type === 'reasoning') {
+                last.summary[0].text += part.text;
+            } else {
+                output.push({ ...createReasoningItem(), summary: [{ type: 'summary_text', text: part.text }] });
+            }
+        } else if (part.functionCall) {
+            if (!skeleton.parallel_tool_calls && output.some(item => item.type === 'function_call')) return;
+            output.push(createFunctionCallItem(part.functionCall));
+        } else if (typeof part.text === 'string') {
+            // Merge consecutive text parts into a single output_text
+            if (last?.type === 'message') {
+                last.content[0].text += part.text;
+            } else {
+                output.push({ ...createMessageItem(), content: [{ type: 'output_text', text: part.text, annotations: [] }] });
+            }
+        }
+    });
+
+    const lastMessage = output.filter(item => item.type === 'message').pop();
+    if (candidate?.groundingMetadata && lastMessage) {
+        const part = lastMessage.content[0];
+        const { annotations, footnotes } = convertGroundingMetadata(candidate.groundingMetadata, part.text);
+        part.text += footnotes;
+        part.annotations = annotations;
+    }
+
+    const blocked = !candidate && geminiResponse?.promptFeedback?.blockReason;
+    if (blocked) {
+        console.warn(`Gemini response has no candidates (blocked: ${geminiResponse.promptFeedback.blockReason}).`);
+    }
+    return {
+        ...skeleton,
+        ...convertFinishReason(blocked ? 'SAFETY' : candidate?.finishReason),
+        output: output,
+        usage: convertUsage(geminiResponse?.usageMetadata),
+    };
+}
+
+/**
+ * Converts the output of a response into the OpenAI chat messages stored for previous_response_id.
+ * @param {object[]} output
+ * @returns {object[]} A single assistant message, or nothing when the output was empty.
+ */
+function outputToChatMessages(output) {
+    const text = output
+        .filter(item => item.type === 'message')
+        .flatMap(item => item.content)
+        .map(part => part.text || '')
+        .join('');
+    const toolCalls = output
+        .filter(item => item.type === 'function_call')
+        .map(item => ({ id: item.call_id, type: 'function', function: { name: item.name, arguments: item.arguments } }));
+    if (!text && toolCalls.length === 0) {
+        return [];
+    }
+    return [{ role: 'assistant', content: text || null, ...(toolCalls.length > 0 && { tool_calls: toolCalls }) }];
+}
+
+/**
+ * Creates a Transform that converts parsed Gemini stream objects into the typed Responses event
+ * stream: response.created, output items with their content deltas, then response.completed
+ * (or response.incomplete / response.failed).
+ * @param {object} skeleton The response object from createResponseSkeleton.
+ * @param {object} [options]
+ * @param {(response: object) => void} [options.onComplete] Receives the final response object.
+ * @returns {import('stream').Transform} Object-mode writable side, string readable side.
+ */
+function createResponsesStreamTransformer(skeleton, { onComplete } = {}) {
+    const output = [];
+    let sequenceNumber = 0;
+    let started = false;
+    let openItem = null; // The message or reasoning item text is currently streamed into
+    let finishReason = null;
+    let usageMetadata = null;
+    let failure = null;
+    let webSearchReported = false;
+    let groundingMetadata = null; // Applied to the message that is open when it arrives
+
+    const snapshot = (fields = {}) => ({ ...skeleton, output: output, ...fields });
+
+    function emit(stream, type, data) {
+        stream.push(`event: ${type}\ndata: ${JSON.stringify({ type, sequence_number: sequenceNumber++, ...data })}\n\n`);
+    }
+
+    function start(stream) {
+        if (started) return;
+        started = true;
+        emit(stream, 'response.created', { response: snapshot() });
+        emit(stream, 'response.in_progress', { response: snapshot() });
+    }
+
+    function addItem(stream, item) {
+        output.push(item);
+        emit(stream, 'response.output_item.added', { output_index: output.length - 1, item: { ...item, status: 'in_progress' } });
+        return output.length - 1;
+    }
+
+    function closeOpenItem(stream) {
+        if (!openItem) return;
+        const { item, outputIndex } = openItem;
+        if (item.type === 'message') {
+            const part = item.content[0];
+            if (groundingMetadata) {
+                const { annotations, footnotes } = convertGroundingMetadata(groundingMetadata, part.text);
+                groundingMetadata = null;
+                if (footnotes) {
+                    part.text += footnotes;
+                    emit(stream, 'response.output_text.delta', { item_id: item.id, output_index: outputIndex, content_index: 0, delta: footnotes });
+                }
+                annotations.forEach((annotation, annotationIndex) => {
+                    part.annotations.push(annotation);
+                    emit(stream, 'response.output_text.annotation.added', { item_id: item.id, output_index: outputIndex, content_index: 0, annotation_index: annotationIndex, annotation });
+                });
+            }
+            emit(stream, 'response.output_text.done', { item_id: item.id, output_index: outputIndex, content_index: 0, text: part.text });
+            emit(stream, 'response.content_part.done', { item_id: item.id, output_index: outputIndex, content_index: 0, part: part });
+        } else {
+            const part = item.summary[0];
+            emit(stream, 'response.reasoning_summary_text.done', { item_id: item.id, output_index: outputIndex, summary_index: 0, text: part.text });
+            emit(stream, 'response.reasoning_summary_part.done', { item_id: item.id, output_index: outputIndex, summary_index: 0, part: part });
+        }
+        emit(stream, 'response.output_item.done', { output_index: outputIndex, item: item });
+        openItem = null;
+    }
+
+    function appendText(stream, type, text) {
+        if (openItem?.item.type !== type) {
+            closeOpenItem(stream);
+            const item = type === 'message' ? createMessageItem() : createReasoningItem();
+            const outputIndex = addItem(stream, item);
+            openItem = { item, outputIndex };
+            if (type === 'message') {
+                item.content.push({ type: 'output_text', text: '', annotations: [] });
+                emit(stream, 'response.content_part.added', { item_id: item.id, output_index: outputIndex, content_index: 0, part: { type: 'output_text', text: '', annotations: [] } });
+            } else {
+                item.summary.push({ type: 'summary_text', text: '' });
+                emit(stream, 'response.reasoning_summary_part.added', { item_id: item.id, output_index: outputIndex, summary_index: 0, part: { type: 'summary_text', text: '' } });
+            }
+        }
+        const { item, outputIndex } = openItem;
+        if (type === 'message') {
+            item.content[0].text += text;
+            emit(stream, 'response.output_text.delta', { item_id: item.id, output_index: outputIndex, content_index: 0, delta: text });
+        } else {
+            item.summary[0].text += text;
+            emit(stream, 'response.reasoning_summary_text.delta', { item_id: item.id, output_index: outputIndex, summary_index: 0, delta: text });
+        }
+    }
+
+    function addFunctionCall(stream, functionCall) {
+        if (!skeleton.parallel_tool_calls && output.some(item => item.type === 'function_call')) return;
+        closeOpenItem(stream);
+        const item = createFunctionCallItem(functionCall);
+        const outputIndex = addItem(stream, { ...item, arguments: '' });
+        emit(stream, 'response.function_call_arguments.delta', { item_id: item.id, output_index: outputIndex, delta: item.arguments });
+        emit(stream, 'response.function_call_arguments.done', { item_id: item.id, output_index: outputIndex, arguments: item.arguments });
+        output[outputIndex] = item;
+        emit(stream, 'response.output_item.done', { output_index: outputIndex, item: item });
+    }
+
+    function addWebSearch(stream, metadata) {
+        if (webSearchReported) return;
+        webSearchReported = true;
+        if (openItem?.item.type === 'message') {
+            groundingMetadata = metadata;
+        }
+        closeOpenItem(stream);
+        const item = createWebSearchItem(metadata);
+        const outputIndex = addItem(stream, item);
+        emit(stream, 'response.web_search_call.completed', { item_id: item.id, output_index: outputIndex });
+        emit(stream, 'response.output_item.done', { output_index: outputIndex, item: item });
+    }
+
+    return new Transform({
+        writableObjectMode: true,
+        transform(geminiChunk, encoding, callback) {
+            try {
+                start(this);
+                if (geminiChunk?.error) {
+                    // Gemini reports mid-stream failures as an error object inside the array
+                    failure = { code: geminiChunk.error.status || 'server_error', message: geminiChunk.error.message || 'Upstream error' };
+                    return callback();
+                }
+                if (geminiChunk?.usageMetadata) {
+                    usageMetadata = geminiChunk.usageMetadata;
+                }
+
+                const candidate = geminiChunk?.candidates?.[0];
+                (candidate?.content?.parts || []).forEach(part => {
+                    if (part.thought === true && typeof part.text === 'string') {
+                        appendText(this, 'reasoning', part.text);
+                    } else if (part.functionCall) {
+                        addFunctionCall(this, part.functionCall);
+                    } else if (typeof part.text === 'string' && part.text.length > 0) {
+                        appendText(this, 'message', part.text);
+                    }
+                });
+                if (candidate?.groundingMetadata) {
+                    addWebSearch(this, candidate.groundingMetadata);
+                }
+                if (candidate?.finishReason) {
+                    finishReason = candidate.finishReason;
+                }
+                if (!candidate && geminiChunk?.promptFeedback?.blockReason) {
+                    finishReason = 'SAFETY';
+                }
+                callback();
+            } catch (e) {
+                console.error("Error transforming Gemini chunk to Responses event:", e);
+                callback(e);
+            }
+        },
+        flush(callback) {
+            try {
+                start(this);
+                closeOpenItem(this);
+                const usage = convertUsage(usageMetadata);
+                let response;
+                if (failure) {
+                    response = snapshot({ status: 'failed', error: failure, usage });
+                    emit(this, 'response.failed', { response });
+                } else {
+                    response = snapshot({ ...convertFinishReason(finishReason), usage });
+                    emit(this, response.status === 'completed' ? 'response.completed' : 'response.incomplete', { response });
+                }
+                if (onComplete) {
+                    onComplete(response);
+                }
+                callback();
+            } catch (e) {
+                callback(e);
+            }
+        }
+    });
+}
+
+module.exports = {
+    transformResponsesToChat,
+    createResponseSkeleton,
+    transformGeminiResponseToResponses,
+    outputToChatMessages,
+    createResponsesStreamTransformer,
+};
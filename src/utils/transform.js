@@ -1,5 +1,10 @@
 // --- Transformation logic migrated from Cloudflare Worker ---
 
+const { randomUUID } = require('crypto');
+const { convertJsonSchemaToGemini, resolveJsonSchemaRefs, validateJsonSchema } = require('./jsonSchema');
+const mime = require('mime-types');
+const { fetchRemoteMedia, sniffMimeType } = require('./mediaFetcher');
+
 /**
  * Parses a data URI string.
  * @param {string} dataUri - The data URI (e.g., "data:image/jpeg;base64,...").
@@ -12,6 +17,259 @@ function parseDataUri(dataUri) {
 	return { mimeType: match[1], data: match[2] };
 }
 
+/**
+ * Creates an OpenAI tool call ID for a Gemini function call that didn't come with its own `id`.
+ * @returns {string}
+ */
+function generateToolCallId() {
+    return `call_${randomUUID().replace(/-/g, '')}`;
+}
+
+/**
+ * Maps every `tool_calls[].id` of the assistant messages in a conversation to its function name,
+ * so `tool` messages can be matched to the call they answer whatever the ID format is.
+ * @param {object[]} messages The OpenAI messages.
+ * @returns {Map<string, string>} Tool call ID -> function name.
+ */
+function buildToolCallNameIndex(messages) {
+    const toolCallNames = new Map();
+    (messages || []).forEach(msg => {
+        if (msg.role !== 'assistant' || !Array.isArray(msg.tool_calls)) return;
+        msg.tool_calls.forEach(toolCall => {
+            if (toolCall?.id && toolCall.function?.name) {
+                toolCallNames.set(toolCall.id, toolCall.function.name);
+            }
+        });
+    });
+    return toolCallNames;
+}
+
+// Canonical URI of files uploaded to the Gemini Files API, independent of the configured base URL
+const GEMINI_FILES_URI_BASE = 'https://generativelanguage.googleapis.com/v1beta/files/';
+
+// input_audio formats whose mime-types name differs from the one Gemini documents
+const AUDIO_FORMAT_MIME_TYPES = {
+    wav: 'audio/wav',
+    mp3: 'audio/mp3',
+    aac: 'audio/aac',
+    flac: 'audio/flac',
+    aiff: 'audio/aiff',
+    ogg: 'audio/ogg',
+};
+
+// How generated images are returned in chat completions: "markdown" embeds them in the text as
+// data URIs, "parts" returns non-streamed messages with an array of text and image_url content parts
+const CHAT_IMAGE_OUTPUT = process.env.CHAT_IMAGE_OUTPUT === 'parts' ? 'parts' : 'markdown';
+
+// Whether grounded answers also get a numbered source list appended, for clients that ignore annotations
+const SEARCH_CITATION_FOOTNOTES = process.env.SEARCH_CITATION_FOOTNOTES === 'true';
+
+// Thinking budgets used for OpenAI reasoning_effort levels
+const REASONING_EFFORT_BUDGETS = {
+    low: 1024,
+    medium: 8192,
+    high: 24576,
+};
+
+// Markdown images with a base64 data URI, as produced for generated images
+const MARKDOWN_DATA_URI_IMAGE = /!\[[^\]]*\]\((data:[^;)\s]+;base64,[A-Za-z0-9+/=]+)\)/g;
+
+/**
+ * Builds a data URI from a Gemini inlineData object.
+ * @param {{ mimeType: string; data: string }} inlineData
+ * @returns {string}
+ */
+function inlineDataToDataUri(inlineData) {
+    return `data:${inlineData.mimeType};base64,${inlineData.data}`;
+}
+
+/**
+ * Splits assistant text that embeds generated images as markdown data URIs back into text and
+ * inlineData parts, so images from earlier turns reach Gemini as images instead of base64 text.
+ * @param {string} text
+ * @returns {object[]} Gemini parts.
+ */
+function splitMarkdownImages(text) {
+    const parts = [];
+    let lastIndex = 0;
+    for (const match of text.matchAll(MARKDOWN_DATA_URI_IMAGE)) {
+        const before = text.substring(lastIndex, match.index).trim();
+        if (before) parts.push({ text: before });
+        parts.push({ inlineData: parseDataUri(match[1]) });
+        lastIndex = match.index + match[0].length;
+    }
+    if (lastIndex === 0) {
+        return [{ text }];
+    }
+    const after = text.substring(lastIndex).trim();
+    if (after) parts.push({ text: after });
+    return parts;
+}
+
+/**
+ * Renders a code execution part (the code the model ran, or its output) as a markdown code block.
+ * @param {object} part A Gemini part with `executableCode` or `codeExecutionResult`.
+ * @returns {string}
+ */
+function renderCodeExecutionPart(part) {
+    if (part.executableCode) {
+        const language = String(part.executableCode.language || '').toLowerCase().replace('language_unspecified', '');
+        return `\n\n\`\`\`${language}\n${part.executableCode.code || ''}\n\`\`\`\n\n`;
+    }
+    return `\n\n\`\`\`output\n${(part.codeExecutionResult.output || '').replace(/\n$/, '')}\n\`\`\`\n\n`;
+}
+
+/**
+ * Renders the text and image parts of a Gemini candidate as OpenAI message content, in order.
+ * Images are embedded as markdown data URIs, or with `imageOutput` 'parts' returned as
+ * image_url content parts (the content is only an array when there is an image).
+ * Code execution parts become markdown code blocks within the text; thought parts are left out.
+ * @param {object[]} parts Gemini content parts.
+ * @param {'markdown' | 'parts'} [imageOutput] Defaults to CHAT_IMAGE_OUTPUT.
+ * @returns {string | object[] | null} null when there is neither text nor an image.
+ */
+function renderContentParts(parts, imageOutput = CHAT_IMAGE_OUTPUT) {
+    const contentParts = [];
+    parts.forEach(part => {
+        if (part.thought === true) {
+            return;
+        }
+        const text = (part.executableCode || part.codeExecutionResult) ? renderCodeExecutionPart(part) : part.text;
+        if (text !== undefined) {
+            const previous = contentParts[contentParts.length - 1];
+            if (previous?.type === 'text') {
+                previous.text += text;
+            } else {
+                contentParts.push({ type: 'text', text });
+            }
+        } else if (part.inlineData?.mimeType?.startsWith('image/')) {
+            contentParts.push({ type: 'image_url', image_url: { url: inlineDataToDataUri(part.inlineData) } });
+        }
+    });
+
+    if (contentParts.length === 0) {
+        return null;
+    }
+    if (imageOutput === 'parts' && contentParts.some(part => part.type === 'image_url')) {
+        return contentParts;
+    }
+    return contentParts
+        .map(part => part.type === 'text' ? part.text : `\n\n![image](${part.image_url.url})\n\n`)
+        .join('');
+}
+
+/**
+ * Picks the MIME type of inline media: a specific declared type wins, then the file name's
+ * extension, then the content's magic bytes.
+ * @param {string} [declaredType] MIME type from a data URI or the request.
+ * @param {string} [filename]
+ * @param {string} [base64Data] The base64 content, only its first bytes are decoded.
+ * @returns {string}
+ */
+function detectMimeType(declaredType, filename, base64Data) {
+    if (declaredType && declaredType !== 'application/octet-stream') {
+        return declaredType;
+    }
+    return (filename && mime.lookup(filename))
+        || (base64Data && sniffMimeType(Buffer.from(base64Data.substring(0, 64), 'base64')))
+        || 'application/octet-stream';
+}
+
+/**
+ * Turns a `file_id` (with or without the `files/` prefix) into a Gemini `fileData` part.
+ * @param {string} fileId
+ * @returns {object}
+ */
+function fileIdToFileDataPart(fileId) {
+    const name = fileId.replace(/^files\//, '');
+    return { fileData: { fileUri: `${GEMINI_FILES_URI_BASE}${encodeURIComponent(name)}` } };
+}
+
+/**
+ * Converts an http(s) URL or data URI pointing at media into an inline part. YouTube links are
+ * passed to Gemini by reference, other remote URLs are downloaded with the shared media fetcher.
+ * @param {string} url
+ * @param {string} kind What the URL points at, for log messages ("image", "video").
+ * @returns {Promise<object | null>}
+ */
+async function mediaUrlToPart(url, kind) {
+    const parsed = parseDataUri(url);
+    if (parsed) {
+        return { inlineData: { mimeType: detectMimeType(parsed.mimeType, null, parsed.data), data: parsed.data } };
+    }
+    if (/^https?:\/\/(www\.|m\.)?(youtube\.com|youtu\.be)\//i.test(url)) {
+        return { fileData: { fileUri: url } };
+    }
+    if (/^https?:\/\//i.test(url)) {
+        // Gemini only accepts inline data for arbitrary URLs, so remote media is downloaded here
+        try {
+            const media = await fetchRemoteMedia(url);
+            return { inlineData: { mimeType: media.mimeType, data: media.data } };
+        } catch (e) {
+            console.error(`Failed to download ${kind} from ${url}: ${e.message}`);
+            return { text: `[Failed to load ${kind} at ${url}]` };
+        }
+    }
+    console.warn(`Unsupported ${kind} URL format: ${url.substring(0, 50)}. Skipping ${kind} part.`);
+    return null;
+}
+
+/**
+ * Converts an OpenAI media content part into a Gemini part:
+ * - `image_url` / `video_url`: data URIs (any media type) inline, http(s) URLs downloaded, YouTube links by reference
+ * - `input_audio`: `{ data, format }` inline, with the MIME type derived from the format
+ * - `file`: `file_data` (data URI or bare base64, typed by `filename`) inline, `file_id` as a Files API reference
+ * Oversized inline data is moved to the Files API later, once a key has been selected.
+ * @param {object} part The OpenAI content part.
+ * @param {object} [options]
+ * @param {boolean} [options.allowFileIds=true] Whether `file_id`s can be referenced (Gemini API only).
+ * @returns {Promise<object | null>} The Gemini part, or null when the part is skipped.
+ */
+async function transformOpenAiMediaPart(part, { allowFileIds = true } = {}) {
+    switch (part?.type) {
+        case 'image_url':
+        case 'video_url': {
+            const kind = part.type === 'image_url' ? 'image' : 'video';
+            const url = part[part.type]?.url;
+            if (!url) {
+                console.warn(`Missing url in ${part.type} part. Skipping ${kind} part.`);
+                return null;
+            }
+            return mediaUrlToPart(url, kind);
+        }
+        case 'input_audio': {
+            const { data, format } = part.input_audio || {};
+            if (!data) {
+                console.warn(`Missing data in input_audio part. Skipping audio part.`);
+                return null;
+            }
+            const formatName = (format || '').toLowerCase();
+            const declaredType = AUDIO_FORMAT_MIME_TYPES[formatName] || (formatName && mime.lookup(formatName)) || null;
+            return { inlineData: { mimeType: detectMimeType(declaredType, null, data), data: data } };
+        }
+        case 'file': {
+            const file = part.file || {};
+            if (file.file_data) {
+                const parsed = parseDataUri(file.file_data);
+                const data = parsed ? parsed.data : file.file_data;
+                return { inlineData: { mimeType: detectMimeType(parsed?.mimeType, file.filename, data), data: data } };
+            }
+            if (file.file_id) {
+                if (!allowFileIds) {
+                    console.warn(`file_id '${file.file_id}' can only be used with Gemini API models. Skipping file part.`);
+                    return { text: `[File ${file.file_id} is not available for this model]` };
+                }
+                return fileIdToFileDataPart(file.file_id);
+            }
+            console.warn(`File part has neither file_data nor file_id. Skipping file part.`);
+            return null;
+        }
+        default:
+            console.warn(`Unsupported content part type: ${part?.type}. Skipping part.`);
+            return null;
+    }
+}
+
 /**
  * 递归移除对象中的 additionalProperties 字段
  * @param {object|array} obj 
@@ -37,21 +295,23 @@ function stripAdditionalProperties(obj) {
  * @param {object} requestBody - The OpenAI request body.
  * @param {string} [requestedModelId] - The specific model ID requested.
  * @param {boolean} [isSafetyEnabled=true] - Whether safety filtering is enabled for this request.
- * @returns {{ contents: any[]; systemInstruction?: any; tools?: any[] }} Gemini formatted request parts.
+ * @returns {Promise<{ contents: any[]; systemInstruction?: any; tools?: any[] }>} Gemini formatted request parts.
+ *          Remote http(s) images are downloaded through the shared media fetcher.
  */
-function transformOpenAiToGemini(requestBody, requestedModelId, isSafetyEnabled = true) {
+async function transformOpenAiToGemini(requestBody, requestedModelId, isSafetyEnabled = true) {
 	const messages = requestBody.messages || [];
 	const openAiTools = requestBody.tools;
 
 	// 新增：记录已处理的 tool_call_id，防止死循环
 	const processedToolCallIds = new Set();
+	const toolCallNames = buildToolCallNameIndex(messages);
 
 	// 1. Transform Messages
 	const contents = [];
 	let systemInstruction = undefined;
 	let systemMessageLogPrinted = false; // Add flag to track if log has been printed
 
-	messages.forEach((msg) => {
+	for (const msg of messages) {
 		let role = undefined;
 		let parts = [];
 
@@ -84,7 +344,7 @@ function transformOpenAiToGemini(requestBody, requestedModelId, isSafetyEnabled
                             systemInstruction = { role: "system", parts: [{ text: textContent }] };
                         }
                     }
-                    return; // Skip adding this message to 'contents' when creating systemInstruction
+                    continue; // Skip adding this message to 'contents' when creating systemInstruction
                 }
                 break; // Break for 'system' role (safety disabled/gemma case falls through to content processing)
 			case 'tool':
@@ -93,24 +353,22 @@ function transformOpenAiToGemini(requestBody, requestedModelId, isSafetyEnabled
 					const toolCallId = msg.tool_call_id;
 					if (!toolCallId) {
 						console.error("Error: 'tool' message is missing 'tool_call_id'. Skipping message.", msg);
-						return;
+						continue;
 					}
 
 					// 新增：去重逻辑
 					if (processedToolCallIds.has(toolCallId)) {
 						console.warn(`Duplicate tool_call_id detected: ${toolCallId}, skipping repeated tool message.`);
-						return;
+						continue;
 					}
 					processedToolCallIds.add(toolCallId);
 
-					// Extract the function name from the tool_call_id, assuming the format `call_FUNCNAME_...`
-					// This matches the format generated in `transformGeminiStreamChunk` and `transformGeminiResponseToOpenAI`.
-					const match = toolCallId.match(/^call_([a-zA-Z0-9_-]+)_/);
-					let toolName = match ? match[1] : msg.name; // Fallback to msg.name if it exists
+					// Find the function name from the assistant tool call with the same ID
+					let toolName = toolCallNames.get(toolCallId) || msg.name; // Fallback to msg.name if it exists
 
 					if (!toolName) {
 						toolName = 'unknown_tool';
-						console.warn(`Warning: Could not extract function name from tool_call_id: ${toolCallId} and msg.name is missing. Using 'unknown_tool' as fallback.`);
+						console.warn(`Warning: No earlier assistant tool call matches tool_call_id: ${toolCallId} and msg.name is missing. Using 'unknown_tool' as fallback.`);
 					}
 
 					let toolOutput = msg.content;
@@ -131,43 +389,39 @@ function transformOpenAiToGemini(requestBody, requestedModelId, isSafetyEnabled
 
 					parts.push({
 						functionResponse: {
+							id: toolCallId,
 							name: toolName,
 							response: toolOutput,
 						},
 					});
 				} catch (e) {
 					console.error(`Error processing tool message: ${e.message}. Skipping message.`);
-					return; // Skip message on error
+					continue; // Skip message on error
 				}
 				break;
 			default:
 				console.warn(`Unknown role encountered: ${msg.role}. Skipping message.`);
-				return; // Skip unknown roles
+				continue; // Skip unknown roles
 		}
 
 		// 2. Map Content to Parts
-		// 2. Map Content to Parts
-		// Handle text and image content parts
-		if (typeof msg.content === 'string') {
-			parts.push({ text: msg.content });
+		// Handle text and media content parts
+		if (msg.role === 'tool') {
+			// Tool output was already sent as the functionResponse
+		} else if (typeof msg.content === 'string') {
+			parts.push(...(role === 'model' ? splitMarkdownImages(msg.content) : [{ text: msg.content }]));
 		} else if (Array.isArray(msg.content)) {
-			msg.content.forEach((part) => {
+			for (const part of msg.content) {
 				if (part.type === 'text') {
-					parts.push({ text: part.text });
-				} else if (part.type === 'image_url') {
-					const imageUrl = part.image_url?.url;
-					if (!imageUrl) {
-						console.warn(`Missing url in image_url part. Skipping image part.`);
-						return;
-					}
-					const imageData = parseDataUri(imageUrl);
-					if (imageData) {
-						parts.push({ inlineData: { mimeType: imageData.mimeType, data: imageData.data } });
-					} else {
-						console.warn(`Image URL is not a data URI: ${imageUrl}. Gemini API requires inlineData. Skipping image part.`);
+					parts.push(...(role === 'model' ? splitMarkdownImages(part.text) : [{ text: part.text }]));
+				} else {
+					// image_url, input_audio, file and video_url parts
+					const mediaPart = await transformOpenAiMediaPart(part);
+					if (mediaPart) {
+						parts.push(mediaPart);
 					}
 				}
-			});
+			}
 		}
 
 		// Handle tool calls from assistant, which can coexist with content
@@ -176,6 +430,7 @@ function transformOpenAiToGemini(requestBody, requestedModelId, isSafetyEnabled
 				try {
 					parts.push({
 						functionCall: {
+							...(toolCall.id && { id: toolCall.id }),
 							name: toolCall.function.name,
 							args: JSON.parse(toolCall.function.arguments),
 						},
@@ -189,14 +444,21 @@ function transformOpenAiToGemini(requestBody, requestedModelId, isSafetyEnabled
 		// Final check for unsupported content types, allowing for null content when tool_calls are present
 		if (parts.length === 0 && msg.content !== null) {
 			console.warn(`Unsupported content type for role ${msg.role}: ${typeof msg.content}. Skipping message.`);
-			return;
+			continue;
 		}
 
 		// Add the transformed message to contents if it has a role and parts
 		if (role && parts.length > 0) {
-			contents.push({ role, parts });
+			// Answers to a multi-tool turn go back to Gemini together in one content
+			const previous = contents[contents.length - 1];
+			const isToolResponse = (content) => content.parts.every(part => part.functionResponse);
+			if (msg.role === 'tool' && previous && previous.role === 'user' && isToolResponse(previous)) {
+				previous.parts.push(...parts);
+			} else {
+				contents.push({ role, parts });
+			}
 		}
-	});
+	}
 
 	// 2. Transform Tools
 	let geminiTools = undefined;
@@ -230,14 +492,276 @@ function transformOpenAiToGemini(requestBody, requestedModelId, isSafetyEnabled
 }
 
 
+/**
+ * Maps the OpenAI `tool_choice` field onto a Gemini/Vertex toolConfig.
+ * `none`/`auto`/`required` become NONE/AUTO/ANY; a named function becomes ANY restricted to that function.
+ * A bare function name string is accepted too, as the Vertex path always did.
+ * @param {string | object} [toolChoice] The `tool_choice` value of the OpenAI request.
+ * @param {object[]} [tools] The `tools` of the OpenAI request, used to validate named choices.
+ * @returns {{ toolConfig?: object } | { error: object; status: number }}
+ */
+function transformToolChoice(toolChoice, tools) {
+    const functionNames = (tools || [])
+        .filter(tool => tool.type === 'function' && tool.function?.name)
+        .map(tool => tool.function.name);
+    if (toolChoice === undefined || toolChoice === null || functionNames.length === 0) {
+        return {};
+    }
+
+    if (toolChoice === 'none') {
+        return { toolConfig: { functionCallingConfig: { mode: 'NONE' } } };
+    }
+    if (toolChoice === 'auto') {
+        return { toolConfig: { functionCallingConfig: { mode: 'AUTO' } } };
+    }
+    if (toolChoice === 'required') {
+        return { toolConfig: { functionCallingConfig: { mode: 'ANY' } } };
+    }
+
+    const functionName = typeof toolChoice === 'string'
+        ? toolChoice
+        : (toolChoice.type === 'function' ? toolChoice.function?.name : undefined);
+    if (!functionName || !functionNames.includes(functionName)) {
+        return {
+            error: {
+                message: `Invalid 'tool_choice': ${JSON.stringify(toolChoice)}. Expected 'none', 'auto', 'required' or a function declared in 'tools'.`,
+                type: 'invalid_request_error',
+                param: 'tool_choice'
+            },
+            status: 400
+        };
+    }
+    return { toolConfig: { functionCallingConfig: { mode: 'ANY', allowedFunctionNames: [functionName] } } };
+}
+
+/**
+ * Maps the OpenAI `response_format` field onto Gemini generationConfig fields.
+ * @param {object} [responseFormat] The `response_format` value of the OpenAI request.
+ * @returns {{ responseMimeType?: string; responseSchema?: object } | { error: object; status: number }}
+ */
+function transformResponseFormat(responseFormat) {
+    if (!responseFormat || responseFormat.type === 'text') {
+        return {};
+    }
+    if (responseFormat.type === 'json_object') {
+        return { responseMimeType: 'application/json' };
+    }
+    if (responseFormat.type === 'json_schema') {
+        const schema = responseFormat.json_schema?.schema;
+        if (!schema || typeof schema !== 'object') {
+            return { error: { message: "'response_format.json_schema.schema' must be a JSON Schema object.", type: 'invalid_request_error', param: 'response_format' }, status: 400 };
+        }
+        try {
+            return { responseMimeType: 'application/json', responseSchema: convertJsonSchemaToGemini(schema) };
+        } catch (e) {
+            return { error: { message: `Invalid 'response_format' schema: ${e.message}`, type: 'invalid_request_error', param: 'response_format' }, status: 400 };
+        }
+    }
+    return { error: { message: `Unsupported response_format type: '${responseFormat.type}'.`, type: 'invalid_request_error', param: 'response_format' }, status: 400 };
+}
+
+/**
+ * Maps OpenAI `reasoning_effort` and an explicit `thinking` object onto Gemini thinking options.
+ * `thinking: { type: 'enabled', budget_tokens }` takes precedence over `reasoning_effort`, and
+ * `thinking: { type: 'disabled' }` turns thinking off. Asking for reasoning also asks for thought
+ * summaries, which are returned as `reasoning_content`.
+ * @param {object} requestBody The OpenAI chat completions request body.
+ * @returns {{ thinkingBudget?: number; includeThoughts: boolean } | { error: object; status: number }}
+ */
+function transformThinkingConfig(requestBody) {
+    const { reasoning_effort: reasoningEffort, thinking } = requestBody;
+    if (thinking !== undefined && thinking !== null) {
+        if (typeof thinking !== 'object' || (thinking.type !== undefined && thinking.type !== 'enabled' && thinking.type !== 'disabled')) {
+            return { error: { message: "'thinking' must be an object with type 'enabled' or 'disabled'.", type: 'invalid_request_error', param: 'thinking' }, status: 400 };
+        }
+        if (thinking.type === 'disabled') {
+            return { thinkingBudget: 0, includeThoughts: false };
+        }
+        const budgetTokens = thinking.budget_tokens;
+        if (budgetTokens !== undefined && (!Number.isInteger(budgetTokens) || budgetTokens < -1)) {
+            return { error: { message: "'thinking.budget_tokens' must be an integer of at least -1.", type: 'invalid_request_error', param: 'thinking.budget_tokens' }, status: 400 };
+        }
+        return { ...(budgetTokens !== undefined && { thinkingBudget: budgetTokens }), includeThoughts: true };
+    }
+    if (reasoningEffort !== undefined && reasoningEffort !== null) {
+        if (!Object.prototype.hasOwnProperty.call(REASONING_EFFORT_BUDGETS, reasoningEffort)) {
+            return { error: { message: `'reasoning_effort' must be one of ${Object.keys(REASONING_EFFORT_BUDGETS).join(', ')}.`, type: 'invalid_request_error', param: 'reasoning_effort' }, status: 400 };
+        }
+        return { thinkingBudget: REASONING_EFFORT_BUDGETS[reasoningEffort], includeThoughts: true };
+    }
+    return { includeThoughts: false };
+}
+
+/**
+ * Joins the thought summary parts of a Gemini candidate.
+ * @param {object[]} [parts] Gemini content parts.
+ * @returns {string | null} null when there are no thoughts.
+ */
+function extractThoughtText(parts) {
+    const thoughts = (parts || []).filter(part => part.thought === true && typeof part.text === 'string');
+    return thoughts.length > 0 ? thoughts.map(part => part.text).join('') : null;
+}
+
+/**
+ * Checks model output against a `json_schema` response format declared with `strict: true`.
+ * @param {string | null} content The assistant message content.
+ * @param {object} [responseFormat] The `response_format` value of the OpenAI request.
+ * @returns {string | null} A description of the mismatch, or null when the output is valid (or not strict).
+ */
+function validateStructuredOutput(content, responseFormat) {
+    if (responseFormat?.type !== 'json_schema' || responseFormat.json_schema?.strict !== true) {
+        return null;
+    }
+    let parsed;
+    try {
+        parsed = JSON.parse(content ?? '');
+    } catch (e) {
+        return `Model output is not valid JSON: ${e.message}`;
+    }
+    const errors = validateJsonSchema(parsed, resolveJsonSchemaRefs(responseFormat.json_schema.schema));
+    return errors.length > 0 ? `Model output does not match the '${responseFormat.json_schema.name || 'response'}' schema: ${errors.join('; ')}` : null;
+}
+
+/**
+ * Converts a Gemini candidate's logprobsResult (requested with responseLogprobs) into the
+ * OpenAI chat `logprobs` object.
+ * @param {object} [logprobsResult] `{ chosenCandidates: [{ token, logProbability }], topCandidates: [{ candidates: [...] }] }`
+ * @returns {{ content: object[]; refusal: null } | null} null when Gemini returned no logprobs.
+ */
+function transformLogprobsResult(logprobsResult) {
+    if (!logprobsResult?.chosenCandidates?.length) {
+        return null;
+    }
+    const toEntry = (candidate) => ({
+        token: candidate.token,
+        logprob: candidate.logProbability ?? 0,
+        bytes: Array.from(Buffer.from(candidate.token || '', 'utf8')),
+    });
+    return {
+        content: logprobsResult.chosenCandidates.map((chosen, position) => ({
+            ...toEntry(chosen),
+            top_logprobs: (logprobsResult.topCandidates?.[position]?.candidates || []).map(toEntry),
+        })),
+        refusal: null,
+    };
+}
+
+/**
+ * Converts the groundingMetadata of a Gemini candidate (set when googleSearch was used) into
+ * OpenAI `url_citation` annotations on the candidate's text, plus the footnote list to append
+ * to it when SEARCH_CITATION_FOOTNOTES is on.
+ * Gemini segment offsets count UTF-8 bytes, OpenAI indices count characters; segments whose
+ * text is not found at the converted offsets are located by searching for their text.
+ * @param {object} [groundingMetadata] `{ groundingChunks: [{ web: { uri, title } }], groundingSupports: [{ segment, groundingChunkIndices }] }`
+ * @param {string} text The complete text of the candidate (without footnotes).
+ * @returns {{ annotations: object[]; footnotes: string }} The footnotes are '' when disabled or without sources.
+ */
+function transformGroundingMetadata(groundingMetadata, text) {
+    const sources = groundingMetadata?.groundingChunks || [];
+    const encoded = Buffer.from(text || '', 'utf8');
+    const toCharIndex = (byteIndex) => encoded.subarray(0, byteIndex || 0).toString('utf8').length;
+
+    const annotations = [];
+    (groundingMetadata?.groundingSupports || []).forEach(support => {
+        const segment = support.segment || {};
+        let startIndex = toCharIndex(segment.startIndex);
+        let endIndex = toCharIndex(segment.endIndex);
+        if (segment.text && text.slice(startIndex, endIndex) !== segment.text) {
+            const found = text.indexOf(segment.text);
+            if (found === -1) return;
+            startIndex = found;
+            endIndex = found + segment.text.length;
+        }
+        (support.groundingChunkIndices || []).forEach(chunkIndex => {
+            const web = sources[chunkIndex]?.web;
+            if (!web?.uri) return;
+            annotations.push({
+                type: 'url_citation',
+                url_citation: { start_index: startIndex, end_index: endIndex, url: web.uri, title: web.title || web.uri },
+            });
+        });
+    });
+
+    const webSources = sources.filter(source => source.web?.uri);
+    const footnotes = SEARCH_CITATION_FOOTNOTES && webSources.length > 0
+        ? `\n\nSources:\n${webSources.map((source, i) => `[${i + 1}] [${source.web.title || source.web.uri}](${source.web.uri})`).join('\n')}`
+        : '';
+    return { annotations, footnotes };
+}
+
+/**
+ * Maps Gemini usageMetadata onto an OpenAI `usage` object.
+ * Thinking tokens are part of completion_tokens and reported again as reasoning_tokens, like OpenAI does.
+ * @param {object} [usageMetadata] The `usageMetadata` of a Gemini response.
+ * @returns {object} The OpenAI usage object (all zero when Gemini sent no metadata).
+ */
+function transformUsageMetadata(usageMetadata) {
+    const promptTokens = usageMetadata?.promptTokenCount || 0;
+    const reasoningTokens = usageMetadata?.thoughtsTokenCount || 0;
+    const completionTokens = (usageMetadata?.candidatesTokenCount || 0) + reasoningTokens;
+    return {
+        prompt_tokens: promptTokens,
+        completion_tokens: completionTokens,
+        total_tokens: usageMetadata?.totalTokenCount || (promptTokens + completionTokens),
+        prompt_tokens_details: { cached_tokens: usageMetadata?.cachedContentTokenCount || 0 },
+        completion_tokens_details: { reasoning_tokens: reasoningTokens },
+    };
+}
+
+/**
+ * Adds up the usageMetadata of several Gemini responses, e.g. of the requests a fanned-out `n` was split into.
+ * @param {Array<object | undefined>} usageMetadataList
+ * @returns {object | undefined} The summed usageMetadata, or undefined when none of the responses reported usage.
+ */
+function sumUsageMetadata(usageMetadataList) {
+    const present = usageMetadataList.filter(Boolean);
+    if (present.length === 0) return undefined;
+    const fields = ['promptTokenCount', 'candidatesTokenCount', 'thoughtsTokenCount', 'cachedContentTokenCount', 'totalTokenCount'];
+    const summed = {};
+    fields.forEach(field => {
+        if (present.some(usage => usage[field] !== undefined)) {
+            summed[field] = present.reduce((total, usage) => total + (usage[field] || 0), 0);
+        }
+    });
+    return summed;
+}
+
+/**
+ * Builds the final usage-only chunk sent when the client asked for `stream_options.include_usage`.
+ * @param {string} modelId - The model ID used for the request.
+ * @param {object} [usageMetadata] - The last usageMetadata received from Gemini.
+ * @returns {string} An OpenAI SSE data line string.
+ */
+function createStreamUsageChunk(modelId, usageMetadata) {
+    const usageChunk = {
+        id: `chatcmpl-${Date.now()}-${Math.random().toString(36).substring(2, 8)}`,
+        object: "chat.completion.chunk",
+        created: Math.floor(Date.now() / 1000),
+        model: modelId,
+        choices: [],
+        usage: transformUsageMetadata(usageMetadata),
+    };
+    return `data: ${JSON.stringify(usageChunk)}\n\n`;
+}
+
 /**
  * Transforms a single Gemini API stream chunk into an OpenAI-compatible SSE chunk.
  * @param {object} geminiChunk - The parsed JSON object from a Gemini stream line.
  * @param {string} modelId - The model ID used for the request.
+ * @param {object} [streamContext] - State shared by all chunks of one stream.
+ * @param {boolean} [streamContext.parallelToolCalls=true] - When false, only the first tool call of each choice is emitted.
+ * @param {Object<number, number>} [streamContext.toolCallCounts] - Tool calls emitted so far per choice index (maintained by this function).
+ * @param {boolean} [streamContext.includeUsage] - Adds `usage: null` to chunks, as OpenAI does with stream_options.include_usage.
+ * @param {object} [streamContext.usageMetadata] - Latest usageMetadata seen in the stream (maintained by this function).
  * @returns {string | null} An OpenAI SSE data line string ("data: {...}\n\n") or null if chunk is empty/invalid.
  */
-function transformGeminiStreamChunk(geminiChunk, modelId) {
+function transformGeminiStreamChunk(geminiChunk, modelId, streamContext = {}) {
     try {
+        // Gemini repeats cumulative usage on chunks, so the last one seen is the total
+        if (geminiChunk?.usageMetadata) {
+            streamContext.usageMetadata = geminiChunk.usageMetadata;
+        }
+
         if (!geminiChunk || !geminiChunk.candidates || !geminiChunk.candidates.length) {
             if (geminiChunk?.usageMetadata) {
                 return null;
@@ -246,100 +770,113 @@ function transformGeminiStreamChunk(geminiChunk, modelId) {
             return null;
         }
 
-        const candidate = geminiChunk.candidates[0];
         let sseEvents = []; // Array to hold all SSE event strings to be returned
+        if (!streamContext.toolCallCounts) streamContext.toolCallCounts = {};
 
-        // --- Part 1: Handle 'thought' parts as custom SSE events ---
-        if (candidate.content?.parts?.length > 0) {
-            const thoughtParts = candidate.content.parts.filter((part) => part.thought !== undefined);
-            if (thoughtParts.length > 0) {
-                thoughtParts.forEach(part => {
-                    const thought = part.thought;
-                    let thoughtEventData;
-                    if (thought.toolCode) {
-                        thoughtEventData = { type: 'tool_code', content: thought.toolCode };
-                    } else if (thought.placeholder !== undefined) { // Check for placeholder existence
-                        thoughtEventData = { type: 'placeholder' };
-                    }
-                    
-                    if (thoughtEventData) {
-                        const eventString = `event: thought_process\ndata: ${JSON.stringify(thoughtEventData)}\n\n`;
-                        sseEvents.push(eventString);
-                    }
-                });
-            }
-        }
+        // With candidateCount > 1 every chunk may carry several candidates, one per choice
+        geminiChunk.candidates.forEach((candidate, position) => {
+            const choiceIndex = candidate.index ?? position;
 
-        // --- Part 2: Handle 'text' and 'functionCall' parts as standard OpenAI chunks ---
-        let contentText = null;
-        let toolCalls = undefined;
+            // --- Part 1: Thought summaries are streamed as reasoning_content ---
+            const reasoningText = extractThoughtText(candidate.content?.parts);
 
-        if (candidate.content?.parts?.length > 0) {
-            const textParts = candidate.content.parts.filter((part) => part.text !== undefined);
-            const functionCallParts = candidate.content.parts.filter((part) => part.functionCall !== undefined);
+            // --- Part 2: Handle 'text' and 'functionCall' parts as standard OpenAI chunks ---
+            let contentText = null;
+            let toolCalls = undefined;
 
-            if (textParts.length > 0) {
-                contentText = textParts.map((part) => part.text).join("");
+            if (candidate.content?.parts?.length > 0) {
+                let functionCallParts = candidate.content.parts.filter((part) => part.functionCall !== undefined);
+                const emittedToolCalls = streamContext.toolCallCounts[choiceIndex] || 0;
+                if (streamContext.parallelToolCalls === false) {
+                    functionCallParts = functionCallParts.slice(0, Math.max(0, 1 - emittedToolCalls));
+                }
+                streamContext.toolCallCounts[choiceIndex] = emittedToolCalls + functionCallParts.length;
+
+                // Stream deltas are text, so generated images are always embedded as markdown
+                contentText = renderContentParts(candidate.content.parts, 'markdown');
+
+                if (functionCallParts.length > 0) {
+                    toolCalls = functionCallParts.map((part, index) => ({
+                        index: emittedToolCalls + index,
+                        id: part.functionCall.id || generateToolCallId(),
+                        type: "function",
+                        function: {
+                            name: part.functionCall.name,
+                            arguments: JSON.stringify(part.functionCall.args || {}),
+                        },
+                    }));
+                }
             }
 
-            if (functionCallParts.length > 0) {
-                toolCalls = functionCallParts.map((part, index) => ({
-                    index: index,
-                    id: `call_${part.functionCall.name}_${Date.now()}_${index}`,
-                    type: "function",
-                    function: {
-                        name: part.functionCall.name,
-                        arguments: JSON.stringify(part.functionCall.args || {}),
-                    },
-                }));
+            let finishReason = candidate.finishReason;
+            if (finishReason === "STOP") finishReason = "stop";
+            else if (finishReason === "MAX_TOKENS") finishReason = "length";
+            else if (finishReason === "SAFETY" || finishReason === "RECITATION") finishReason = "content_filter";
+            else if (finishReason === "TOOL_CALLS" || (toolCalls && toolCalls.length > 0 && finishReason !== 'stop' && finishReason !== 'length')) {
+                finishReason = "tool_calls";
+            } else if (finishReason && finishReason !== "FINISH_REASON_UNSPECIFIED" && finishReason !== "OTHER") {
+                // Keep known reasons
+            } else {
+                finishReason = null;
             }
-        }
 
-        let finishReason = candidate.finishReason;
-        if (finishReason === "STOP") finishReason = "stop";
-        else if (finishReason === "MAX_TOKENS") finishReason = "length";
-        else if (finishReason === "SAFETY" || finishReason === "RECITATION") finishReason = "content_filter";
-        else if (finishReason === "TOOL_CALLS" || (toolCalls && toolCalls.length > 0 && finishReason !== 'stop' && finishReason !== 'length')) {
-            finishReason = "tool_calls";
-        } else if (finishReason && finishReason !== "FINISH_REASON_UNSPECIFIED" && finishReason !== "OTHER") {
-            // Keep known reasons
-        } else {
-            finishReason = null;
-        }
+            // Grounding metadata comes with the last chunks, so citations are sent once the choice has finished
+            if (!streamContext.grounding) streamContext.grounding = {};
+            const grounding = streamContext.grounding[choiceIndex] || (streamContext.grounding[choiceIndex] = { text: '', metadata: null, finished: false, sent: false });
+            if (typeof contentText === 'string') grounding.text += contentText;
+            if (candidate.groundingMetadata) grounding.metadata = candidate.groundingMetadata;
+            if (finishReason) grounding.finished = true;
+            let annotations;
+            if (grounding.metadata && grounding.finished && !grounding.sent) {
+                grounding.sent = true;
+                const citations = transformGroundingMetadata(grounding.metadata, grounding.text);
+                annotations = citations.annotations;
+                if (citations.footnotes) {
+                    contentText = (contentText || '') + citations.footnotes;
+                }
+            }
 
-        const delta = {};
-        if (candidate.content?.role && (contentText !== null || (toolCalls && toolCalls.length > 0))) {
-            delta.role = candidate.content.role === 'model' ? 'assistant' : candidate.content.role;
-        }
+            const delta = {};
+            if (candidate.content?.role && (contentText !== null || reasoningText !== null || (toolCalls && toolCalls.length > 0))) {
+                delta.role = candidate.content.role === 'model' ? 'assistant' : candidate.content.role;
+            }
+            if (reasoningText !== null) {
+                delta.reasoning_content = reasoningText;
+            }
 
-        if (toolCalls && toolCalls.length > 0) {
-            delta.tool_calls = toolCalls;
-            if (contentText === null) {
-                delta.content = null;
-            } else {
-                 delta.content = contentText;
+            if (toolCalls && toolCalls.length > 0) {
+                delta.tool_calls = toolCalls;
+                if (contentText === null) {
+                    delta.content = null;
+                } else {
+                     delta.content = contentText;
+                }
+            } else if (contentText !== null) {
+                delta.content = contentText;
+            }
+            if (annotations) {
+                delta.annotations = annotations;
             }
-        } else if (contentText !== null) {
-            delta.content = contentText;
-        }
 
-        if (Object.keys(delta).length > 0 || finishReason) {
-            const openaiChunk = {
-                id: `chatcmpl-${Date.now()}-${Math.random().toString(36).substring(2, 8)}`,
-                object: "chat.completion.chunk",
-                created: Math.floor(Date.now() / 1000),
-                model: modelId,
-                choices: [
-                    {
-                        index: candidate.index || 0,
-                        delta: delta,
-                        finish_reason: finishReason,
-                        logprobs: null,
-                    },
-                ],
-            };
-            sseEvents.push(`data: ${JSON.stringify(openaiChunk)}\n\n`);
-        }
+            if (Object.keys(delta).length > 0 || finishReason) {
+                const openaiChunk = {
+                    id: `chatcmpl-${Date.now()}-${Math.random().toString(36).substring(2, 8)}`,
+                    object: "chat.completion.chunk",
+                    created: Math.floor(Date.now() / 1000),
+                    model: modelId,
+                    choices: [
+                        {
+                            index: choiceIndex,
+                            delta: delta,
+                            finish_reason: finishReason,
+                            logprobs: transformLogprobsResult(candidate.logprobsResult),
+                        },
+                    ],
+                    ...(streamContext.includeUsage && { usage: null }),
+                };
+                sseEvents.push(`data: ${JSON.stringify(openaiChunk)}\n\n`);
+            }
+        });
 
         return sseEvents.length > 0 ? sseEvents.join('') : null;
 
@@ -361,9 +898,12 @@ function transformGeminiStreamChunk(geminiChunk, modelId) {
  * Transforms a complete (non-streaming) Gemini API response into an OpenAI-compatible format.
  * @param {object} geminiResponse - The parsed JSON object from the Gemini API response.
  * @param {string} modelId - The model ID used for the request.
+ * @param {object} [options]
+ * @param {boolean} [options.parallelToolCalls=true] - When false, only the first tool call of each choice is returned.
+ * @param {'markdown' | 'parts'} [options.imageOutput] - How generated images are returned, defaults to CHAT_IMAGE_OUTPUT.
  * @returns {string} A JSON string representing the OpenAI-compatible response.
  */
-function transformGeminiResponseToOpenAI(geminiResponse, modelId) {
+function transformGeminiResponseToOpenAI(geminiResponse, modelId, { parallelToolCalls = true, imageOutput = CHAT_IMAGE_OUTPUT } = {}) {
     try {
         if (!geminiResponse.candidates || geminiResponse.candidates.length === 0) {
             let errorMessage = "Gemini response missing candidates.";
@@ -388,109 +928,100 @@ function transformGeminiResponseToOpenAI(geminiResponse, modelId) {
                     finish_reason: finishReason,
                     logprobs: null,
                 }],
-                usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 },
+                // A blocked prompt is still billed for its input tokens
+                usage: transformUsageMetadata(geminiResponse.usageMetadata),
             };
             return JSON.stringify(errorResponse);
         }
 
-        const candidate = geminiResponse.candidates[0];
-        let contentText = null;
-        let toolCalls = undefined;
-        let thoughtProcess = [];
-
-        if (candidate.content?.parts?.length > 0) {
-            const thoughtParts = candidate.content.parts.filter((part) => part.thought !== undefined);
-            if (thoughtParts.length > 0) {
-                thoughtProcess = thoughtParts.map(part => {
-                    const thought = part.thought;
-                    if (thought.toolCode) {
-                        return { type: 'tool_code', content: thought.toolCode };
-                    } else if (thought.placeholder !== undefined) {
-                        return { type: 'placeholder' };
-                    }
-                    return null;
-                }).filter(t => t !== null);
-            }
+        // One choice per candidate, so `n` (candidateCount) maps onto choices[i]
+        const choices = geminiResponse.candidates.map((candidate, position) => {
+            let contentText = null;
+            let toolCalls = undefined;
+            const reasoningText = extractThoughtText(candidate.content?.parts);
+
+            if (candidate.content?.parts?.length > 0) {
+                let functionCallParts = candidate.content.parts.filter((part) => part.functionCall !== undefined);
+                if (!parallelToolCalls) {
+                    functionCallParts = functionCallParts.slice(0, 1);
+                }
 
-            const textParts = candidate.content.parts.filter((part) => part.text !== undefined);
-            const functionCallParts = candidate.content.parts.filter((part) => part.functionCall !== undefined);
+                // Text, plus any images generated by image output models
+                contentText = renderContentParts(candidate.content.parts, imageOutput);
 
-            if (textParts.length > 0) {
-                contentText = textParts.map((part) => part.text).join("");
+                if (functionCallParts.length > 0) {
+                    toolCalls = functionCallParts.map((part) => ({
+                        id: part.functionCall.id || generateToolCallId(),
+                        type: "function",
+                        function: {
+                            name: part.functionCall.name,
+                            arguments: JSON.stringify(part.functionCall.args || {}),
+                        },
+                    }));
+                }
             }
 
-            if (functionCallParts.length > 0) {
-                toolCalls = functionCallParts.map((part, index) => ({
-                    id: `call_${part.functionCall.name}_${Date.now()}_${index}`,
-                    type: "function",
-                    function: {
-                        name: part.functionCall.name,
-                        arguments: JSON.stringify(part.functionCall.args || {}),
-                    },
-                }));
+            let finishReason = candidate.finishReason;
+            if (finishReason === "STOP") finishReason = "stop";
+            else if (finishReason === "MAX_TOKENS") finishReason = "length";
+            else if (finishReason === "SAFETY" || finishReason === "RECITATION") finishReason = "content_filter";
+            else if (finishReason === "TOOL_CALLS") finishReason = "tool_calls";
+            else if (toolCalls && toolCalls.length > 0) {
+                finishReason = "tool_calls";
+            } else if (finishReason && finishReason !== "FINISH_REASON_UNSPECIFIED" && finishReason !== "OTHER") {
+                // Keep known reasons
+            } else {
+                 finishReason = null;
             }
-        }
 
-        let finishReason = candidate.finishReason;
-        if (finishReason === "STOP") finishReason = "stop";
-        else if (finishReason === "MAX_TOKENS") finishReason = "length";
-        else if (finishReason === "SAFETY" || finishReason === "RECITATION") finishReason = "content_filter";
-        else if (finishReason === "TOOL_CALLS") finishReason = "tool_calls";
-        else if (toolCalls && toolCalls.length > 0) {
-            finishReason = "tool_calls";
-        } else if (finishReason && finishReason !== "FINISH_REASON_UNSPECIFIED" && finishReason !== "OTHER") {
-            // Keep known reasons
-        } else {
-             finishReason = null;
-        }
+            if (contentText === null && !toolCalls && candidate.finishReason === "SAFETY") {
+                 console.warn("Gemini response finished due to SAFETY, content might be missing.");
+                 contentText = "[Content blocked due to safety settings]";
+                 finishReason = "content_filter";
+            } else if (candidate.finishReason === "RECITATION") {
+                 console.warn("Gemini response finished due to RECITATION.");
+                 finishReason = "content_filter";
+            }
 
-        if (contentText === null && !toolCalls && candidate.finishReason === "SAFETY") {
-             console.warn("Gemini response finished due to SAFETY, content might be missing.");
-             contentText = "[Content blocked due to safety settings]";
-             finishReason = "content_filter";
-        } else if (candidate.finishReason === "RECITATION") {
-             console.warn("Gemini response finished due to RECITATION.");
-             finishReason = "content_filter";
-        }
+            const message = { role: "assistant" };
+            if (toolCalls && toolCalls.length > 0) {
+                 message.tool_calls = toolCalls;
+                 message.content = contentText !== null ? contentText : null;
+            } else {
+                 message.content = contentText;
+            }
+             if (message.content === undefined && !message.tool_calls) {
+                message.content = null;
+             }
+            if (reasoningText !== null) {
+                message.reasoning_content = reasoningText;
+            }
+            if (candidate.groundingMetadata && typeof message.content === 'string') {
+                const { annotations, footnotes } = transformGroundingMetadata(candidate.groundingMetadata, message.content);
+                message.content += footnotes;
+                message.annotations = annotations;
+            }
 
-        const message = { role: "assistant" };
-        if (toolCalls && toolCalls.length > 0) {
-             message.tool_calls = toolCalls;
-             message.content = contentText !== null ? contentText : null;
-        } else {
-             message.content = contentText;
-        }
-         if (message.content === undefined && !message.tool_calls) {
-            message.content = null;
-         }
-
-        const usage = {
-            prompt_tokens: geminiResponse.usageMetadata?.promptTokenCount || 0,
-            completion_tokens: geminiResponse.usageMetadata?.candidatesTokenCount || 0,
-            total_tokens: geminiResponse.usageMetadata?.totalTokenCount || 0,
-        };
+            return {
+                index: candidate.index ?? position,
+                message: message,
+                finish_reason: finishReason,
+                logprobs: transformLogprobsResult(candidate.logprobsResult),
+            };
+        });
+
+        const usage = transformUsageMetadata(geminiResponse.usageMetadata);
 
         const openaiResponse = {
             id: `chatcmpl-${Date.now()}-${Math.random().toString(36).substring(2, 8)}`,
             object: "chat.completion",
             created: Math.floor(Date.now() / 1000),
             model: modelId,
-            choices: [
-                {
-                    index: candidate.index || 0,
-                    message: message,
-                    finish_reason: finishReason,
-                    logprobs: null,
-                },
-            ],
+            choices: choices,
             usage: usage,
             system_fingerprint: null
         };
 
-        if (thoughtProcess.length > 0) {
-            openaiResponse.x_gemini_thought_process = thoughtProcess;
-        }
-
         return JSON.stringify(openaiResponse);
 
     } catch (e) {
@@ -506,7 +1037,7 @@ function transformGeminiResponseToOpenAI(geminiResponse, modelId) {
                 finish_reason: "error",
                 logprobs: null,
             }],
-            usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 },
+            usage: transformUsageMetadata(geminiResponse?.usageMetadata),
         };
         return JSON.stringify(errorResponse);
     }
@@ -515,7 +1046,21 @@ function transformGeminiResponseToOpenAI(geminiResponse, modelId) {
 
 module.exports = {
     parseDataUri,
+    generateToolCallId,
+    buildToolCallNameIndex,
+    transformOpenAiMediaPart,
     transformOpenAiToGemini,
+    transformToolChoice,
+    transformResponseFormat,
+    REASONING_EFFORT_BUDGETS,
+    transformThinkingConfig,
+    extractThoughtText,
+    validateStructuredOutput,
+    transformLogprobsResult,
+    transformGroundingMetadata,
+    transformUsageMetadata,
+    sumUsageMetadata,
+    createStreamUsageChunk,
     transformGeminiStreamChunk,
     transformGeminiResponseToOpenAI,
 };
@@ -0,0 +1,241 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    toAnthropicError,
+    transformAnthropicToOpenAI,
+    transformGeminiResponseToAnthropic,
+    createAnthropicStreamTransformer,
+} = require('../src/utils/anthropicTransform');
+
+const weatherTool = { name: 'get_weather', description: 'Current weather', input_schema: { type: 'object', properties: { city: { type: 'string' } } } };
+
+/**
+ * Writes Gemini stream chunks into a transformer and parses the SSE events it emits.
+ * @param {object[]} chunks
+ * @param {object} [options] Passed to createAnthropicStreamTransformer.
+ * @returns {Promise<Array<{ event: string; data: object }>>}
+ */
+async function streamEvents(chunks, options) {
+    const transformer = createAnthropicStreamTransformer('claude-test', options);
+    let output = '';
+    transformer.on('data', data => { output += data; });
+    const finished = new Promise((resolve, reject) => {
+        transformer.on('end', resolve);
+        transformer.on('error', reject);
+    });
+    chunks.forEach(chunk => transformer.write(chunk));
+    transformer.end();
+    await finished;
+    return output.trim().split('\n\n').map(block => {
+        const [eventLine, dataLine] = block.split('\n');
+        return { event: eventLine.replace('event: ', ''), data: JSON.parse(dataLine.replace('data: ', '')) };
+    });
+}
+
+describe('transformAnthropicToOpenAI', () => {
+    it('turns tool_use and tool_result blocks into tool calls and tool messages', () => {
+        const result = transformAnthropicToOpenAI({
+            model: 'claude-test',
+            max_tokens: 100,
+            system: [{ type: 'text', text: 'Be brief.' }, { type: 'text', text: 'Use tools.' }],
+            tools: [weatherTool],
+            tool_choice: { type: 'tool', name: 'get_weather' },
+            messages: [
+                { role: 'user', content: 'Weather in Paris?' },
+                { role: 'assistant', content: [
+                    { type: 'text', text: 'Checking.' },
+                    { type: 'tool_use', id: 'toolu_1', name: 'get_weather', input: { city: 'Paris' } },
+                ] },
+                { role: 'user', content: [
+                    { type: 'tool_result', tool_use_id: 'toolu_1', content: [{ type: 'text', text: 'Sunny' }] },
+                    { type: 'text', text: 'Thanks' },
+                ] },
+            ],
+        });
+
+        assert.deepEqual(result.openAIRequestBody, {
+            model: 'claude-test',
+            max_tokens: 100,
+            messages: [
+                { role: 'system', content: 'Be brief.\n\nUse tools.' },
+                { role: 'user', content: [{ type: 'text', text: 'Weather in Paris?' }] },
+                {
+                    role: 'assistant',
+                    content: [{ type: 'text', text: 'Checking.' }],
+                    tool_calls: [{ id: 'toolu_1', type: 'function', function: { name: 'get_weather', arguments: '{"city":"Paris"}' } }],
+                },
+                { role: 'tool', tool_call_id: 'toolu_1', content: 'Sunny' },
+                { role: 'user', content: [{ type: 'text', text: 'Thanks' }] },
+            ],
+            tools: [{ type: 'function', function: { name: 'get_weather', description: 'Current weather', parameters: weatherTool.input_schema } }],
+            tool_choice: { type: 'function', function: { name: 'get_weather' } },
+        });
+        assert.equal(result.includeThoughts, false);
+    });
+
+    it('wraps failed tool results marked is_error in an error object', () => {
+        const { openAIRequestBody } = transformAnthropicToOpenAI({
+            model: 'claude-test',
+            messages: [
+                { role: 'assistant', content: [{ type: 'tool_use', id: 'toolu_1', name: 'get_weather', input: {} }] },
+                { role: 'user', content: [{ type: 'tool_result', tool_use_id: 'toolu_1', is_error: true, content: 'City not found' }] },
+            ],
+        });
+        assert.equal(openAIRequestBody.messages[1].content, '{"error":"City not found"}');
+    });
+
+    it('sends images from tool results along with the user turn', () => {
+        const { openAIRequestBody } = transformAnthropicToOpenAI({
+            model: 'claude-test',
+            messages: [{ role: 'user', content: [{
+                type: 'tool_result',
+                tool_use_id: 'toolu_1',
+                content: [{ type: 'text', text: 'Chart' }, { type: 'image', source: { type: 'base64', media_type: 'image/png', data: 'AAAA' } }],
+            }] }],
+        });
+        assert.deepEqual(openAIRequestBody.messages.map(message => message.role), ['tool', 'user']);
+        assert.deepEqual(openAIRequestBody.messages[1].content, [{ type: 'image_url', image_url: { url: 'data:image/png;base64,AAAA' } }]);
+    });
+
+    it('maps extended thinking to a thinking budget', () => {
+        const result = transformAnthropicToOpenAI({
+            model: 'claude-test',
+            thinking: { type: 'enabled', budget_tokens: 2048 },
+            messages: [{ role: 'user', content: 'Hi' }],
+        });
+        assert.equal(result.thinkingBudget, 2048);
+        assert.equal(result.includeThoughts, true);
+    });
+
+    it('turns disable_parallel_tool_use into parallel_tool_calls: false', () => {
+        const { openAIRequestBody } = transformAnthropicToOpenAI({
+            model: 'claude-test',
+            tools: [weatherTool],
+            tool_choice: { type: 'auto', disable_parallel_tool_use: true },
+            messages: [{ role: 'user', content: 'Hi' }],
+        });
+        assert.equal(openAIRequestBody.tool_choice, 'auto');
+        assert.equal(openAIRequestBody.parallel_tool_calls, false);
+    });
+
+    it('rejects invalid requests with a 400', () => {
+        const message = { role: 'user', content: 'Hi' };
+        assert.equal(transformAnthropicToOpenAI({ messages: [message] }).status, 400);
+        assert.equal(transformAnthropicToOpenAI({ model: 'claude-test' }).status, 400);
+        assert.equal(transformAnthropicToOpenAI({ model: 'claude-test', messages: [{ role: 'system', content: 'Hi' }] }).status, 400);
+        [42, { type: 'text', text: 'Hi' }].forEach(system => {
+            const result = transformAnthropicToOpenAI({ model: 'claude-test', system, messages: [message] });
+            assert.equal(result.status, 400);
+            assert.match(result.error.message, /'system'/);
+        });
+    });
+});
+
+describe('transformGeminiResponseToAnthropic', () => {
+    it('returns thinking, text and tool_use blocks with the matching stop_reason', () => {
+        const message = transformGeminiResponseToAnthropic({
+            candidates: [{
+                content: { parts: [
+                    { text: 'Let me think.', thought: true, thoughtSignature: 'sig' },
+                    { text: 'Checking ' },
+                    { text: 'now.' },
+                    { functionCall: { id: 'call_1', name: 'get_weather', args: { city: 'Paris' } } },
+                ] },
+                finishReason: 'STOP',
+            }],
+            usageMetadata: { promptTokenCount: 10, candidatesTokenCount: 5, thoughtsTokenCount: 3, cachedContentTokenCount: 4 },
+        }, 'claude-test');
+
+        assert.match(message.id, /^msg_/);
+        assert.deepEqual(message.content, [
+            { type: 'thinking', thinking: 'Let me think.', signature: 'sig' },
+            { type: 'text', text: 'Checking now.' },
+            { type: 'tool_use', id: 'call_1', name: 'get_weather', input: { city: 'Paris' } },
+        ]);
+        assert.equal(message.stop_reason, 'tool_use');
+        assert.deepEqual(message.usage, { input_tokens: 10, output_tokens: 8, cache_read_input_tokens: 4 });
+    });
+
+    it('keeps only the first tool_use block when parallel tool use is disabled', () => {
+        const message = transformGeminiResponseToAnthropic({
+            candidates: [{ content: { parts: [
+                { functionCall: { id: 'call_1', name: 'get_weather', args: { city: 'Paris' } } },
+                { functionCall: { id: 'call_2', name: 'get_weather', args: { city: 'Rome' } } },
+            ] }, finishReason: 'STOP' }],
+        }, 'claude-test', { parallelToolCalls: false });
+        assert.deepEqual(message.content.map(block => block.id), ['call_1']);
+        assert.equal(message.stop_reason, 'tool_use');
+    });
+
+    it('reports blocked prompts and token limits', () => {
+        const blocked = transformGeminiResponseToAnthropic({ promptFeedback: { blockReason: 'SAFETY' } }, 'claude-test');
+        assert.equal(blocked.stop_reason, 'refusal');
+        const truncated = transformGeminiResponseToAnthropic({ candidates: [{ content: { parts: [{ text: 'Hi' }] }, finishReason: 'MAX_TOKENS' }] }, 'claude-test');
+        assert.equal(truncated.stop_reason, 'max_tokens');
+    });
+});
+
+describe('createAnthropicStreamTransformer', () => {
+    it('emits the Anthropic event sequence with one block per content type', async () => {
+        const events = await streamEvents([
+            { candidates: [{ content: { parts: [{ text: 'Hmm', thought: true }] } }] },
+            { candidates: [{ content: { parts: [{ text: 'Hello' }] } }] },
+            { candidates: [{ content: { parts: [{ text: ' there' }] } }] },
+            {
+                candidates: [{ content: { parts: [{ functionCall: { id: 'call_1', name: 'get_weather', args: { city: 'Paris' } } }] }, finishReason: 'STOP' }],
+                usageMetadata: { promptTokenCount: 7, candidatesTokenCount: 4 },
+            },
+        ]);
+
+        assert.deepEqual(events.map(({ event, data }) => `${event}${data.index !== undefined ? `:${data.index}` : ''}`), [
+            'message_start',
+            'content_block_start:0', 'content_block_delta:0',
+            'content_block_stop:0', 'content_block_start:1', 'content_block_delta:1', 'content_block_delta:1',
+            'content_block_stop:1', 'content_block_start:2', 'content_block_delta:2', 'content_block_stop:2',
+            'message_delta',
+            'message_stop',
+        ]);
+        events.forEach(({ event, data }) => assert.equal(data.type, event));
+        assert.deepEqual(events[1].data.content_block, { type: 'thinking', thinking: '' });
+        assert.deepEqual(events[6].data.delta, { type: 'text_delta', text: ' there' });
+        assert.deepEqual(events[8].data.content_block, { type: 'tool_use', id: 'call_1', name: 'get_weather', input: {} });
+        assert.deepEqual(events[9].data.delta, { type: 'input_json_delta', partial_json: '{"city":"Paris"}' });
+        assert.deepEqual(events[11].data, {
+            type: 'message_delta',
+            delta: { stop_reason: 'tool_use', stop_sequence: null },
+            usage: { output_tokens: 4 },
+        });
+    });
+
+    it('emits only the first tool_use block when parallel tool use is disabled', async () => {
+        const events = await streamEvents([
+            { candidates: [{ content: { parts: [{ functionCall: { name: 'get_weather', args: { city: 'Paris' } } }] } }] },
+            { candidates: [{ content: { parts: [{ functionCall: { name: 'get_weather', args: { city: 'Rome' } } }] }, finishReason: 'STOP' }] },
+        ], { parallelToolCalls: false });
+        const starts = events.filter(({ event }) => event === 'content_block_start');
+        assert.equal(starts.length, 1);
+        assert.equal(starts[0].data.content_block.type, 'tool_use');
+        assert.equal(events.find(({ event }) => event === 'message_delta').data.delta.stop_reason, 'tool_use');
+    });
+
+    it('still starts and ends the message for an empty stream', async () => {
+        const events = await streamEvents([]);
+        assert.deepEqual(events.map(({ event }) => event), ['message_start', 'message_delta', 'message_stop']);
+        assert.equal(events[1].data.delta.stop_reason, 'end_turn');
+    });
+
+    it('turns a mid-stream Gemini error into an error event', async () => {
+        const events = await streamEvents([{ error: { code: 429, message: 'Quota exceeded' } }]);
+        assert.deepEqual(events[1], { event: 'error', data: { type: 'error', error: { type: 'rate_limit_error', message: 'Quota exceeded' } } });
+    });
+});
+
+describe('toAnthropicError', () => {
+    it('maps statuses onto Anthropic error types', () => {
+        assert.deepEqual(toAnthropicError({ message: 'Bad' }, 400), { type: 'error', error: { type: 'invalid_request_error', message: 'Bad' } });
+        assert.equal(toAnthropicError('Nope', 401).error.type, 'authentication_error');
+        assert.equal(toAnthropicError({}, 404).error.type, 'not_found_error');
+        assert.equal(toAnthropicError({}, 503).error.type, 'overloaded_error');
+        assert.deepEqual(toAnthropicError(undefined, 500).error, { type: 'api_error', message: 'Unknown error' });
+    });
+});
@@ -0,0 +1,126 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    transformCompletionsToChat,
+    transformGeminiResponseToCompletionChoices,
+    createCompletionStreamTransformer,
+} = require('../src/utils/completionsTransform');
+
+const candidate = (text, extra = {}) => ({ content: { parts: [{ text }] }, ...extra });
+const logprobsResult = (...tokens) => ({
+    chosenCandidates: tokens.map(token => ({ token, logProbability: -0.5 })),
+    topCandidates: tokens.map(token => ({ candidates: [{ token, logProbability: -0.5 }, { token: 'x', logProbability: -2 }] })),
+});
+
+/**
+ * Writes Gemini stream chunks into a transformer and parses the text_completion chunks it emits.
+ * @param {object[]} chunks
+ * @param {object} options Passed to createCompletionStreamTransformer.
+ * @returns {Promise<object[]>}
+ */
+async function streamChunks(chunks, options) {
+    const transformer = createCompletionStreamTransformer('gemini-test', { id: 'cmpl-1', ...options });
+    let output = '';
+    transformer.on('data', data => { output += data; });
+    const finished = new Promise((resolve, reject) => {
+        transformer.on('end', resolve);
+        transformer.on('error', reject);
+    });
+    chunks.forEach(chunk => transformer.write(chunk));
+    transformer.end();
+    await finished;
+    return output.trim().split('\n\n').filter(Boolean).map(line => JSON.parse(line.replace('data: ', '')));
+}
+
+describe('transformCompletionsToChat', () => {
+    it('builds one chat request per prompt', () => {
+        const result = transformCompletionsToChat({ model: 'gemini-test', prompt: ['One', 'Two'], n: 2, max_tokens: 5, logprobs: 3, echo: true });
+        assert.deepEqual(result.prompts, ['One', 'Two']);
+        assert.equal(result.echo, true);
+        assert.equal(result.logprobs, 3);
+        assert.equal(result.chatRequestBodies.length, 2);
+        assert.deepEqual(result.chatRequestBodies[1].messages[1], { role: 'user', content: 'Two' });
+        assert.equal(result.chatRequestBodies[1].n, 2);
+        assert.equal(result.chatRequestBodies[1].logprobs, true);
+        assert.equal(result.chatRequestBodies[1].top_logprobs, 3);
+    });
+
+    it('asks for the text between prompt and suffix', () => {
+        const { chatRequestBodies } = transformCompletionsToChat({ model: 'gemini-test', prompt: 'def f(', suffix: '):' });
+        assert.equal(chatRequestBodies[0].messages[1].content, '<prefix>def f(</prefix>\n<suffix>):</suffix>');
+    });
+
+    it('rejects invalid prompts, logprobs and suffixes', () => {
+        assert.equal(transformCompletionsToChat({ prompt: 'Hi' }).error.param, 'model');
+        assert.equal(transformCompletionsToChat({ model: 'gemini-test', prompt: [] }).error.param, 'prompt');
+        assert.equal(transformCompletionsToChat({ model: 'gemini-test', prompt: [[1, 2]] }).error.param, 'prompt');
+        assert.equal(transformCompletionsToChat({ model: 'gemini-test', prompt: 'Hi', logprobs: 6 }).error.param, 'logprobs');
+        assert.equal(transformCompletionsToChat({ model: 'gemini-test', prompt: 'Hi', suffix: 1 }).status, 400);
+    });
+});
+
+describe('transformGeminiResponseToCompletionChoices', () => {
+    it('numbers the choices of batched prompts from indexOffset', () => {
+        const response = { candidates: [candidate('a', { finishReason: 'STOP' }), candidate('b', { index: 1, finishReason: 'MAX_TOKENS' })] };
+        const choices = transformGeminiResponseToCompletionChoices(response, { prompt: 'P', echo: false, logprobs: null, indexOffset: 4 });
+        assert.deepEqual(choices, [
+            { text: 'a', index: 4, logprobs: null, finish_reason: 'stop' },
+            { text: 'b', index: 5, logprobs: null, finish_reason: 'length' },
+        ]);
+    });
+
+    it('prepends the prompt on echo and starts text_offset after it', () => {
+        const response = { candidates: [candidate('lo world', { finishReason: 'STOP', logprobsResult: logprobsResult('lo', ' world') })] };
+        const [choice] = transformGeminiResponseToCompletionChoices(response, { prompt: 'Hel', echo: true, logprobs: 2, indexOffset: 0 });
+        assert.equal(choice.text, 'Hello world');
+        assert.deepEqual(choice.logprobs, {
+            tokens: ['lo', ' world'],
+            token_logprobs: [-0.5, -0.5],
+            top_logprobs: [{ lo: -0.5, x: -2 }, { ' world': -0.5, x: -2 }],
+            text_offset: [3, 5],
+        });
+    });
+
+    it('leaves out thoughts and returns a content_filter choice for blocked prompts', () => {
+        const thinking = { candidates: [{ content: { parts: [{ text: 'hmm', thought: true }, { text: 'Hi' }] }, finishReason: 'STOP' }] };
+        assert.equal(transformGeminiResponseToCompletionChoices(thinking, { prompt: '', echo: false, logprobs: null, indexOffset: 0 })[0].text, 'Hi');
+        const blocked = transformGeminiResponseToCompletionChoices({ promptFeedback: { blockReason: 'SAFETY' } }, { prompt: '', echo: false, logprobs: null, indexOffset: 2 });
+        assert.deepEqual(blocked, [{ text: '', index: 2, logprobs: null, finish_reason: 'content_filter' }]);
+    });
+});
+
+describe('createCompletionStreamTransformer', () => {
+    it('echoes the prompt once per choice and continues text_offset across chunks', async () => {
+        const chunks = await streamChunks([
+            { candidates: [candidate('lo', { logprobsResult: logprobsResult('lo') })] },
+            { candidates: [candidate(' world', { finishReason: 'STOP', logprobsResult: logprobsResult(' wor', 'ld') })], usageMetadata: { promptTokenCount: 1 } },
+        ], { prompt: 'Hel', echo: true, logprobs: 1, indexOffset: 2 });
+
+        assert.deepEqual(chunks.map(chunk => chunk.choices[0].text), ['Hel', 'lo', ' world']);
+        chunks.forEach(chunk => {
+            assert.equal(chunk.id, 'cmpl-1');
+            assert.equal(chunk.object, 'text_completion');
+            assert.equal(chunk.choices[0].index, 2);
+        });
+        assert.equal(chunks[0].choices[0].logprobs, null);
+        assert.deepEqual(chunks[1].choices[0].logprobs.text_offset, [3]);
+        assert.deepEqual(chunks[2].choices[0].logprobs.text_offset, [5, 9]);
+        assert.deepEqual(chunks.map(chunk => chunk.choices[0].finish_reason), [null, null, 'stop']);
+    });
+
+    it('keeps separate offsets per candidate and reports usage at the end', async () => {
+        let usage = null;
+        const chunks = await streamChunks([
+            { candidates: [candidate('ab', { logprobsResult: logprobsResult('ab') }), candidate('c', { index: 1, logprobsResult: logprobsResult('c') })] },
+            { candidates: [candidate('d', { index: 1, logprobsResult: logprobsResult('d') })], usageMetadata: { promptTokenCount: 3 } },
+        ], { prompt: 'P', echo: false, logprobs: 0, indexOffset: 0, onUsage: usageMetadata => { usage = usageMetadata; } });
+
+        assert.deepEqual(chunks.map(chunk => [chunk.choices[0].index, chunk.choices[0].logprobs.text_offset[0]]), [[0, 0], [1, 0], [1, 1]]);
+        assert.deepEqual(usage, { promptTokenCount: 3 });
+    });
+
+    it('passes mid-stream errors on', async () => {
+        const chunks = await streamChunks([{ error: { code: 500, message: 'Internal' } }], { prompt: 'P', echo: false, logprobs: null, indexOffset: 0 });
+        assert.deepEqual(chunks, [{ error: { code: 500, message: 'Internal' } }]);
+    });
+});
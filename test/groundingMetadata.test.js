@@ -0,0 +1,79 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Read when transform.js is loaded; every test file runs in its own process
+process.env.SEARCH_CITATION_FOOTNOTES = 'true';
+const { transformGroundingMetadata } = require('../src/utils/transform');
+
+const chunks = [
+    { web: { uri: 'https://example.com/a', title: 'Source A' } },
+    { web: { uri: 'https://example.com/b' } },
+    { retrievedContext: { uri: 'gs://bucket/doc' } },
+];
+
+// A segment with the UTF-8 byte offsets Gemini sends, without its text so only the offsets locate it
+function segmentOf(text, segmentText) {
+    const start = Buffer.byteLength(text.slice(0, text.indexOf(segmentText)), 'utf8');
+    return { startIndex: start, endIndex: start + Buffer.byteLength(segmentText, 'utf8') };
+}
+
+const citation = (start_index, end_index, url, title) => ({ type: 'url_citation', url_citation: { start_index, end_index, url, title } });
+
+describe('transformGroundingMetadata', () => {
+    it('keeps offsets of ASCII text', () => {
+        const text = 'First fact. Second fact.';
+        const { annotations } = transformGroundingMetadata({
+            groundingChunks: chunks,
+            groundingSupports: [{ segment: segmentOf(text, 'Second fact.'), groundingChunkIndices: [0] }],
+        }, text);
+        assert.deepEqual(annotations, [citation(12, 24, 'https://example.com/a', 'Source A')]);
+    });
+
+    it('converts UTF-8 byte offsets into character offsets', () => {
+        const text = 'Café in München. 東京は大きい。 Emoji 🎉 party.';
+        const segments = ['東京は大きい。', 'Emoji 🎉 party.'];
+        const { annotations } = transformGroundingMetadata({
+            groundingChunks: chunks,
+            groundingSupports: segments.map(segment => ({ segment: segmentOf(text, segment), groundingChunkIndices: [1] })),
+        }, text);
+        assert.deepEqual(annotations, segments.map(segment => citation(
+            text.indexOf(segment), text.indexOf(segment) + segment.length, 'https://example.com/b', 'https://example.com/b'
+        )));
+        annotations.forEach((annotation, i) => {
+            assert.equal(text.slice(annotation.url_citation.start_index, annotation.url_citation.end_index), segments[i]);
+        });
+    });
+
+    it('searches for the segment text when the offsets do not match it', () => {
+        const text = 'Ünïcödé intro. The cited part.';
+        const { annotations } = transformGroundingMetadata({
+            groundingChunks: chunks,
+            groundingSupports: [
+                { segment: { startIndex: 0, endIndex: 5, text: 'The cited part.' }, groundingChunkIndices: [0] },
+                { segment: { startIndex: 0, endIndex: 5, text: 'Not in the text.' }, groundingChunkIndices: [0] },
+            ],
+        }, text);
+        assert.deepEqual(annotations, [citation(15, 30, 'https://example.com/a', 'Source A')]);
+    });
+
+    it('adds one annotation per web source and skips other chunks', () => {
+        const text = 'Fact.';
+        const { annotations } = transformGroundingMetadata({
+            groundingChunks: chunks,
+            groundingSupports: [{ segment: segmentOf(text, 'Fact.'), groundingChunkIndices: [0, 1, 2, 7] }],
+        }, text);
+        assert.deepEqual(annotations, [
+            citation(0, 5, 'https://example.com/a', 'Source A'),
+            citation(0, 5, 'https://example.com/b', 'https://example.com/b'),
+        ]);
+    });
+
+    it('lists the web sources as footnotes', () => {
+        const { footnotes } = transformGroundingMetadata({ groundingChunks: chunks }, 'Text');
+        assert.equal(footnotes, '\n\nSources:\n[1] [Source A](https://example.com/a)\n[2] [https://example.com/b](https://example.com/b)');
+    });
+
+    it('returns nothing without grounding metadata', () => {
+        assert.deepEqual(transformGroundingMetadata(undefined, 'Text'), { annotations: [], footnotes: '' });
+    });
+});
@@ -0,0 +1,124 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveJsonSchemaRefs, convertJsonSchemaToGemini, validateJsonSchema } = require('../src/utils/jsonSchema');
+
+describe('resolveJsonSchemaRefs', () => {
+    it('inlines local $defs and definitions references', () => {
+        const schema = {
+            type: 'object',
+            properties: {
+                home: { $ref: '#/$defs/address' },
+                work: { $ref: '#/definitions/address', description: 'Office' },
+            },
+            $defs: { address: { type: 'object', properties: { city: { type: 'string' } } } },
+            definitions: { address: { type: 'object', properties: { street: { type: 'string' } } } },
+        };
+        assert.deepEqual(resolveJsonSchemaRefs(schema), {
+            type: 'object',
+            properties: {
+                home: { type: 'object', properties: { city: { type: 'string' } } },
+                work: { type: 'object', properties: { street: { type: 'string' } }, description: 'Office' },
+            },
+        });
+    });
+
+    it('replaces recursive references with a generic object', () => {
+        const schema = {
+            $ref: '#/$defs/node',
+            $defs: { node: { type: 'object', properties: { child: { $ref: '#/$defs/node' } } } },
+        };
+        assert.deepEqual(resolveJsonSchemaRefs(schema), {
+            type: 'object',
+            properties: { child: { type: 'object' } },
+        });
+    });
+
+    it('rejects remote and unresolvable references', () => {
+        assert.throws(() => resolveJsonSchemaRefs({ $ref: 'https://example.com/schema.json' }), /Only local references/);
+        assert.throws(() => resolveJsonSchemaRefs({ $ref: '#/$defs/missing' }), /Unresolvable \$ref/);
+    });
+});
+
+describe('convertJsonSchemaToGemini', () => {
+    it('drops keywords Gemini rejects and filters required to known properties', () => {
+        const schema = {
+            $schema: 'https://json-schema.org/draft/2020-12/schema',
+            type: 'object',
+            additionalProperties: false,
+            properties: { name: { type: 'string', minLength: 1 } },
+            required: ['name', 'missing'],
+        };
+        assert.deepEqual(convertJsonSchemaToGemini(schema), {
+            type: 'object',
+            properties: { name: { type: 'string', minLength: 1 } },
+            required: ['name'],
+        });
+    });
+
+    it('turns type arrays and null members into nullable', () => {
+        assert.deepEqual(convertJsonSchemaToGemini({ type: ['string', 'null'] }), { nullable: true, type: 'string' });
+        assert.deepEqual(convertJsonSchemaToGemini({ anyOf: [{ type: 'integer' }, { type: 'null' }] }), { nullable: true, type: 'integer' });
+        assert.deepEqual(convertJsonSchemaToGemini({ type: ['string', 'integer'] }), {
+            anyOf: [{ type: 'string' }, { type: 'integer' }],
+        });
+    });
+
+    it('rewrites oneOf, allOf and const', () => {
+        assert.deepEqual(convertJsonSchemaToGemini({ oneOf: [{ type: 'string' }, { type: 'number' }] }), {
+            anyOf: [{ type: 'string' }, { type: 'number' }],
+        });
+        assert.deepEqual(convertJsonSchemaToGemini({
+            allOf: [
+                { type: 'object', properties: { a: { type: 'string' } }, required: ['a'] },
+                { properties: { b: { type: 'number' } }, required: ['b'] },
+            ],
+        }), {
+            type: 'object',
+            properties: { a: { type: 'string' }, b: { type: 'number' } },
+            required: ['a', 'b'],
+        });
+        assert.deepEqual(convertJsonSchemaToGemini({ const: 'fixed' }), { enum: ['fixed'], type: 'string' });
+    });
+
+    it('keeps only string enums and the formats Gemini supports', () => {
+        assert.deepEqual(convertJsonSchemaToGemini({ type: 'integer', enum: [1, 2] }), { type: 'integer' });
+        assert.deepEqual(convertJsonSchemaToGemini({ type: 'string', format: 'date-time' }), { type: 'string', format: 'date-time' });
+        assert.deepEqual(convertJsonSchemaToGemini({ type: 'string', format: 'email' }), { type: 'string' });
+    });
+
+    it('converts tuple items to their first schema', () => {
+        assert.deepEqual(convertJsonSchemaToGemini({ type: 'array', items: [{ type: 'string' }, { type: 'number' }] }), {
+            type: 'array',
+            items: { type: 'string' },
+        });
+    });
+});
+
+describe('validateJsonSchema', () => {
+    const schema = {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+            name: { type: 'string', maxLength: 5 },
+            tags: { type: 'array', items: { enum: ['a', 'b'] } },
+            score: { type: 'number', minimum: 0 },
+        },
+        required: ['name'],
+    };
+
+    it('accepts matching values', () => {
+        assert.deepEqual(validateJsonSchema({ name: 'ok', tags: ['a'], score: 1 }, schema), []);
+        assert.deepEqual(validateJsonSchema(3, { type: 'number' }), []);
+    });
+
+    it('reports every mismatch with its path', () => {
+        assert.deepEqual(validateJsonSchema({ tags: ['c'], score: -1, extra: true }, schema), [
+            "$: missing required property 'name'",
+            '$.tags[0]: value must be one of ["a","b"]',
+            '$.score: less than 0',
+            "$: unexpected property 'extra'",
+        ]);
+        assert.deepEqual(validateJsonSchema({ name: 'too long' }, schema), ['$.name: longer than 5 characters']);
+        assert.deepEqual(validateJsonSchema('x', { type: 'integer' }), ['$: expected integer, got string']);
+    });
+});
@@ -0,0 +1,100 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Read when the service is loaded; every test file runs in its own process
+process.env.KEY_COOLDOWN_BASE_MS = '1000';
+process.env.KEY_COOLDOWN_MAX_MS = '8000';
+const keyCooldownService = require('../src/services/keyCooldownService');
+
+const MODEL = 'gemini-2.5-flash';
+const retryInfo = (retryDelay) => ({ details: [{ '@type': 'type.googleapis.com/google.rpc.RetryInfo', retryDelay }] });
+const quotaFailure = (...violations) => ({ details: [{ '@type': 'type.googleapis.com/google.rpc.QuotaFailure', violations }] });
+
+let now;
+
+beforeEach(() => {
+    now = 1000000;
+    mock.method(Date, 'now', () => now);
+    mock.method(console, 'warn', () => {});
+    mock.method(console, 'log', () => {});
+    ['key-1', 'key-2'].forEach(keyId => keyCooldownService.clearCooldowns(keyId));
+});
+
+afterEach(() => mock.restoreAll());
+
+describe('keyCooldownService', () => {
+    it('doubles the delay for every failure after a cooldown ended, up to the maximum', () => {
+        const delays = [];
+        for (let i = 0; i < 5; i++) {
+            keyCooldownService.recordFailure('key-1', MODEL, 429);
+            const cooldown = keyCooldownService.getActiveCooldown('key-1', MODEL);
+            delays.push(cooldown.remainingMs);
+            assert.equal(cooldown.failures, i + 1);
+            now = cooldown.until; // Fails again right after the cooldown
+        }
+        assert.deepEqual(delays, [1000, 2000, 4000, 8000, 8000]);
+    });
+
+    it('does not escalate on failures while the cooldown is running', () => {
+        keyCooldownService.recordFailure('key-1', MODEL, 503);
+        now += 500;
+        keyCooldownService.recordFailure('key-1', MODEL, 503);
+        const cooldown = keyCooldownService.getActiveCooldown('key-1', MODEL);
+        assert.equal(cooldown.failures, 1);
+        assert.equal(cooldown.until, 1000000 + 1500);
+        assert.equal(cooldown.status, 503);
+    });
+
+    it('starts over once the previous cooldown ended longer than the maximum ago', () => {
+        keyCooldownService.recordFailure('key-1', MODEL, 429);
+        now += 1000;
+        keyCooldownService.recordFailure('key-1', MODEL, 429);
+        assert.equal(keyCooldownService.getActiveCooldown('key-1', MODEL).failures, 2);
+        now += 2000 + 8000;
+        keyCooldownService.recordFailure('key-1', MODEL, 429);
+        const cooldown = keyCooldownService.getActiveCooldown('key-1', MODEL);
+        assert.equal(cooldown.failures, 1);
+        assert.equal(cooldown.remainingMs, 1000);
+    });
+
+    it('uses the retryDelay Gemini asks for instead of the backoff', () => {
+        keyCooldownService.recordFailure('key-1', MODEL, 429, retryInfo('34s'));
+        assert.equal(keyCooldownService.getActiveCooldown('key-1', MODEL).remainingMs, 34000);
+        keyCooldownService.recordFailure('key-2', MODEL, 429, retryInfo('1.5s'));
+        assert.equal(keyCooldownService.getActiveCooldown('key-2', MODEL).remainingMs, 1500);
+    });
+
+    it('cools down the whole key when the quota is not tied to a model', () => {
+        keyCooldownService.recordFailure('key-1', MODEL, 429, quotaFailure({ quotaId: 'GenerateRequestsPerDayPerProject' }));
+        assert.equal(keyCooldownService.getActiveCooldown('key-1', 'gemini-2.5-pro').modelId, null);
+        assert.ok(keyCooldownService.getActiveCooldown('key-1'));
+
+        keyCooldownService.recordFailure('key-2', MODEL, 429, quotaFailure({ quotaId: 'PerModel', quotaDimensions: { model: MODEL } }));
+        assert.equal(keyCooldownService.getActiveCooldown('key-2', MODEL).modelId, MODEL);
+        assert.equal(keyCooldownService.getActiveCooldown('key-2', 'gemini-2.5-pro'), null);
+    });
+
+    it('resets the backoff after a success once the cooldown ended', () => {
+        keyCooldownService.recordFailure('key-1', MODEL, 429);
+        keyCooldownService.recordSuccess('key-1', MODEL);
+        assert.ok(keyCooldownService.getActiveCooldown('key-1', MODEL), 'a running cooldown is kept');
+
+        now += 1000;
+        keyCooldownService.recordSuccess('key-1', MODEL);
+        keyCooldownService.recordFailure('key-1', MODEL, 429);
+        assert.equal(keyCooldownService.getActiveCooldown('key-1', MODEL).failures, 1);
+    });
+
+    it('lists and clears running cooldowns', () => {
+        keyCooldownService.recordFailure('key-1', MODEL, 429);
+        keyCooldownService.recordFailure('key-1', 'gemini-2.5-pro', 429, retryInfo('5s'));
+        keyCooldownService.recordFailure('key-2', MODEL, 500);
+        assert.deepEqual(keyCooldownService.listCooldowns('key-1').map(cooldown => cooldown.modelId), ['gemini-2.5-pro', MODEL]);
+        assert.equal(keyCooldownService.listCooldowns().length, 3);
+
+        assert.equal(keyCooldownService.clearCooldowns('key-1', MODEL), 1);
+        assert.equal(keyCooldownService.getActiveCooldown('key-1', MODEL), null);
+        assert.equal(keyCooldownService.clearCooldowns('key-1'), 1);
+        assert.deepEqual(keyCooldownService.listCooldowns().map(cooldown => cooldown.keyId), ['key-2']);
+    });
+});
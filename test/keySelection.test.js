@@ -0,0 +1,117 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { getKeyUsageToday, affinityScore, pickKey, findRoundRobinKey } = require('../src/utils/keySelection');
+
+const TODAY = '2026-01-15';
+
+// The parts of a keyStateStore KeyState that selection reads
+const keyState = (id, { usageDate = TODAY, modelUsage = {}, categoryUsage = {}, weight = 1 } = {}) => ({
+    id,
+    apiKey: `AIza-${id}`,
+    usageDate,
+    modelUsage,
+    categoryUsage,
+    weight,
+});
+
+afterEach(() => mock.restoreAll());
+
+describe('getKeyUsageToday', () => {
+    const key = keyState('key-1', { modelUsage: { 'custom-model': 4 }, categoryUsage: { pro: 2, flash: 5 } });
+
+    it('counts the usage the requested model is limited by', () => {
+        assert.equal(getKeyUsageToday(key, 'gemini-2.5-pro', 'Pro', TODAY), 2);
+        assert.equal(getKeyUsageToday(key, 'custom-model', 'Custom', TODAY), 4);
+        assert.equal(getKeyUsageToday(key, 'unknown-model', undefined, TODAY), 7);
+    });
+
+    it('treats usage from an earlier day as none', () => {
+        assert.equal(getKeyUsageToday(key, 'gemini-2.5-pro', 'Pro', '2026-01-16'), 0);
+    });
+});
+
+describe('pickKey', () => {
+    it('least-used picks the key with the lowest usage, the first one on ties', () => {
+        const keys = [
+            keyState('key-1', { categoryUsage: { flash: 3 } }),
+            keyState('key-2', { categoryUsage: { flash: 1, pro: 9 } }),
+            keyState('key-3', { categoryUsage: { flash: 1 } }),
+        ];
+        assert.equal(pickKey('least-used', keys, 'gemini-2.5-flash', 'Flash', undefined, TODAY).id, 'key-2');
+        assert.equal(pickKey('least-used', keys, 'gemini-2.5-pro', 'Pro', undefined, TODAY).id, 'key-1');
+    });
+
+    it('weighted picks keys in proportion to their weight', () => {
+        const keys = [keyState('key-1', { weight: 1 }), keyState('key-2', { weight: 3 }), keyState('key-3')];
+        // Total weight 5: key-1 covers [0, 1), key-2 [1, 4) and key-3 [4, 5)
+        const pickAt = (random) => {
+            mock.method(Math, 'random', () => random);
+            return pickKey('weighted', keys, 'gemini-2.5-flash', 'Flash', undefined, TODAY).id;
+        };
+        assert.deepEqual([0, 0.19, 0.2, 0.79, 0.8, 0.99].map(pickAt), ['key-1', 'key-1', 'key-2', 'key-2', 'key-3', 'key-3']);
+    });
+
+    it('weighted never picks keys with weight 0', () => {
+        const keys = [keyState('key-1', { weight: 0 }), keyState('key-2', { weight: 2 }), keyState('key-3', { weight: 0 })];
+        for (const random of [0, 0.5, 0.99]) {
+            mock.method(Math, 'random', () => random);
+            assert.equal(pickKey('weighted', keys, 'gemini-2.5-flash', 'Flash', undefined, TODAY).id, 'key-2');
+        }
+    });
+
+    it('weighted returns null when every key has weight 0', () => {
+        const keys = [keyState('key-1', { weight: 0 }), keyState('key-2', { weight: 0 })];
+        assert.equal(pickKey('weighted', keys, 'gemini-2.5-flash', 'Flash', undefined, TODAY), null);
+    });
+
+    it('sticky picks the key with the highest affinity score for the conversation', () => {
+        const keys = ['key-1', 'key-2', 'key-3', 'key-4'].map(id => keyState(id));
+        for (const affinityKey of ['conversation-a', 'conversation-b', 'conversation-c']) {
+            const expected = keys.map(key => key.id).sort((a, b) => affinityScore(affinityKey, b) - affinityScore(affinityKey, a))[0];
+            assert.equal(pickKey('sticky', keys, 'gemini-2.5-flash', 'Flash', affinityKey, TODAY).id, expected);
+            assert.equal(pickKey('sticky', [...keys].reverse(), 'gemini-2.5-flash', 'Flash', affinityKey, TODAY).id, expected);
+        }
+    });
+
+    it('sticky keeps a conversation on its key when another key drops out', () => {
+        const keys = ['key-1', 'key-2', 'key-3', 'key-4', 'key-5'].map(id => keyState(id));
+        const affinityKey = 'conversation-a';
+        const winner = pickKey('sticky', keys, 'gemini-2.5-flash', 'Flash', affinityKey, TODAY);
+        for (const dropped of keys.filter(key => key !== winner)) {
+            const remaining = keys.filter(key => key !== dropped);
+            assert.equal(pickKey('sticky', remaining, 'gemini-2.5-flash', 'Flash', affinityKey, TODAY), winner);
+        }
+        // Only losing the winner itself moves the conversation, to the key that scored second
+        const withoutWinner = keys.filter(key => key !== winner);
+        const runnerUp = pickKey('sticky', withoutWinner, 'gemini-2.5-flash', 'Flash', affinityKey, TODAY);
+        assert.notEqual(runnerUp, winner);
+        assert.ok(affinityScore(affinityKey, runnerUp.id) <= affinityScore(affinityKey, winner.id));
+    });
+
+    it('random picks any available key', () => {
+        const keys = ['key-1', 'key-2', 'key-3'].map(id => keyState(id));
+        const picks = [0, 0.34, 0.99].map(random => {
+            mock.method(Math, 'random', () => random);
+            return pickKey('random', keys, 'gemini-2.5-flash', 'Flash', undefined, TODAY).id;
+        });
+        assert.deepEqual(picks, ['key-1', 'key-2', 'key-3']);
+    });
+});
+
+describe('findRoundRobinKey', () => {
+    const keyIds = ['key-1', 'key-2', 'key-3'];
+
+    it('starts at the stored position and wraps around', () => {
+        assert.deepEqual(findRoundRobinKey(keyIds, 1, () => true), { keyId: 'key-2', nextIndex: 2 });
+        assert.deepEqual(findRoundRobinKey(keyIds, 2, () => true), { keyId: 'key-3', nextIndex: 0 });
+    });
+
+    it('skips keys that cannot serve the request', () => {
+        assert.deepEqual(findRoundRobinKey(keyIds, 2, keyId => keyId !== 'key-3'), { keyId: 'key-1', nextIndex: 1 });
+        assert.equal(findRoundRobinKey(keyIds, 0, () => false), null);
+    });
+
+    it('starts over when the position is past the end of a shrunk key list', () => {
+        assert.deepEqual(findRoundRobinKey(keyIds, 5, () => true), { keyId: 'key-1', nextIndex: 1 });
+    });
+});
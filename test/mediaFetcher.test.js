@@ -0,0 +1,64 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { sniffMimeType, isPrivateAddress } = require('../src/utils/mediaFetcher');
+
+// Leading bytes of a file, padded so offset checks don't read past the end
+const header = (...parts) => Buffer.concat([...parts.map(part => Buffer.from(part)), Buffer.alloc(16)]);
+
+describe('sniffMimeType', () => {
+    it('detects images', () => {
+        assert.equal(sniffMimeType(header([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a])), 'image/png');
+        assert.equal(sniffMimeType(header([0xff, 0xd8, 0xff, 0xe0])), 'image/jpeg');
+        assert.equal(sniffMimeType(header('GIF89a')), 'image/gif');
+        assert.equal(sniffMimeType(header('RIFF', [0, 0, 0, 0], 'WEBP')), 'image/webp');
+        assert.equal(sniffMimeType(header([0, 0, 0, 0x18], 'ftypheic')), 'image/heic');
+        assert.equal(sniffMimeType(header([0, 0, 0, 0x18], 'ftypmif1')), 'image/heif');
+    });
+
+    it('detects audio, video and PDF', () => {
+        assert.equal(sniffMimeType(header('RIFF', [0, 0, 0, 0], 'WAVE')), 'audio/wav');
+        assert.equal(sniffMimeType(header('ID3')), 'audio/mpeg');
+        assert.equal(sniffMimeType(header([0xff, 0xfb, 0x90])), 'audio/mpeg');
+        assert.equal(sniffMimeType(header('OggS')), 'audio/ogg');
+        assert.equal(sniffMimeType(header('fLaC')), 'audio/flac');
+        assert.equal(sniffMimeType(header([0, 0, 0, 0x20], 'ftypM4A ')), 'audio/mp4');
+        assert.equal(sniffMimeType(header([0, 0, 0, 0x20], 'ftypisom')), 'video/mp4');
+        assert.equal(sniffMimeType(header([0, 0, 0, 0x14], 'ftypqt  ')), 'video/quicktime');
+        assert.equal(sniffMimeType(header([0x1a, 0x45, 0xdf, 0xa3])), 'video/webm');
+        assert.equal(sniffMimeType(header('%PDF-1.7')), 'application/pdf');
+    });
+
+    it('returns null for unknown or empty content', () => {
+        assert.equal(sniffMimeType(header('<html>')), null);
+        assert.equal(sniffMimeType(Buffer.alloc(0)), null);
+    });
+});
+
+describe('isPrivateAddress', () => {
+    it('blocks loopback, private, link-local and reserved IPv4 ranges', () => {
+        ['127.0.0.1', '10.1.2.3', '172.16.0.1', '172.31.255.255', '192.168.1.1', '169.254.169.254',
+            '100.64.0.1', '0.0.0.0', '198.18.0.1', '224.0.0.1', '255.255.255.255']
+            .forEach(address => assert.equal(isPrivateAddress(address), true, address));
+    });
+
+    it('blocks loopback, unique local, link-local and NAT64 IPv6 ranges', () => {
+        ['::1', '::', 'fc00::1', 'fd12:3456::1', 'fe80::1', 'ff02::1', '64:ff9b::a9fe:a9fe']
+            .forEach(address => assert.equal(isPrivateAddress(address), true, address));
+    });
+
+    it('checks IPv4-mapped IPv6 addresses as IPv4', () => {
+        assert.equal(isPrivateAddress('::ffff:127.0.0.1'), true);
+        assert.equal(isPrivateAddress('::FFFF:10.0.0.1'), true);
+        assert.equal(isPrivateAddress('::ffff:8.8.8.8'), false);
+    });
+
+    it('treats anything that is not an IP address as private', () => {
+        assert.equal(isPrivateAddress('localhost'), true);
+        assert.equal(isPrivateAddress(''), true);
+    });
+
+    it('allows public addresses', () => {
+        ['8.8.8.8', '1.1.1.1', '172.32.0.1', '142.250.74.46', '2606:4700:4700::1111', '2001:4860:4860::8888']
+            .forEach(address => assert.equal(isPrivateAddress(address), false, address));
+    });
+});
@@ -0,0 +1,132 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { Readable } = require('stream');
+const { Response } = require('node-fetch');
+const rateLimitService = require('../src/services/rateLimitService');
+
+const MODEL = 'gemini-2.5-flash';
+
+let now;
+let keyCounter = 0;
+let keyId;
+
+beforeEach(() => {
+    now = 1000000;
+    mock.method(Date, 'now', () => now);
+    mock.method(console, 'log', () => {});
+    keyId = `key-${++keyCounter}`; // Windows are module state, so every test uses a fresh key
+});
+
+afterEach(() => mock.restoreAll());
+
+describe('getWindowUsage', () => {
+    it('drops requests once they are a minute old', () => {
+        rateLimitService.recordRequest(keyId, MODEL, 10);
+        now += 30000;
+        rateLimitService.recordRequest(keyId, MODEL, 20);
+        assert.deepEqual(rateLimitService.getWindowUsage(keyId, MODEL), { requests: 2, tokens: 30 });
+
+        now += 29999;
+        assert.deepEqual(rateLimitService.getWindowUsage(keyId, MODEL), { requests: 2, tokens: 30 });
+        now += 1;
+        assert.deepEqual(rateLimitService.getWindowUsage(keyId, MODEL), { requests: 1, tokens: 20 });
+        now += 30000;
+        assert.deepEqual(rateLimitService.getWindowUsage(keyId, MODEL), { requests: 0, tokens: 0 });
+    });
+
+    it('keeps separate windows per model', () => {
+        rateLimitService.recordRequest(keyId, MODEL, 10);
+        assert.deepEqual(rateLimitService.getWindowUsage(keyId, 'gemini-2.5-pro'), { requests: 0, tokens: 0 });
+    });
+});
+
+describe('getRateLimits', () => {
+    const modelConfig = { rpmLimit: 10, tpmLimit: 1000, tierRateLimits: { tier1: { rpm: 100 }, free: { rpm: 5, tpm: 250 } } };
+
+    it('lets the key tier override the model limits it sets', () => {
+        assert.deepEqual(rateLimitService.getRateLimits('free', modelConfig), { rpm: 5, tpm: 250 });
+        assert.deepEqual(rateLimitService.getRateLimits('tier1', modelConfig), { rpm: 100, tpm: 1000 });
+        assert.deepEqual(rateLimitService.getRateLimits('tier2', modelConfig), { rpm: 10, tpm: 1000 });
+        assert.deepEqual(rateLimitService.getRateLimits(null, modelConfig), { rpm: 10, tpm: 1000 });
+    });
+
+    it('treats missing limits as unlimited', () => {
+        assert.deepEqual(rateLimitService.getRateLimits('free', undefined), { rpm: null, tpm: null });
+    });
+});
+
+describe('wouldExceedRateLimits', () => {
+    it('allows requests up to the RPM limit', () => {
+        const modelConfig = { rpmLimit: 2 };
+        assert.equal(rateLimitService.wouldExceedRateLimits(keyId, null, MODEL, modelConfig), false);
+        rateLimitService.recordRequest(keyId, MODEL);
+        assert.equal(rateLimitService.wouldExceedRateLimits(keyId, null, MODEL, modelConfig), false);
+        rateLimitService.recordRequest(keyId, MODEL);
+        assert.equal(rateLimitService.wouldExceedRateLimits(keyId, null, MODEL, modelConfig), true);
+        now += 60000;
+        assert.equal(rateLimitService.wouldExceedRateLimits(keyId, null, MODEL, modelConfig), false);
+    });
+
+    it('uses the tier limits of the key', () => {
+        const modelConfig = { rpmLimit: 1, tierRateLimits: { tier1: { rpm: 2 } } };
+        rateLimitService.recordRequest(keyId, MODEL);
+        assert.equal(rateLimitService.wouldExceedRateLimits(keyId, null, MODEL, modelConfig), true);
+        assert.equal(rateLimitService.wouldExceedRateLimits(keyId, 'tier1', MODEL, modelConfig), false);
+    });
+
+    it('checks the estimated tokens against the TPM limit', () => {
+        const modelConfig = { tpmLimit: 100 };
+        rateLimitService.recordRequest(keyId, MODEL, 60);
+        assert.equal(rateLimitService.wouldExceedRateLimits(keyId, null, MODEL, modelConfig, 40), false);
+        assert.equal(rateLimitService.wouldExceedRateLimits(keyId, null, MODEL, modelConfig, 41), true);
+        rateLimitService.recordRequest(keyId, MODEL, 40);
+        assert.equal(rateLimitService.wouldExceedRateLimits(keyId, null, MODEL, modelConfig, 0), true);
+    });
+
+    it('lets a request larger than the TPM limit into an empty window', () => {
+        const modelConfig = { tpmLimit: 100 };
+        assert.equal(rateLimitService.wouldExceedRateLimits(keyId, null, MODEL, modelConfig, 500), false);
+        rateLimitService.recordRequest(keyId, MODEL, 500);
+        assert.equal(rateLimitService.wouldExceedRateLimits(keyId, null, MODEL, modelConfig, 1), true);
+    });
+
+    it('never skips a key without limits', () => {
+        rateLimitService.recordRequest(keyId, MODEL, 1e9);
+        assert.equal(rateLimitService.wouldExceedRateLimits(keyId, null, MODEL, {}, 1e9), false);
+    });
+});
+
+describe('estimateTokens', () => {
+    it('counts 4 characters per token and a fixed amount per media part', () => {
+        assert.equal(rateLimitService.estimateTokens({ text: 'abcdefgh' }), Math.ceil('{"text":"abcdefgh"}'.length / 4));
+        const withMedia = {
+            contents: [{ parts: [{ inlineData: { mimeType: 'image/png', data: 'A'.repeat(10000) } }] }],
+            messages: [{ content: [{ type: 'image_url', image_url: { url: `data:image/png;base64,${'A'.repeat(10000)}` } }] }],
+        };
+        const withoutMedia = { contents: [{ parts: [{}] }], messages: [{ content: [{ type: 'image_url', image_url: {} }] }] };
+        assert.equal(rateLimitService.estimateTokens(withMedia), rateLimitService.estimateTokens(withoutMedia) + 2 * 258);
+    });
+});
+
+describe('trackResponseTokens', () => {
+    it('replaces the estimate with the last reported promptTokenCount, even when split across chunks', async () => {
+        const entry = rateLimitService.recordRequest(keyId, MODEL, 999);
+        const body = Readable.from([
+            Buffer.from('[{"usageMetadata": {"promptTokenCount": 12}},\n{"usageMetadata": {"promptTo'),
+            Buffer.from('kenCount": 34, "totalTokenCount": 40}}]'),
+        ]);
+        const response = rateLimitService.trackResponseTokens(new Response(body, { status: 200 }), entry);
+
+        assert.equal(response.status, 200);
+        assert.equal(await response.text(), '[{"usageMetadata": {"promptTokenCount": 12}},\n{"usageMetadata": {"promptTokenCount": 34, "totalTokenCount": 40}}]');
+        assert.equal(entry.tokens, 34);
+        assert.deepEqual(rateLimitService.getWindowUsage(keyId, MODEL), { requests: 1, tokens: 34 });
+    });
+
+    it('keeps the estimate when the response reports no usage', async () => {
+        const entry = rateLimitService.recordRequest(keyId, MODEL, 50);
+        const response = rateLimitService.trackResponseTokens(new Response(Readable.from([Buffer.from('{"embedding":{}}')])), entry);
+        await response.text();
+        assert.equal(entry.tokens, 50);
+    });
+});
@@ -0,0 +1,221 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    transformResponsesToChat,
+    createResponseSkeleton,
+    transformGeminiResponseToResponses,
+    outputToChatMessages,
+    createResponsesStreamTransformer,
+} = require('../src/utils/responsesTransform');
+
+/**
+ * Writes Gemini stream chunks into a transformer and parses the Responses events it emits.
+ * @param {object[]} chunks
+ * @param {object} skeleton The response object from createResponseSkeleton.
+ * @returns {Promise<{ events: object[]; completed: object }>}
+ */
+async function streamEvents(chunks, skeleton) {
+    let completed = null;
+    const transformer = createResponsesStreamTransformer(skeleton, { onComplete: response => { completed = response; } });
+    let output = '';
+    transformer.on('data', data => { output += data; });
+    const finished = new Promise((resolve, reject) => {
+        transformer.on('end', resolve);
+        transformer.on('error', reject);
+    });
+    chunks.forEach(chunk => transformer.write(chunk));
+    transformer.end();
+    await finished;
+    const events = output.trim().split('\n\n').map(block => {
+        const [eventLine, dataLine] = block.split('\n');
+        const data = JSON.parse(dataLine.replace('data: ', ''));
+        assert.equal(eventLine, `event: ${data.type}`);
+        return data;
+    });
+    return { events, completed };
+}
+
+describe('transformResponsesToChat', () => {
+    it('converts instructions, input items and tools into a chat request', () => {
+        const result = transformResponsesToChat({
+            model: 'gemini-test',
+            instructions: 'Be brief.',
+            input: [
+                { role: 'user', content: [{ type: 'input_text', text: 'Weather in Paris?' }] },
+                { type: 'function_call', call_id: 'call_1', name: 'get_weather', arguments: '{"city":"Paris"}' },
+                { type: 'function_call', call_id: 'call_2', name: 'get_time', arguments: '{}' },
+                { type: 'function_call_output', call_id: 'call_1', output: 'Sunny' },
+                { type: 'function_call_output', call_id: 'call_2', output: { time: '12:00' } },
+                { type: 'reasoning', summary: [] },
+            ],
+            tools: [{ type: 'function', name: 'get_weather', parameters: { type: 'object' } }, { type: 'web_search_preview' }],
+            tool_choice: { type: 'function', name: 'get_weather' },
+            max_output_tokens: 50,
+            parallel_tool_calls: false,
+            text: { format: { type: 'json_object' } },
+            reasoning: { summary: 'auto' },
+        });
+
+        assert.deepEqual(result.openAIRequestBody, {
+            model: 'gemini-test',
+            messages: [
+                { role: 'system', content: 'Be brief.' },
+                { role: 'user', content: [{ type: 'text', text: 'Weather in Paris?' }] },
+                { role: 'assistant', content: null, tool_calls: [
+                    { id: 'call_1', type: 'function', function: { name: 'get_weather', arguments: '{"city":"Paris"}' } },
+                    { id: 'call_2', type: 'function', function: { name: 'get_time', arguments: '{}' } },
+                ] },
+                { role: 'tool', tool_call_id: 'call_1', content: 'Sunny' },
+                { role: 'tool', tool_call_id: 'call_2', content: '{"time":"12:00"}' },
+            ],
+            max_tokens: 50,
+            tools: [{ type: 'function', function: { name: 'get_weather', description: undefined, parameters: { type: 'object' }, strict: undefined } }],
+            tool_choice: { type: 'function', function: { name: 'get_weather' } },
+            parallel_tool_calls: false,
+            response_format: { type: 'json_object' },
+            web_search: 1,
+        });
+        assert.equal(result.inputMessages.length, 4);
+        assert.equal(result.includeThoughts, true);
+    });
+
+    it('puts the previous conversation between the instructions and the new input', () => {
+        const previous = [{ role: 'user', content: 'Hi' }, { role: 'assistant', content: 'Hello' }];
+        const result = transformResponsesToChat({ model: 'gemini-test', instructions: 'Be brief.', input: 'Again' }, previous);
+        assert.deepEqual(result.openAIRequestBody.messages, [
+            { role: 'system', content: 'Be brief.' },
+            ...previous,
+            { role: 'user', content: 'Again' },
+        ]);
+        assert.deepEqual(result.inputMessages, [{ role: 'user', content: 'Again' }]);
+    });
+
+    it('rejects invalid requests with a 400', () => {
+        assert.equal(transformResponsesToChat({ input: 'Hi' }).error.param, 'model');
+        assert.equal(transformResponsesToChat({ model: 'gemini-test', input: 42 }).error.param, 'input');
+        assert.equal(transformResponsesToChat({ model: 'gemini-test', input: [{ role: 'tool', content: 'x' }] }).status, 400);
+        assert.equal(transformResponsesToChat({ model: 'gemini-test', input: [{ type: 'computer_call' }] }).status, 400);
+        assert.equal(transformResponsesToChat({ model: 'gemini-test', input: 'Hi', tools: [{ type: 'file_search' }] }).error.param, 'tools');
+        assert.equal(transformResponsesToChat({ model: 'gemini-test', instructions: 'Only this' }).error.param, 'input');
+    });
+});
+
+describe('outputToChatMessages', () => {
+    it('round-trips a response output through previous_response_id', () => {
+        const skeleton = createResponseSkeleton({ model: 'gemini-test' });
+        const response = transformGeminiResponseToResponses({
+            candidates: [{
+                content: { parts: [
+                    { text: 'Thinking', thought: true },
+                    { text: 'Let me ' },
+                    { text: 'check.' },
+                    { functionCall: { id: 'call_1', name: 'get_weather', args: { city: 'Paris' } } },
+                ] },
+                finishReason: 'STOP',
+            }],
+        }, skeleton);
+        const stored = outputToChatMessages(response.output);
+        assert.deepEqual(stored, [{
+            role: 'assistant',
+            content: 'Let me check.',
+            tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'get_weather', arguments: '{"city":"Paris"}' } }],
+        }]);
+
+        const next = transformResponsesToChat({
+            model: 'gemini-test',
+            previous_response_id: response.id,
+            input: [{ type: 'function_call_output', call_id: 'call_1', output: 'Sunny' }],
+        }, [{ role: 'user', content: 'Weather in Paris?' }, ...stored]);
+        assert.deepEqual(next.openAIRequestBody.messages.map(message => message.role), ['user', 'assistant', 'tool']);
+        assert.equal(next.openAIRequestBody.messages[2].tool_call_id, 'call_1');
+    });
+
+    it('stores nothing for an empty output', () => {
+        assert.deepEqual(outputToChatMessages([{ type: 'reasoning', summary: [{ type: 'summary_text', text: 'Hmm' }] }]), []);
+    });
+});
+
+describe('transformGeminiResponseToResponses', () => {
+    it('keeps only the first function call when parallel tool calls are off', () => {
+        const skeleton = createResponseSkeleton({ model: 'gemini-test', parallel_tool_calls: false });
+        const response = transformGeminiResponseToResponses({
+            candidates: [{ content: { parts: [{ functionCall: { name: 'a', args: {} } }, { functionCall: { name: 'b', args: {} } }] } }],
+            usageMetadata: { promptTokenCount: 5, candidatesTokenCount: 2, thoughtsTokenCount: 3 },
+        }, skeleton);
+        assert.deepEqual(response.output.map(item => item.name), ['a']);
+        assert.match(response.output[0].call_id, /^call_/);
+        assert.equal(response.usage.output_tokens, 5);
+        assert.equal(response.usage.output_tokens_details.reasoning_tokens, 3);
+    });
+
+    it('marks truncated and blocked responses incomplete', () => {
+        const skeleton = createResponseSkeleton({ model: 'gemini-test' });
+        const truncated = transformGeminiResponseToResponses({ candidates: [{ content: { parts: [{ text: 'Hi' }] }, finishReason: 'MAX_TOKENS' }] }, skeleton);
+        assert.deepEqual([truncated.status, truncated.incomplete_details], ['incomplete', { reason: 'max_output_tokens' }]);
+        const blocked = transformGeminiResponseToResponses({ promptFeedback: { blockReason: 'SAFETY' } }, skeleton);
+        assert.deepEqual(blocked.incomplete_details, { reason: 'content_filter' });
+    });
+});
+
+describe('createResponsesStreamTransformer', () => {
+    it('emits the Responses event sequence for reasoning, text and a function call', async () => {
+        const skeleton = createResponseSkeleton({ model: 'gemini-test' });
+        const { events, completed } = await streamEvents([
+            { candidates: [{ content: { parts: [{ text: 'Hmm', thought: true }] } }] },
+            { candidates: [{ content: { parts: [{ text: 'Hello' }] } }] },
+            { candidates: [{ content: { parts: [{ text: ' there' }] } }] },
+            {
+                candidates: [{ content: { parts: [{ functionCall: { id: 'call_1', name: 'get_weather', args: { city: 'Paris' } } }] }, finishReason: 'STOP' }],
+                usageMetadata: { promptTokenCount: 7, candidatesTokenCount: 4 },
+            },
+        ], skeleton);
+
+        assert.deepEqual(events.map(event => event.type), [
+            'response.created',
+            'response.in_progress',
+            'response.output_item.added',
+            'response.reasoning_summary_part.added',
+            'response.reasoning_summary_text.delta',
+            'response.reasoning_summary_text.done',
+            'response.reasoning_summary_part.done',
+            'response.output_item.done',
+            'response.output_item.added',
+            'response.content_part.added',
+            'response.output_text.delta',
+            'response.output_text.delta',
+            'response.output_text.done',
+            'response.content_part.done',
+            'response.output_item.done',
+            'response.output_item.added',
+            'response.function_call_arguments.delta',
+            'response.function_call_arguments.done',
+            'response.output_item.done',
+            'response.completed',
+        ]);
+        assert.deepEqual(events.map(event => event.sequence_number), events.map((event, i) => i));
+        assert.equal(events[12].text, 'Hello there');
+        assert.equal(events[12].output_index, 1);
+        assert.equal(events[17].arguments, '{"city":"Paris"}');
+
+        assert.equal(completed.status, 'completed');
+        assert.deepEqual(completed.output.map(item => item.type), ['reasoning', 'message', 'function_call']);
+        assert.deepEqual(events[19].response.output, completed.output);
+        assert.equal(completed.usage.total_tokens, 11);
+        assert.deepEqual(outputToChatMessages(completed.output), [{
+            role: 'assistant',
+            content: 'Hello there',
+            tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'get_weather', arguments: '{"city":"Paris"}' } }],
+        }]);
+    });
+
+    it('ends with response.incomplete or response.failed', async () => {
+        const skeleton = createResponseSkeleton({ model: 'gemini-test' });
+        const truncated = await streamEvents([{ candidates: [{ content: { parts: [{ text: 'Hi' }] }, finishReason: 'MAX_TOKENS' }] }], skeleton);
+        assert.equal(truncated.events.at(-1).type, 'response.incomplete');
+        assert.deepEqual(truncated.completed.incomplete_details, { reason: 'max_output_tokens' });
+
+        const failed = await streamEvents([{ error: { status: 'RESOURCE_EXHAUSTED', message: 'Quota exceeded' } }], skeleton);
+        assert.deepEqual(failed.events.map(event => event.type), ['response.created', 'response.in_progress', 'response.failed']);
+        assert.deepEqual(failed.completed.error, { code: 'RESOURCE_EXHAUSTED', message: 'Quota exceeded' });
+    });
+});